@@ -8,7 +8,12 @@ import { motion, AnimatePresence } from 'framer-motion';
 import Dashboard from './pages/Dashboard.jsx';
 import Login from './pages/Login.jsx';
 import Register from './pages/Register.jsx';
+import ForgotPassword from './pages/ForgotPassword.jsx';
 import NotFound from './pages/NotFound.jsx';
+import Security from './pages/Security.jsx';
+
+// Components
+import TwoFactorPrompt from './components/auth/TwoFactorPrompt.jsx';
 
 // Context
 import { AuthProvider, useAuth } from './contexts/AuthContext.jsx';
@@ -92,6 +97,22 @@ const AppContent = () => {
             }
           />
 
+          <Route
+            path="/forgot-password"
+            element={
+              <PublicRoute>
+                <motion.div
+                  initial={{ opacity: 0, y: 20 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  exit={{ opacity: 0, y: -20 }}
+                  transition={{ duration: 0.3 }}
+                >
+                  <ForgotPassword />
+                </motion.div>
+              </PublicRoute>
+            }
+          />
+
           {/* Protected Routes */}
           <Route
             path="/"
@@ -117,6 +138,22 @@ const AppContent = () => {
             }
           />
 
+          <Route
+            path="/security"
+            element={
+              <ProtectedRoute>
+                <motion.div
+                  initial={{ opacity: 0, x: 20 }}
+                  animate={{ opacity: 1, x: 0 }}
+                  exit={{ opacity: 0, x: -20 }}
+                  transition={{ duration: 0.3 }}
+                >
+                  <Security />
+                </motion.div>
+              </ProtectedRoute>
+            }
+          />
+
           {/* 404 Route */}
           <Route
             path="*"
@@ -143,6 +180,7 @@ const App = () => {
     <QueryClientProvider client={queryClient}>
       <AuthProvider>
         <AppContent />
+        <TwoFactorPrompt />
         <Toaster
           position="top-right"
           toastOptions={{
@@ -0,0 +1,105 @@
+import React, { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { X, ShieldCheck } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import axiosInstance from '../../utils/axios';
+import { onTwoFactorRequest } from '../../utils/twoFactorPrompt';
+
+// Asks for an authenticator code when a card action needs a recent two-factor check.
+// Mounted once in App; the axios interceptor retries the action after it resolves.
+const TwoFactorPrompt = () => {
+  const [request, setRequest] = useState(null);
+  const [useBackupCode, setUseBackupCode] = useState(false);
+  const [code, setCode] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => onTwoFactorRequest((next) => {
+    setRequest(next);
+    setUseBackupCode(false);
+    setCode('');
+  }), []);
+
+  const cancel = () => {
+    request?.reject();
+    setRequest(null);
+  };
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    try {
+      await axiosInstance.post('/auth/2fa/verify', useBackupCode ? { backup_code: code } : { code });
+      setCode('');
+      request.resolve();
+      setRequest(null);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Verification failed');
+      if (error.response?.data?.code === 'TOO_MANY_ATTEMPTS') {
+        cancel();
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (!request) return null;
+
+  return (
+    <AnimatePresence>
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+        onClick={cancel}
+      >
+        <motion.div
+          initial={{ scale: 0.9, opacity: 0 }}
+          animate={{ scale: 1, opacity: 1 }}
+          exit={{ scale: 0.9, opacity: 0 }}
+          className="bg-white rounded-2xl shadow-2xl max-w-sm w-full p-6"
+          onClick={(e) => e.stopPropagation()}
+        >
+          <div className="flex items-center justify-between mb-4">
+            <div className="flex items-center space-x-2">
+              <ShieldCheck className="h-6 w-6 text-primary-600" />
+              <h2 className="text-lg font-semibold text-gray-900">Confirm it's you</h2>
+            </div>
+            <button onClick={cancel} className="text-gray-400 hover:text-gray-600">
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+
+          <form onSubmit={submit} className="space-y-4">
+            <label className="form-label">
+              {useBackupCode ? 'Backup code' : 'Code from your authenticator app'}
+            </label>
+            <input
+              type="text"
+              autoFocus
+              autoComplete="one-time-code"
+              inputMode={useBackupCode ? 'text' : 'numeric'}
+              maxLength={useBackupCode ? 11 : 6}
+              value={code}
+              onChange={(e) => setCode(e.target.value.trim())}
+              className="form-input"
+              placeholder={useBackupCode ? 'XXXXX-XXXXX' : '123456'}
+            />
+            <button type="submit" disabled={isLoading || !code} className="btn btn-primary w-full">
+              {isLoading ? 'Checking...' : 'Verify'}
+            </button>
+            <button
+              type="button"
+              onClick={() => { setUseBackupCode(!useBackupCode); setCode(''); }}
+              className="w-full text-sm text-primary-600 hover:text-primary-500"
+            >
+              {useBackupCode ? 'Use your authenticator app' : 'Use a backup code'}
+            </button>
+          </form>
+        </motion.div>
+      </motion.div>
+    </AnimatePresence>
+  );
+};
+
+export default TwoFactorPrompt;
@@ -1,19 +1,28 @@
 import React, { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { X, Copy, Eye, EyeOff, Clock, Check } from 'lucide-react';
+import { X, Copy, Eye, Clock, Check, Lock, Smartphone, ShieldCheck } from 'lucide-react';
 import { toast } from 'react-hot-toast';
 import axiosInstance from '../../utils/axios';
 
+// Revealing card details takes step-up verification: choose password or SMS code,
+// verify, then the reveal token is exchanged for the details once
 const CardRevealModal = ({ isOpen, onClose, cardId, cardholderName }) => {
+  const [step, setStep] = useState('method');
+  const [challenge, setChallenge] = useState(null);
+  const [secret, setSecret] = useState('');
   const [cardDetails, setCardDetails] = useState(null);
   const [timeLeft, setTimeLeft] = useState(60);
   const [isLoading, setIsLoading] = useState(false);
   const [copied, setCopied] = useState(false);
 
-  // Fetch card details when modal opens
+  // Start over every time the modal opens; details never outlive it
   useEffect(() => {
-    if (isOpen && cardId) {
-      fetchCardDetails();
+    if (isOpen) {
+      setStep('method');
+      setChallenge(null);
+      setSecret('');
+      setCardDetails(null);
+      setTimeLeft(60);
     }
   }, [isOpen, cardId]);
 
@@ -24,6 +33,7 @@ const CardRevealModal = ({ isOpen, onClose, cardId, cardholderName }) => {
         setTimeLeft(prev => {
           if (prev <= 1) {
             clearInterval(timer);
+            setCardDetails(null);
             onClose();
             return 0;
           }
@@ -35,16 +45,50 @@ const CardRevealModal = ({ isOpen, onClose, cardId, cardholderName }) => {
     }
   }, [cardDetails, timeLeft, onClose]);
 
-  const fetchCardDetails = async () => {
+  const errorMessage = (error, fallback) => error.response?.data?.error || fallback;
+
+  const startChallenge = async (method) => {
+    setIsLoading(true);
+    try {
+      const response = await axiosInstance.post(`/cards/${cardId}/reveal/challenge`, { method });
+      setChallenge(response.data.data);
+      setSecret('');
+      setStep('verify');
+      if (method === 'otp') {
+        toast.success(`Code sent to ${response.data.data.sent_to}`);
+      }
+    } catch (error) {
+      console.error('Error starting verification:', error);
+      toast.error(errorMessage(error, 'Failed to start verification'));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const verifyAndReveal = async (e) => {
+    e.preventDefault();
     setIsLoading(true);
     try {
-      const response = await axiosInstance.get(`/cards/${cardId}/reveal`);
+      const verification = await axiosInstance.post(`/cards/${cardId}/reveal/verify`, {
+        challengeId: challenge.challenge_id,
+        ...(challenge.method === 'otp' ? { code: secret } : { password: secret })
+      });
+      setSecret('');
+
+      const response = await axiosInstance.post(`/cards/${cardId}/reveal`, {
+        revealToken: verification.data.data.reveal_token
+      });
       setCardDetails(response.data.data);
       setTimeLeft(60);
+      setStep('revealed');
     } catch (error) {
-      console.error('Error fetching card details:', error);
-      toast.error('Failed to reveal card details');
-      onClose();
+      console.error('Error revealing card details:', error);
+      toast.error(errorMessage(error, 'Failed to reveal card details'));
+      // A closed or expired verification has to be started again
+      if (['CHALLENGE_CLOSED', 'CHALLENGE_EXPIRED', 'TOO_MANY_ATTEMPTS', 'STEP_UP_REQUIRED', 'RATE_LIMITED'].includes(error.response?.data?.code)) {
+        setStep('method');
+        setChallenge(null);
+      }
     } finally {
       setIsLoading(false);
     }
@@ -108,22 +152,83 @@ const CardRevealModal = ({ isOpen, onClose, cardId, cardholderName }) => {
             </div>
             
             {/* Countdown Timer */}
-            <div className="mt-4 flex items-center justify-center space-x-2 bg-white bg-opacity-20 rounded-lg p-3">
-              <Clock className="h-5 w-5" />
-              <span className="font-mono text-lg font-bold">
-                {Math.floor(timeLeft / 60)}:{(timeLeft % 60).toString().padStart(2, '0')}
-              </span>
-              <span className="text-sm">remaining</span>
-            </div>
+            {cardDetails && (
+              <div className="mt-4 flex items-center justify-center space-x-2 bg-white bg-opacity-20 rounded-lg p-3">
+                <Clock className="h-5 w-5" />
+                <span className="font-mono text-lg font-bold">
+                  {Math.floor(timeLeft / 60)}:{(timeLeft % 60).toString().padStart(2, '0')}
+                </span>
+                <span className="text-sm">remaining</span>
+              </div>
+            )}
           </div>
 
           {/* Content */}
           <div className="p-6">
-            {isLoading ? (
-              <div className="flex items-center justify-center py-12">
-                <div className="spinner h-8 w-8"></div>
-                <span className="ml-3 text-gray-600">Loading card details...</span>
+            {step === 'method' ? (
+              <div className="space-y-4">
+                <div className="flex items-start space-x-3 text-sm text-gray-600">
+                  <ShieldCheck className="h-5 w-5 text-primary-600 mt-0.5" />
+                  <p>For your security, confirm it's you before we show the full card number and CVV.</p>
+                </div>
+                <button
+                  onClick={() => startChallenge('password')}
+                  disabled={isLoading}
+                  className="w-full flex items-center space-x-3 p-4 border border-gray-200 rounded-lg hover:border-primary-500 hover:bg-primary-50 transition-colors disabled:opacity-50"
+                >
+                  <Lock className="h-5 w-5 text-primary-600" />
+                  <div className="text-left">
+                    <div className="font-medium text-gray-900">Enter your password</div>
+                    <div className="text-sm text-gray-500">Re-enter your account password</div>
+                  </div>
+                </button>
+                <button
+                  onClick={() => startChallenge('otp')}
+                  disabled={isLoading}
+                  className="w-full flex items-center space-x-3 p-4 border border-gray-200 rounded-lg hover:border-primary-500 hover:bg-primary-50 transition-colors disabled:opacity-50"
+                >
+                  <Smartphone className="h-5 w-5 text-primary-600" />
+                  <div className="text-left">
+                    <div className="font-medium text-gray-900">Get a code by SMS</div>
+                    <div className="text-sm text-gray-500">We'll send a 6-digit code to your M-Pesa phone</div>
+                  </div>
+                </button>
               </div>
+            ) : step === 'verify' && challenge ? (
+              <form onSubmit={verifyAndReveal} className="space-y-4">
+                <label className="form-label">
+                  {challenge.method === 'otp' ? `Code sent to ${challenge.sent_to}` : 'Password'}
+                </label>
+                <input
+                  type={challenge.method === 'otp' ? 'text' : 'password'}
+                  inputMode={challenge.method === 'otp' ? 'numeric' : undefined}
+                  autoComplete={challenge.method === 'otp' ? 'one-time-code' : 'current-password'}
+                  maxLength={challenge.method === 'otp' ? 6 : undefined}
+                  value={secret}
+                  onChange={(e) => setSecret(e.target.value)}
+                  className="form-input"
+                  placeholder={challenge.method === 'otp' ? '123456' : 'Enter your password'}
+                  autoFocus
+                />
+                <div className="flex space-x-3">
+                  <button
+                    type="button"
+                    onClick={() => setStep('method')}
+                    className="btn btn-outline flex-1"
+                    disabled={isLoading}
+                  >
+                    Back
+                  </button>
+                  <button
+                    type="submit"
+                    className="btn btn-primary flex-1 space-x-2"
+                    disabled={isLoading || !secret}
+                  >
+                    <Eye className="h-4 w-4" />
+                    <span>{isLoading ? 'Verifying...' : 'Reveal'}</span>
+                  </button>
+                </div>
+              </form>
             ) : cardDetails ? (
               <div className="space-y-6">
                 {/* Card Number */}
@@ -1,10 +1,47 @@
 import React, { useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useForm } from 'react-hook-form';
-import { X, CreditCard, User, DollarSign, Calendar, Shield, CheckCircle, AlertCircle } from 'lucide-react';
+import { X, CreditCard, User, DollarSign, Calendar, Shield, CheckCircle, AlertCircle, Clock, Store } from 'lucide-react';
 import axiosInstance from '../../utils/axios.js';
 import toast from 'react-hot-toast';
 
+const CARD_TYPES = [
+  { value: 'standard', label: 'Standard', description: 'Everyday card' },
+  { value: 'single_use', label: 'Single-use', description: 'Cancelled after one purchase' },
+  { value: 'merchant_locked', label: 'Merchant-locked', description: 'Works only where first used' },
+  { value: 'time_boxed', label: 'Time-boxed', description: 'Expires after a set time' }
+];
+
+// Betting, lotteries, internet gambling and racing
+const GAMBLING_MCCS = ['7800', '7801', '7802', '7995'];
+
+const parseList = (value) => (value || '')
+  .split(',')
+  .map((item) => item.trim())
+  .filter(Boolean);
+
+// Turns the form's spending control fields into the API's controls object
+const buildControls = (data) => {
+  const blockedMccs = parseList(data.blockedMccs);
+  if (data.blockGambling) {
+    GAMBLING_MCCS.forEach((mcc) => {
+      if (!blockedMccs.includes(mcc)) blockedMccs.push(mcc);
+    });
+  }
+
+  return {
+    blockedMccs,
+    allowedMerchants: parseList(data.allowedMerchants),
+    timeWindows: data.restrictHours
+      ? [{
+          days: data.weekdaysOnly ? [1, 2, 3, 4, 5] : [0, 1, 2, 3, 4, 5, 6],
+          start: data.windowStart,
+          end: data.windowEnd
+        }]
+      : []
+  };
+};
+
 const CreateCardModal = ({ isOpen, onClose, onCardCreated }) => {
   const [isLoading, setIsLoading] = useState(false);
   const [step, setStep] = useState(1);
@@ -20,8 +57,18 @@ const CreateCardModal = ({ isOpen, onClose, onCardCreated }) => {
   } = useForm({
     defaultValues: {
       cardholderName: '',
+      cardType: 'standard',
+      validFor: 24,
+      validForUnit: 'hours',
       dailyLimit: 70000,
-      monthlyLimit: 1000000
+      monthlyLimit: 1000000,
+      blockGambling: false,
+      allowedMerchants: '',
+      blockedMccs: '',
+      restrictHours: false,
+      weekdaysOnly: true,
+      windowStart: '08:00',
+      windowEnd: '18:00'
     }
   });
 
@@ -35,7 +82,13 @@ const CreateCardModal = ({ isOpen, onClose, onCardCreated }) => {
       const response = await axiosInstance.post('/cards', {
         cardholderName: data.cardholderName.trim(),
         dailyLimit: parseInt(data.dailyLimit),
-        monthlyLimit: parseInt(data.monthlyLimit)
+        monthlyLimit: parseInt(data.monthlyLimit),
+        controls: buildControls(data),
+        cardType: data.cardType,
+        ...(data.cardType === 'time_boxed' && {
+          validFor: parseInt(data.validFor),
+          validForUnit: data.validForUnit
+        })
       });
 
       console.log('Card creation response:', response.data);
@@ -86,6 +139,10 @@ const CreateCardModal = ({ isOpen, onClose, onCardCreated }) => {
         console.log('Name validation failed: need full name');
         return;
       }
+
+      if (watchedValues.cardType === 'time_boxed' && !(parseInt(watchedValues.validFor) > 0)) {
+        return;
+      }
       
       console.log('Step 1 validation passed, moving to step 2');
       setStep(2);
@@ -111,6 +168,10 @@ const CreateCardModal = ({ isOpen, onClose, onCardCreated }) => {
         console.log('Monthly must be >= daily');
         return;
       }
+
+      if (parseList(watchedValues.blockedMccs).some((mcc) => !/^\d{4}$/.test(mcc))) {
+        return;
+      }
       
       console.log('Step 2 validation passed, moving to step 3');
       setStep(3);
@@ -275,6 +336,45 @@ const CreateCardModal = ({ isOpen, onClose, onCardCreated }) => {
                           </motion.div>
                         )}
                       </div>
+
+                      {/* Card type */}
+                      <div>
+                        <label className="form-label">Card Type</label>
+                        <div className="grid grid-cols-2 gap-2">
+                          {CARD_TYPES.map((type) => (
+                            <label
+                              key={type.value}
+                              className={`p-3 border rounded-lg cursor-pointer transition-colors ${
+                                watchedValues.cardType === type.value
+                                  ? 'border-primary-500 bg-primary-50'
+                                  : 'border-gray-200 hover:bg-gray-50'
+                              }`}
+                            >
+                              <input type="radio" value={type.value} {...register('cardType')} className="sr-only" />
+                              <div className="text-sm font-medium text-gray-900">{type.label}</div>
+                              <div className="text-xs text-gray-500">{type.description}</div>
+                            </label>
+                          ))}
+                        </div>
+
+                        {watchedValues.cardType === 'time_boxed' && (
+                          <div className="grid grid-cols-2 gap-2 mt-3">
+                            <input
+                              type="number"
+                              min="1"
+                              {...register('validFor', {
+                                validate: (value) => watchedValues.cardType !== 'time_boxed' || parseInt(value) > 0 || 'Enter how long the card is valid'
+                              })}
+                              className="form-input"
+                              placeholder="24"
+                            />
+                            <select {...register('validForUnit')} className="form-input">
+                              <option value="hours">Hours</option>
+                              <option value="days">Days</option>
+                            </select>
+                          </div>
+                        )}
+                      </div>
                     </motion.div>
                   )}
 
@@ -429,6 +529,79 @@ const CreateCardModal = ({ isOpen, onClose, onCardCreated }) => {
                           </button>
                         </div>
                       </div>
+
+                      {/* Spending controls */}
+                      <div className="border border-gray-200 p-4 rounded-xl space-y-4">
+                        <div>
+                          <p className="text-sm font-medium text-gray-700">Spending Controls</p>
+                          <p className="text-xs text-gray-500">Optional. Restrict where and when this card works.</p>
+                        </div>
+
+                        <label className="flex items-center space-x-2 text-sm text-gray-700">
+                          <input type="checkbox" {...register('blockGambling')} className="rounded" />
+                          <span>Block gambling merchants</span>
+                        </label>
+
+                        <div>
+                          <label htmlFor="allowedMerchants" className="form-label">
+                            Only allow these merchant IDs
+                          </label>
+                          <div className="relative">
+                            <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                              <Store className="h-5 w-5 text-gray-400" />
+                            </div>
+                            <input
+                              id="allowedMerchants"
+                              type="text"
+                              {...register('allowedMerchants')}
+                              className="form-input pl-10"
+                              placeholder="e.g. MRC0A1B2C3D4E (comma separated)"
+                            />
+                          </div>
+                        </div>
+
+                        <div>
+                          <label htmlFor="blockedMccs" className="form-label">
+                            Block merchant category codes
+                          </label>
+                          <input
+                            id="blockedMccs"
+                            type="text"
+                            {...register('blockedMccs', {
+                              validate: (value) => parseList(value).every((mcc) => /^\d{4}$/.test(mcc)) ||
+                                'Merchant category codes are 4 digits, separated by commas'
+                            })}
+                            className={`form-input ${
+                              errors.blockedMccs ? 'border-error-300 focus:ring-error-500' : 'focus:ring-primary-500'
+                            }`}
+                            placeholder="e.g. 5813, 5921"
+                          />
+                          {errors.blockedMccs && (
+                            <div className="flex items-center mt-2 text-error-600">
+                              <AlertCircle className="h-4 w-4 mr-1" />
+                              <span className="text-sm">{errors.blockedMccs.message}</span>
+                            </div>
+                          )}
+                        </div>
+
+                        <div className="space-y-2">
+                          <label className="flex items-center space-x-2 text-sm text-gray-700">
+                            <input type="checkbox" {...register('restrictHours')} className="rounded" />
+                            <Clock className="h-4 w-4 text-gray-400" />
+                            <span>Only allow purchases between set hours (EAT)</span>
+                          </label>
+                          {watchedValues.restrictHours && (
+                            <div className="grid grid-cols-2 gap-2 pl-6">
+                              <input type="time" {...register('windowStart', { required: true })} className="form-input" />
+                              <input type="time" {...register('windowEnd', { required: true })} className="form-input" />
+                              <label className="col-span-2 flex items-center space-x-2 text-sm text-gray-700">
+                                <input type="checkbox" {...register('weekdaysOnly')} className="rounded" />
+                                <span>Weekdays only</span>
+                              </label>
+                            </div>
+                          )}
+                        </div>
+                      </div>
                     </motion.div>
                   )}
 
@@ -487,6 +660,13 @@ const CreateCardModal = ({ isOpen, onClose, onCardCreated }) => {
                             <span className="text-gray-600">Cardholder Name:</span>
                             <span className="font-medium">{watchedValues.cardholderName}</span>
                           </div>
+                          <div className="flex justify-between">
+                            <span className="text-gray-600">Card Type:</span>
+                            <span className="font-medium">
+                              {CARD_TYPES.find((type) => type.value === watchedValues.cardType)?.label}
+                              {watchedValues.cardType === 'time_boxed' && ` (${watchedValues.validFor} ${watchedValues.validForUnit})`}
+                            </span>
+                          </div>
                           <div className="flex justify-between">
                             <span className="text-gray-600">Daily Limit:</span>
                             <span className="font-medium text-green-600">{formatCurrency(watchedValues.dailyLimit)}</span>
@@ -495,6 +675,32 @@ const CreateCardModal = ({ isOpen, onClose, onCardCreated }) => {
                             <span className="text-gray-600">Monthly Limit:</span>
                             <span className="font-medium text-green-600">{formatCurrency(watchedValues.monthlyLimit)}</span>
                           </div>
+                          {watchedValues.blockGambling && (
+                            <div className="flex justify-between">
+                              <span className="text-gray-600">Gambling:</span>
+                              <span className="font-medium">Blocked</span>
+                            </div>
+                          )}
+                          {parseList(watchedValues.allowedMerchants).length > 0 && (
+                            <div className="flex justify-between">
+                              <span className="text-gray-600">Merchants:</span>
+                              <span className="font-medium">{parseList(watchedValues.allowedMerchants).join(', ')} only</span>
+                            </div>
+                          )}
+                          {parseList(watchedValues.blockedMccs).length > 0 && (
+                            <div className="flex justify-between">
+                              <span className="text-gray-600">Blocked MCCs:</span>
+                              <span className="font-medium">{parseList(watchedValues.blockedMccs).join(', ')}</span>
+                            </div>
+                          )}
+                          {watchedValues.restrictHours && (
+                            <div className="flex justify-between">
+                              <span className="text-gray-600">Hours:</span>
+                              <span className="font-medium">
+                                {watchedValues.windowStart}–{watchedValues.windowEnd} EAT{watchedValues.weekdaysOnly ? ', Mon–Fri' : ''}
+                              </span>
+                            </div>
+                          )}
                         </div>
                       </div>
 
@@ -4,6 +4,13 @@ import { CreditCard, Eye, EyeOff, Plus, Unlock } from 'lucide-react';
 import CreateCardModal from '../cards/CreateCardModal';
 import CardRevealModal from '../cards/CardRevealModal';
 
+// Badges for burner cards; standard cards have none
+const CARD_TYPE_BADGES = {
+  single_use: { label: 'Single-use', className: 'bg-amber-100 text-amber-800' },
+  merchant_locked: { label: 'Merchant-locked', className: 'bg-purple-100 text-purple-800' },
+  time_boxed: { label: 'Time-boxed', className: 'bg-teal-100 text-teal-800' }
+};
+
 const CardOverview = ({ cards, onCardCreated }) => {
   const [showDetails, setShowDetails] = useState(false);
   const [showCreateCardModal, setShowCreateCardModal] = useState(false);
@@ -119,7 +126,17 @@ const CardOverview = ({ cards, onCardCreated }) => {
             <div className="flex items-center space-x-3">
               <CreditCard className="h-6 w-6" />
               <div>
-                <h4 className="font-semibold">{card.cardholder_name}</h4>
+                <div className="flex items-center space-x-2">
+                  <h4 className="font-semibold">{card.cardholder_name}</h4>
+                  {CARD_TYPE_BADGES[card.card_type] && (
+                    <span
+                      className={`px-2 py-0.5 rounded-full text-xs font-medium ${CARD_TYPE_BADGES[card.card_type].className}`}
+                      title={card.card_type === 'merchant_locked' && card.locked_merchant_id ? `Locked to ${card.locked_merchant_id}` : undefined}
+                    >
+                      {CARD_TYPE_BADGES[card.card_type].label}
+                    </span>
+                  )}
+                </div>
                 <p className="text-blue-100 text-sm">
                   {card.masked_card_number || '**** **** **** ****'}
                 </p>
@@ -150,6 +167,18 @@ const CardOverview = ({ cards, onCardCreated }) => {
                 <span className="text-blue-100">Expires:</span>
                 <span>{card.expiry_month?.toString().padStart(2, '0')}/{card.expiry_year}</span>
               </div>
+              {card.card_type === 'time_boxed' && card.expires_at && (
+                <div className="flex justify-between">
+                  <span className="text-blue-100">Valid Until:</span>
+                  <span>{new Date(card.expires_at).toLocaleString('en-KE')}</span>
+                </div>
+              )}
+              {card.card_type === 'merchant_locked' && (
+                <div className="flex justify-between">
+                  <span className="text-blue-100">Locked To:</span>
+                  <span>{card.locked_merchant_id || 'First merchant used'}</span>
+                </div>
+              )}
               <div className="flex justify-between">
                 <span className="text-blue-100">Daily Limit:</span>
                 <span>KES {card.daily_limit?.toLocaleString()}</span>
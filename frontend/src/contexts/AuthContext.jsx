@@ -17,6 +17,7 @@ const AUTH_ACTIONS = {
   LOGIN_START: 'LOGIN_START',
   LOGIN_SUCCESS: 'LOGIN_SUCCESS',
   LOGIN_FAILURE: 'LOGIN_FAILURE',
+  TWO_FACTOR_REQUIRED: 'TWO_FACTOR_REQUIRED',
   REGISTER_START: 'REGISTER_START',
   REGISTER_SUCCESS: 'REGISTER_SUCCESS',
   REGISTER_FAILURE: 'REGISTER_FAILURE',
@@ -42,6 +43,7 @@ const authReducer = (state, action) => {
     case AUTH_ACTIONS.LOGIN_SUCCESS:
     case AUTH_ACTIONS.REGISTER_SUCCESS:
       localStorage.setItem('token', action.payload.token);
+      localStorage.setItem('refreshToken', action.payload.refresh_token);
       return {
         ...state,
         user: action.payload.user,
@@ -51,6 +53,12 @@ const authReducer = (state, action) => {
         error: null,
       };
 
+    case AUTH_ACTIONS.TWO_FACTOR_REQUIRED:
+      return {
+        ...state,
+        loading: false,
+      };
+
     case AUTH_ACTIONS.LOAD_USER_SUCCESS:
       return {
         ...state,
@@ -64,6 +72,7 @@ const authReducer = (state, action) => {
     case AUTH_ACTIONS.REGISTER_FAILURE:
     case AUTH_ACTIONS.LOAD_USER_FAILURE:
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
       return {
         ...state,
         user: null,
@@ -75,6 +84,7 @@ const authReducer = (state, action) => {
 
     case AUTH_ACTIONS.LOGOUT:
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
       return {
         ...state,
         user: null,
@@ -138,7 +148,13 @@ export const AuthProvider = ({ children }) => {
       dispatch({ type: AUTH_ACTIONS.LOGIN_START });
       
       const response = await axiosInstance.post('/auth/login', credentials);
-      
+
+      // Two-factor accounts get a login token for the code step instead of a session
+      if (response.data.data.two_factor_required) {
+        dispatch({ type: AUTH_ACTIONS.TWO_FACTOR_REQUIRED });
+        return { success: false, twoFactorRequired: true, loginToken: response.data.data.login_token };
+      }
+
       dispatch({
         type: AUTH_ACTIONS.LOGIN_SUCCESS,
         payload: response.data.data,
@@ -158,6 +174,32 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Second login step: a code from the authenticator app or a backup code
+  const completeTwoFactorLogin = async (loginToken, { code, backupCode }) => {
+    try {
+      dispatch({ type: AUTH_ACTIONS.LOGIN_START });
+
+      const response = await axiosInstance.post('/auth/login/2fa', {
+        login_token: loginToken,
+        ...(backupCode ? { backup_code: backupCode } : { code }),
+      });
+
+      dispatch({
+        type: AUTH_ACTIONS.LOGIN_SUCCESS,
+        payload: response.data.data,
+      });
+
+      toast.success('Login successful!');
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Verification failed';
+      dispatch({ type: AUTH_ACTIONS.TWO_FACTOR_REQUIRED });
+
+      toast.error(errorMessage);
+      return { success: false, error: errorMessage, code: error.response?.data?.code };
+    }
+  };
+
   // Register function
   const register = async (userData) => {
     try {
@@ -195,8 +237,13 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  // Logout function
-  const logout = () => {
+  // Logout function - ends the session on the server too, so its refresh token stops working
+  const logout = async () => {
+    try {
+      await axiosInstance.post('/auth/logout');
+    } catch (error) {
+      console.warn('Logout request failed', error.message);
+    }
     dispatch({ type: AUTH_ACTIONS.LOGOUT });
     toast.success('Logged out successfully');
   };
@@ -210,6 +257,7 @@ export const AuthProvider = ({ children }) => {
   const value = {
     ...state,
     login,
+    completeTwoFactorLogin,
     register,
     logout,
     clearError,
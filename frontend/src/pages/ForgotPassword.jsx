@@ -0,0 +1,204 @@
+import React, { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { Mail, Lock, Key, Smartphone, ArrowLeft } from 'lucide-react';
+import axiosInstance from '../utils/axios.js';
+import toast from 'react-hot-toast';
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || fallback;
+
+// Password reset: request a code by SMS or email, then set a new password with it
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [channel, setChannel] = useState('sms');
+  const [resetId, setResetId] = useState(null);
+  const [code, setCode] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const navigate = useNavigate();
+
+  const requestCode = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    try {
+      const response = await axiosInstance.post('/auth/forgot-password', { email, channel });
+      setResetId(response.data.data.reset_id);
+      toast.success(response.data.message);
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to send reset code'));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const resetPassword = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    try {
+      const response = await axiosInstance.post('/auth/reset-password', {
+        reset_id: resetId,
+        email,
+        code,
+        new_password: newPassword,
+      });
+      toast.success(response.data.message);
+      navigate('/login');
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to reset password'));
+      if (error.response?.data?.code === 'TOO_MANY_ATTEMPTS') {
+        setResetId(null);
+      }
+      setCode('');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-primary-50 via-white to-secondary-50 flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <motion.div
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.5 }}
+          className="text-center"
+        >
+          <div className="mx-auto h-16 w-16 bg-gradient-to-r from-primary-600 to-secondary-600 rounded-2xl flex items-center justify-center mb-6">
+            <Key className="h-8 w-8 text-white" />
+          </div>
+          <h2 className="text-3xl font-bold text-gray-900 mb-2">
+            Reset Password
+          </h2>
+          <p className="text-gray-600">
+            {resetId ? 'Enter the code we sent and choose a new password' : "We'll send you a code to reset it"}
+          </p>
+        </motion.div>
+
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.5, delay: 0.1 }}
+          className="card p-8"
+        >
+          {!resetId ? (
+            <form onSubmit={requestCode} className="space-y-6">
+              <div>
+                <label htmlFor="email" className="form-label">
+                  Email Address
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <Mail className="h-5 w-5 text-gray-400" />
+                  </div>
+                  <input
+                    id="email"
+                    type="email"
+                    required
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    className="form-input pl-10"
+                    placeholder="Enter your email"
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="form-label">Send the code by</label>
+                <div className="grid grid-cols-2 gap-3">
+                  <button
+                    type="button"
+                    onClick={() => setChannel('sms')}
+                    className={`btn ${channel === 'sms' ? 'btn-primary' : 'btn-outline'}`}
+                  >
+                    <Smartphone className="h-4 w-4 mr-2" />
+                    SMS
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setChannel('email')}
+                    className={`btn ${channel === 'email' ? 'btn-primary' : 'btn-outline'}`}
+                  >
+                    <Mail className="h-4 w-4 mr-2" />
+                    Email
+                  </button>
+                </div>
+              </div>
+
+              <button type="submit" disabled={isLoading || !email} className="btn btn-primary w-full">
+                {isLoading ? 'Sending...' : 'Send reset code'}
+              </button>
+            </form>
+          ) : (
+            <form onSubmit={resetPassword} className="space-y-6">
+              <div>
+                <label htmlFor="code" className="form-label">
+                  Reset code
+                </label>
+                <input
+                  id="code"
+                  type="text"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  maxLength={6}
+                  value={code}
+                  onChange={(e) => setCode(e.target.value.trim())}
+                  className="form-input"
+                  placeholder="123456"
+                />
+              </div>
+
+              <div>
+                <label htmlFor="newPassword" className="form-label">
+                  New password
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <Lock className="h-5 w-5 text-gray-400" />
+                  </div>
+                  <input
+                    id="newPassword"
+                    type="password"
+                    autoComplete="new-password"
+                    minLength={6}
+                    value={newPassword}
+                    onChange={(e) => setNewPassword(e.target.value)}
+                    className="form-input pl-10"
+                    placeholder="At least 6 characters"
+                  />
+                </div>
+              </div>
+
+              <button
+                type="submit"
+                disabled={isLoading || code.length !== 6 || newPassword.length < 6}
+                className="btn btn-primary w-full"
+              >
+                {isLoading ? 'Resetting...' : 'Reset password'}
+              </button>
+              <button
+                type="button"
+                onClick={() => { setResetId(null); setCode(''); }}
+                className="w-full text-sm text-primary-600 hover:text-primary-500"
+              >
+                Send a new code
+              </button>
+            </form>
+          )}
+
+          <div className="mt-6 text-center">
+            <Link
+              to="/login"
+              className="inline-flex items-center text-sm font-medium text-primary-600 hover:text-primary-500 transition-colors"
+            >
+              <ArrowLeft className="h-4 w-4 mr-1" />
+              Back to sign in
+            </Link>
+          </div>
+        </motion.div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
@@ -2,14 +2,17 @@ import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
 import { motion } from 'framer-motion';
-import { Eye, EyeOff, Mail, Lock, CreditCard, Smartphone } from 'lucide-react';
+import { Eye, EyeOff, Mail, Lock, CreditCard, Smartphone, ShieldCheck } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext.jsx';
 
 const Login = () => {
   const [showPassword, setShowPassword] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
+  const [loginToken, setLoginToken] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [useBackupCode, setUseBackupCode] = useState(false);
   const navigate = useNavigate();
-  const { login } = useAuth();
+  const { login, completeTwoFactorLogin } = useAuth();
 
   const {
     register,
@@ -23,6 +26,9 @@ const Login = () => {
       const result = await login(data);
       if (result.success) {
         navigate('/dashboard');
+      } else if (result.twoFactorRequired) {
+        setLoginToken(result.loginToken);
+        setTwoFactorCode('');
       }
     } catch (error) {
       console.error('Login error:', error);
@@ -31,6 +37,26 @@ const Login = () => {
     }
   };
 
+  const onSubmitCode = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    try {
+      const result = await completeTwoFactorLogin(
+        loginToken,
+        useBackupCode ? { backupCode: twoFactorCode } : { code: twoFactorCode }
+      );
+      if (result.success) {
+        navigate('/dashboard');
+      } else if (['LOGIN_EXPIRED', 'TOO_MANY_ATTEMPTS'].includes(result.code)) {
+        // Back to the password step
+        setLoginToken(null);
+      }
+      setTwoFactorCode('');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-primary-50 via-white to-secondary-50 flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
@@ -59,108 +85,172 @@ const Login = () => {
           transition={{ duration: 0.5, delay: 0.1 }}
           className="card p-8"
         >
-          <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
-            {/* Email Field */}
-            <div>
-              <label htmlFor="email" className="form-label">
-                Email Address
-              </label>
-              <div className="relative">
-                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                  <Mail className="h-5 w-5 text-gray-400" />
-                </div>
+          {loginToken ? (
+            <form onSubmit={onSubmitCode} className="space-y-6">
+              <div className="flex items-start space-x-3 text-sm text-gray-600">
+                <ShieldCheck className="h-5 w-5 text-primary-600 mt-0.5" />
+                <p>
+                  {useBackupCode
+                    ? 'Enter one of your backup codes. Each code works once.'
+                    : 'Enter the 6-digit code from your authenticator app.'}
+                </p>
+              </div>
+              <div>
+                <label htmlFor="twoFactorCode" className="form-label">
+                  {useBackupCode ? 'Backup code' : 'Authentication code'}
+                </label>
                 <input
-                  id="email"
-                  type="email"
-                  {...register('email', {
-                    required: 'Email is required',
-                    pattern: {
-                      value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
-                      message: 'Invalid email address',
-                    },
-                  })}
-                  className={`form-input pl-10 ${
-                    errors.email ? 'border-error-300 focus:ring-error-500' : ''
-                  }`}
-                  placeholder="Enter your email"
+                  id="twoFactorCode"
+                  type="text"
+                  autoFocus
+                  autoComplete="one-time-code"
+                  inputMode={useBackupCode ? 'text' : 'numeric'}
+                  maxLength={useBackupCode ? 11 : 6}
+                  value={twoFactorCode}
+                  onChange={(e) => setTwoFactorCode(e.target.value.trim())}
+                  className="form-input"
+                  placeholder={useBackupCode ? 'XXXXX-XXXXX' : '123456'}
                 />
               </div>
-              {errors.email && (
-                <motion.p
-                  initial={{ opacity: 0, y: -10 }}
-                  animate={{ opacity: 1, y: 0 }}
-                  className="form-error"
+              <button type="submit" disabled={isLoading || !twoFactorCode} className="btn btn-primary w-full">
+                {isLoading ? (
+                  <div className="flex items-center">
+                    <div className="spinner h-4 w-4 mr-2"></div>
+                    Verifying...
+                  </div>
+                ) : (
+                  'Verify'
+                )}
+              </button>
+              <div className="flex justify-between text-sm">
+                <button
+                  type="button"
+                  onClick={() => { setUseBackupCode(!useBackupCode); setTwoFactorCode(''); }}
+                  className="font-medium text-primary-600 hover:text-primary-500"
                 >
-                  {errors.email.message}
-                </motion.p>
-              )}
-            </div>
-
-            {/* Password Field */}
-            <div>
-              <label htmlFor="password" className="form-label">
-                Password
-              </label>
-              <div className="relative">
-                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                  <Lock className="h-5 w-5 text-gray-400" />
-                </div>
-                <input
-                  id="password"
-                  type={showPassword ? 'text' : 'password'}
-                  {...register('password', {
-                    required: 'Password is required',
-                    minLength: {
-                      value: 6,
-                      message: 'Password must be at least 6 characters',
-                    },
-                  })}
-                  className={`form-input pl-10 pr-12 ${
-                    errors.password ? 'border-error-300 focus:ring-error-500' : ''
-                  }`}
-                  placeholder="Enter your password"
-                />
+                  {useBackupCode ? 'Use authenticator app' : 'Use a backup code'}
+                </button>
                 <button
                   type="button"
-                  onClick={() => setShowPassword(!showPassword)}
-                  className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                  onClick={() => setLoginToken(null)}
+                  className="text-gray-500 hover:text-gray-700"
                 >
-                  {showPassword ? (
-                    <EyeOff className="h-5 w-5 text-gray-400 hover:text-gray-600" />
-                  ) : (
-                    <Eye className="h-5 w-5 text-gray-400 hover:text-gray-600" />
-                  )}
+                  Back
                 </button>
               </div>
-              {errors.password && (
-                <motion.p
-                  initial={{ opacity: 0, y: -10 }}
-                  animate={{ opacity: 1, y: 0 }}
-                  className="form-error"
-                >
-                  {errors.password.message}
-                </motion.p>
-              )}
-            </div>
+            </form>
+          ) : (
+            <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
+              {/* Email Field */}
+              <div>
+                <label htmlFor="email" className="form-label">
+                  Email Address
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <Mail className="h-5 w-5 text-gray-400" />
+                  </div>
+                  <input
+                    id="email"
+                    type="email"
+                    {...register('email', {
+                      required: 'Email is required',
+                      pattern: {
+                        value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
+                        message: 'Invalid email address',
+                      },
+                    })}
+                    className={`form-input pl-10 ${
+                      errors.email ? 'border-error-300 focus:ring-error-500' : ''
+                    }`}
+                    placeholder="Enter your email"
+                  />
+                </div>
+                {errors.email && (
+                  <motion.p
+                    initial={{ opacity: 0, y: -10 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    className="form-error"
+                  >
+                    {errors.email.message}
+                  </motion.p>
+                )}
+              </div>
 
-            {/* Submit Button */}
-            <motion.button
-              whileHover={{ scale: 1.02 }}
-              whileTap={{ scale: 0.98 }}
-              type="submit"
-              disabled={isLoading}
-              className="btn btn-primary w-full"
-            >
-              {isLoading ? (
-                <div className="flex items-center">
-                  <div className="spinner h-4 w-4 mr-2"></div>
-                  Signing in...
+              {/* Password Field */}
+              <div>
+                <div className="flex items-center justify-between">
+                  <label htmlFor="password" className="form-label">
+                    Password
+                  </label>
+                  <Link
+                    to="/forgot-password"
+                    className="text-sm font-medium text-primary-600 hover:text-primary-500 transition-colors"
+                  >
+                    Forgot password?
+                  </Link>
                 </div>
-              ) : (
-                'Sign In'
-              )}
-            </motion.button>
-          </form>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <Lock className="h-5 w-5 text-gray-400" />
+                  </div>
+                  <input
+                    id="password"
+                    type={showPassword ? 'text' : 'password'}
+                    {...register('password', {
+                      required: 'Password is required',
+                      minLength: {
+                        value: 6,
+                        message: 'Password must be at least 6 characters',
+                      },
+                    })}
+                    className={`form-input pl-10 pr-12 ${
+                      errors.password ? 'border-error-300 focus:ring-error-500' : ''
+                    }`}
+                    placeholder="Enter your password"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setShowPassword(!showPassword)}
+                    className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                  >
+                    {showPassword ? (
+                      <EyeOff className="h-5 w-5 text-gray-400 hover:text-gray-600" />
+                    ) : (
+                      <Eye className="h-5 w-5 text-gray-400 hover:text-gray-600" />
+                    )}
+                  </button>
+                </div>
+                {errors.password && (
+                  <motion.p
+                    initial={{ opacity: 0, y: -10 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    className="form-error"
+                  >
+                    {errors.password.message}
+                  </motion.p>
+                )}
+              </div>
+
+              {/* Submit Button */}
+              <motion.button
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+                type="submit"
+                disabled={isLoading}
+                className="btn btn-primary w-full"
+              >
+                {isLoading ? (
+                  <div className="flex items-center">
+                    <div className="spinner h-4 w-4 mr-2"></div>
+                    Signing in...
+                  </div>
+                ) : (
+                  'Sign In'
+                )}
+              </motion.button>
+            </form>
+          )}
 
           {/* Register Link */}
           <div className="mt-6 text-center">
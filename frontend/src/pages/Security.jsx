@@ -0,0 +1,391 @@
+import React, { useState } from 'react';
+import { useQuery } from 'react-query';
+import { Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { formatDistanceToNow } from 'date-fns';
+import {
+  ShieldCheck,
+  ShieldOff,
+  Key,
+  Monitor,
+  Copy,
+  ArrowLeft,
+} from 'lucide-react';
+import axiosInstance from '../utils/axios.js';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext.jsx';
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || fallback;
+
+const copyText = async (text) => {
+  try {
+    await navigator.clipboard.writeText(text);
+    toast.success('Copied to clipboard!');
+  } catch (error) {
+    toast.error('Failed to copy to clipboard');
+  }
+};
+
+// Backup codes are only shown once, right after they are generated
+const BackupCodes = ({ codes, onDone }) => (
+  <div className="space-y-4">
+    <p className="text-sm text-gray-600">
+      Save these backup codes somewhere safe. Each one signs you in once if you lose your phone.
+      They won't be shown again.
+    </p>
+    <div className="grid grid-cols-2 gap-2 font-mono text-sm bg-gray-50 border border-gray-200 rounded-lg p-4">
+      {codes.map(code => <span key={code}>{code}</span>)}
+    </div>
+    <div className="flex gap-3">
+      <button onClick={() => copyText(codes.join('\n'))} className="btn btn-outline">
+        <Copy className="h-4 w-4 mr-2" />
+        Copy codes
+      </button>
+      <button onClick={onDone} className="btn btn-primary">
+        I've saved them
+      </button>
+    </div>
+  </div>
+);
+
+const TwoFactorSection = () => {
+  const [step, setStep] = useState(null);
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [provisioning, setProvisioning] = useState(null);
+  const [backupCodes, setBackupCodes] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const { data: status, refetch } = useQuery('twoFactorStatus', async () => {
+    const response = await axiosInstance.get('/auth/2fa');
+    return response.data.data;
+  });
+
+  const reset = () => {
+    setStep(null);
+    setPassword('');
+    setCode('');
+    setProvisioning(null);
+  };
+
+  const run = async (action, fallback) => {
+    setIsLoading(true);
+    try {
+      await action();
+    } catch (error) {
+      toast.error(errorMessage(error, fallback));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const startSetup = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const response = await axiosInstance.post('/auth/2fa/setup', { password });
+      setProvisioning(response.data.data);
+      setPassword('');
+      setStep('confirm');
+    }, 'Failed to start setup');
+  };
+
+  const confirmSetup = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const response = await axiosInstance.post('/auth/2fa/enable', { code });
+      setBackupCodes(response.data.data.backup_codes);
+      reset();
+      refetch();
+      toast.success('Two-factor authentication is on');
+    }, 'Failed to turn on two-factor authentication');
+  };
+
+  const disable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await axiosInstance.post('/auth/2fa/disable', { password, code });
+      reset();
+      refetch();
+      toast.success('Two-factor authentication is off');
+    }, 'Failed to turn off two-factor authentication');
+  };
+
+  const regenerate = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const response = await axiosInstance.post('/auth/2fa/backup-codes', { code });
+      setBackupCodes(response.data.data.backup_codes);
+      reset();
+      refetch();
+    }, 'Failed to create new backup codes');
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5 }}
+      className="card p-6"
+    >
+      <div className="flex items-start justify-between mb-6">
+        <div className="flex items-center space-x-3">
+          {status?.enabled
+            ? <ShieldCheck className="h-6 w-6 text-success-600" />
+            : <ShieldOff className="h-6 w-6 text-gray-400" />}
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900">Two-factor authentication</h2>
+            <p className="text-sm text-gray-600">
+              {status?.enabled
+                ? `On since ${new Date(status.enabled_at).toLocaleDateString()} - ${status.backup_codes_remaining} backup codes left`
+                : 'Ask for a code from an authenticator app when you sign in and before card actions'}
+            </p>
+          </div>
+        </div>
+      </div>
+
+      {backupCodes ? (
+        <BackupCodes codes={backupCodes} onDone={() => setBackupCodes(null)} />
+      ) : step === 'password' ? (
+        <form onSubmit={startSetup} className="space-y-4 max-w-sm">
+          <label className="form-label">Confirm your password</label>
+          <input
+            type="password"
+            autoFocus
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className="form-input"
+          />
+          <div className="flex gap-3">
+            <button type="submit" disabled={isLoading || !password} className="btn btn-primary">Continue</button>
+            <button type="button" onClick={reset} className="btn btn-outline">Cancel</button>
+          </div>
+        </form>
+      ) : step === 'confirm' && provisioning ? (
+        <form onSubmit={confirmSetup} className="space-y-4 max-w-md">
+          <p className="text-sm text-gray-600">
+            Add PesaCard to your authenticator app. On your phone, open the setup link; otherwise
+            enter the key by hand.
+          </p>
+          <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 space-y-3">
+            <div className="flex items-center justify-between">
+              <span className="font-mono text-sm break-all">{provisioning.secret.match(/.{1,4}/g).join(' ')}</span>
+              <button type="button" onClick={() => copyText(provisioning.secret)} className="text-primary-600 hover:text-primary-500">
+                <Copy className="h-4 w-4" />
+              </button>
+            </div>
+            <a href={provisioning.otpauth_uri} className="text-sm font-medium text-primary-600 hover:text-primary-500">
+              Open in authenticator app
+            </a>
+          </div>
+          <label className="form-label">Code from the app</label>
+          <input
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            maxLength={6}
+            value={code}
+            onChange={(e) => setCode(e.target.value.trim())}
+            className="form-input"
+            placeholder="123456"
+          />
+          <div className="flex gap-3">
+            <button type="submit" disabled={isLoading || code.length !== 6} className="btn btn-primary">Turn on</button>
+            <button type="button" onClick={reset} className="btn btn-outline">Cancel</button>
+          </div>
+        </form>
+      ) : step === 'disable' ? (
+        <form onSubmit={disable} className="space-y-4 max-w-sm">
+          <label className="form-label">Password</label>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className="form-input"
+          />
+          <label className="form-label">Code from your authenticator app</label>
+          <input
+            type="text"
+            inputMode="numeric"
+            maxLength={6}
+            value={code}
+            onChange={(e) => setCode(e.target.value.trim())}
+            className="form-input"
+          />
+          <div className="flex gap-3">
+            <button type="submit" disabled={isLoading || !password || code.length !== 6} className="btn btn-primary">Turn off</button>
+            <button type="button" onClick={reset} className="btn btn-outline">Cancel</button>
+          </div>
+        </form>
+      ) : step === 'backup' ? (
+        <form onSubmit={regenerate} className="space-y-4 max-w-sm">
+          <p className="text-sm text-gray-600">Your current backup codes will stop working.</p>
+          <label className="form-label">Code from your authenticator app</label>
+          <input
+            type="text"
+            inputMode="numeric"
+            maxLength={6}
+            value={code}
+            onChange={(e) => setCode(e.target.value.trim())}
+            className="form-input"
+          />
+          <div className="flex gap-3">
+            <button type="submit" disabled={isLoading || code.length !== 6} className="btn btn-primary">Create new codes</button>
+            <button type="button" onClick={reset} className="btn btn-outline">Cancel</button>
+          </div>
+        </form>
+      ) : status?.enabled ? (
+        <div className="flex gap-3">
+          <button onClick={() => setStep('backup')} className="btn btn-outline">
+            <Key className="h-4 w-4 mr-2" />
+            New backup codes
+          </button>
+          <button onClick={() => setStep('disable')} className="btn btn-outline">
+            Turn off
+          </button>
+        </div>
+      ) : (
+        <button onClick={() => setStep('password')} disabled={!status} className="btn btn-primary">
+          Turn on two-factor authentication
+        </button>
+      )}
+    </motion.div>
+  );
+};
+
+const SessionsSection = () => {
+  const { logout } = useAuth();
+
+  const { data: sessions = [], refetch } = useQuery('sessions', async () => {
+    const response = await axiosInstance.get('/auth/sessions');
+    return response.data.data.sessions;
+  });
+
+  const revoke = async (session) => {
+    try {
+      await axiosInstance.delete(`/auth/sessions/${session.id}`);
+      if (session.current) {
+        logout();
+        return;
+      }
+      toast.success(`Signed out ${session.device}`);
+      refetch();
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to sign out session'));
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5, delay: 0.1 }}
+      className="card p-6"
+    >
+      <h2 className="text-xl font-semibold text-gray-900 mb-1">Where you're signed in</h2>
+      <p className="text-sm text-gray-600 mb-6">Sign out any device you don't recognise.</p>
+
+      <ul className="divide-y divide-gray-200">
+        {sessions.map(session => (
+          <li key={session.id} className="py-4 flex items-center justify-between">
+            <div className="flex items-center space-x-3">
+              <Monitor className="h-5 w-5 text-gray-400" />
+              <div>
+                <p className="text-sm font-medium text-gray-900">
+                  {session.device}
+                  {session.current && (
+                    <span className="ml-2 text-xs font-medium text-success-600">This device</span>
+                  )}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {session.ip_address || 'Unknown IP'} - active {formatDistanceToNow(new Date(session.last_used_at), { addSuffix: true })}
+                </p>
+              </div>
+            </div>
+            <button onClick={() => revoke(session)} className="btn btn-outline text-sm">
+              Sign out
+            </button>
+          </li>
+        ))}
+      </ul>
+    </motion.div>
+  );
+};
+
+const OUTCOME_LABELS = {
+  success: 'Signed in',
+  two_factor_required: 'Password accepted, waiting for code',
+  two_factor_failed: 'Wrong authenticator code',
+  invalid_password: 'Wrong password',
+  account_locked: 'Blocked - account locked',
+  account_inactive: 'Blocked - account deactivated',
+  password_reset: 'Password reset',
+};
+
+const LoginHistorySection = () => {
+  const { data: events = [] } = useQuery('loginHistory', async () => {
+    const response = await axiosInstance.get('/auth/login-history?limit=20');
+    return response.data.data.events;
+  });
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5, delay: 0.2 }}
+      className="card p-6"
+    >
+      <h2 className="text-xl font-semibold text-gray-900 mb-1">Recent sign-in activity</h2>
+      <p className="text-sm text-gray-600 mb-6">Wrong passwords you didn't type are a sign someone has your email.</p>
+
+      <ul className="divide-y divide-gray-200">
+        {events.map(event => (
+          <li key={event._id} className="py-3 flex items-center justify-between">
+            <div>
+              <p className={`text-sm font-medium ${event.outcome === 'success' ? 'text-gray-900' : 'text-error-600'}`}>
+                {OUTCOME_LABELS[event.outcome] || event.outcome}
+                {(event.new_device || event.new_ip) && (
+                  <span className="ml-2 text-xs font-medium text-warning-600">New device or location</span>
+                )}
+              </p>
+              <p className="text-xs text-gray-500">
+                {event.device} - {event.ip_address || 'Unknown IP'}
+              </p>
+            </div>
+            <span className="text-xs text-gray-500">
+              {formatDistanceToNow(new Date(event.createdAt), { addSuffix: true })}
+            </span>
+          </li>
+        ))}
+      </ul>
+    </motion.div>
+  );
+};
+
+const Security = () => {
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-white shadow-sm border-b border-gray-200">
+        <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="py-6">
+            <Link to="/dashboard" className="inline-flex items-center text-sm text-gray-500 hover:text-gray-700 mb-2">
+              <ArrowLeft className="h-4 w-4 mr-1" />
+              Dashboard
+            </Link>
+            <h1 className="text-3xl font-bold text-gray-900">Security</h1>
+            <p className="text-gray-600 mt-1">Two-factor authentication, signed-in devices and sign-in activity.</p>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-8">
+        <TwoFactorSection />
+        <SessionsSection />
+        <LoginHistorySection />
+      </div>
+    </div>
+  );
+};
+
+export default Security;
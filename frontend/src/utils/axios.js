@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { requestTwoFactor } from './twoFactorPrompt';
 
 // API base URL
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
@@ -9,6 +10,45 @@ const axiosInstance = axios.create({
   timeout: 10000,
 });
 
+// Clears stored tokens and sends the user to log in again
+const endSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  // Redirect to login if not already there
+  if (window.location.pathname !== '/login') {
+    window.location.href = '/login';
+  }
+};
+
+// One refresh at a time: requests that fail while it runs wait for its result
+let refreshPromise = null;
+
+const refreshTokens = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+
+    refreshPromise = axios.post(`${API_BASE_URL}/auth/refresh`, { refresh_token: refreshToken }, { timeout: 10000 })
+      .then((response) => {
+        const { token, refresh_token } = response.data.data;
+        localStorage.setItem('token', token);
+        localStorage.setItem('refreshToken', refresh_token);
+        return token;
+      })
+      .catch((error) => {
+        // Another tab refreshed first and already stored the new pair
+        const stored = localStorage.getItem('refreshToken');
+        if (error.response?.data?.code === 'TOKEN_ROTATED' && stored && stored !== refreshToken) {
+          return localStorage.getItem('token');
+        }
+        throw error;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 // Request interceptor to add auth token
 axiosInstance.interceptors.request.use(
   (config) => {
@@ -41,7 +81,7 @@ axiosInstance.interceptors.response.use(
     });
     return response;
   },
-  (error) => {
+  async (error) => {
     // Log error response for debugging
     console.error(`❌ API Error: ${error.config?.method?.toUpperCase()} ${error.config?.url}`, {
       status: error.response?.status,
@@ -49,14 +89,41 @@ axiosInstance.interceptors.response.use(
       message: error.message
     });
     
-    if (error.response?.status === 401) {
+    const original = error.config;
+    const isAuthRequest = /\/auth\/(login|login\/2fa|register|refresh)$/.test(original?.url || '');
+
+    if (error.response?.status === 401 && original && !original._retried && !isAuthRequest && localStorage.getItem('refreshToken')) {
+      // Access token expired - refresh it silently and replay the request once
+      original._retried = true;
+      try {
+        const token = await refreshTokens();
+        original.headers.Authorization = `Bearer ${token}`;
+        return axiosInstance(original);
+      } catch (refreshError) {
+        // Only a rejected refresh ends the session, not a network failure
+        if (refreshError.response) {
+          console.warn('🔓 Session ended - redirecting to login');
+          endSession();
+        }
+        return Promise.reject(error);
+      }
+    }
+
+    if (error.response?.status === 403 && error.response.data?.code === 'TWO_FACTOR_REQUIRED' && original && !original._twoFactorRetried) {
+      // Card actions need a recent authenticator code - ask for one and replay the request
+      original._twoFactorRetried = true;
+      try {
+        await requestTwoFactor();
+        return axiosInstance(original);
+      } catch (promptError) {
+        return Promise.reject(error);
+      }
+    }
+
+    if (error.response?.status === 401 && !isAuthRequest) {
       // Token is invalid or expired
       console.warn('🔓 Authentication failed - redirecting to login');
-      localStorage.removeItem('token');
-      // Redirect to login if not already there
-      if (window.location.pathname !== '/login') {
-        window.location.href = '/login';
-      }
+      endSession();
     } else if (error.response?.status === 429) {
       // Rate limit exceeded
       const retryAfter = error.response.headers['retry-after'] || 60;
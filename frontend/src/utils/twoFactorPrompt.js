@@ -0,0 +1,30 @@
+// Lets the axios interceptor ask for an authenticator code when the API answers
+// TWO_FACTOR_REQUIRED. TwoFactorPrompt renders the request; the interceptor waits for it.
+
+let listener = null;
+let pending = null;
+
+// Called by the mounted TwoFactorPrompt; returns an unsubscribe function
+export const onTwoFactorRequest = (callback) => {
+  listener = callback;
+  return () => {
+    if (listener === callback) listener = null;
+  };
+};
+
+// Resolves once the user has verified a code, rejects if they cancel.
+// Requests that need a code at the same time share one prompt.
+export const requestTwoFactor = () => {
+  if (!listener) {
+    return Promise.reject(new Error('Two-factor prompt is not available'));
+  }
+  if (!pending) {
+    pending = new Promise((resolve, reject) => {
+      listener({
+        resolve: () => { pending = null; resolve(); },
+        reject: () => { pending = null; reject(new Error('Two-factor verification cancelled')); },
+      });
+    });
+  }
+  return pending;
+};
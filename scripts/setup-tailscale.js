@@ -48,7 +48,8 @@ function updateEnvFile(tailscaleUrl) {
 
   // Update or add Tailscale URL
   const tailscaleUrlLine = `TAILSCALE_FUNNEL_URL=${tailscaleUrl}`;
-  const mpesaCallbackLine = `MPESA_CALLBACK_URL=${tailscaleUrl}/api/webhooks/mpesa`;
+  // Base URL only; mpesaService appends the callback path
+  const mpesaCallbackLine = `MPESA_CALLBACK_URL=${tailscaleUrl}`;
 
   if (envContent.includes('TAILSCALE_FUNNEL_URL=')) {
     envContent = envContent.replace(/TAILSCALE_FUNNEL_URL=.*/g, tailscaleUrlLine);
@@ -131,7 +132,6 @@ async function setupTailscale() {
       console.log('\n🎉 Tailscale Funnel setup complete!');
       console.log(`\n📡 Webhook URLs:`);
       console.log(`   Health Check: ${tailscaleUrl}/api/webhooks/health`);
-      console.log(`   M-Pesa Webhook: ${tailscaleUrl}/api/webhooks/mpesa`);
       console.log(`   STK Callback: ${tailscaleUrl}/api/webhooks/mpesa/stk-callback`);
       
     } else {
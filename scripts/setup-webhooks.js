@@ -90,7 +90,8 @@ function updateEnvFile(ngrokUrl) {
   
   // Update or add ngrok URL
   const ngrokUrlLine = `NGROK_URL=${ngrokUrl}`;
-  const webhookUrlLine = `MPESA_WEBHOOK_URL=${ngrokUrl}/api/webhooks/mpesa`;
+  // Base URL only; mpesaService appends the callback path
+  const webhookUrlLine = `MPESA_CALLBACK_URL=${ngrokUrl}`;
   
   if (envContent.includes('NGROK_URL=')) {
     envContent = envContent.replace(/NGROK_URL=.*/g, ngrokUrlLine);
@@ -98,8 +99,8 @@ function updateEnvFile(ngrokUrl) {
     envContent += `\n# Development Webhook Configuration (ngrok)\n${ngrokUrlLine}\n`;
   }
   
-  if (envContent.includes('MPESA_WEBHOOK_URL=')) {
-    envContent = envContent.replace(/MPESA_WEBHOOK_URL=.*/g, webhookUrlLine);
+  if (envContent.includes('MPESA_CALLBACK_URL=')) {
+    envContent = envContent.replace(/MPESA_CALLBACK_URL=.*/g, webhookUrlLine);
   } else {
     envContent += `${webhookUrlLine}\n`;
   }
@@ -178,7 +179,7 @@ async function setup() {
   // Display M-Pesa configuration
   console.log('\n📋 M-Pesa Webhook Configuration:');
   console.log('================================');
-  console.log(`Webhook URL: ${ngrokUrl}/api/webhooks/mpesa`);
+  console.log(`STK Callback URL: ${ngrokUrl}/api/webhooks/mpesa/stk-callback`);
   console.log(`Health Check: ${ngrokUrl}/api/webhooks/health`);
   console.log(`Test Endpoint: ${ngrokUrl}/api/webhooks/test`);
   
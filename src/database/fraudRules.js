@@ -0,0 +1,99 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('./connection');
+const FraudRule = require('../models/FraudRule');
+const fraudService = require('../services/fraudService');
+const logger = require('../utils/logger');
+
+// Fraud rule administration. Running servers pick up changes within
+// FRAUD_RULES_RELOAD_SECONDS.
+//
+//   npm run fraud-rules -- list
+//   npm run fraud-rules -- seed                       store the built-in rules for editing
+//   npm run fraud-rules -- set --name card_burst [--action decline] [--score 40] [--params '{"max_count":5}']
+//   npm run fraud-rules -- enable --name blocked_mcc
+//   npm run fraud-rules -- disable --name blocked_mcc
+
+const parseArgs = (argv) => {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].substring(2)] = argv[i + 1];
+      i++;
+    } else {
+      args._.push(argv[i]);
+    }
+  }
+  return args;
+};
+
+const findRule = async (name) => {
+  const rule = await FraudRule.findOne({ name });
+  if (!rule) {
+    throw new Error(`Fraud rule ${name} not found`);
+  }
+  return rule;
+};
+
+async function run(args) {
+  const [command] = args._;
+
+  switch (command) {
+    case 'list': {
+      const rules = await FraudRule.find().sort({ name: 1 });
+      return { rules: rules.length ? rules.map(rule => rule.toJSON()) : fraudService.defaultRules, stored: rules.length > 0 };
+    }
+    case 'seed': {
+      let created = 0;
+      for (const rule of fraudService.defaultRules) {
+        const result = await FraudRule.updateOne({ name: rule.name }, { $setOnInsert: rule }, { upsert: true });
+        created += result.upsertedCount;
+      }
+      return { created };
+    }
+    case 'set': {
+      let rule = await FraudRule.findOne({ name: args.name });
+      if (!rule) {
+        if (!args.type) {
+          throw new Error('New rules need --type');
+        }
+        rule = new FraudRule({ name: args.name, type: args.type });
+      }
+      if (args.action) rule.action = args.action;
+      if (args.score !== undefined) rule.score = parseFloat(args.score);
+      if (args.description) rule.description = args.description;
+      if (args.params) {
+        rule.params = { ...(rule.params || {}), ...JSON.parse(args.params) };
+        rule.markModified('params');
+      }
+      await rule.save();
+      return { rule: rule.toJSON() };
+    }
+    case 'enable':
+    case 'disable': {
+      const rule = await findRule(args.name);
+      rule.enabled = command === 'enable';
+      await rule.save();
+      return { rule: rule.toJSON() };
+    }
+    default:
+      throw new Error('Usage: fraud-rules <list|seed|set|enable|disable> [options]');
+  }
+}
+
+if (require.main === module) {
+  connectDB()
+    .then(() => run(parseArgs(process.argv.slice(2))))
+    .then(async (result) => {
+      console.log(JSON.stringify(result, null, 2));
+      await mongoose.connection.close();
+      process.exit(0);
+    })
+    .catch(async (error) => {
+      logger.error('Fraud rules command failed:', error);
+      await mongoose.connection.close();
+      process.exit(1);
+    });
+}
+
+module.exports = { run };
@@ -0,0 +1,85 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('./connection');
+const Merchant = require('../models/Merchant');
+const merchantService = require('../services/merchantService');
+const logger = require('../utils/logger');
+
+// Merchant account administration:
+//
+//   npm run merchants -- create --name "Java House" --email ops@javahouse.co.ke [--mcc 5812] [--rate 120]
+//   npm run merchants -- rotate --code MRC0123456789 [--grace-hours 24]
+//   npm run merchants -- revoke --code MRC0123456789 --key mk_0123456789abcdef
+//   npm run merchants -- suspend --code MRC0123456789
+
+const parseArgs = (argv) => {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].substring(2)] = argv[i + 1];
+      i++;
+    } else {
+      args._.push(argv[i]);
+    }
+  }
+  return args;
+};
+
+const findMerchant = async (code) => {
+  const merchant = await Merchant.findByCode(code);
+  if (!merchant) {
+    throw new Error(`Merchant ${code} not found`);
+  }
+  return merchant;
+};
+
+async function run(args) {
+  const [command] = args._;
+
+  switch (command) {
+    case 'create': {
+      const { merchant, credentials } = await merchantService.createMerchant({
+        merchant_code: args.code,
+        name: args.name,
+        email: args.email,
+        merchant_category: args.mcc,
+        rate_limit_per_minute: args.rate ? parseInt(args.rate) : undefined
+      });
+      return { merchant: merchant.toJSON(), credentials };
+    }
+    case 'rotate': {
+      const merchant = await findMerchant(args.code);
+      const graceHours = args['grace-hours'] !== undefined ? parseFloat(args['grace-hours']) : undefined;
+      return { credentials: await merchantService.rotateApiKey(merchant, { graceHours }) };
+    }
+    case 'revoke': {
+      const merchant = await findMerchant(args.code);
+      return { revoked: await merchantService.revokeApiKey(merchant, args.key) };
+    }
+    case 'suspend': {
+      const merchant = await findMerchant(args.code);
+      merchant.status = 'suspended';
+      await merchant.save();
+      return { merchant: merchant.toJSON() };
+    }
+    default:
+      throw new Error('Usage: merchants <create|rotate|revoke|suspend> [options]');
+  }
+}
+
+if (require.main === module) {
+  connectDB()
+    .then(() => run(parseArgs(process.argv.slice(2))))
+    .then(async (result) => {
+      console.log(JSON.stringify(result, null, 2));
+      await mongoose.connection.close();
+      process.exit(0);
+    })
+    .catch(async (error) => {
+      logger.error('Merchant command failed:', error);
+      await mongoose.connection.close();
+      process.exit(1);
+    });
+}
+
+module.exports = { run };
@@ -0,0 +1,46 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('./connection');
+const ledgerService = require('../services/ledgerService');
+const logger = require('../utils/logger');
+
+// Reports drift between the ledger and the cached spend counters on cards and users.
+// Pass --fix to rewrite the counters from the ledger.
+async function reconcile(options = {}) {
+  try {
+    logger.info('Starting ledger reconciliation...');
+
+    const report = await ledgerService.reconcile(options);
+
+    logger.info('Ledger reconciliation completed', {
+      cardsChecked: report.checked.cards,
+      usersChecked: report.checked.users,
+      drifted: report.drift.length,
+      fixed: !!options.fix
+    });
+
+    return report;
+  } catch (error) {
+    logger.error('Ledger reconciliation failed:', error);
+    throw error;
+  }
+}
+
+// Run reconciliation if this file is executed directly
+if (require.main === module) {
+  const fix = process.argv.includes('--fix');
+
+  connectDB()
+    .then(() => reconcile({ fix }))
+    .then(async (report) => {
+      console.log(JSON.stringify(report, null, 2));
+      await mongoose.connection.close();
+      process.exit(report.drift.length > 0 && !fix ? 2 : 0);
+    })
+    .catch((error) => {
+      logger.error('Reconciliation failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { reconcile };
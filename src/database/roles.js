@@ -0,0 +1,102 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('./connection');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const logger = require('../utils/logger');
+const { ROLES } = require('../utils/permissions');
+
+// Staff role administration. Use it to appoint the first admin; after that admins can
+// change roles through PUT /api/admin/users/:id/role.
+//
+//   npm run roles -- grant --email ops@pesacard.co.ke --role admin
+//   npm run roles -- list [--role risk_analyst]
+//   npm run roles -- import-analysts    (grants risk_analyst to RISK_ANALYST_EMAILS)
+
+const parseArgs = (argv) => {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].substring(2)] = argv[i + 1];
+      i++;
+    } else {
+      args._.push(argv[i]);
+    }
+  }
+  return args;
+};
+
+const grant = async (email, role) => {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Role must be one of ${ROLES.join(', ')}`);
+  }
+
+  const user = await User.findByEmail(email);
+  if (!user) {
+    throw new Error(`User ${email} not found`);
+  }
+
+  const previous = user.role;
+  user.role = role;
+  await user.save();
+
+  await AuditLog.record({
+    action: 'user.role.changed',
+    actor_type: 'system',
+    target_type: 'user',
+    target_id: user.id,
+    reason: 'Changed from the command line',
+    metadata: { from: previous, to: role }
+  });
+
+  return { email: user.email, from: previous, to: role };
+};
+
+async function run(args) {
+  const [command] = args._;
+
+  switch (command) {
+    case 'grant':
+      return grant(args.email, args.role);
+    case 'list': {
+      const query = args.role ? { role: args.role } : { role: { $ne: 'user' } };
+      const users = await User.find(query).sort({ role: 1, email: 1 }).select('username email role is_active');
+      return users.map(user => ({ email: user.email, username: user.username, role: user.role, is_active: user.is_active }));
+    }
+    case 'import-analysts': {
+      const emails = (process.env.RISK_ANALYST_EMAILS || '')
+        .split(',')
+        .map(email => email.trim().toLowerCase())
+        .filter(Boolean);
+
+      const results = [];
+      for (const email of emails) {
+        try {
+          results.push(await grant(email, 'risk_analyst'));
+        } catch (error) {
+          results.push({ email, error: error.message });
+        }
+      }
+      return results;
+    }
+    default:
+      throw new Error('Usage: roles <grant|list|import-analysts> [options]');
+  }
+}
+
+if (require.main === module) {
+  connectDB()
+    .then(() => run(parseArgs(process.argv.slice(2))))
+    .then(async (result) => {
+      console.log(JSON.stringify(result, null, 2));
+      await mongoose.connection.close();
+      process.exit(0);
+    })
+    .catch(async (error) => {
+      logger.error('Roles command failed:', error);
+      await mongoose.connection.close();
+      process.exit(1);
+    });
+}
+
+module.exports = { run };
@@ -1,5 +1,6 @@
 const User = require('../models/User');
 const VirtualCard = require('../models/VirtualCard');
+const vaultService = require('../services/vaultService');
 const logger = require('../utils/logger');
 
 async function seed() {
@@ -19,18 +20,21 @@ async function seed() {
     logger.info('Test user created:', testUser.id);
 
     // Create a test virtual card
-    const testCard = await VirtualCard.create({
+    const testCardNumber = await VirtualCard.generateCardNumber();
+    const testCvv = VirtualCard.generateCvv();
+    const testExpiry = VirtualCard.generateExpiryDate();
+    const testCard = new VirtualCard({
       user_id: testUser.id,
-      card_number: VirtualCard.generateCardNumber(),
-      cvv: VirtualCard.generateCvv(),
-      expiry_month: 12,
-      expiry_year: 2026,
+      expiry_month: testExpiry.month,
+      expiry_year: testExpiry.year,
       cardholder_name: 'Test User',
       status: 'active',
       is_default: true,
       daily_limit: 70000.00,
       monthly_limit: 1000000.00
     });
+    await vaultService.storeCard(testCard, { pan: testCardNumber, cvv: testCvv });
+    await testCard.save();
 
     logger.info('Test card created:', testCard.id);
 
@@ -47,18 +51,21 @@ async function seed() {
     logger.info('Demo user created:', testUser2.id);
 
     // Create a test card for demo user
-    const demoCard = await VirtualCard.create({
+    const demoCardNumber = await VirtualCard.generateCardNumber();
+    const demoCvv = VirtualCard.generateCvv();
+    const demoExpiry = VirtualCard.generateExpiryDate();
+    const demoCard = new VirtualCard({
       user_id: testUser2.id,
-      card_number: VirtualCard.generateCardNumber(),
-      cvv: VirtualCard.generateCvv(),
-      expiry_month: 6,
-      expiry_year: 2025,
+      expiry_month: demoExpiry.month,
+      expiry_year: demoExpiry.year,
       cardholder_name: 'Demo User',
       status: 'active',
       is_default: true,
       daily_limit: 50000.00,
       monthly_limit: 500000.00
     });
+    await vaultService.storeCard(demoCard, { pan: demoCardNumber, cvv: demoCvv });
+    await demoCard.save();
 
     logger.info('Demo card created:', demoCard.id);
 
@@ -69,15 +76,15 @@ async function seed() {
     console.log('Test User 1:');
     console.log('  Email: test@example.com');
     console.log('  Password: password123');
-    console.log('  Card Number:', testCard.getDecryptedCardNumber());
-    console.log('  CVV:', testCard.getDecryptedCvv());
+    console.log('  Card Number:', testCardNumber);
+    console.log('  CVV:', testCvv);
     console.log('  Expiry:', `${testCard.expiry_month}/${testCard.expiry_year}`);
     
     console.log('\nTest User 2:');
     console.log('  Email: demo@example.com');
     console.log('  Password: demo123');
-    console.log('  Card Number:', demoCard.getDecryptedCardNumber());
-    console.log('  CVV:', demoCard.getDecryptedCvv());
+    console.log('  Card Number:', demoCardNumber);
+    console.log('  CVV:', demoCvv);
     console.log('  Expiry:', `${demoCard.expiry_month}/${demoCard.expiry_year}`);
     console.log('\n========================\n');
 
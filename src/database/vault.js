@@ -0,0 +1,70 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('./connection');
+const VirtualCard = require('../models/VirtualCard');
+const vaultService = require('../services/vaultService');
+const logger = require('../utils/logger');
+
+// Card vault administration. To rotate the master key, add the new key to VAULT_KEYS,
+// point VAULT_ACTIVE_KEY_ID at it and restart; the vault-rotator job (or `rotate`)
+// re-wraps existing data. Drop the old key once `status` shows nothing left under it.
+// The same passes replace card number hashes from before VAULT_FINGERPRINT_KEY. Cards
+// that could not be moved are counted in `status` as failed_card_migrations and carry
+// vault_migration_error; clear it once the card's data is fixed to have them retried.
+//
+//   npm run vault -- status
+//   npm run vault -- rotate [--batch 500]    run rotation passes until nothing is left
+//   npm run vault -- sync-indexes            drop the old unique card_number index
+
+const parseArgs = (argv) => {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].substring(2)] = argv[i + 1];
+      i++;
+    } else {
+      args._.push(argv[i]);
+    }
+  }
+  return args;
+};
+
+async function run(args) {
+  const [command] = args._;
+
+  switch (command) {
+    case 'status':
+      return vaultService.getStatus();
+    case 'rotate': {
+      const batch = parseInt(args.batch) || 500;
+      const totals = { records: 0, legacy_cards: 0, cvvs_purged: 0, merchants: 0, totp_secrets: 0 };
+      let pass;
+      do {
+        pass = await vaultService.rotate(batch);
+        Object.keys(totals).forEach(key => { totals[key] += pass[key]; });
+      } while (Object.values(pass).some(count => count >= batch));
+      return { ...totals, status: await vaultService.getStatus() };
+    }
+    case 'sync-indexes':
+      return { dropped: await VirtualCard.syncIndexes() };
+    default:
+      throw new Error('Usage: vault <status|rotate|sync-indexes> [options]');
+  }
+}
+
+if (require.main === module) {
+  connectDB()
+    .then(() => run(parseArgs(process.argv.slice(2))))
+    .then(async (result) => {
+      console.log(JSON.stringify(result, null, 2));
+      await mongoose.connection.close();
+      process.exit(0);
+    })
+    .catch(async (error) => {
+      logger.error('Vault command failed:', error);
+      await mongoose.connection.close();
+      process.exit(1);
+    });
+}
+
+module.exports = { run };
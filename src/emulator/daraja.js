@@ -0,0 +1,405 @@
+const express = require('express');
+const axios = require('axios');
+const crypto = require('crypto');
+
+// Local stand-in for the Safaricom Daraja API, for offline development and tests.
+// Point MpesaService at it with MPESA_BASE_URL=http://localhost:<port>.
+//
+// STK push outcomes are scriptable:
+//   approve             ResultCode 0 with callback metadata
+//   cancel              ResultCode 1032, request cancelled by user
+//   insufficient_funds  ResultCode 1, balance insufficient
+//   timeout             no callback; stkpushquery answers 1037
+//   delayed             approve, but the callback arrives after delayedCallbackMs
+// The default comes from options.stkOutcome; POST /__emulator/outcomes queues outcomes
+// for the next requests, optionally only for one phone number.
+
+const STK_RESULTS = {
+  approve: { code: 0, desc: 'The service request is processed successfully.' },
+  cancel: { code: 1032, desc: 'Request cancelled by user' },
+  insufficient_funds: { code: 1, desc: 'The balance is insufficient for the transaction.' },
+  timeout: { code: 1037, desc: 'DS timeout user cannot be reached' },
+  delayed: { code: 0, desc: 'The service request is processed successfully.' }
+};
+
+// B2C outcomes: success, fail with ResultCode 2001, or queue_timeout, where the payment
+// goes through but only the QueueTimeOutURL hears about it
+const B2C_OUTCOMES = ['success', 'fail', 'queue_timeout'];
+
+function createDarajaEmulator(options = {}) {
+  const settings = {
+    callbackDelayMs: options.callbackDelayMs !== undefined ? options.callbackDelayMs : 500,
+    delayedCallbackMs: options.delayedCallbackMs !== undefined ? options.delayedCallbackMs : 45 * 1000,
+    stkOutcome: options.stkOutcome || 'approve',
+    b2cOutcome: options.b2cOutcome || 'success'
+  };
+
+  const state = {
+    tokens: new Set(),
+    scripted: [],
+    stkRequests: new Map(),
+    b2cRequests: new Map(),
+    c2bUrls: new Map(),
+    callbacks: []
+  };
+
+  const app = express();
+  app.use(express.json());
+
+  const newId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex').toUpperCase()}`;
+  const newReceipt = () => crypto.randomBytes(5).toString('hex').toUpperCase();
+
+  const timestamp = () => {
+    const now = new Date();
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+  };
+
+  const sendCallback = (url, body, delayMs = settings.callbackDelayMs) => {
+    const timer = setTimeout(() => {
+      state.callbacks.push({ url, body, sent_at: new Date().toISOString() });
+      axios.post(url, body).catch(error => {
+        console.error(`Daraja emulator callback to ${url} failed: ${error.message}`);
+      });
+    }, delayMs);
+    timer.unref();
+  };
+
+  const takeOutcome = (api, phoneNumber, fallback) => {
+    const index = state.scripted.findIndex(item =>
+      item.api === api && (!item.phoneNumber || String(item.phoneNumber) === String(phoneNumber)));
+    if (index === -1) return { outcome: fallback };
+
+    const scripted = state.scripted[index];
+    scripted.times -= 1;
+    if (scripted.times <= 0) {
+      state.scripted.splice(index, 1);
+    }
+    return scripted;
+  };
+
+  const requireToken = (req, res, next) => {
+    const token = (req.headers.authorization || '').replace('Bearer ', '');
+    if (!state.tokens.has(token)) {
+      return res.status(401).json({
+        requestId: newId('REQ'),
+        errorCode: '404.001.03',
+        errorMessage: 'Invalid Access Token'
+      });
+    }
+    next();
+  };
+
+  // OAuth
+  app.get('/oauth/v1/generate', (req, res) => {
+    if (!req.headers.authorization || !req.headers.authorization.startsWith('Basic ')) {
+      return res.status(400).json({ errorCode: '400.008.01', errorMessage: 'Invalid Authentication passed' });
+    }
+    const token = crypto.randomBytes(16).toString('hex');
+    state.tokens.add(token);
+    res.json({ access_token: token, expires_in: '3599' });
+  });
+
+  // STK push
+  app.post('/mpesa/stkpush/v1/processrequest', requireToken, (req, res) => {
+    const { Amount, PhoneNumber, CallBackURL, AccountReference } = req.body;
+
+    if (!Amount || !PhoneNumber || !CallBackURL) {
+      return res.status(400).json({
+        requestId: newId('REQ'),
+        errorCode: '400.002.02',
+        errorMessage: 'Bad Request - Invalid request payload'
+      });
+    }
+
+    const scripted = takeOutcome('stk', PhoneNumber, settings.stkOutcome);
+    const outcome = STK_RESULTS[scripted.outcome] ? scripted.outcome : 'approve';
+    const merchantRequestID = newId('MR');
+    const checkoutRequestID = `ws_CO_${timestamp()}${crypto.randomBytes(4).toString('hex')}`;
+    const result = STK_RESULTS[outcome];
+
+    const request = {
+      merchantRequestID,
+      checkoutRequestID,
+      amount: Number(Amount),
+      phoneNumber: PhoneNumber,
+      accountReference: AccountReference,
+      callbackUrl: CallBackURL,
+      outcome,
+      resultCode: null,
+      resultDesc: null,
+      receipt: null
+    };
+    state.stkRequests.set(checkoutRequestID, request);
+
+    res.json({
+      MerchantRequestID: merchantRequestID,
+      CheckoutRequestID: checkoutRequestID,
+      ResponseCode: '0',
+      ResponseDescription: 'Success. Request accepted for processing',
+      CustomerMessage: 'Success. Request accepted for processing'
+    });
+
+    if (outcome === 'timeout') {
+      request.resultCode = result.code;
+      request.resultDesc = result.desc;
+      return;
+    }
+
+    const stkCallback = {
+      MerchantRequestID: merchantRequestID,
+      CheckoutRequestID: checkoutRequestID,
+      ResultCode: result.code,
+      ResultDesc: result.desc
+    };
+
+    if (result.code === 0) {
+      request.receipt = newReceipt();
+      stkCallback.CallbackMetadata = {
+        Item: [
+          { Name: 'Amount', Value: Number(Amount) },
+          { Name: 'MpesaReceiptNumber', Value: request.receipt },
+          { Name: 'TransactionDate', Value: Number(timestamp()) },
+          { Name: 'PhoneNumber', Value: Number(PhoneNumber) }
+        ]
+      };
+    }
+
+    const delayMs = scripted.delayMs !== undefined
+      ? scripted.delayMs
+      : (outcome === 'delayed' ? settings.delayedCallbackMs : settings.callbackDelayMs);
+
+    // The result is visible to stkpushquery once the customer has answered
+    const timer = setTimeout(() => {
+      request.resultCode = result.code;
+      request.resultDesc = result.desc;
+    }, delayMs);
+    timer.unref();
+
+    sendCallback(CallBackURL, { Body: { stkCallback } }, delayMs);
+  });
+
+  app.post('/mpesa/stkpushquery/v1/query', requireToken, (req, res) => {
+    const request = state.stkRequests.get(req.body.CheckoutRequestID);
+
+    if (!request) {
+      return res.status(500).json({
+        requestId: newId('REQ'),
+        errorCode: '500.001.1001',
+        errorMessage: 'The transaction is not found'
+      });
+    }
+
+    if (request.resultCode === null) {
+      return res.status(500).json({
+        requestId: newId('REQ'),
+        errorCode: '500.001.1001',
+        errorMessage: 'The transaction is being processed'
+      });
+    }
+
+    res.json({
+      ResponseCode: '0',
+      ResponseDescription: 'The service request has been accepted successsfully',
+      MerchantRequestID: request.merchantRequestID,
+      CheckoutRequestID: request.checkoutRequestID,
+      ResultCode: String(request.resultCode),
+      ResultDesc: request.resultDesc
+    });
+  });
+
+  // B2C
+  app.post('/mpesa/b2c/v1/paymentrequest', requireToken, (req, res) => {
+    const { Amount, PartyB, ResultURL, QueueTimeOutURL } = req.body;
+    const conversationID = newId('AG');
+    const originatorConversationID = newId('OC');
+    const scripted = takeOutcome('b2c', PartyB, settings.b2cOutcome);
+    const succeeded = scripted.outcome !== 'fail';
+    const transactionID = newReceipt();
+
+    state.b2cRequests.set(transactionID, {
+      conversationID,
+      originatorConversationID,
+      amount: Number(Amount),
+      phoneNumber: PartyB,
+      succeeded
+    });
+
+    res.json({
+      ConversationID: conversationID,
+      OriginatorConversationID: originatorConversationID,
+      ResponseCode: '0',
+      ResponseDescription: 'Accept the service request successfully.'
+    });
+
+    if (scripted.outcome === 'queue_timeout') {
+      sendCallback(QueueTimeOutURL, {
+        Result: {
+          ResultType: 0,
+          ResultCode: 1,
+          ResultDesc: 'The service request timed out in the queue.',
+          OriginatorConversationID: originatorConversationID,
+          ConversationID: conversationID,
+          TransactionID: transactionID
+        }
+      }, scripted.delayMs);
+      return;
+    }
+
+    sendCallback(ResultURL, {
+      Result: {
+        ResultType: 0,
+        ResultCode: succeeded ? 0 : 2001,
+        ResultDesc: succeeded ? 'The service request is processed successfully.' : 'The initiator information is invalid.',
+        OriginatorConversationID: originatorConversationID,
+        ConversationID: conversationID,
+        TransactionID: transactionID,
+        ResultParameters: succeeded ? {
+          ResultParameter: [
+            { Key: 'TransactionAmount', Value: Number(Amount) },
+            { Key: 'TransactionReceipt', Value: transactionID },
+            { Key: 'ReceiverPartyPublicName', Value: `${PartyB} - Emulated Customer` },
+            { Key: 'TransactionCompletedDateTime', Value: new Date().toISOString() }
+          ]
+        } : undefined
+      }
+    }, scripted.delayMs);
+  });
+
+  // C2B
+  app.post('/mpesa/c2b/v1/registerurl', requireToken, (req, res) => {
+    const { ShortCode, ConfirmationURL, ValidationURL, ResponseType } = req.body;
+
+    state.c2bUrls.set(String(ShortCode), {
+      confirmationUrl: ConfirmationURL,
+      validationUrl: ValidationURL,
+      responseType: ResponseType
+    });
+
+    res.json({
+      OriginatorCoversationID: newId('OC'),
+      ResponseCode: '0',
+      ResponseDescription: 'Success'
+    });
+  });
+
+  app.post('/mpesa/c2b/v1/simulate', requireToken, (req, res) => {
+    const { ShortCode, Amount, Msisdn, BillRefNumber } = req.body;
+    const urls = state.c2bUrls.get(String(ShortCode));
+
+    if (!urls) {
+      return res.status(400).json({
+        requestId: newId('REQ'),
+        errorCode: '400.002.02',
+        errorMessage: 'Bad Request - No URLs registered for short code'
+      });
+    }
+
+    res.json({
+      OriginatorCoversationID: newId('OC'),
+      ResponseCode: '0',
+      ResponseDescription: 'Accept the service request successfully.'
+    });
+
+    sendCallback(urls.confirmationUrl, {
+      TransactionType: 'Pay Bill',
+      TransID: newReceipt(),
+      TransTime: timestamp(),
+      TransAmount: String(Amount),
+      BusinessShortCode: String(ShortCode),
+      BillRefNumber: BillRefNumber,
+      MSISDN: String(Msisdn),
+      FirstName: 'Emulated'
+    });
+  });
+
+  // Transaction status
+  app.post('/mpesa/transactionstatus/v1/query', requireToken, (req, res) => {
+    const { TransactionID, OriginalConversationID, ResultURL } = req.body;
+    const conversationID = newId('AG');
+    const originatorConversationID = newId('OC');
+
+    res.json({
+      ConversationID: conversationID,
+      OriginatorConversationID: originatorConversationID,
+      ResponseCode: '0',
+      ResponseDescription: 'Accept the service request successfully.'
+    });
+
+    // B2C payments can also be looked up by the OriginatorConversationID of the request
+    const stk = [...state.stkRequests.values()].find(request => request.receipt === TransactionID);
+    const b2cReceipt = TransactionID && state.b2cRequests.has(TransactionID)
+      ? TransactionID
+      : [...state.b2cRequests.keys()].find(receipt =>
+        state.b2cRequests.get(receipt).originatorConversationID === OriginalConversationID);
+    const b2c = b2cReceipt ? state.b2cRequests.get(b2cReceipt) : null;
+    const found = (stk && stk.resultCode === 0) || (b2c && b2c.succeeded);
+
+    sendCallback(ResultURL, {
+      Result: {
+        ResultType: 0,
+        ResultCode: found ? 0 : 2032,
+        ResultDesc: found ? 'The service request is processed successfully.' : 'Transaction not found',
+        OriginatorConversationID: originatorConversationID,
+        ConversationID: conversationID,
+        TransactionID: b2c ? b2cReceipt : TransactionID,
+        ResultParameters: found ? {
+          ResultParameter: [
+            { Key: 'ReceiptNo', Value: b2c ? b2cReceipt : TransactionID },
+            { Key: 'Amount', Value: stk ? stk.amount : b2c.amount },
+            { Key: 'TransactionStatus', Value: 'Completed' },
+            { Key: 'FinalisedTime', Value: Number(timestamp()) }
+          ]
+        } : undefined
+      }
+    });
+  });
+
+  // Emulator controls
+  app.post('/__emulator/outcomes', (req, res) => {
+    const { outcome, phoneNumber, delayMs, times = 1 } = req.body;
+
+    const api = STK_RESULTS[outcome] ? 'stk' : (B2C_OUTCOMES.includes(outcome) ? 'b2c' : null);
+    if (!api) {
+      return res.status(400).json({ error: `Unknown outcome: ${outcome}` });
+    }
+
+    state.scripted.push({ api, outcome, phoneNumber, delayMs, times });
+    res.status(201).json({ queued: state.scripted.length });
+  });
+
+  app.get('/__emulator/requests', (req, res) => {
+    res.json({
+      stk: [...state.stkRequests.values()],
+      b2c: [...state.b2cRequests.values()],
+      callbacks: state.callbacks
+    });
+  });
+
+  app.post('/__emulator/reset', (req, res) => {
+    state.scripted = [];
+    state.stkRequests.clear();
+    state.b2cRequests.clear();
+    state.c2bUrls.clear();
+    state.callbacks = [];
+    res.json({ reset: true });
+  });
+
+  app.settings.emulator = settings;
+  app.settings.emulatorState = state;
+  return app;
+}
+
+// Run the emulator if this file is executed directly
+if (require.main === module) {
+  const port = parseInt(process.env.DARAJA_EMULATOR_PORT) || 4010;
+  createDarajaEmulator({
+    stkOutcome: process.env.DARAJA_EMULATOR_STK_OUTCOME,
+    b2cOutcome: process.env.DARAJA_EMULATOR_B2C_OUTCOME,
+    callbackDelayMs: process.env.DARAJA_EMULATOR_CALLBACK_DELAY_MS ? parseInt(process.env.DARAJA_EMULATOR_CALLBACK_DELAY_MS) : undefined
+  }).listen(port, () => {
+    console.log(`Daraja emulator listening on http://localhost:${port}`);
+  });
+}
+
+module.exports = { createDarajaEmulator };
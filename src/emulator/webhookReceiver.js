@@ -0,0 +1,109 @@
+const express = require('express');
+const crypto = require('crypto');
+
+// Local merchant endpoint for trying out outbound webhooks. Point a merchant's webhook
+// URL at http://localhost:<port>/webhooks and give it the signing secret returned by
+// PUT /api/merchant/v1/webhooks (WEBHOOK_RECEIVER_SECRET).
+//
+// Received events are checked the way a merchant should check them: HMAC-SHA256 of
+// '<X-Pesa-Timestamp>.<raw body>' compared with X-Pesa-Signature. Controls:
+//   GET  /__receiver/events            events received so far
+//   POST /__receiver/fail?times=N      answer the next N deliveries with HTTP 500
+//   POST /__receiver/reset             clear events and scripted failures
+
+function createWebhookReceiver(options = {}) {
+  const settings = {
+    secret: options.secret,
+    toleranceSeconds: options.toleranceSeconds || 300
+  };
+
+  const state = {
+    events: [],
+    failNext: 0
+  };
+
+  const app = express();
+  app.use(express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  }));
+
+  const verify = (req) => {
+    if (!settings.secret) return true;
+
+    const timestamp = req.get('X-Pesa-Timestamp');
+    const signature = String(req.get('X-Pesa-Signature') || '').replace(/^sha256=/, '');
+    if (!timestamp || Math.abs(Date.now() / 1000 - parseInt(timestamp)) > settings.toleranceSeconds) {
+      return false;
+    }
+
+    const expected = crypto.createHmac('sha256', settings.secret)
+      .update(`${timestamp}.${req.rawBody ? req.rawBody.toString('utf8') : ''}`)
+      .digest('hex');
+    return expected.length === signature.length &&
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+  };
+
+  app.post('/webhooks', (req, res) => {
+    const verified = verify(req);
+    const entry = {
+      delivery_id: req.get('X-Pesa-Delivery'),
+      event_type: req.get('X-Pesa-Event'),
+      verified,
+      received_at: new Date().toISOString(),
+      body: req.body
+    };
+
+    if (!verified) {
+      state.events.push({ ...entry, response: 401 });
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    if (state.failNext > 0) {
+      state.failNext--;
+      state.events.push({ ...entry, response: 500 });
+      return res.status(500).json({ error: 'Scripted failure' });
+    }
+
+    // Deliveries can repeat after a retry or replay; the event id identifies duplicates
+    entry.duplicate = state.events.some(event => event.response === 200 && event.body?.id === req.body.id);
+    state.events.push({ ...entry, response: 200 });
+    console.log(`Received ${entry.event_type} (${req.body.id})${entry.duplicate ? ' [duplicate]' : ''}`);
+    res.json({ received: true });
+  });
+
+  // Receiver controls
+  app.get('/__receiver/events', (req, res) => {
+    res.json({ events: state.events });
+  });
+
+  app.post('/__receiver/fail', (req, res) => {
+    state.failNext = parseInt(req.query.times) || 1;
+    res.status(201).json({ fail_next: state.failNext });
+  });
+
+  app.post('/__receiver/reset', (req, res) => {
+    state.events = [];
+    state.failNext = 0;
+    res.json({ reset: true });
+  });
+
+  app.settings.receiverState = state;
+  return app;
+}
+
+// Run the receiver if this file is executed directly
+if (require.main === module) {
+  const port = parseInt(process.env.WEBHOOK_RECEIVER_PORT) || 4020;
+  createWebhookReceiver({
+    secret: process.env.WEBHOOK_RECEIVER_SECRET
+  }).listen(port, () => {
+    console.log(`Webhook receiver listening on http://localhost:${port}/webhooks`);
+    if (!process.env.WEBHOOK_RECEIVER_SECRET) {
+      console.log('WEBHOOK_RECEIVER_SECRET is not set; signatures are not checked');
+    }
+  });
+}
+
+module.exports = { createWebhookReceiver };
@@ -0,0 +1,112 @@
+const net = require('net');
+const moment = require('moment');
+const { pack, unpack, frame, createFrameReader } = require('./codec');
+const { loadFieldSpec } = require('./fieldSpec');
+
+// Test client for the ISO 8583 listener. Sends one message and prints the response:
+//
+//   npm run iso8583:client -- --pan 4000011234567890 --expiry 2812 --cvv 123 --amount 1500
+//   npm run iso8583:client -- --mti 0400 --pan 4000011234567890 --rrn 000000123456
+//   npm run iso8583:client -- --mti 0800
+
+const sendMessage = (message, options = {}) => {
+  const {
+    host = process.env.ISO8583_HOST || '127.0.0.1',
+    port = parseInt(process.env.ISO8583_PORT) || 8583,
+    spec = loadFieldSpec(),
+    timeoutMs = 60000
+  } = options;
+
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port }, () => {
+      socket.write(frame(pack(message, spec), spec));
+    });
+
+    socket.setTimeout(timeoutMs, () => {
+      socket.destroy();
+      reject(new Error('Timed out waiting for ISO 8583 response'));
+    });
+
+    const read = createFrameReader(spec, (body) => {
+      socket.end();
+      resolve(unpack(body, spec));
+    });
+
+    socket.on('data', (chunk) => {
+      try {
+        read(chunk);
+      } catch (error) {
+        socket.destroy();
+        reject(error);
+      }
+    });
+
+    socket.on('error', reject);
+  });
+};
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].substring(2)] = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : 'true';
+    }
+  }
+  return args;
+};
+
+const buildMessage = (args) => {
+  const now = moment.utc();
+  const mti = args.mti || '0100';
+  const stan = args.stan || String(Math.floor(Math.random() * 1000000)).padStart(6, '0');
+
+  if (mti === '0800') {
+    return { mti, fields: { 7: now.format('MMDDHHmmss'), 11: stan, 70: args.code || '301' } };
+  }
+
+  const fields = {
+    2: args.pan,
+    3: args.processing || '000000',
+    4: String(Math.round(parseFloat(args.amount || '0') * 100)),
+    7: now.format('MMDDHHmmss'),
+    11: stan,
+    12: now.format('HHmmss'),
+    13: now.format('MMDD'),
+    14: args.expiry,
+    18: args.mcc || '5999',
+    37: args.rrn || `${now.format('DDDDHH')}${stan}`.padStart(12, '0'),
+    41: args.terminal || 'TERM0001',
+    42: args.merchant || 'PESABRIDGE00001',
+    43: `${(args.name || 'Test Merchant').padEnd(25).substring(0, 25)}${'Nairobi'.padEnd(13)}KE`,
+    48: args.cvv,
+    49: args.currency || '404'
+  };
+
+  // Original data elements, for reversals matched by STAN rather than RRN
+  if (args.original) {
+    fields[90] = args.original;
+  }
+
+  return { mti, fields };
+};
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  const message = buildMessage(args);
+
+  console.log('→', JSON.stringify(message));
+  sendMessage(message)
+    .then((response) => {
+      console.log('←', JSON.stringify(response));
+      console.log(`Response code: ${response.fields[39]}`);
+    })
+    .catch((error) => {
+      console.error('ISO 8583 client error:', error.message);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  sendMessage,
+  buildMessage
+};
@@ -0,0 +1,230 @@
+const { Iso8583Error } = require('../utils/errors');
+
+// Messages are plain objects: { mti: '0100', fields: { 2: '4000011234567890', ... } }.
+// Field values are strings; binary fields are hex strings.
+
+const encodeField = (number, value, definition) => {
+  if (!definition) {
+    throw new Iso8583Error(`Field ${number} is not in the field spec`, number);
+  }
+
+  const { type, format, length } = definition;
+  let data = String(value);
+
+  if (type === 'b') {
+    if (!/^[0-9a-fA-F]*$/.test(data) || data.length % 2 !== 0) {
+      throw new Iso8583Error(`Field ${number} must be a hex string`, number);
+    }
+  }
+
+  if (type === 'n' && !/^\d*$/.test(data)) {
+    throw new Iso8583Error(`Field ${number} must be numeric`, number);
+  }
+
+  const size = type === 'b' ? data.length / 2 : data.length;
+
+  if (format === 'fixed') {
+    if (size > length) {
+      throw new Iso8583Error(`Field ${number} exceeds ${length} characters`, number);
+    }
+    if (type === 'n') {
+      data = data.padStart(length, '0');
+    } else if (type === 'b') {
+      data = data.padEnd(length * 2, '0');
+    } else {
+      data = data.padEnd(length, ' ');
+    }
+    return type === 'b' ? Buffer.from(data, 'hex') : Buffer.from(data, 'ascii');
+  }
+
+  if (size > length) {
+    throw new Iso8583Error(`Field ${number} exceeds ${length} characters`, number);
+  }
+
+  const prefixDigits = format === 'llvar' ? 2 : 3;
+  const prefix = Buffer.from(String(size).padStart(prefixDigits, '0'), 'ascii');
+  const body = type === 'b' ? Buffer.from(data, 'hex') : Buffer.from(data, 'ascii');
+  return Buffer.concat([prefix, body]);
+};
+
+const decodeField = (number, buffer, offset, definition) => {
+  if (!definition) {
+    throw new Iso8583Error(`Field ${number} is not in the field spec`, number);
+  }
+
+  const { type, format, length } = definition;
+  let size = length;
+  let position = offset;
+
+  if (format !== 'fixed') {
+    const prefixDigits = format === 'llvar' ? 2 : 3;
+    const prefix = buffer.toString('ascii', position, position + prefixDigits);
+    if (!/^\d+$/.test(prefix)) {
+      throw new Iso8583Error(`Field ${number} has an invalid length prefix`, number);
+    }
+    size = parseInt(prefix, 10);
+    if (size > length) {
+      throw new Iso8583Error(`Field ${number} exceeds ${length} characters`, number);
+    }
+    position += prefixDigits;
+  }
+
+  if (position + size > buffer.length) {
+    throw new Iso8583Error(`Message ends inside field ${number}`, number);
+  }
+
+  const raw = buffer.subarray(position, position + size);
+  const value = type === 'b' ? raw.toString('hex').toUpperCase() : raw.toString('ascii');
+
+  if (type === 'n' && !/^\d*$/.test(value)) {
+    throw new Iso8583Error(`Field ${number} must be numeric`, number);
+  }
+
+  return {
+    value: type === 'ans' || type === 'an' ? value.trimEnd() : value,
+    offset: position + size
+  };
+};
+
+const encodeBitmap = (numbers, spec) => {
+  const secondary = numbers.some(number => number > 64);
+  const bitmap = Buffer.alloc(secondary ? 16 : 8);
+
+  const bits = secondary ? [1, ...numbers] : numbers;
+  bits.forEach(number => {
+    const index = number - 1;
+    bitmap[Math.floor(index / 8)] |= 0x80 >> (index % 8);
+  });
+
+  return spec.bitmap === 'hex'
+    ? Buffer.from(bitmap.toString('hex').toUpperCase(), 'ascii')
+    : bitmap;
+};
+
+const decodeBitmap = (buffer, offset, spec) => {
+  const hex = spec.bitmap === 'hex';
+  const chunkSize = hex ? 16 : 8;
+
+  const readChunk = (position) => {
+    if (position + chunkSize > buffer.length) {
+      throw new Iso8583Error('Message ends inside the bitmap');
+    }
+    const chunk = buffer.subarray(position, position + chunkSize);
+    if (!hex) {
+      return chunk;
+    }
+    const text = chunk.toString('ascii');
+    if (!/^[0-9a-fA-F]{16}$/.test(text)) {
+      throw new Iso8583Error('Bitmap is not valid hex');
+    }
+    return Buffer.from(text, 'hex');
+  };
+
+  let bitmap = readChunk(offset);
+  let position = offset + chunkSize;
+
+  if (bitmap[0] & 0x80) {
+    bitmap = Buffer.concat([bitmap, readChunk(position)]);
+    position += chunkSize;
+  }
+
+  const numbers = [];
+  for (let index = 1; index < bitmap.length * 8; index++) {
+    if (bitmap[Math.floor(index / 8)] & (0x80 >> (index % 8))) {
+      numbers.push(index + 1);
+    }
+  }
+
+  return { numbers, offset: position };
+};
+
+// Packs a message into its wire form, without the length header
+const pack = (message, spec) => {
+  if (!/^\d{4}$/.test(message.mti || '')) {
+    throw new Iso8583Error('MTI must be 4 digits');
+  }
+
+  const numbers = Object.keys(message.fields || {})
+    .map(Number)
+    .filter(number => message.fields[number] !== undefined && message.fields[number] !== null)
+    .sort((a, b) => a - b);
+
+  const parts = [
+    Buffer.from(message.mti, 'ascii'),
+    encodeBitmap(numbers, spec),
+    ...numbers.map(number => encodeField(number, message.fields[number], spec.fields[number]))
+  ];
+
+  return Buffer.concat(parts);
+};
+
+// Unpacks a message body (length header already removed)
+const unpack = (buffer, spec) => {
+  if (buffer.length < 4) {
+    throw new Iso8583Error('Message is too short');
+  }
+
+  const mti = buffer.toString('ascii', 0, 4);
+  if (!/^\d{4}$/.test(mti)) {
+    throw new Iso8583Error('MTI must be 4 digits');
+  }
+
+  const bitmap = decodeBitmap(buffer, 4, spec);
+  const fields = {};
+  let offset = bitmap.offset;
+
+  bitmap.numbers.forEach(number => {
+    const decoded = decodeField(number, buffer, offset, spec.fields[number]);
+    fields[number] = decoded.value;
+    offset = decoded.offset;
+  });
+
+  return { mti, fields };
+};
+
+// Prepends the length header to a packed message
+const frame = (body, spec) => {
+  const { encoding, size } = spec.lengthHeader;
+
+  if (encoding === 'ascii') {
+    return Buffer.concat([Buffer.from(String(body.length).padStart(size, '0'), 'ascii'), body]);
+  }
+
+  const header = Buffer.alloc(size);
+  header.writeUIntBE(body.length, 0, size);
+  return Buffer.concat([header, body]);
+};
+
+// Splits a TCP stream into message bodies. Returns a function to feed chunks into.
+const createFrameReader = (spec, onMessage) => {
+  const { encoding, size } = spec.lengthHeader;
+  let pending = Buffer.alloc(0);
+
+  return (chunk) => {
+    pending = Buffer.concat([pending, chunk]);
+
+    while (pending.length >= size) {
+      const length = encoding === 'ascii'
+        ? parseInt(pending.toString('ascii', 0, size), 10)
+        : pending.readUIntBE(0, size);
+
+      if (Number.isNaN(length)) {
+        throw new Iso8583Error('Invalid length header');
+      }
+      if (pending.length < size + length) {
+        break;
+      }
+
+      const body = pending.subarray(size, size + length);
+      pending = pending.subarray(size + length);
+      onMessage(body);
+    }
+  };
+};
+
+module.exports = {
+  pack,
+  unpack,
+  frame,
+  createFrameReader
+};
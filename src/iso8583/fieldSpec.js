@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+
+// Field definitions for the ISO 8583 (1987) messages the listener understands.
+// type: n numeric, an alphanumeric, ans alphanumeric + special, b binary (length in bytes)
+// format: fixed, llvar (2 digit length prefix) or lllvar (3 digit length prefix)
+const DEFAULT_FIELDS = {
+  2: { name: 'pan', type: 'n', format: 'llvar', length: 19 },
+  3: { name: 'processing_code', type: 'n', format: 'fixed', length: 6 },
+  4: { name: 'amount_transaction', type: 'n', format: 'fixed', length: 12 },
+  7: { name: 'transmission_date_time', type: 'n', format: 'fixed', length: 10 },
+  11: { name: 'stan', type: 'n', format: 'fixed', length: 6 },
+  12: { name: 'local_time', type: 'n', format: 'fixed', length: 6 },
+  13: { name: 'local_date', type: 'n', format: 'fixed', length: 4 },
+  14: { name: 'expiration_date', type: 'n', format: 'fixed', length: 4 },
+  18: { name: 'merchant_type', type: 'n', format: 'fixed', length: 4 },
+  22: { name: 'pos_entry_mode', type: 'n', format: 'fixed', length: 3 },
+  25: { name: 'pos_condition_code', type: 'n', format: 'fixed', length: 2 },
+  32: { name: 'acquiring_institution_id', type: 'n', format: 'llvar', length: 11 },
+  37: { name: 'retrieval_reference_number', type: 'an', format: 'fixed', length: 12 },
+  38: { name: 'authorization_id_response', type: 'an', format: 'fixed', length: 6 },
+  39: { name: 'response_code', type: 'an', format: 'fixed', length: 2 },
+  41: { name: 'card_acceptor_terminal_id', type: 'ans', format: 'fixed', length: 8 },
+  42: { name: 'card_acceptor_id', type: 'ans', format: 'fixed', length: 15 },
+  43: { name: 'card_acceptor_name_location', type: 'ans', format: 'fixed', length: 40 },
+  // Private use: carries the CVV2 for card-not-present authorizations
+  48: { name: 'additional_data_private', type: 'ans', format: 'lllvar', length: 999 },
+  49: { name: 'currency_code_transaction', type: 'n', format: 'fixed', length: 3 },
+  70: { name: 'network_management_code', type: 'n', format: 'fixed', length: 3 },
+  90: { name: 'original_data_elements', type: 'n', format: 'fixed', length: 42 }
+};
+
+const DEFAULT_SPEC = {
+  // Message length prefix: 'binary' (big-endian bytes) or 'ascii' (decimal digits)
+  lengthHeader: { encoding: 'binary', size: 2 },
+  // Bitmaps as 8 raw bytes ('binary') or 16 hex characters ('hex')
+  bitmap: 'binary',
+  fields: DEFAULT_FIELDS
+};
+
+// ISO8583_FIELD_SPEC points at a JSON file with the same shape as DEFAULT_SPEC. Its
+// fields are merged over the defaults, so it only needs to list what differs.
+const loadFieldSpec = (specPath = process.env.ISO8583_FIELD_SPEC) => {
+  if (!specPath) {
+    return DEFAULT_SPEC;
+  }
+
+  const custom = JSON.parse(fs.readFileSync(path.resolve(specPath), 'utf8'));
+
+  return {
+    lengthHeader: { ...DEFAULT_SPEC.lengthHeader, ...custom.lengthHeader },
+    bitmap: custom.bitmap || DEFAULT_SPEC.bitmap,
+    fields: { ...DEFAULT_FIELDS, ...custom.fields }
+  };
+};
+
+module.exports = {
+  DEFAULT_SPEC,
+  loadFieldSpec
+};
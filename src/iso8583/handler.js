@@ -0,0 +1,185 @@
+const Transaction = require('../models/Transaction');
+const VirtualCard = require('../models/VirtualCard');
+const authorizationService = require('../services/authorizationService');
+const vaultService = require('../services/vaultService');
+const logger = require('../utils/logger');
+
+// ISO 4217 numeric codes for the currencies convertCurrency knows
+const CURRENCY_CODES = {
+  404: 'KES',
+  840: 'USD',
+  978: 'EUR',
+  826: 'GBP'
+};
+
+// Request fields echoed back in the response
+const ECHOED_FIELDS = [2, 3, 4, 7, 11, 12, 13, 32, 37, 41, 42, 49, 90];
+
+const responseMti = (mti) => `${mti.substring(0, 2)}${Number(mti[2]) + 1}${mti[3]}`;
+
+const buildResponse = (request, responseCode, extra = {}) => {
+  const fields = {};
+  ECHOED_FIELDS.forEach(number => {
+    if (request.fields[number] !== undefined) {
+      fields[number] = request.fields[number];
+    }
+  });
+
+  return {
+    mti: responseMti(request.mti),
+    fields: { ...fields, ...extra, 39: responseCode }
+  };
+};
+
+// DE 43 is name (25), city (13) and country (2)
+const parseCardAcceptor = (value = '') => ({
+  name: value.substring(0, 25).trim(),
+  city: value.substring(25, 38).trim(),
+  country: value.substring(38, 40).trim()
+});
+
+// DE 90 is original MTI (4), STAN (6), transmission date and time (10), then institution ids
+const parseOriginalData = (value = '') => ({
+  mti: value.substring(0, 4),
+  stan: value.substring(4, 10),
+  transmission_date_time: value.substring(10, 20)
+});
+
+const getNetworkData = (request) => ({
+  mti: request.mti,
+  stan: request.fields[11],
+  rrn: request.fields[37],
+  transmission_date_time: request.fields[7],
+  terminal_id: request.fields[41],
+  acquirer_id: request.fields[32],
+  processing_code: request.fields[3]
+});
+
+const handleAuthorization = async (request) => {
+  const { fields } = request;
+
+  const required = [2, 3, 4, 11, 14, 49];
+  if (required.some(number => !fields[number])) {
+    return buildResponse(request, '30');
+  }
+
+  const currency = CURRENCY_CODES[Number(fields[49])];
+  if (!currency) {
+    return buildResponse(request, '12');
+  }
+
+  const amount = parseInt(fields[4], 10) / 100;
+  if (!(amount > 0)) {
+    return buildResponse(request, '13');
+  }
+
+  const cardAcceptor = parseCardAcceptor(fields[43]);
+
+  // Acquirers wait only a few seconds; undecided STK prompts fall back to stand-in
+  const result = await authorizationService.authorizeWithinBudget({
+    card_number: fields[2],
+    cvv: fields[48],
+    expiry_month: parseInt(fields[14].substring(2, 4), 10),
+    expiry_year: 2000 + parseInt(fields[14].substring(0, 2), 10),
+    amount,
+    currency,
+    merchant_name: cardAcceptor.name || fields[42] || 'Unknown merchant',
+    merchant_id: fields[42] ? fields[42].trim() : undefined,
+    merchant_category: fields[18],
+    merchant_country: cardAcceptor.country || undefined,
+    // 0100 only authorizes; 0200 is a financial request that captures on approval
+    capture_mode: request.mti === '0100' ? 'manual' : 'automatic',
+    channel: 'iso8583',
+    network_data: getNetworkData(request)
+  });
+
+  if (result.stand_in) {
+    logger.info('ISO 8583 authorization answered in stand-in', {
+      transactionReference: result.transaction_reference,
+      approved: result.approved,
+      stan: fields[11]
+    });
+  }
+
+  if (result.approved) {
+    return buildResponse(request, '00', { 38: result.authorization_code });
+  }
+
+  return buildResponse(request, result.decline_code || '05');
+};
+
+// Finds the transaction a reversal refers to, by RRN or by the original STAN in DE 90
+const findOriginal = async (request) => {
+  const { fields } = request;
+  if (!fields[2]) {
+    return null;
+  }
+
+  const card = await VirtualCard.findByCardNumberHash(vaultService.lookupHashes(fields[2]));
+  if (!card) {
+    return null;
+  }
+
+  const conditions = [];
+  if (fields[37]) {
+    conditions.push({ 'metadata.network.rrn': fields[37] });
+  }
+  if (fields[90]) {
+    const original = parseOriginalData(fields[90]);
+    conditions.push({
+      'metadata.network.stan': original.stan,
+      'metadata.network.transmission_date_time': original.transmission_date_time
+    });
+  }
+  if (conditions.length === 0) {
+    return null;
+  }
+
+  return Transaction.findOne({
+    card_id: card._id,
+    'metadata.channel': 'iso8583',
+    $or: conditions
+  }).sort({ createdAt: -1 });
+};
+
+const handleReversal = async (request) => {
+  const transaction = await findOriginal(request);
+
+  if (!transaction) {
+    return buildResponse(request, '25');
+  }
+
+  const result = await authorizationService.reverseTransaction(transaction, {
+    actor: 'iso8583_reversal',
+    reason: 'Reversal from acquirer'
+  });
+
+  logger.info('ISO 8583 reversal processed', {
+    transactionId: transaction.id,
+    action: result.action,
+    stan: request.fields[11]
+  });
+
+  return buildResponse(request, result.reversed || result.action === 'none' ? '00' : '96');
+};
+
+// Answers one decoded request. Unsupported message types are answered with '12'.
+const handleMessage = async (request) => {
+  switch (request.mti) {
+    case '0100':
+    case '0200':
+      return handleAuthorization(request);
+    case '0400':
+    case '0401':
+      return handleReversal({ ...request, mti: '0400' });
+    case '0800':
+      return buildResponse(request, '00', { 70: request.fields[70] });
+    default:
+      return buildResponse(request, '12');
+  }
+};
+
+module.exports = {
+  handleMessage,
+  buildResponse
+};
@@ -0,0 +1,162 @@
+const net = require('net');
+const { pack, unpack, frame, createFrameReader } = require('./codec');
+const { loadFieldSpec } = require('./fieldSpec');
+const { handleMessage, buildResponse } = require('./handler');
+const logger = require('../utils/logger');
+
+// Acquirer addresses or CIDR ranges allowed to connect, from a comma separated list.
+// Without ISO8583_ALLOWED_PEERS only this host may connect.
+const parseAllowedPeers = (value = process.env.ISO8583_ALLOWED_PEERS || '127.0.0.1,::1') => {
+  const peers = new net.BlockList();
+  value.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const [address, bits] = entry.split('/');
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    if (!net.isIP(address)) {
+      throw new Error(`Invalid ISO8583_ALLOWED_PEERS entry: ${entry}`);
+    }
+    if (bits !== undefined) {
+      peers.addSubnet(address, parseInt(bits), type);
+    } else {
+      peers.addAddress(address, type);
+    }
+  });
+  return peers;
+};
+
+const isAllowedPeer = (peers, address) => {
+  if (!address) {
+    return false;
+  }
+  // IPv4 clients on a dual-stack socket show up as ::ffff:a.b.c.d
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    return peers.check(mapped[1], 'ipv4');
+  }
+  return peers.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+// TCP listener for ISO 8583 authorization traffic. Each connection may carry many
+// messages; responses are written as soon as each request is decided.
+const createIso8583Server = (options = {}) => {
+  const spec = options.spec || loadFieldSpec();
+  const handler = options.handler || handleMessage;
+  const allowedPeers = options.allowedPeers || parseAllowedPeers();
+
+  const server = net.createServer((socket) => {
+    const peer = `${socket.remoteAddress}:${socket.remotePort}`;
+
+    if (!isAllowedPeer(allowedPeers, socket.remoteAddress)) {
+      logger.warn('ISO 8583 connection refused from unlisted peer', { peer });
+      socket.destroy();
+      return;
+    }
+
+    logger.info('ISO 8583 connection opened', { peer });
+
+    const respond = (response) => {
+      if (!socket.writable) {
+        return;
+      }
+      socket.write(frame(pack(response, spec), spec));
+    };
+
+    const onMessage = async (body) => {
+      let request;
+      try {
+        request = unpack(body, spec);
+      } catch (error) {
+        logger.warn('Malformed ISO 8583 message', { peer, error: error.message });
+        // Answer what we can so the acquirer does not wait for a timeout
+        const mti = body.toString('ascii', 0, 4);
+        if (/^0[1-4]00$/.test(mti)) {
+          respond(buildResponse({ mti, fields: {} }, '30'));
+        }
+        return;
+      }
+
+      logger.info('ISO 8583 request received', {
+        peer,
+        mti: request.mti,
+        stan: request.fields[11]
+      });
+
+      try {
+        const response = await handler(request);
+        respond(response);
+        logger.info('ISO 8583 response sent', {
+          peer,
+          mti: response.mti,
+          stan: response.fields[11],
+          responseCode: response.fields[39]
+        });
+      } catch (error) {
+        logger.error('ISO 8583 request handling error:', error);
+        respond(buildResponse(request, '96'));
+      }
+    };
+
+    const read = createFrameReader(spec, onMessage);
+
+    socket.on('data', (chunk) => {
+      try {
+        read(chunk);
+      } catch (error) {
+        logger.warn('ISO 8583 framing error, closing connection', { peer, error: error.message });
+        socket.destroy();
+      }
+    });
+
+    socket.on('error', (error) => {
+      logger.warn('ISO 8583 connection error', { peer, error: error.message });
+    });
+
+    socket.on('close', () => {
+      logger.info('ISO 8583 connection closed', { peer });
+    });
+  });
+
+  return server;
+};
+
+let listener;
+const sockets = new Set();
+
+const startIso8583Server = () => {
+  if (process.env.ISO8583_ENABLED !== 'true') {
+    return null;
+  }
+
+  const port = parseInt(process.env.ISO8583_PORT) || 8583;
+  // Loopback unless ISO8583_HOST names the interface the acquirer link arrives on
+  const host = process.env.ISO8583_HOST || '127.0.0.1';
+
+  listener = createIso8583Server();
+  listener.on('connection', (socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+  listener.listen(port, host, () => {
+    logger.info(`💳 ISO 8583 listener running on ${host}:${port}`);
+  });
+
+  return listener;
+};
+
+const stopIso8583Server = () => {
+  if (!listener) {
+    return Promise.resolve();
+  }
+
+  // Acquirers keep connections open, so close them rather than wait
+  return new Promise(resolve => {
+    listener.close(() => resolve());
+    sockets.forEach(socket => socket.destroy());
+  });
+};
+
+module.exports = {
+  parseAllowedPeers,
+  createIso8583Server,
+  startIso8583Server,
+  stopIso8583Server
+};
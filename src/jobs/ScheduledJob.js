@@ -0,0 +1,123 @@
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const JobLock = require('../models/JobLock');
+const logger = require('../utils/logger');
+
+// Base class for background jobs. Runs run() every intervalMs while holding a
+// JobLock, so only one worker across all server instances executes a job at a time.
+// The lock is renewed on a heartbeat while run() works; once it can no longer be
+// renewed, isStopping() turns true before the TTL runs out and another worker may
+// take over, so run() loops stop between items instead of overlapping the next owner.
+class ScheduledJob {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.enabled = options.enabled !== false;
+    this.intervalMs = options.intervalMs || 60 * 1000;
+    this.lockTtlMs = options.lockTtlMs || Math.max(this.intervalMs * 2, 60 * 1000);
+    this.owner = `${os.hostname()}:${process.pid}:${uuidv4()}`;
+
+    this.timer = null;
+    this.running = null;
+    this.stopped = true;
+
+    // When the held lock runs out unless renewed; null while not holding it
+    this.lockExpiresAt = null;
+    this.renewing = null;
+  }
+
+  start() {
+    if (!this.stopped) return;
+
+    this.stopped = false;
+    this.schedule();
+    logger.info(`Job ${this.name} started`, { intervalMs: this.intervalMs });
+  }
+
+  schedule() {
+    this.timer = setTimeout(() => {
+      this.running = this.tick().finally(() => {
+        this.running = null;
+        if (!this.stopped) this.schedule();
+      });
+    }, this.intervalMs);
+  }
+
+  async tick() {
+    let acquired = false;
+    let heartbeat = null;
+
+    try {
+      const expiresAt = Date.now() + this.lockTtlMs;
+      acquired = await JobLock.acquire(this.name, this.owner, this.lockTtlMs);
+      if (!acquired) {
+        logger.debug(`Job ${this.name} skipped, lock held by another worker`);
+        return;
+      }
+
+      this.lockExpiresAt = expiresAt;
+      heartbeat = setInterval(() => {
+        this.renewing = this.renewLock().finally(() => {
+          this.renewing = null;
+        });
+      }, Math.max(Math.floor(this.lockTtlMs / 3), 1));
+      heartbeat.unref();
+
+      await this.run();
+    } catch (error) {
+      logger.error(`Job ${this.name} failed:`, error);
+    } finally {
+      if (acquired) {
+        // A renewal still in flight would take the lock again after the release
+        clearInterval(heartbeat);
+        if (this.renewing) await this.renewing;
+        this.lockExpiresAt = null;
+
+        await JobLock.release(this.name, this.owner).catch(error => {
+          logger.error(`Job ${this.name} failed to release lock:`, error);
+        });
+      }
+    }
+  }
+
+  async renewLock() {
+    const expiresAt = Date.now() + this.lockTtlMs;
+
+    try {
+      if (await JobLock.acquire(this.name, this.owner, this.lockTtlMs)) {
+        this.lockExpiresAt = expiresAt;
+        return;
+      }
+
+      this.lockExpiresAt = 0;
+      logger.warn(`Job ${this.name} lost its lock to another worker, stopping run`);
+    } catch (error) {
+      // Keeps running on the time already held; isStopping() ends the run when it is up
+      logger.error(`Job ${this.name} failed to renew lock:`, error);
+    }
+  }
+
+  // Waits for an in-flight run to finish so shutdown never interrupts one midway
+  async stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    if (this.running) {
+      await this.running;
+    }
+
+    logger.info(`Job ${this.name} stopped`);
+  }
+
+  // True when run() should stop before its next item: on shutdown, or once the lock
+  // was lost or has run out without being renewed
+  isStopping() {
+    return this.stopped || (this.lockExpiresAt !== null && Date.now() >= this.lockExpiresAt);
+  }
+
+  async run() {
+    throw new Error(`Job ${this.name} does not implement run()`);
+  }
+}
+
+module.exports = ScheduledJob;
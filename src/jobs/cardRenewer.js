@@ -0,0 +1,53 @@
+const ScheduledJob = require('./ScheduledJob');
+const cardService = require('../services/cardService');
+const logger = require('../utils/logger');
+
+// Renews cards whose expiry month ends within CARD_RENEWAL_DAYS and marks burner cards
+// that ran out as expired
+class CardRenewer extends ScheduledJob {
+  constructor() {
+    super('card-renewer', {
+      enabled: process.env.CARD_RENEWER_ENABLED !== 'false',
+      intervalMs: parseInt(process.env.CARD_RENEWER_INTERVAL_MS) || 60 * 60 * 1000
+    });
+
+    this.batchSize = parseInt(process.env.CARD_RENEWER_BATCH_SIZE) || 100;
+  }
+
+  async run() {
+    const due = await cardService.findDueForRenewal(this.batchSize);
+
+    for (const card of due) {
+      if (this.isStopping()) break;
+
+      try {
+        await cardService.renewCard(card, { actor: 'card_renewer' });
+      } catch (error) {
+        logger.error('Failed to renew card', {
+          cardId: card.id,
+          error: error.message
+        });
+      }
+    }
+
+    const lapsed = await cardService.findLapsed(this.batchSize);
+
+    for (const card of lapsed) {
+      if (this.isStopping()) break;
+
+      try {
+        await cardService.expireCard(card, {
+          actor: 'card_renewer',
+          reason_code: card.expires_at && card.expires_at <= new Date() ? 'time_box_elapsed' : 'card_expired'
+        });
+      } catch (error) {
+        logger.error('Failed to expire card', {
+          cardId: card.id,
+          error: error.message
+        });
+      }
+    }
+  }
+}
+
+module.exports = new CardRenewer();
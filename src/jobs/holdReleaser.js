@@ -0,0 +1,35 @@
+const ScheduledJob = require('./ScheduledJob');
+const Transaction = require('../models/Transaction');
+const authorizationService = require('../services/authorizationService');
+const logger = require('../utils/logger');
+
+// Releases authorization holds that were not captured within AUTH_HOLD_RELEASE_DAYS
+class HoldReleaser extends ScheduledJob {
+  constructor() {
+    super('hold-releaser', {
+      enabled: process.env.HOLD_RELEASER_ENABLED !== 'false',
+      intervalMs: parseInt(process.env.HOLD_RELEASER_INTERVAL_MS) || 15 * 60 * 1000
+    });
+
+    this.batchSize = parseInt(process.env.HOLD_RELEASER_BATCH_SIZE) || 100;
+  }
+
+  async run() {
+    const transactions = await Transaction.findExpiredHolds().limit(this.batchSize);
+
+    for (const transaction of transactions) {
+      if (this.isStopping()) break;
+
+      try {
+        await authorizationService.releaseHold(transaction);
+      } catch (error) {
+        logger.error('Failed to release authorization hold', {
+          transactionId: transaction.id,
+          error: error.message
+        });
+      }
+    }
+  }
+}
+
+module.exports = new HoldReleaser();
@@ -0,0 +1,32 @@
+const transactionSweeper = require('./transactionSweeper');
+const holdReleaser = require('./holdReleaser');
+const webhookDispatcher = require('./webhookDispatcher');
+const reviewSweeper = require('./reviewSweeper');
+const cardRenewer = require('./cardRenewer');
+const vaultRotator = require('./vaultRotator');
+const refundSettler = require('./refundSettler');
+const logger = require('../utils/logger');
+
+const jobs = [
+  transactionSweeper,
+  holdReleaser,
+  webhookDispatcher,
+  reviewSweeper,
+  cardRenewer,
+  vaultRotator,
+  refundSettler
+];
+
+function startJobs() {
+  jobs.filter(job => job.enabled).forEach(job => job.start());
+}
+
+async function stopJobs() {
+  await Promise.all(jobs.map(job => job.stop()));
+  logger.info('Background jobs stopped');
+}
+
+module.exports = {
+  startJobs,
+  stopJobs
+};
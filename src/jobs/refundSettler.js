@@ -0,0 +1,38 @@
+const ScheduledJob = require('./ScheduledJob');
+const Refund = require('../models/Refund');
+const refundService = require('../services/refundService');
+const logger = require('../utils/logger');
+
+// Sends transaction status queries for B2C refunds that got no result, or whose queue
+// timeout left them unsettled, until Daraja gives a definite answer
+class RefundSettler extends ScheduledJob {
+  constructor() {
+    super('refund-settler', {
+      enabled: process.env.REFUND_SETTLER_ENABLED !== 'false',
+      intervalMs: parseInt(process.env.REFUND_SETTLER_INTERVAL_MS) || 5 * 60 * 1000
+    });
+
+    this.batchSize = parseInt(process.env.REFUND_SETTLER_BATCH_SIZE) || 50;
+    this.queryAfterMinutes = parseInt(process.env.REFUND_STATUS_QUERY_AFTER_MINUTES) || 15;
+  }
+
+  async run() {
+    const before = new Date(Date.now() - this.queryAfterMinutes * 60 * 1000);
+    const refunds = await Refund.findUnsettled(before).limit(this.batchSize);
+
+    for (const refund of refunds) {
+      if (this.isStopping()) break;
+
+      try {
+        await refundService.queryStatus(refund);
+      } catch (error) {
+        logger.error('Failed to query refund status', {
+          refundId: refund.id,
+          error: error.message
+        });
+      }
+    }
+  }
+}
+
+module.exports = new RefundSettler();
@@ -0,0 +1,35 @@
+const ScheduledJob = require('./ScheduledJob');
+const FraudReview = require('../models/FraudReview');
+const reviewService = require('../services/reviewService');
+const logger = require('../utils/logger');
+
+// Declines fraud reviews nobody decided on within REVIEW_SLA_MINUTES
+class ReviewSweeper extends ScheduledJob {
+  constructor() {
+    super('review-sweeper', {
+      enabled: process.env.REVIEW_SWEEPER_ENABLED !== 'false',
+      intervalMs: parseInt(process.env.REVIEW_SWEEPER_INTERVAL_MS) || 60 * 1000
+    });
+
+    this.batchSize = parseInt(process.env.REVIEW_SWEEPER_BATCH_SIZE) || 100;
+  }
+
+  async run() {
+    const reviews = await FraudReview.findOverdue().limit(this.batchSize);
+
+    for (const review of reviews) {
+      if (this.isStopping()) break;
+
+      try {
+        await reviewService.expire(review);
+      } catch (error) {
+        logger.error('Failed to expire fraud review', {
+          reviewId: review.id,
+          error: error.message
+        });
+      }
+    }
+  }
+}
+
+module.exports = new ReviewSweeper();
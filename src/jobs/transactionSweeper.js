@@ -0,0 +1,94 @@
+const ScheduledJob = require('./ScheduledJob');
+const Transaction = require('../models/Transaction');
+const authorizationService = require('../services/authorizationService');
+const logger = require('../utils/logger');
+const { InvalidTransitionError } = require('../utils/errors');
+
+// Finalizes transactions whose STK push timed out without a callback. Each sweep sends
+// an stkpushquery through authorizationService.reconcileSTKStatus; a definitive answer is
+// applied like a callback, and "user cannot be reached" expires the transaction. When the
+// query fails or the result is not final yet, the transaction stays pending and is asked
+// about again on a later sweep. Each transaction is claimed for lockTtlMs before it is
+// queried, so two sweeps never ask about it at once.
+class TransactionSweeper extends ScheduledJob {
+  constructor() {
+    super('transaction-sweeper', {
+      enabled: process.env.TRANSACTION_SWEEPER_ENABLED !== 'false',
+      intervalMs: parseInt(process.env.TRANSACTION_SWEEPER_INTERVAL_MS) || 30 * 1000,
+      lockTtlMs: parseInt(process.env.TRANSACTION_SWEEPER_LOCK_TTL_MS) || undefined
+    });
+
+    this.batchSize = parseInt(process.env.TRANSACTION_SWEEPER_BATCH_SIZE) || 50;
+    this.retryMinutes = parseFloat(process.env.TRANSACTION_SWEEPER_RETRY_MINUTES) || 2;
+  }
+
+  async run() {
+    const transactions = await Transaction.findPendingTransactions().limit(this.batchSize);
+
+    if (transactions.length === 0) return;
+
+    logger.info('Sweeping timed-out transactions', { count: transactions.length });
+
+    for (const candidate of transactions) {
+      if (this.isStopping()) break;
+
+      const transaction = await Transaction.claimForSweep(candidate._id, this.lockTtlMs);
+      if (!transaction) continue;
+
+      try {
+        await this.finalize(transaction);
+      } catch (error) {
+        if (error instanceof InvalidTransitionError) {
+          // Finalized by a callback while we were querying
+          continue;
+        }
+        logger.error('Failed to sweep transaction', {
+          transactionId: transaction.id,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  async finalize(transaction) {
+    const { outcome, resultCode, result, error } = await authorizationService.reconcileSTKStatus(transaction, {
+      actor: 'transaction_sweeper'
+    });
+
+    if (outcome === 'expired') {
+      logger.info('Swept transaction expired', { transactionId: transaction.id });
+      return;
+    }
+
+    if (outcome === 'final') {
+      if (result.success || result.code === 'INVALID_TRANSITION') {
+        logger.info('Swept transaction finalized from status query', {
+          transactionId: transaction.id,
+          approved: result.approved,
+          resultCode
+        });
+        return;
+      }
+      return this.retryLater(transaction, result.error);
+    }
+
+    // A failed query or one still in progress says nothing about whether the cardholder paid
+    return this.retryLater(transaction, error || 'No result code in status query');
+  }
+
+  async retryLater(transaction, reason) {
+    const timeoutAt = new Date(Date.now() + this.retryMinutes * 60 * 1000);
+    await Transaction.updateOne(
+      { _id: transaction._id, status: transaction.status },
+      { $set: { timeout_at: timeoutAt } }
+    );
+
+    logger.warn('Swept transaction left pending until M-Pesa gives a final result', {
+      transactionId: transaction.id,
+      reason,
+      retryAt: timeoutAt
+    });
+  }
+}
+
+module.exports = new TransactionSweeper();
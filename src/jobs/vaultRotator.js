@@ -0,0 +1,21 @@
+const ScheduledJob = require('./ScheduledJob');
+const vaultService = require('../services/vaultService');
+
+// Re-wraps vault data keys and merchant secrets under the active master key, moves
+// card data from before the vault into it and drops CVVs of closed cards
+class VaultRotator extends ScheduledJob {
+  constructor() {
+    super('vault-rotator', {
+      enabled: process.env.VAULT_ROTATOR_ENABLED !== 'false',
+      intervalMs: parseInt(process.env.VAULT_ROTATOR_INTERVAL_MS) || 10 * 60 * 1000
+    });
+
+    this.batchSize = parseInt(process.env.VAULT_ROTATOR_BATCH_SIZE) || 200;
+  }
+
+  async run() {
+    await vaultService.rotate(this.batchSize);
+  }
+}
+
+module.exports = new VaultRotator();
@@ -0,0 +1,39 @@
+const ScheduledJob = require('./ScheduledJob');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const webhookService = require('../services/webhookService');
+const logger = require('../utils/logger');
+
+// Sends queued merchant webhooks and retries failed ones once their backoff has passed
+class WebhookDispatcher extends ScheduledJob {
+  constructor() {
+    super('webhook-dispatcher', {
+      enabled: process.env.WEBHOOK_DISPATCHER_ENABLED !== 'false',
+      intervalMs: parseInt(process.env.WEBHOOK_DISPATCHER_INTERVAL_MS) || 5 * 1000
+    });
+
+    this.batchSize = parseInt(process.env.WEBHOOK_DISPATCHER_BATCH_SIZE) || 50;
+  }
+
+  async run() {
+    const deliveries = await WebhookDelivery.findDue(this.batchSize);
+
+    for (const due of deliveries) {
+      if (this.isStopping()) break;
+
+      // Held for longer than one send can take; deliver() lets go of it when done
+      const delivery = await WebhookDelivery.claim(due._id, webhookService.timeoutMs + 60 * 1000);
+      if (!delivery) continue;
+
+      try {
+        await webhookService.deliver(delivery);
+      } catch (error) {
+        logger.error('Failed to dispatch webhook', {
+          deliveryId: delivery.id,
+          error: error.message
+        });
+      }
+    }
+  }
+}
+
+module.exports = new WebhookDispatcher();
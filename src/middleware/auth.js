@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const sessionService = require('../services/sessionService');
 const logger = require('../utils/logger');
 
 const auth = async (req, res, next) => {
@@ -17,10 +18,16 @@ const auth = async (req, res, next) => {
     // Verify token
     const token = authHeader.replace('Bearer ', '');
     
+    let session;
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = decoded;
+      // Tokens are only good while their session is: logout and password changes end it
+      session = await sessionService.verifyAccessToken(token);
     } catch (error) {
+      if (!(error instanceof jwt.JsonWebTokenError)) throw error;
+      session = null;
+    }
+
+    if (!session) {
       return res.status(401).json({
         success: false,
         message: 'Token is not valid'
@@ -28,7 +35,7 @@ const auth = async (req, res, next) => {
     }
 
     // Check if user still exists and is active
-    const user = await User.findById(req.user.userId);
+    const user = await User.findById(session.user_id);
     if (!user || !user.is_active) {
       return res.status(401).json({
         success: false,
@@ -42,7 +49,11 @@ const auth = async (req, res, next) => {
       userId: user._id,
       username: user.username,
       email: user.email,
-      mpesa_phone: user.mpesa_phone
+      mpesa_phone: user.mpesa_phone,
+      role: user.role,
+      sessionId: session.id,
+      twoFactorEnabled: user.totp_enabled,
+      twoFactorVerifiedAt: session.two_factor_verified_at
     };
 
     next();
@@ -0,0 +1,199 @@
+const mpesaService = require('../services/mpesaService');
+const AuditLog = require('../models/AuditLog');
+const CallbackNonce = require('../models/CallbackNonce');
+const logger = require('../utils/logger');
+
+// Addresses Safaricom publishes for Daraja callbacks. Override with
+// MPESA_CALLBACK_ALLOWED_IPS (comma separated, CIDR ranges allowed).
+const SAFARICOM_CALLBACK_IPS = [
+  '196.201.214.200',
+  '196.201.214.206',
+  '196.201.213.114',
+  '196.201.214.207',
+  '196.201.214.208',
+  '196.201.213.44',
+  '196.201.212.127',
+  '196.201.212.138',
+  '196.201.212.129',
+  '196.201.212.136',
+  '196.201.212.74',
+  '196.201.212.69'
+];
+
+const TOLERANCE_SECONDS = parseInt(process.env.MPESA_CALLBACK_TOLERANCE_SECONDS) || 300;
+
+// How long a standing URL's replay keys are remembered
+const REPLAY_KEY_TTL_SECONDS = 90 * 24 * 60 * 60;
+
+const getAllowlist = () => {
+  return process.env.MPESA_CALLBACK_ALLOWED_IPS
+    ? process.env.MPESA_CALLBACK_ALLOWED_IPS.split(',').map(entry => entry.trim()).filter(Boolean)
+    : SAFARICOM_CALLBACK_IPS;
+};
+
+// On by default in production; MPESA_CALLBACK_IP_CHECK=true|false overrides
+const isIpCheckEnabled = () => {
+  if (process.env.MPESA_CALLBACK_IP_CHECK !== undefined) {
+    return process.env.MPESA_CALLBACK_IP_CHECK === 'true';
+  }
+  return process.env.NODE_ENV === 'production';
+};
+
+const ipToNumber = (ip) => {
+  const parts = ip.split('.').map(Number);
+  if (parts.length !== 4 || parts.some(part => Number.isNaN(part) || part < 0 || part > 255)) {
+    return null;
+  }
+  return ((parts[0] << 24) >>> 0) + (parts[1] << 16) + (parts[2] << 8) + parts[3];
+};
+
+const ipMatches = (ip, entry) => {
+  const [range, bits = '32'] = entry.split('/');
+  const ipNumber = ipToNumber(ip);
+  const rangeNumber = ipToNumber(range);
+  if (ipNumber === null || rangeNumber === null) {
+    return ip === entry;
+  }
+
+  const maskBits = parseInt(bits);
+  const mask = maskBits === 0 ? 0 : (~0 << (32 - maskBits)) >>> 0;
+  return ((ipNumber & mask) >>> 0) === ((rangeNumber & mask) >>> 0);
+};
+
+const isAllowedIp = (ip) => {
+  const address = (ip || '').replace(/^::ffff:/, '');
+  return getAllowlist().some(entry => ipMatches(address, entry));
+};
+
+// Accepts Daraja-style YYYYMMDDHHmmss, epoch seconds or milliseconds, or ISO 8601
+const parseTimestamp = (value) => {
+  if (/^\d{14}$/.test(value)) {
+    const [, year, month, day, hour, minute, second] = value.match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/);
+    return Date.parse(`${year}-${month}-${day}T${hour}:${minute}:${second}+03:00`);
+  }
+  if (/^\d+$/.test(value)) {
+    const number = parseInt(value);
+    return value.length <= 10 ? number * 1000 : number;
+  }
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+};
+
+// Authenticates M-Pesa callbacks. Every callback must come from an allowed source IP
+// (when enabled) and carry the per-reference token issued in its callback URL. A
+// callback URL's nonce binds the token to one issue of the URL and its expiry; the URL
+// takes repeat deliveries until then, because Safaricom retries callbacks it did not see
+// acknowledged and the handlers answer a repeat with the stored result. Standing URLs
+// such as C2B have no such handler and name a replayKey instead, e.g. the M-Pesa
+// transaction ID, accepted once. Signed callbacks must also be fresh and use an unseen
+// nonce. Rejections are audit-logged.
+//
+// options.name       route name for logs and audit
+// options.reference  fixed reference of a standing URL; it then has no nonce or expiry
+// options.replayKey  (req) => key a standing URL's callback is accepted once for
+const callbackAuth = (options = {}) => async (req, res, next) => {
+  const route = options.name || req.path;
+
+  const reject = async (status, reason) => {
+    logger.warn('M-Pesa callback rejected', { route, reason, ip: req.ip });
+
+    await AuditLog.record({
+      action: 'mpesa.callback.rejected',
+      outcome: 'denied',
+      actor_type: 'external',
+      target_type: 'mpesa_callback',
+      target_id: req.query.ref,
+      reason,
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      metadata: { route, body: req.body }
+    });
+
+    return res.status(status).json({
+      ResultCode: 1,
+      ResultDesc: 'Callback rejected'
+    });
+  };
+
+  try {
+    if (isIpCheckEnabled() && !isAllowedIp(req.ip)) {
+      return reject(403, 'Source IP not allowed');
+    }
+
+    const reference = options.reference || req.query.ref;
+    const standing = Boolean(options.reference);
+    const { n: urlNonce, exp: expiresAt } = req.query;
+
+    if (!standing && (!urlNonce || !expiresAt)) {
+      return reject(401, 'Callback URL has no nonce or expiry');
+    }
+
+    const valid = standing
+      ? mpesaService.verifyCallbackToken(reference, req.query.token)
+      : mpesaService.verifyCallbackToken(reference, req.query.token, urlNonce, expiresAt);
+    if (!valid) {
+      return reject(401, 'Invalid callback token');
+    }
+
+    if (!standing && !(Number(expiresAt) * 1000 > Date.now())) {
+      return reject(401, 'Callback URL expired');
+    }
+
+    if (standing) {
+      const replayKey = options.replayKey && options.replayKey(req);
+      if (!replayKey) {
+        return reject(400, 'Callback has no replay key');
+      }
+
+      const claimed = await CallbackNonce.consume(`${route}:${replayKey}`, route, REPLAY_KEY_TTL_SECONDS);
+      if (!claimed) {
+        return reject(409, 'Callback already processed');
+      }
+
+      // Only a processed callback uses the key up
+      res.on('finish', () => {
+        if (res.statusCode >= 300) {
+          CallbackNonce.release(`${route}:${replayKey}`).catch(error => {
+            logger.error('Failed to release callback replay key', { route, error: error.message });
+          });
+        }
+      });
+    }
+
+    const signature = req.get('x-mpesa-signature');
+    const timestamp = req.get('x-mpesa-timestamp');
+    const nonce = req.get('x-mpesa-nonce');
+    const requireSignature = process.env.MPESA_CALLBACK_REQUIRE_SIGNATURE === 'true';
+
+    if (requireSignature || signature || timestamp || nonce) {
+      if (!signature || !timestamp || !nonce) {
+        return reject(401, 'Missing signature headers');
+      }
+
+      const sentAt = parseTimestamp(timestamp);
+      if (!sentAt || Math.abs(Date.now() - sentAt) > TOLERANCE_SECONDS * 1000) {
+        return reject(401, 'Callback timestamp outside tolerance');
+      }
+
+      if (!mpesaService.validateWebhookSignature(signature, timestamp, nonce, req.rawBody)) {
+        return reject(401, 'Invalid callback signature');
+      }
+
+      const fresh = await CallbackNonce.consume(nonce, route, TOLERANCE_SECONDS * 2);
+      if (!fresh) {
+        return reject(409, 'Replayed callback nonce');
+      }
+    }
+
+    req.callbackReference = reference;
+    next();
+  } catch (error) {
+    logger.error('Error authenticating M-Pesa callback:', error);
+    res.status(500).json({
+      ResultCode: 1,
+      ResultDesc: 'Callback validation failed'
+    });
+  }
+};
+
+module.exports = callbackAuth;
@@ -0,0 +1,104 @@
+const rateLimit = require('express-rate-limit');
+const merchantService = require('../services/merchantService');
+const AuditLog = require('../models/AuditLog');
+const CallbackNonce = require('../models/CallbackNonce');
+const logger = require('../utils/logger');
+
+const TOLERANCE_SECONDS = parseInt(process.env.MERCHANT_SIGNATURE_TOLERANCE_SECONDS) || 300;
+
+// Authenticates merchant API requests. Each request carries the API key as a bearer
+// token, a unix timestamp in X-Pesa-Timestamp, a unique X-Pesa-Nonce and, in
+// X-Pesa-Signature, the HMAC-SHA256 of
+// '<METHOD>\n<path and query>\n<timestamp>\n<nonce>\n<raw body>' made with the key's
+// signing secret. A nonce is accepted once within the tolerance window.
+const merchantAuth = async (req, res, next) => {
+  const reject = async (reason, merchant) => {
+    logger.warn('Merchant API request rejected', { reason, path: req.originalUrl, ip: req.ip });
+
+    await AuditLog.record({
+      action: 'merchant.request.rejected',
+      outcome: 'denied',
+      actor_type: 'merchant',
+      actor_id: merchant ? merchant.id : undefined,
+      target_type: 'merchant_api',
+      target_id: req.originalUrl,
+      reason,
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent')
+    });
+
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication failed'
+    });
+  };
+
+  try {
+    const authHeader = req.get('Authorization') || '';
+    if (!authHeader.startsWith('Bearer ')) {
+      return reject('Missing API key');
+    }
+
+    const authenticated = await merchantService.authenticate(authHeader.substring(7).trim());
+    if (!authenticated) {
+      return reject('Invalid API key');
+    }
+
+    const { merchant, key } = authenticated;
+    const timestamp = req.get('X-Pesa-Timestamp');
+    const nonce = req.get('X-Pesa-Nonce');
+    const signature = req.get('X-Pesa-Signature');
+
+    if (!timestamp || !nonce || !signature) {
+      return reject('Missing signature headers', merchant);
+    }
+
+    if (!/^\d+$/.test(timestamp) || Math.abs(Date.now() / 1000 - parseInt(timestamp)) > TOLERANCE_SECONDS) {
+      return reject('Request timestamp outside tolerance', merchant);
+    }
+
+    if (!/^[A-Za-z0-9_-]{16,64}$/.test(nonce)) {
+      return reject('Invalid request nonce', merchant);
+    }
+
+    const body = req.rawBody ? req.rawBody.toString('utf8') : '';
+    const request = { method: req.method, path: req.originalUrl, timestamp, nonce, body };
+    if (!merchantService.verifySignature(key, request, signature)) {
+      return reject('Invalid request signature', merchant);
+    }
+
+    // Signed requests cannot be replayed while their timestamp is still accepted
+    const fresh = await CallbackNonce.consume(`merchant:${merchant.id}:${nonce}`, 'merchant_api', TOLERANCE_SECONDS * 2);
+    if (!fresh) {
+      return reject('Replayed request nonce', merchant);
+    }
+
+    req.merchant = merchant;
+    req.merchantKeyId = key.key_id;
+    next();
+  } catch (error) {
+    logger.error('Merchant authentication error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error during authentication'
+    });
+  }
+};
+
+// Per-merchant limit from Merchant.rate_limit_per_minute; runs after merchantAuth
+const merchantRateLimit = rateLimit({
+  windowMs: 60 * 1000,
+  max: (req) => req.merchant.rate_limit_per_minute,
+  keyGenerator: (req) => req.merchant.id,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    error: 'Rate limit exceeded for this merchant, please slow down.'
+  }
+});
+
+module.exports = {
+  merchantAuth,
+  merchantRateLimit
+};
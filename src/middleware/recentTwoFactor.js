@@ -0,0 +1,18 @@
+const twoFactorService = require('../services/twoFactorService');
+
+// For users with two-factor on, requires a code entered in this session within
+// TWO_FACTOR_RECENT_MINUTES. Runs after auth.
+const recentTwoFactor = (req, res, next) => {
+  try {
+    twoFactorService.assertRecent(req.user);
+    next();
+  } catch (error) {
+    res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+};
+
+module.exports = recentTwoFactor;
@@ -0,0 +1,35 @@
+const AuditLog = require('../models/AuditLog');
+const logger = require('../utils/logger');
+const { hasPermission } = require('../utils/permissions');
+
+// Lets through users whose role grants every listed permission. Runs after auth.
+const requirePermission = (...permissions) => async (req, res, next) => {
+  const role = req.user && req.user.role;
+  const missing = permissions.filter(permission => !hasPermission(role, permission));
+
+  if (req.user && missing.length === 0) {
+    return next();
+  }
+
+  logger.warn('Permission denied', { userId: req.user && req.user.id, role, missing, path: req.originalUrl });
+
+  await AuditLog.record({
+    action: 'admin.access.denied',
+    outcome: 'denied',
+    actor_type: 'user',
+    actor_id: req.user ? String(req.user.id) : undefined,
+    target_type: 'admin_api',
+    target_id: req.originalUrl,
+    reason: `Missing permission: ${missing.join(', ')}`,
+    ip_address: req.ip,
+    user_agent: req.get('User-Agent'),
+    metadata: { role }
+  });
+
+  res.status(403).json({
+    success: false,
+    error: 'Access denied'
+  });
+};
+
+module.exports = requirePermission;
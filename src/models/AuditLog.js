@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true,
+    maxlength: 100
+  },
+  outcome: {
+    type: String,
+    enum: ['success', 'failure', 'denied'],
+    default: 'success'
+  },
+  actor_type: {
+    type: String,
+    enum: ['user', 'merchant', 'system', 'external'],
+    default: 'system'
+  },
+  actor_id: {
+    type: String
+  },
+  target_type: {
+    type: String,
+    maxlength: 50
+  },
+  target_id: {
+    type: String
+  },
+  reason: {
+    type: String,
+    maxlength: 255
+  },
+  ip_address: {
+    type: String
+  },
+  user_agent: {
+    type: String,
+    maxlength: 255
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ target_type: 1, target_id: 1, createdAt: -1 });
+auditLogSchema.index({ actor_type: 1, actor_id: 1, createdAt: -1 });
+
+// Audit entries are written once and never changed
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Audit log entries are append-only'));
+  }
+  next();
+});
+
+// Static methods
+
+// Writes an entry without ever failing the caller; audit problems are logged instead
+auditLogSchema.statics.record = async function(entry) {
+  try {
+    return await this.create(entry);
+  } catch (error) {
+    logger.error('Failed to write audit log entry', { action: entry.action, error: error.message });
+    return null;
+  }
+};
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
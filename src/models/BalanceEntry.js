@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// History of a prepaid card balance. Each entry records one change and the balance
+// right after it.
+const balanceEntrySchema = new mongoose.Schema({
+  card_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VirtualCard',
+    required: true
+  },
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  idempotency_key: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['topup', 'debit', 'refund', 'reversal', 'adjustment'],
+    required: true
+  },
+  direction: {
+    type: String,
+    enum: ['credit', 'debit'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  balance_after: {
+    type: Number,
+    required: true
+  },
+  transaction_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  refund_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund'
+  },
+  description: {
+    type: String,
+    maxlength: 255
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+balanceEntrySchema.index({ idempotency_key: 1 }, { unique: true });
+balanceEntrySchema.index({ card_id: 1, createdAt: -1 });
+balanceEntrySchema.index({ transaction_id: 1 });
+
+balanceEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Balance entries are append-only'));
+  }
+  next();
+});
+
+// Static methods
+balanceEntrySchema.statics.findByCard = function(cardId, options = {}) {
+  const { limit = 20, skip = 0 } = options;
+  return this.find({ card_id: cardId })
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+};
+
+const BalanceEntry = mongoose.model('BalanceEntry', balanceEntrySchema);
+
+module.exports = BalanceEntry;
@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+
+// How long a delivery may hold a record in 'processing' before a retry can take it over
+const PROCESSING_LEASE_MS = parseInt(process.env.CALLBACK_PROCESSING_LEASE_MS) || 60 * 1000;
+
+const callbackInboxSchema = new mongoose.Schema({
+  checkout_request_id: {
+    type: String,
+    required: true
+  },
+  merchant_request_id: {
+    type: String
+  },
+  mpesa_receipt_number: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'failed'],
+    default: 'processing'
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  error: {
+    type: String,
+    maxlength: 255
+  },
+  delivery_count: {
+    type: Number,
+    default: 1
+  },
+  lease_expires_at: {
+    type: Date
+  },
+  last_received_at: {
+    type: Date,
+    default: Date.now
+  },
+  processed_at: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+callbackInboxSchema.index({ checkout_request_id: 1 }, { unique: true });
+callbackInboxSchema.index({ mpesa_receipt_number: 1 }, { unique: true, sparse: true });
+callbackInboxSchema.index({ status: 1 });
+
+// Instance methods
+callbackInboxSchema.methods.markProcessed = function(result) {
+  this.status = 'processed';
+  this.result = result;
+  this.error = undefined;
+  this.processed_at = new Date();
+  this.lease_expires_at = undefined;
+  return this.save();
+};
+
+callbackInboxSchema.methods.markFailed = function(error) {
+  this.status = 'failed';
+  this.error = String(error).substring(0, 255);
+  this.lease_expires_at = undefined;
+  return this.save();
+};
+
+// Static methods
+
+// Records a callback delivery. Returns { record, claimed }, where claimed is true only for
+// the single delivery that should process it: the first one, or a retry of a failed or
+// abandoned one. Every other delivery is a replay.
+callbackInboxSchema.statics.claim = async function(callbackData) {
+  const { checkoutRequestID, merchantRequestID, mpesaReceiptNumber } = callbackData;
+  const now = new Date();
+  const leaseExpiresAt = new Date(now.getTime() + PROCESSING_LEASE_MS);
+
+  try {
+    const record = await this.create({
+      checkout_request_id: checkoutRequestID,
+      merchant_request_id: merchantRequestID,
+      mpesa_receipt_number: mpesaReceiptNumber,
+      lease_expires_at: leaseExpiresAt,
+      last_received_at: now
+    });
+    return { record, claimed: true };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const identity = mpesaReceiptNumber
+    ? { $or: [{ checkout_request_id: checkoutRequestID }, { mpesa_receipt_number: mpesaReceiptNumber }] }
+    : { checkout_request_id: checkoutRequestID };
+
+  const reclaimed = await this.findOneAndUpdate(
+    {
+      ...identity,
+      $and: [{
+        $or: [
+          { status: 'failed' },
+          { status: 'processing', lease_expires_at: { $lt: now } }
+        ]
+      }]
+    },
+    {
+      $set: { status: 'processing', lease_expires_at: leaseExpiresAt, last_received_at: now },
+      $inc: { delivery_count: 1 }
+    },
+    { new: true }
+  );
+
+  if (reclaimed) {
+    return { record: reclaimed, claimed: true };
+  }
+
+  const record = await this.findOneAndUpdate(
+    identity,
+    { $set: { last_received_at: now }, $inc: { delivery_count: 1 } },
+    { new: true }
+  );
+
+  return { record, claimed: false };
+};
+
+const CallbackInbox = mongoose.model('CallbackInbox', callbackInboxSchema);
+
+module.exports = CallbackInbox;
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Nonces of accepted callbacks, used callback URLs and signed merchant requests, kept
+// for the replay window and then expired by MongoDB
+const callbackNonceSchema = new mongoose.Schema({
+  nonce: {
+    type: String,
+    required: true
+  },
+  route: {
+    type: String
+  },
+  expires_at: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+callbackNonceSchema.index({ nonce: 1 }, { unique: true });
+callbackNonceSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+// Static methods
+
+// Returns false when the nonce was already used inside the replay window
+callbackNonceSchema.statics.consume = async function(nonce, route, ttlSeconds) {
+  try {
+    await this.create({
+      nonce,
+      route,
+      expires_at: new Date(Date.now() + ttlSeconds * 1000)
+    });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Frees a nonce whose callback could not be processed, so the retry is accepted
+callbackNonceSchema.statics.release = function(nonce) {
+  return this.deleteOne({ nonce });
+};
+
+const CallbackNonce = mongoose.model('CallbackNonce', callbackNonceSchema);
+
+module.exports = CallbackNonce;
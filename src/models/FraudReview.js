@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// An authorization held in 'under_review' until an analyst decides on it. Reviews still
+// open at sla_due_at are declined automatically.
+const fraudReviewSchema = new mongoose.Schema({
+  transaction_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true
+  },
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  card_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VirtualCard',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  risk_score: {
+    type: Number
+  },
+  indicators: {
+    type: [String],
+    default: []
+  },
+  status: {
+    type: String,
+    enum: ['open', 'approved', 'declined', 'expired'],
+    default: 'open'
+  },
+  sla_due_at: {
+    type: Date,
+    required: true
+  },
+  decision: {
+    type: String,
+    enum: ['approve', 'decline', 'block_card', 'sla_expired']
+  },
+  decided_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: {
+    type: String,
+    maxlength: 500
+  },
+  decided_at: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+fraudReviewSchema.index({ transaction_id: 1 }, { unique: true });
+fraudReviewSchema.index({ status: 1, sla_due_at: 1 });
+fraudReviewSchema.index({ card_id: 1, status: 1 });
+
+// Static methods
+fraudReviewSchema.statics.open = function(transaction, slaMinutes) {
+  return this.create({
+    transaction_id: transaction._id,
+    user_id: transaction.user_id,
+    card_id: transaction.card_id,
+    amount: transaction.amount_kes,
+    risk_score: transaction.risk ? transaction.risk.score : undefined,
+    indicators: transaction.risk && transaction.risk.rules
+      ? transaction.risk.rules.map(rule => rule.detail ? `${rule.name}: ${rule.detail}` : rule.name)
+      : [],
+    sla_due_at: new Date(Date.now() + slaMinutes * 60 * 1000)
+  });
+};
+
+fraudReviewSchema.statics.findOverdue = function() {
+  return this.find({ status: 'open', sla_due_at: { $lt: new Date() } }).sort({ sla_due_at: 1 });
+};
+
+const FraudReview = mongoose.model('FraudReview', fraudReviewSchema);
+
+module.exports = FraudReview;
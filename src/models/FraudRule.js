@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// A declarative fraud rule. type selects the evaluator in fraudService and params
+// configure it; a rule that fires adds its score and proposes its action.
+const fraudRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    maxlength: 255
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  params: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  action: {
+    type: String,
+    enum: ['allow', 'review', 'step_up', 'decline'],
+    default: 'review'
+  },
+  score: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+fraudRuleSchema.index({ name: 1 }, { unique: true });
+
+// Static methods
+fraudRuleSchema.statics.findEnabled = function() {
+  return this.find({ enabled: true }).sort({ name: 1 });
+};
+
+const FraudRule = mongoose.model('FraudRule', fraudRuleSchema);
+
+module.exports = FraudRule;
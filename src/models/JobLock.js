@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const jobLockSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  owner: {
+    type: String,
+    required: true
+  },
+  locked_until: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+jobLockSchema.index({ name: 1 }, { unique: true });
+
+// Static methods
+
+// Takes (or extends) the named lock for ttlMs. Returns false while another owner holds it.
+jobLockSchema.statics.acquire = async function(name, owner, ttlMs) {
+  const now = new Date();
+
+  try {
+    const lock = await this.findOneAndUpdate(
+      { name, $or: [{ locked_until: { $lt: now } }, { owner }] },
+      { $set: { owner, locked_until: new Date(now.getTime() + ttlMs) } },
+      { upsert: true, new: true }
+    );
+    return !!lock;
+  } catch (error) {
+    // The upsert collided with a lock document held by someone else
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+jobLockSchema.statics.release = function(name, owner) {
+  return this.updateOne({ name, owner }, { $set: { locked_until: new Date(0) } });
+};
+
+const JobLock = mongoose.model('JobLock', jobLockSchema);
+
+module.exports = JobLock;
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+
+// Chart of accounts. Debits to cardholder_spend count against card and user limits.
+const LEDGER_ACCOUNTS = [
+  'cardholder_spend',
+  'pending_settlement',
+  'merchant_settlement'
+];
+
+const ledgerLineSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    enum: LEDGER_ACCOUNTS,
+    required: true
+  },
+  direction: {
+    type: String,
+    enum: ['debit', 'credit'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+// One balanced journal entry. Entries are never updated or deleted; corrections are
+// posted as new reversal or refund entries.
+const ledgerEntrySchema = new mongoose.Schema({
+  idempotency_key: {
+    type: String,
+    required: true
+  },
+  entry_type: {
+    type: String,
+    enum: ['authorization', 'capture', 'reversal', 'refund'],
+    required: true
+  },
+  transaction_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true
+  },
+  card_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VirtualCard',
+    required: true
+  },
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'KES',
+    maxlength: 3
+  },
+  lines: {
+    type: [ledgerLineSchema],
+    required: true
+  },
+  // Limit windows are evaluated on this date, so a reversal or refund restores
+  // headroom in the window of the original authorization
+  effective_at: {
+    type: Date,
+    required: true
+  },
+  description: {
+    type: String,
+    maxlength: 255
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+ledgerEntrySchema.index({ idempotency_key: 1 }, { unique: true });
+ledgerEntrySchema.index({ transaction_id: 1 });
+ledgerEntrySchema.index({ card_id: 1, effective_at: -1 });
+ledgerEntrySchema.index({ user_id: 1, effective_at: -1 });
+
+// Every entry must balance
+ledgerEntrySchema.pre('validate', function(next) {
+  const totals = { debit: 0, credit: 0 };
+  this.lines.forEach(line => {
+    totals[line.direction] += line.amount;
+  });
+
+  if (this.lines.length < 2 || Math.abs(totals.debit - totals.credit) > 0.0001) {
+    return next(new Error('Ledger entry is not balanced'));
+  }
+
+  next();
+});
+
+ledgerEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Ledger entries are append-only'));
+  }
+  next();
+});
+
+ledgerEntrySchema.statics.ACCOUNTS = LEDGER_ACCOUNTS;
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+
+module.exports = LedgerEntry;
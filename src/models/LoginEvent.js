@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const LOGIN_OUTCOMES = [
+  'success',
+  'two_factor_required',
+  'two_factor_failed',
+  'invalid_password',
+  'unknown_user',
+  'account_locked',
+  'account_inactive',
+  'password_reset'
+];
+
+// One sign-in attempt, kept as the user's login history
+const loginEventSchema = new mongoose.Schema({
+  // Not set for attempts on an email with no account
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  outcome: {
+    type: String,
+    enum: LOGIN_OUTCOMES,
+    required: true
+  },
+  ip_address: {
+    type: String
+  },
+  user_agent: {
+    type: String,
+    maxlength: 255
+  },
+  device: {
+    type: String,
+    maxlength: 100
+  },
+  device_hash: {
+    type: String
+  },
+  session_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session'
+  },
+  // Set on successful logins from a browser or IP the user had not signed in from before
+  new_device: {
+    type: Boolean,
+    default: false
+  },
+  new_ip: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+loginEventSchema.index({ user_id: 1, createdAt: -1 });
+loginEventSchema.index({ user_id: 1, outcome: 1, device_hash: 1 });
+loginEventSchema.index({ user_id: 1, outcome: 1, ip_address: 1 });
+loginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 });
+
+// Static methods
+loginEventSchema.statics.hasSucceededFrom = function(userId, query) {
+  return this.exists({ user_id: userId, outcome: 'success', ...query });
+};
+
+const LoginEvent = mongoose.model('LoginEvent', loginEventSchema);
+
+module.exports = LoginEvent;
@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+
+// API credentials. The key secret is stored as a SHA-256 hash; the request signing
+// secret has to be usable, so it is stored encrypted.
+const apiKeySchema = new mongoose.Schema({
+  key_id: {
+    type: String,
+    required: true
+  },
+  secret_hash: {
+    type: String,
+    required: true
+  },
+  signing_secret: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'revoked'],
+    default: 'active'
+  },
+  // Set on the previous key during rotation so integrations can switch over
+  expires_at: {
+    type: Date
+  },
+  last_used_at: {
+    type: Date
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const merchantSchema = new mongoose.Schema({
+  merchant_code: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 255
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  merchant_category: {
+    type: String,
+    maxlength: 4
+  },
+  status: {
+    type: String,
+    enum: ['active', 'suspended'],
+    default: 'active'
+  },
+  // Requests per minute across all of the merchant's keys
+  rate_limit_per_minute: {
+    type: Number,
+    default: 60,
+    min: 1
+  },
+  api_keys: {
+    type: [apiKeySchema],
+    default: []
+  },
+  // Outbound event deliveries; an empty webhook_events list means every event type
+  webhook_url: {
+    type: String,
+    trim: true,
+    maxlength: 2048
+  },
+  webhook_secret: {
+    type: String
+  },
+  webhook_events: {
+    type: [String],
+    default: []
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      ret.api_keys = (ret.api_keys || []).map(key => ({
+        key_id: key.key_id,
+        status: key.status,
+        expires_at: key.expires_at,
+        last_used_at: key.last_used_at,
+        created_at: key.created_at
+      }));
+      delete ret.webhook_secret;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+merchantSchema.index({ merchant_code: 1 }, { unique: true });
+merchantSchema.index({ 'api_keys.key_id': 1 }, { unique: true, sparse: true });
+
+// Instance methods
+merchantSchema.methods.isActive = function() {
+  return this.status === 'active';
+};
+
+merchantSchema.methods.getUsableKey = function(keyId) {
+  const key = this.api_keys.find(candidate => candidate.key_id === keyId);
+  if (!key || key.status !== 'active') return null;
+  if (key.expires_at && key.expires_at < new Date()) return null;
+  return key;
+};
+
+merchantSchema.methods.isSubscribedTo = function(eventType) {
+  if (!this.webhook_url) return false;
+  return this.webhook_events.length === 0 || this.webhook_events.includes(eventType);
+};
+
+// Static methods
+merchantSchema.statics.findByKeyId = function(keyId) {
+  return this.findOne({ 'api_keys.key_id': keyId });
+};
+
+merchantSchema.statics.findByCode = function(merchantCode) {
+  return this.findOne({ merchant_code: merchantCode });
+};
+
+const Merchant = mongoose.model('Merchant', merchantSchema);
+
+module.exports = Merchant;
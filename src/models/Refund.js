@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+
+// Money paid back to the cardholder, through B2C or to the prepaid card balance. A 'refund'
+// returns captured funds; a 'reversal' returns funds collected for a hold that was voided
+// or released.
+const refundSchema = new mongoose.Schema({
+  transaction_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true
+  },
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  card_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VirtualCard',
+    required: true
+  },
+  refund_reference: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['refund', 'reversal'],
+    default: 'refund'
+  },
+  // Purchases paid from a prepaid balance are refunded to that balance, not M-Pesa
+  destination: {
+    type: String,
+    enum: ['mpesa', 'card_balance'],
+    default: 'mpesa'
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  reason: {
+    type: String,
+    maxlength: 255
+  },
+  requested_by: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed'],
+    default: 'pending'
+  },
+  mpesa_phone: {
+    type: String
+  },
+  mpesa_conversation_id: {
+    type: String
+  },
+  mpesa_originator_conversation_id: {
+    type: String
+  },
+  mpesa_transaction_id: {
+    type: String
+  },
+  mpesa_result_code: {
+    type: Number
+  },
+  mpesa_result_desc: {
+    type: String,
+    maxlength: 255
+  },
+  completed_at: {
+    type: Date
+  },
+  // A B2C request that timed out in Daraja's queue may still be paid, so the refund
+  // stays processing until a transaction status query settles it
+  timed_out_at: {
+    type: Date
+  },
+  status_checked_at: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+refundSchema.index({ transaction_id: 1 });
+refundSchema.index({ user_id: 1, createdAt: -1 });
+refundSchema.index({ refund_reference: 1 }, { unique: true });
+refundSchema.index({ mpesa_conversation_id: 1 }, { unique: true, sparse: true });
+refundSchema.index({ mpesa_originator_conversation_id: 1 }, { sparse: true });
+refundSchema.index({ status: 1 });
+
+// Static methods
+refundSchema.statics.findByConversationId = function(conversationId, originatorConversationId) {
+  const conditions = [{ mpesa_conversation_id: conversationId }];
+  if (originatorConversationId) {
+    conditions.push({ mpesa_originator_conversation_id: originatorConversationId });
+  }
+  return this.findOne({ $or: conditions });
+};
+
+// B2C refunds still waiting for a result that was last checked (or sent) before `before`
+refundSchema.statics.findUnsettled = function(before) {
+  return this.find({
+    status: 'processing',
+    mpesa_originator_conversation_id: { $exists: true },
+    $or: [
+      { status_checked_at: { $lt: before } },
+      { status_checked_at: null, updatedAt: { $lt: before } }
+    ]
+  }).sort({ updatedAt: 1 });
+};
+
+refundSchema.statics.findByTransaction = function(transactionId) {
+  return this.find({ transaction_id: transactionId }).sort({ createdAt: -1 });
+};
+
+const Refund = mongoose.model('Refund', refundSchema);
+
+module.exports = Refund;
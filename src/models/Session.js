@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const REVOKE_REASONS = ['logout', 'user_revoked', 'password_changed', 'token_reuse', 'expired', 'account_deactivated'];
+
+// A signed-in device. Access tokens name the session they were issued for, so revoking
+// it ends them too; the refresh token changes on every use.
+const sessionSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refresh_token_hash: {
+    type: String,
+    required: true
+  },
+  // Earlier refresh tokens of this session; presenting one again means it was copied
+  previous_token_hashes: {
+    type: [String],
+    default: []
+  },
+  user_agent: {
+    type: String,
+    maxlength: 255
+  },
+  device: {
+    type: String,
+    maxlength: 100
+  },
+  ip_address: {
+    type: String
+  },
+  created_ip: {
+    type: String
+  },
+  // Last time the user entered a two-factor code in this session
+  two_factor_verified_at: {
+    type: Date
+  },
+  last_used_at: {
+    type: Date,
+    default: Date.now
+  },
+  expires_at: {
+    type: Date,
+    required: true
+  },
+  revoked_at: {
+    type: Date
+  },
+  revoked_reason: {
+    type: String,
+    enum: REVOKE_REASONS
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+sessionSchema.index({ refresh_token_hash: 1 }, { unique: true });
+sessionSchema.index({ user_id: 1, revoked_at: 1, expires_at: 1 });
+// Ended sessions are kept for a month for the user's security history
+sessionSchema.index({ expires_at: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// Instance methods
+sessionSchema.methods.isActive = function() {
+  return !this.revoked_at && this.expires_at > new Date();
+};
+
+// Static methods
+sessionSchema.statics.findActiveByUser = function(userId) {
+  return this.find({
+    user_id: userId,
+    revoked_at: null,
+    expires_at: { $gt: new Date() }
+  }).sort({ last_used_at: -1 });
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// A stand-in decision that the cardholder's STK answer later contradicted. 'collect'
+// means we approved but were never paid; 'reverse' means we declined but were paid.
+const standInMismatchSchema = new mongoose.Schema({
+  transaction_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true
+  },
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  card_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VirtualCard',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  stand_in_decision: {
+    type: String,
+    enum: ['approved', 'declined'],
+    required: true
+  },
+  final_status: {
+    type: String,
+    required: true
+  },
+  action_required: {
+    type: String,
+    enum: ['collect', 'reverse'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved'],
+    default: 'open'
+  },
+  resolution: {
+    type: String,
+    maxlength: 255
+  },
+  resolved_at: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+standInMismatchSchema.index({ transaction_id: 1 }, { unique: true });
+standInMismatchSchema.index({ status: 1, action_required: 1, createdAt: -1 });
+standInMismatchSchema.index({ user_id: 1, createdAt: -1 });
+
+// Static methods
+standInMismatchSchema.statics.findOpen = function(actionRequired) {
+  const query = { status: 'open' };
+  if (actionRequired) {
+    query.action_required = actionRequired;
+  }
+  return this.find(query).sort({ createdAt: 1 });
+};
+
+const StandInMismatch = mongoose.model('StandInMismatch', standInMismatchSchema);
+
+module.exports = StandInMismatch;
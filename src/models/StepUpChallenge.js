@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// A request to re-verify the user before a sensitive action. Once verified it carries
+// a short-lived, single-use token for that action on that target.
+const stepUpChallengeSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['card_reveal', 'password_reset'],
+    required: true
+  },
+  target_id: {
+    type: String,
+    required: true
+  },
+  method: {
+    type: String,
+    enum: ['password', 'otp'],
+    required: true
+  },
+  // HMAC of the one-time code sent for 'otp'
+  code_hash: {
+    type: String
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'verified', 'failed', 'used'],
+    default: 'pending'
+  },
+  expires_at: {
+    type: Date,
+    required: true
+  },
+  token_hash: {
+    type: String
+  },
+  token_expires_at: {
+    type: Date
+  },
+  verified_at: {
+    type: Date
+  },
+  used_at: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+stepUpChallengeSchema.index({ token_hash: 1 }, { unique: true, sparse: true });
+stepUpChallengeSchema.index({ purpose: 1, target_id: 1, createdAt: -1 });
+// Kept for a day so per-target rate limits can count them
+stepUpChallengeSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// Static methods
+stepUpChallengeSchema.statics.countSince = function(query, since) {
+  return this.countDocuments({ ...query, createdAt: { $gte: since } });
+};
+
+const StepUpChallenge = mongoose.model('StepUpChallenge', stepUpChallengeSchema);
+
+module.exports = StepUpChallenge;
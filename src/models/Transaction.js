@@ -1,4 +1,86 @@
 const mongoose = require('mongoose');
+const { InvalidTransitionError } = require('../utils/errors');
+
+// Allowed status transitions. Terminal statuses map to an empty list.
+const STATUS_TRANSITIONS = {
+  pending_authorization: ['stk_push_sent', 'under_review', 'approved', 'declined', 'failed', 'expired', 'cancelled'],
+  under_review: ['stk_push_sent', 'approved', 'declined', 'failed', 'expired', 'cancelled'],
+  stk_push_sent: ['awaiting_user_response', 'approved', 'declined', 'failed', 'expired', 'cancelled'],
+  awaiting_user_response: ['approved', 'declined', 'failed', 'expired', 'cancelled'],
+  approved: ['voided'],
+  declined: [],
+  failed: [],
+  expired: [],
+  cancelled: [],
+  voided: []
+};
+
+const statusHistorySchema = new mongoose.Schema({
+  from: {
+    type: String,
+    immutable: true
+  },
+  to: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  actor: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  reason: {
+    type: String,
+    maxlength: 255,
+    immutable: true
+  },
+  at: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+}, { _id: false });
+
+const captureSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  final: {
+    type: Boolean,
+    default: false
+  },
+  actor: {
+    type: String,
+    required: true
+  },
+  captured_at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const riskRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String
+  },
+  action: {
+    type: String
+  },
+  score: {
+    type: Number
+  },
+  detail: {
+    type: String,
+    maxlength: 255
+  }
+}, { _id: false });
 
 const transactionSchema = new mongoose.Schema({
   user_id: {
@@ -15,6 +97,18 @@ const transactionSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // 'card_funding' is an STK top-up of a prepaid card balance
+  type: {
+    type: String,
+    enum: ['purchase', 'card_funding'],
+    default: 'purchase'
+  },
+  // Where a purchase was paid from: an STK push or the prepaid card balance
+  funding_source: {
+    type: String,
+    enum: ['mpesa', 'card_balance'],
+    default: 'mpesa'
+  },
   amount: {
     type: Number,
     required: true
@@ -43,20 +137,20 @@ const transactionSchema = new mongoose.Schema({
     type: String,
     maxlength: 100
   },
+  // Set when the merchant API submitted the transaction
+  merchant_account_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Merchant'
+  },
   status: {
     type: String,
-    enum: [
-      'pending_authorization',
-      'stk_push_sent',
-      'awaiting_user_response',
-      'approved',
-      'declined',
-      'failed',
-      'expired',
-      'cancelled'
-    ],
+    enum: Object.keys(STATUS_TRANSITIONS),
     default: 'pending_authorization'
   },
+  status_history: {
+    type: [statusHistorySchema],
+    default: []
+  },
   mpesa_checkout_request_id: {
     type: String
   },
@@ -94,12 +188,108 @@ const transactionSchema = new mongoose.Schema({
   timeout_at: {
     type: Date
   },
+  // Set while the transaction sweeper is querying M-Pesa about the transaction
+  sweep_locked_until: {
+    type: Date
+  },
+  // Authorization hold. 'automatic' captures the full amount on approval; 'manual'
+  // keeps the hold open until captured, voided or released after hold_expires_at.
+  capture_mode: {
+    type: String,
+    enum: ['automatic', 'manual'],
+    default: 'automatic'
+  },
+  hold_status: {
+    type: String,
+    enum: ['open', 'closed']
+  },
+  hold_expires_at: {
+    type: Date
+  },
+  hold_closed_at: {
+    type: Date
+  },
+  captured_amount: {
+    type: Number,
+    default: 0
+  },
+  released_amount: {
+    type: Number,
+    default: 0
+  },
+  captures: {
+    type: [captureSchema],
+    default: []
+  },
+  // Amount committed to refunds, in flight or completed; never exceeds captured_amount
+  refunded_amount: {
+    type: Number,
+    default: 0
+  },
+  // Answer given to the acquirer on the cardholder's behalf when the STK outcome was not
+  // known within the decision budget. outcome compares it with the eventual STK result.
+  stand_in: {
+    decision: {
+      type: String,
+      enum: ['approved', 'declined']
+    },
+    response_code: {
+      type: String,
+      maxlength: 2
+    },
+    authorization_code: {
+      type: String,
+      maxlength: 10
+    },
+    reason: {
+      type: String,
+      maxlength: 255
+    },
+    decided_at: {
+      type: Date
+    },
+    outcome: {
+      type: String,
+      enum: ['matched', 'mismatch', 'reversed']
+    }
+  },
+  // Fraud rules assessment made before authorization
+  risk: {
+    score: {
+      type: Number,
+      min: 0,
+      max: 100
+    },
+    action: {
+      type: String,
+      enum: ['allow', 'review', 'step_up', 'decline']
+    },
+    rules: {
+      type: [riskRuleSchema],
+      default: undefined
+    },
+    ip: {
+      type: String
+    },
+    ip_country: {
+      type: String,
+      maxlength: 2
+    },
+    merchant_country: {
+      type: String,
+      maxlength: 2
+    },
+    evaluated_at: {
+      type: Date
+    }
+  },
   metadata: {
     type: mongoose.Schema.Types.Mixed,
     default: {}
   }
 }, {
   timestamps: true,
+  optimisticConcurrency: true,
   toJSON: { virtuals: true },
   toObject: { virtuals: true }
 });
@@ -114,6 +304,31 @@ transactionSchema.index({ transaction_reference: 1 }, { unique: true });
 transactionSchema.index({ mpesa_transaction_id: 1 }, { unique: true, sparse: true });
 transactionSchema.index({ 'user_id': 1, 'status': 1 });
 transactionSchema.index({ 'user_id': 1, 'created_at': -1 });
+transactionSchema.index({ hold_status: 1, hold_expires_at: 1 });
+transactionSchema.index({ card_id: 1, 'metadata.network.rrn': 1 }, { sparse: true });
+transactionSchema.index({ merchant_account_id: 1, 'metadata.network.merchant_reference': 1 }, { sparse: true });
+transactionSchema.index({ card_id: 1, createdAt: -1 });
+transactionSchema.index({ merchant_id: 1, createdAt: -1 });
+transactionSchema.index({ 'risk.ip': 1, createdAt: -1 }, { sparse: true });
+
+// Status may only change through transitionTo, which records the history entry
+transactionSchema.pre('save', function(next) {
+  if (this.isNew) {
+    if (this.status_history.length === 0) {
+      this.status_history.push({ from: null, to: this.status, actor: 'system', reason: 'created' });
+    }
+    return next();
+  }
+
+  if (this.isModified('status')) {
+    const last = this.status_history[this.status_history.length - 1];
+    if (!last || last.to !== this.status) {
+      return next(new InvalidTransitionError(last ? last.to : undefined, this.status, this._id));
+    }
+  }
+
+  next();
+});
 
 // Instance methods
 transactionSchema.methods.isExpired = function() {
@@ -126,7 +341,22 @@ transactionSchema.methods.setTimeout = function(minutes = 0.5) {
   return this.save();
 };
 
-transactionSchema.methods.updateStatus = async function(status, metadata = {}) {
+transactionSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Moves the transaction to a new status and appends the change to status_history.
+// Throws InvalidTransitionError for transitions the state machine does not allow,
+// including when a concurrent writer has already moved the transaction on.
+transactionSchema.methods.transitionTo = async function(status, options = {}) {
+  const { actor = 'system', reason, metadata = {}, fields = {} } = options;
+  const from = this.status;
+
+  if (!this.canTransitionTo(status)) {
+    throw new InvalidTransitionError(from, status, this._id);
+  }
+
+  this.set(fields);
   this.status = status;
   this.metadata = { ...this.metadata, ...metadata };
 
@@ -140,11 +370,32 @@ transactionSchema.methods.updateStatus = async function(status, metadata = {}) {
     case 'approved':
     case 'declined':
     case 'failed':
+    case 'expired':
+    case 'cancelled':
+    case 'voided':
       this.completed_at = new Date();
       break;
   }
 
-  return await this.save();
+  this.status_history.push({ from, to: status, actor, reason });
+
+  try {
+    return await this.save();
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) {
+      const current = await this.constructor.findById(this._id).select('status');
+      throw new InvalidTransitionError(current ? current.status : from, status, this._id);
+    }
+    throw error;
+  }
+};
+
+transactionSchema.methods.getUncapturedAmount = function() {
+  return Math.max(this.amount_kes - this.captured_amount, 0);
+};
+
+transactionSchema.methods.updateStatus = async function(status, metadata = {}, options = {}) {
+  return await this.transitionTo(status, { ...options, metadata });
 };
 
 // Static methods
@@ -178,16 +429,44 @@ transactionSchema.statics.findByUser = function(userId, options = {}) {
   }
   
   return this.find(query)
-    .populate('card_id', 'cardholder_name card_number_hash')
+    .populate('card_id', 'cardholder_name last4')
     .sort({ created_at: -1 })
     .limit(options.limit || 20)
     .skip(options.skip || 0);
 };
 
+const timedOutQuery = (now) => ({
+  status: { $in: ['stk_push_sent', 'awaiting_user_response'] },
+  timeout_at: { $lt: now },
+  $or: [{ sweep_locked_until: null }, { sweep_locked_until: { $lte: now } }]
+});
+
 transactionSchema.statics.findPendingTransactions = function() {
+  return this.find(timedOutQuery(new Date()));
+};
+
+// Takes a timed-out transaction for ttlMs so only one sweep queries M-Pesa about it.
+// Resolves with the claimed transaction, or null when it was claimed or finalized meanwhile.
+transactionSchema.statics.claimForSweep = function(id, ttlMs) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { _id: id, ...timedOutQuery(now) },
+    { $set: { sweep_locked_until: new Date(now.getTime() + ttlMs) } },
+    { new: true }
+  );
+};
+
+transactionSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+transactionSchema.statics.canTransition = function(from, to) {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+transactionSchema.statics.findExpiredHolds = function() {
   return this.find({
-    status: { $in: ['stk_push_sent', 'awaiting_user_response'] },
-    timeout_at: { $lt: new Date() }
+    status: 'approved',
+    hold_status: 'open',
+    hold_expires_at: { $lt: new Date() }
   });
 };
 
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES, hasPermission } = require('../utils/permissions');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -31,6 +32,19 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Staff roles unlock the admin API; see utils/permissions
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'user'
+  },
+  deactivated_at: {
+    type: Date
+  },
+  deactivation_reason: {
+    type: String,
+    maxlength: 500
+  },
   last_login: {
     type: Date
   },
@@ -49,6 +63,58 @@ const userSchema = new mongoose.Schema({
   reset_daily_spent_at: {
     type: Date,
     default: Date.now
+  },
+  // Progressive lockout after failed logins; lockout_level grows with each lockout
+  failed_login_attempts: {
+    type: Number,
+    default: 0
+  },
+  last_failed_login_at: {
+    type: Date
+  },
+  lockout_level: {
+    type: Number,
+    default: 0
+  },
+  locked_until: {
+    type: Date
+  },
+  // Two-factor authentication (TOTP). Secrets are vault envelopes and, like the backup
+  // code hashes, only loaded when asked for.
+  totp_enabled: {
+    type: Boolean,
+    default: false
+  },
+  totp_enabled_at: {
+    type: Date
+  },
+  totp_secret: {
+    type: String,
+    select: false
+  },
+  // Set during enrollment until the first code confirms it
+  totp_pending_secret: {
+    type: String,
+    select: false
+  },
+  // Time step of the last accepted code, so a code cannot be used twice
+  totp_last_step: {
+    type: Number
+  },
+  totp_failed_attempts: {
+    type: Number,
+    default: 0
+  },
+  totp_locked_until: {
+    type: Date
+  },
+  backup_codes: {
+    type: [{
+      _id: false,
+      code_hash: { type: String, required: true },
+      used_at: { type: Date }
+    }],
+    select: false
   }
 }, {
   timestamps: true,
@@ -60,6 +126,7 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1 }, { unique: true });
 userSchema.index({ username: 1 }, { unique: true });
 userSchema.index({ mpesa_phone: 1 });
+userSchema.index({ role: 1 });
 
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
@@ -79,39 +146,33 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+userSchema.methods.hasPermission = function(permission) {
+  return hasPermission(this.role, permission);
+};
+
 userSchema.methods.resetDailySpent = function() {
   this.total_daily_spent = 0.00;
   this.reset_daily_spent_at = new Date();
   return this.save();
 };
 
-userSchema.methods.canMakeTransaction = function(amount) {
-  const now = new Date();
-  const lastReset = new Date(this.reset_daily_spent_at);
-
-  // Reset daily spent if it's a new day
-  if (now.getDate() !== lastReset.getDate() ||
-      now.getMonth() !== lastReset.getMonth() ||
-      now.getFullYear() !== lastReset.getFullYear()) {
-    this.resetDailySpent();
-  }
-
+// dailySpent comes from ledgerService.getUserDailySpent; the cached counter is only a fallback
+userSchema.methods.canMakeTransaction = function(amount, dailySpent = this.total_daily_spent) {
   // Check single transaction limit
   if (amount > this.single_transaction_limit) {
     return { allowed: false, reason: 'Single transaction limit exceeded' };
   }
 
   // Check daily transaction limit
-  if ((this.total_daily_spent + amount) > this.daily_transaction_limit) {
+  if ((dailySpent + amount) > this.daily_transaction_limit) {
     return { allowed: false, reason: 'Daily transaction limit exceeded' };
   }
 
   return { allowed: true };
 };
 
-userSchema.methods.updateDailySpent = async function(amount) {
-  this.total_daily_spent += amount;
-  return await this.save();
+userSchema.methods.isLocked = function() {
+  return !!this.locked_until && this.locked_until > new Date();
 };
 
 // Static methods
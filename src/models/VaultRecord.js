@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// One value held by the card vault. The rest of the system only sees the token; the
+// value is envelope-encrypted (see utils/encryption) and bound to its token and purpose.
+const vaultRecordSchema = new mongoose.Schema({
+  token: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  purpose: {
+    type: String,
+    enum: ['pan', 'cvv'],
+    required: true,
+    immutable: true
+  },
+  // The card the value belongs to
+  owner_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VirtualCard'
+  },
+  key_id: {
+    type: String,
+    required: true
+  },
+  wrapped_key: {
+    type: String,
+    required: true
+  },
+  ciphertext: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  rotated_at: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+vaultRecordSchema.index({ token: 1 }, { unique: true });
+vaultRecordSchema.index({ key_id: 1 });
+vaultRecordSchema.index({ owner_id: 1 });
+
+// Static methods
+vaultRecordSchema.statics.findNotUnderKey = function(keyId) {
+  return this.find({ key_id: { $ne: keyId } });
+};
+
+const VaultRecord = mongoose.model('VaultRecord', vaultRecordSchema);
+
+module.exports = VaultRecord;
@@ -1,5 +1,101 @@
 const mongoose = require('mongoose');
-const crypto = require('crypto');
+const moment = require('moment');
+const encryption = require('../utils/encryption');
+
+// Spending window in East Africa Time. days are 0 (Sunday) to 6; a window whose end is
+// before its start runs past midnight.
+const timeWindowSchema = new mongoose.Schema({
+  days: {
+    type: [{ type: Number, min: 0, max: 6 }],
+    default: [0, 1, 2, 3, 4, 5, 6]
+  },
+  start: {
+    type: String,
+    required: true,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/
+  },
+  end: {
+    type: String,
+    required: true,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/
+  }
+}, { _id: false });
+
+// Why a card changed state. Cardholders can only undo what they did themselves.
+const LIFECYCLE_REASONS = [
+  'cardholder_request',
+  'lost',
+  'stolen',
+  'compromised',
+  'fraud_block',
+  'staff_review',
+  'upcoming_expiry',
+  'card_expired',
+  'time_box_elapsed',
+  'single_use_consumed',
+  'replacement'
+];
+
+const lifecycleEventSchema = new mongoose.Schema({
+  event: {
+    type: String,
+    enum: ['issued', 'frozen', 'unfrozen', 'replaced', 'renewed', 'cancelled', 'expired'],
+    required: true,
+    immutable: true
+  },
+  reason_code: {
+    type: String,
+    enum: LIFECYCLE_REASONS,
+    required: true,
+    immutable: true
+  },
+  from_status: {
+    type: String,
+    immutable: true
+  },
+  to_status: {
+    type: String,
+    immutable: true
+  },
+  actor: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  note: {
+    type: String,
+    maxlength: 255,
+    immutable: true
+  },
+  // The replacement or replaced card
+  related_card_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VirtualCard',
+    immutable: true
+  },
+  at: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+}, { _id: false });
+
+// EAT is UTC+3 all year
+const EAT_OFFSET_MINUTES = 180;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Tokens and legacy ciphertext never leave the model
+function hideCardData(doc, ret) {
+  delete ret.pan_token;
+  delete ret.cvv_token;
+  delete ret.card_number;
+  delete ret.cvv;
+  return ret;
+}
 
 const virtualCardSchema = new mongoose.Schema({
   user_id: {
@@ -7,28 +103,56 @@ const virtualCardSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
-  card_number: {
+  // Vault tokens for the card number and CVV (see vaultService). The CVV token is
+  // dropped once the card is closed.
+  pan_token: {
+    type: String
+  },
+  cvv_token: {
+    type: String
+  },
+  last4: {
     type: String,
-    required: true
+    match: /^\d{4}$/
+  },
+  // Encrypted values from before the vault; the vault rotation job moves them into it
+  card_number: {
+    type: String
+  },
+  cvv: {
+    type: String
   },
   card_number_hash: {
     type: String,
     required: true
   },
+  // False for hashes from before the keyed fingerprint, until migrateLegacyCards redoes them
+  card_number_hash_keyed: {
+    type: Boolean,
+    default: false
+  },
+  // Why migrateLegacyCards could not move the card into the vault; later passes skip the
+  // card until this is cleared
+  vault_migration_error: {
+    type: String,
+    maxlength: 255
+  },
   expiry_month: {
     type: Number,
     required: true,
     min: 1,
     max: 12
   },
+  // Only checked when set, so lapsed cards can still be expired or renewed
   expiry_year: {
     type: Number,
     required: true,
-    min: new Date().getFullYear()
-  },
-  cvv: {
-    type: String,
-    required: true
+    validate: {
+      validator: function(value) {
+        return !this.isModified('expiry_year') || value >= new Date().getFullYear();
+      },
+      message: 'Expiry year is in the past'
+    }
   },
   cardholder_name: {
     type: String,
@@ -41,6 +165,27 @@ const virtualCardSchema = new mongoose.Schema({
     enum: ['active', 'suspended', 'expired', 'cancelled'],
     default: 'active'
   },
+  // Reason code of the last status change
+  status_reason: {
+    type: String,
+    enum: LIFECYCLE_REASONS
+  },
+  // Replacement chain: a replaced card is cancelled and points at its successor
+  replaces: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VirtualCard'
+  },
+  replaced_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VirtualCard'
+  },
+  renewed_at: {
+    type: Date
+  },
+  lifecycle_events: {
+    type: [lifecycleEventSchema],
+    default: []
+  },
   is_default: {
     type: Boolean,
     default: false
@@ -63,120 +208,116 @@ const virtualCardSchema = new mongoose.Schema({
   },
   last_used: {
     type: Date
+  },
+  // 'prepaid' cards pay from balance (topped up via STK push); the default prompts an
+  // STK push for every purchase
+  funding_mode: {
+    type: String,
+    enum: ['stk_per_transaction', 'prepaid'],
+    default: 'stk_per_transaction'
+  },
+  // Only changed through walletService, which records every change in BalanceEntry
+  balance: {
+    type: Number,
+    default: 0.00,
+    min: 0
+  },
+  low_balance_threshold: {
+    type: Number,
+    default: 500.00,
+    min: 0
+  },
+  // Set when a low-balance alert goes out, cleared once the balance recovers
+  low_balance_alerted_at: {
+    type: Date
+  },
+  // 'single_use' is cancelled after its first approved purchase, 'merchant_locked' binds
+  // to the first merchant that uses it and 'time_boxed' stops working at expires_at
+  card_type: {
+    type: String,
+    enum: ['standard', 'single_use', 'merchant_locked', 'time_boxed'],
+    default: 'standard'
+  },
+  locked_merchant_id: {
+    type: String,
+    maxlength: 100
+  },
+  expires_at: {
+    type: Date
+  },
+  used_at: {
+    type: Date
+  },
+  // The purchase a single-use card is currently claimed for, set atomically before the
+  // transaction is created so that concurrent authorizations cannot both use the card
+  in_flight_reference: {
+    type: String
+  },
+  in_flight_at: {
+    type: Date
+  },
+  // Purpose restrictions checked by canMakeTransaction. Empty allow lists allow
+  // everything; without time windows the card works around the clock.
+  spending_controls: {
+    allowed_mccs: {
+      type: [String],
+      default: []
+    },
+    blocked_mccs: {
+      type: [String],
+      default: []
+    },
+    allowed_merchants: {
+      type: [String],
+      default: []
+    },
+    blocked_merchants: {
+      type: [String],
+      default: []
+    },
+    time_windows: {
+      type: [timeWindowSchema],
+      default: []
+    }
   }
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
-  toObject: { virtuals: true }
+  toJSON: { virtuals: true, transform: hideCardData },
+  toObject: { virtuals: true, transform: hideCardData }
 });
 
 // Indexes
 virtualCardSchema.index({ user_id: 1 });
 virtualCardSchema.index({ card_number_hash: 1 }, { unique: true });
-virtualCardSchema.index({ card_number: 1 }, { unique: true });
+virtualCardSchema.index({ pan_token: 1 }, { unique: true, sparse: true });
 virtualCardSchema.index({ status: 1 });
 virtualCardSchema.index({ 'user_id': 1, 'status': 1 });
-
-// Pre-save middleware to encrypt sensitive data
-virtualCardSchema.pre('save', async function(next) {
-  try {
-    // Handle card_number encryption and hashing for new documents or when modified
-    if (this.isNew || this.isModified('card_number')) {
-      // Create hash before encryption (hash the original card number)
-      const originalCardNumber = this.card_number;
-      this.card_number_hash = crypto.createHash('sha256').update(originalCardNumber).digest('hex');
-      
-      // Then encrypt the card number
-      this.card_number = encryptData(originalCardNumber);
-    }
-    
-    // Handle CVV encryption for new documents or when modified
-    if (this.isNew || this.isModified('cvv')) {
-      this.cvv = encryptData(this.cvv);
-    }
-    
-    next();
-  } catch (error) {
-    console.error('Pre-save middleware error:', error);
-    next(error);
-  }
-});
-
-// Encryption/Decryption functions
-function encryptData(data) {
-  try {
-    if (!data) {
-      throw new Error('No data provided for encryption');
-    }
-    
-    const algorithm = 'aes-256-cbc';
-    // Create a key from environment variable or use a default for development
-    const keyString = process.env.CARD_ENCRYPTION_KEY || process.env.ENCRYPTION_KEY || 'dev-key-32-chars-1234567890abcdef';
-    
-    let key;
-    if (keyString.length === 64) {
-      key = Buffer.from(keyString, 'hex');
-    } else {
-      key = crypto.createHash('sha256').update(keyString).digest();
-    }
-    
-    const iv = crypto.randomBytes(16);
-    const cipher = crypto.createCipheriv(algorithm, key, iv);
-    let encrypted = cipher.update(data.toString(), 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    
-    const result = iv.toString('hex') + ':' + encrypted;
-    console.log('Encryption successful for data length:', data.length);
-    return result;
-  } catch (error) {
-    console.error('Encryption error:', error);
-    // For development, return base64 encoded data as fallback
-    console.log('Using base64 fallback for encryption');
-    return Buffer.from(data.toString()).toString('base64');
-  }
-}
-
-function decryptData(encryptedData) {
-  try {
-    const algorithm = 'aes-256-cbc';
-    // Create a key from environment variable or use a default for development
-    const keyString = process.env.CARD_ENCRYPTION_KEY || process.env.ENCRYPTION_KEY || 'dev-key-32-chars-1234567890abcdef';
-    const key = keyString.length === 64 ? Buffer.from(keyString, 'hex') : crypto.createHash('sha256').update(keyString).digest();
-    
-    if (!encryptedData.includes(':')) {
-      // Fallback for base64 encoded data (development)
-      return Buffer.from(encryptedData, 'base64').toString('utf8');
-    }
-    
-    const parts = encryptedData.split(':');
-    const iv = Buffer.from(parts[0], 'hex');
-    const encrypted = parts[1];
-    const decipher = crypto.createDecipheriv(algorithm, key, iv);
-    let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
-    return decrypted;
-  } catch (error) {
-    console.error('Decryption error:', error);
-    // For development, try base64 decode
-    try {
-      return Buffer.from(encryptedData, 'base64').toString('utf8');
-    } catch {
-      return '****';
-    }
-  }
-}
+virtualCardSchema.index({ status: 1, expiry_year: 1, expiry_month: 1 });
 
 // Instance methods
-virtualCardSchema.methods.getDecryptedCardNumber = function() {
-  return decryptData(this.card_number);
+// Appends to lifecycle_events; the caller saves. to_status is the card's current status.
+virtualCardSchema.methods.recordLifecycleEvent = function(event, { reason_code, actor, note, related_card_id, from_status }) {
+  this.lifecycle_events.push({
+    event,
+    reason_code,
+    from_status,
+    to_status: this.status,
+    actor,
+    note,
+    related_card_id
+  });
 };
 
-virtualCardSchema.methods.getDecryptedCvv = function() {
-  return decryptData(this.cvv);
+// Last moment the card is valid: the end of its expiry month
+virtualCardSchema.methods.getExpiryEnd = function() {
+  return moment({ year: this.expiry_year, month: this.expiry_month - 1 }).endOf('month').toDate();
 };
 
 virtualCardSchema.methods.isExpired = function() {
   const now = new Date();
+
+  if (this.expires_at && this.expires_at <= now) return true;
+
   const currentYear = now.getFullYear();
   const currentMonth = now.getMonth() + 1;
 
@@ -186,7 +327,79 @@ virtualCardSchema.methods.isExpired = function() {
   return false;
 };
 
-virtualCardSchema.methods.canMakeTransaction = function(amount) {
+// Checks the merchant and time of a purchase against spending_controls. Failures carry
+// response code 57, transaction not permitted to cardholder.
+virtualCardSchema.methods.checkSpendingControls = function(merchant = {}, at = new Date()) {
+  const controls = this.spending_controls || {};
+  const mcc = merchant.merchant_category ? String(merchant.merchant_category) : null;
+  const merchantId = merchant.merchant_id ? String(merchant.merchant_id) : null;
+  const denied = (reason) => ({ allowed: false, reason, code: '57' });
+
+  if (mcc && (controls.blocked_mccs || []).includes(mcc)) {
+    return denied(`Card is blocked for merchant category ${mcc}`);
+  }
+  if ((controls.allowed_mccs || []).length && !controls.allowed_mccs.includes(mcc)) {
+    return denied('Merchant category not allowed for this card');
+  }
+  if (merchantId && (controls.blocked_merchants || []).includes(merchantId)) {
+    return denied('Card is blocked for this merchant');
+  }
+  if ((controls.allowed_merchants || []).length && !controls.allowed_merchants.includes(merchantId)) {
+    return denied('Merchant not allowed for this card');
+  }
+
+  const windows = controls.time_windows || [];
+  if (windows.length) {
+    const local = moment(at).utcOffset(EAT_OFFSET_MINUTES);
+    const minutes = local.hours() * 60 + local.minutes();
+    const today = local.day();
+    const yesterday = (today + 6) % 7;
+
+    const open = windows.some(window => {
+      const start = toMinutes(window.start);
+      const end = toMinutes(window.end);
+      if (start <= end) {
+        return window.days.includes(today) && minutes >= start && minutes < end;
+      }
+      // Overnight window: the evening part belongs to today, the early hours to yesterday
+      return (window.days.includes(today) && minutes >= start) ||
+        (window.days.includes(yesterday) && minutes < end);
+    });
+
+    if (!open) {
+      return denied('Card cannot be used at this time');
+    }
+  }
+
+  return { allowed: true };
+};
+
+// Burner card rules. Binding a merchant-locked card and cancelling a used single-use
+// card happen on approval, in authorizationService.
+virtualCardSchema.methods.checkCardType = function(merchant = {}) {
+  const merchantId = merchant.merchant_id ? String(merchant.merchant_id) : null;
+
+  if (this.card_type === 'single_use' && this.used_at) {
+    return { allowed: false, reason: 'Single-use card has already been used', code: '57' };
+  }
+
+  if (this.card_type === 'merchant_locked') {
+    if (!merchantId) {
+      return { allowed: false, reason: 'Merchant-locked card needs a merchant ID', code: '57' };
+    }
+    if (this.locked_merchant_id && this.locked_merchant_id !== merchantId) {
+      return { allowed: false, reason: 'Card is locked to another merchant', code: '57' };
+    }
+  }
+
+  return { allowed: true };
+};
+
+// usage comes from ledgerService.getCardUsage; the cached counters are only a fallback
+virtualCardSchema.methods.canMakeTransaction = function(amount, usage = {}, merchant = {}) {
+  const spentToday = usage.today !== undefined ? usage.today : this.total_spent_today;
+  const spentMonth = usage.month !== undefined ? usage.month : this.total_spent_month;
+
   // Check if card is active
   if (this.status !== 'active') {
     return { allowed: false, reason: 'Card is not active' };
@@ -197,26 +410,30 @@ virtualCardSchema.methods.canMakeTransaction = function(amount) {
     return { allowed: false, reason: 'Card has expired' };
   }
 
+  // Check burner card rules, then merchant and time restrictions
+  const typeCheck = this.checkCardType(merchant);
+  if (!typeCheck.allowed) {
+    return typeCheck;
+  }
+
+  const controlCheck = this.checkSpendingControls(merchant);
+  if (!controlCheck.allowed) {
+    return controlCheck;
+  }
+
   // Check daily limit
-  if ((this.total_spent_today + amount) > this.daily_limit) {
+  if ((spentToday + amount) > this.daily_limit) {
     return { allowed: false, reason: 'Daily limit exceeded' };
   }
 
   // Check monthly limit
-  if ((this.total_spent_month + amount) > this.monthly_limit) {
+  if ((spentMonth + amount) > this.monthly_limit) {
     return { allowed: false, reason: 'Monthly limit exceeded' };
   }
 
   return { allowed: true };
 };
 
-virtualCardSchema.methods.updateSpending = async function(amount) {
-  this.total_spent_today += amount;
-  this.total_spent_month += amount;
-  this.last_used = new Date();
-  return await this.save();
-};
-
 // Static methods
 virtualCardSchema.statics.generateCardNumber = async function() {
   let attempts = 0;
@@ -247,7 +464,7 @@ virtualCardSchema.statics.generateCardNumber = async function() {
     
     // Check if this card number already exists in database
     const existingCard = await this.findOne({ 
-      card_number_hash: crypto.createHash('sha256').update(finalCardNumber).digest('hex') 
+      card_number_hash: encryption.fingerprint(finalCardNumber) 
     });
     
     if (!existingCard) {
@@ -277,15 +494,41 @@ virtualCardSchema.statics.generateCvv = function() {
   return cvv.toString().padStart(3, '0');
 };
 
-virtualCardSchema.statics.generateExpiryDate = function() {
+// Time-boxed cards carry the month and year of expires_at, in EAT
+virtualCardSchema.statics.generateExpiryDate = function(expiresAt) {
+  if (expiresAt) {
+    const local = moment(expiresAt).utcOffset(EAT_OFFSET_MINUTES);
+    return { month: local.month() + 1, year: local.year() };
+  }
+
   const now = new Date();
   const year = now.getFullYear() + 2 + Math.floor(Math.random() * 3); // 2-4 years from now
   const month = Math.floor(Math.random() * 12) + 1;
   return { month, year };
 };
 
-virtualCardSchema.statics.findByCardNumberHash = function(hash) {
-  return this.findOne({ card_number_hash: hash });
+// Follows the replacement chain to the card currently in use
+virtualCardSchema.statics.findCurrent = async function(cardId) {
+  let card = await this.findById(cardId);
+  for (let hops = 0; card && card.replaced_by && hops < 10; hops++) {
+    card = await this.findById(card.replaced_by);
+  }
+  return card;
+};
+
+// Claims an unused single-use card for a purchase. Only succeeds while the card's claim
+// is still the one the caller saw (null for an unclaimed card).
+virtualCardSchema.statics.claimInFlight = function(cardId, reference, expectedReference = null) {
+  return this.findOneAndUpdate(
+    { _id: cardId, used_at: null, in_flight_reference: expectedReference },
+    { $set: { in_flight_reference: reference, in_flight_at: new Date() } },
+    { new: true }
+  );
+};
+
+// Takes one hash or a list of the hashes the card may be stored under
+virtualCardSchema.statics.findByCardNumberHash = function(hashes) {
+  return this.findOne({ card_number_hash: { $in: [].concat(hashes) } });
 };
 
 virtualCardSchema.statics.findByUser = function(userId) {
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+const attemptSchema = new mongoose.Schema({
+  attempted_at: {
+    type: Date,
+    default: Date.now
+  },
+  status_code: {
+    type: Number
+  },
+  error: {
+    type: String,
+    maxlength: 255
+  },
+  duration_ms: {
+    type: Number
+  }
+}, { _id: false });
+
+// One event sent to one merchant endpoint. Failed deliveries are retried with
+// exponential backoff; after the last attempt they stay here as 'dead' until replayed.
+const webhookDeliverySchema = new mongoose.Schema({
+  merchant_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Merchant',
+    required: true
+  },
+  event_id: {
+    type: String,
+    required: true
+  },
+  event_type: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'dead'],
+    default: 'pending'
+  },
+  attempt_count: {
+    type: Number,
+    default: 0
+  },
+  next_attempt_at: {
+    type: Date,
+    default: Date.now
+  },
+  attempts: {
+    type: [attemptSchema],
+    default: []
+  },
+  delivered_at: {
+    type: Date
+  },
+  replayed_at: {
+    type: Date
+  },
+  // Set while a dispatcher is sending the delivery, so no other worker sends it too
+  locked_until: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+webhookDeliverySchema.index({ event_id: 1, merchant_id: 1 }, { unique: true });
+webhookDeliverySchema.index({ status: 1, next_attempt_at: 1 });
+webhookDeliverySchema.index({ merchant_id: 1, createdAt: -1 });
+
+// Static methods
+const dueQuery = (now) => ({
+  status: 'pending',
+  next_attempt_at: { $lte: now },
+  $or: [{ locked_until: null }, { locked_until: { $lte: now } }]
+});
+
+webhookDeliverySchema.statics.findDue = function(limit) {
+  return this.find(dueQuery(new Date()))
+    .sort({ next_attempt_at: 1 })
+    .limit(limit);
+};
+
+// Takes the delivery for ttlMs if it is still due and nobody else is sending it.
+// Resolves with the claimed delivery, or null when it was claimed or sent meanwhile.
+webhookDeliverySchema.statics.claim = function(id, ttlMs) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { _id: id, ...dueQuery(now) },
+    { $set: { locked_until: new Date(now.getTime() + ttlMs) } },
+    { new: true }
+  );
+};
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+module.exports = WebhookDelivery;
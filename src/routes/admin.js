@@ -0,0 +1,525 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const reviewService = require('../services/reviewService');
+const adminService = require('../services/adminService');
+const requirePermission = require('../middleware/requirePermission');
+const logger = require('../utils/logger');
+const { ROLES } = require('../utils/permissions');
+const { ReviewError, AdminError, CardLifecycleError, RefundError } = require('../utils/errors');
+
+const router = express.Router();
+
+const validate = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+    return false;
+  }
+  return true;
+};
+
+const staffContext = (req) => ({
+  staff: req.user,
+  ip_address: req.ip,
+  user_agent: req.get('User-Agent')
+});
+
+const sendActionError = (res, error) => {
+  res.status(error.statusCode).json({
+    success: false,
+    error: error.message,
+    code: error.code
+  });
+};
+
+// @route   GET /api/admin/reviews
+// @desc    List fraud reviews; open ones first by SLA deadline
+// @access  reviews:read
+router.get('/reviews', requirePermission('reviews:read'), [
+  query('status').optional().isIn(['open', 'approved', 'declined', 'expired']).withMessage('Invalid status'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    if (!validate(req, res)) return;
+
+    const { reviews, pagination } = await reviewService.listReviews({
+      status: req.query.status || 'open',
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20
+    });
+
+    res.json({
+      success: true,
+      data: reviews,
+      pagination
+    });
+
+  } catch (error) {
+    logger.error('List reviews error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch reviews'
+    });
+  }
+});
+
+// @route   GET /api/admin/reviews/:id
+// @desc    Get a review with the card and cardholder history
+// @access  reviews:read
+router.get('/reviews/:id', requirePermission('reviews:read'), [
+  param('id').isMongoId().withMessage('Invalid review ID')
+], async (req, res) => {
+  try {
+    if (!validate(req, res)) return;
+
+    const review = await reviewService.getReview(req.params.id);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        error: 'Review not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: review
+    });
+
+  } catch (error) {
+    logger.error('Get review error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch review'
+    });
+  }
+});
+
+// @route   POST /api/admin/reviews/:id/decision
+// @desc    Approve or decline a held transaction, or decline it and block the card
+// @access  reviews:decide
+router.post('/reviews/:id/decision', requirePermission('reviews:decide'), [
+  param('id').isMongoId().withMessage('Invalid review ID'),
+  body('decision').isIn(['approve', 'decline', 'block_card']).withMessage('Decision must be approve, decline or block_card'),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note must be at most 500 characters')
+], async (req, res) => {
+  try {
+    if (!validate(req, res)) return;
+
+    const { review, transaction, result } = await reviewService.decide(req.params.id, req.body.decision, {
+      analyst: req.user,
+      note: req.body.note,
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      data: {
+        review,
+        transaction_reference: transaction.transaction_reference,
+        transaction_status: transaction.status,
+        result
+      },
+      message: 'Review decided'
+    });
+
+  } catch (error) {
+    if (error instanceof ReviewError) {
+      return res.status(error.code === 'REVIEW_NOT_FOUND' ? 404 : error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Review decision error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to apply review decision'
+    });
+  }
+});
+
+// @route   GET /api/admin/users
+// @desc    Search users by email, username or phone
+// @access  users:read
+router.get('/users', requirePermission('users:read'), [
+  query('q').optional().trim().isLength({ max: 100 }).withMessage('Search must be at most 100 characters'),
+  query('role').optional().isIn(ROLES).withMessage('Invalid role'),
+  query('is_active').optional().isBoolean().withMessage('is_active must be true or false'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    if (!validate(req, res)) return;
+
+    const { users, pagination } = await adminService.searchUsers({
+      q: req.query.q,
+      role: req.query.role,
+      is_active: req.query.is_active !== undefined ? req.query.is_active === 'true' : undefined,
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20
+    });
+
+    res.json({
+      success: true,
+      data: users,
+      pagination
+    });
+
+  } catch (error) {
+    logger.error('Search users error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to search users'
+    });
+  }
+});
+
+// @route   GET /api/admin/users/:id
+// @desc    Get a user with their cards and recent transactions
+// @access  users:read
+router.get('/users/:id', requirePermission('users:read'), [
+  param('id').isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    if (!validate(req, res)) return;
+
+    const result = await adminService.getUser(req.params.id);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Get user error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch user'
+    });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/limits
+// @desc    Change a user's daily and single transaction limits
+// @access  users:limits
+router.put('/users/:id/limits', requirePermission('users:limits'), [
+  param('id').isMongoId().withMessage('Invalid user ID'),
+  body('daily_transaction_limit').optional().isFloat({ min: 0, max: 1000000 }).withMessage('Daily limit must be between 0 and 1,000,000'),
+  body('single_transaction_limit').optional().isFloat({ min: 0, max: 1000000 }).withMessage('Single transaction limit must be between 0 and 1,000,000'),
+  body('note').trim().isLength({ min: 1, max: 500 }).withMessage('Note is required and must be at most 500 characters')
+], async (req, res) => {
+  try {
+    if (!validate(req, res)) return;
+
+    const limits = {};
+    for (const field of ['daily_transaction_limit', 'single_transaction_limit']) {
+      if (req.body[field] !== undefined) {
+        limits[field] = parseFloat(req.body[field]);
+      }
+    }
+
+    const user = await adminService.updateLimits(req.params.id, limits, {
+      ...staffContext(req),
+      note: req.body.note
+    });
+
+    res.json({
+      success: true,
+      data: user,
+      message: 'Limits updated'
+    });
+
+  } catch (error) {
+    if (error instanceof AdminError) {
+      return sendActionError(res, error);
+    }
+
+    logger.error('Update limits error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update limits'
+    });
+  }
+});
+
+// @route   POST /api/admin/users/:id/deactivate
+// @desc    Deactivate an account and sign it out everywhere
+// @access  users:deactivate
+router.post('/users/:id/deactivate', requirePermission('users:deactivate'), [
+  param('id').isMongoId().withMessage('Invalid user ID'),
+  body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('Reason is required and must be at most 500 characters')
+], async (req, res) => {
+  try {
+    if (!validate(req, res)) return;
+
+    const user = await adminService.deactivateUser(req.params.id, {
+      ...staffContext(req),
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      data: user,
+      message: 'Account deactivated'
+    });
+
+  } catch (error) {
+    if (error instanceof AdminError) {
+      return sendActionError(res, error);
+    }
+
+    logger.error('Deactivate user error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to deactivate account'
+    });
+  }
+});
+
+// @route   POST /api/admin/users/:id/reactivate
+// @desc    Reactivate a deactivated account
+// @access  users:deactivate
+router.post('/users/:id/reactivate', requirePermission('users:deactivate'), [
+  param('id').isMongoId().withMessage('Invalid user ID'),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note must be at most 500 characters')
+], async (req, res) => {
+  try {
+    if (!validate(req, res)) return;
+
+    const user = await adminService.reactivateUser(req.params.id, {
+      ...staffContext(req),
+      note: req.body.note
+    });
+
+    res.json({
+      success: true,
+      data: user,
+      message: 'Account reactivated'
+    });
+
+  } catch (error) {
+    if (error instanceof AdminError) {
+      return sendActionError(res, error);
+    }
+
+    logger.error('Reactivate user error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reactivate account'
+    });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/role
+// @desc    Change a user's role
+// @access  users:roles
+router.put('/users/:id/role', requirePermission('users:roles'), [
+  param('id').isMongoId().withMessage('Invalid user ID'),
+  body('role').isIn(ROLES).withMessage(`Role must be one of ${ROLES.join(', ')}`),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note must be at most 500 characters')
+], async (req, res) => {
+  try {
+    if (!validate(req, res)) return;
+
+    const user = await adminService.setRole(req.params.id, req.body.role, {
+      ...staffContext(req),
+      note: req.body.note
+    });
+
+    res.json({
+      success: true,
+      data: user,
+      message: 'Role updated'
+    });
+
+  } catch (error) {
+    if (error instanceof AdminError) {
+      return sendActionError(res, error);
+    }
+
+    logger.error('Set role error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update role'
+    });
+  }
+});
+
+// @route   GET /api/admin/cards/:id
+// @desc    Get any card with its owner, lifecycle and recent transactions
+// @access  cards:read
+router.get('/cards/:id', requirePermission('cards:read'), [
+  param('id').isMongoId().withMessage('Invalid card ID')
+], async (req, res) => {
+  try {
+    if (!validate(req, res)) return;
+
+    const result = await adminService.getCard(req.params.id);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Card not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Admin get card error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch card'
+    });
+  }
+});
+
+// @route   POST /api/admin/cards/:id/suspend
+// @desc    Suspend a card; the cardholder cannot unfreeze it
+// @access  cards:suspend
+router.post('/cards/:id/suspend', requirePermission('cards:suspend'), [
+  param('id').isMongoId().withMessage('Invalid card ID'),
+  body('note').trim().isLength({ min: 1, max: 255 }).withMessage('Note is required and must be at most 255 characters')
+], async (req, res) => {
+  try {
+    if (!validate(req, res)) return;
+
+    const card = await adminService.suspendCard(req.params.id, {
+      ...staffContext(req),
+      note: req.body.note
+    });
+
+    res.json({
+      success: true,
+      data: card,
+      message: 'Card suspended'
+    });
+
+  } catch (error) {
+    if (error instanceof AdminError || error instanceof CardLifecycleError) {
+      return sendActionError(res, error);
+    }
+
+    logger.error('Suspend card error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to suspend card'
+    });
+  }
+});
+
+// @route   POST /api/admin/cards/:id/unsuspend
+// @desc    Lift a suspension or fraud block
+// @access  cards:suspend
+router.post('/cards/:id/unsuspend', requirePermission('cards:suspend'), [
+  param('id').isMongoId().withMessage('Invalid card ID'),
+  body('note').trim().isLength({ min: 1, max: 255 }).withMessage('Note is required and must be at most 255 characters')
+], async (req, res) => {
+  try {
+    if (!validate(req, res)) return;
+
+    const card = await adminService.unsuspendCard(req.params.id, {
+      ...staffContext(req),
+      note: req.body.note
+    });
+
+    res.json({
+      success: true,
+      data: card,
+      message: 'Card reactivated'
+    });
+
+  } catch (error) {
+    if (error instanceof AdminError || error instanceof CardLifecycleError) {
+      return sendActionError(res, error);
+    }
+
+    logger.error('Unsuspend card error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reactivate card'
+    });
+  }
+});
+
+// @route   GET /api/admin/transactions/:id
+// @desc    Get any transaction with its card and user
+// @access  transactions:read
+router.get('/transactions/:id', requirePermission('transactions:read'), [
+  param('id').isMongoId().withMessage('Invalid transaction ID')
+], async (req, res) => {
+  try {
+    if (!validate(req, res)) return;
+
+    const transaction = await adminService.getTransaction(req.params.id);
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transaction not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: transaction
+    });
+
+  } catch (error) {
+    logger.error('Admin get transaction error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch transaction'
+    });
+  }
+});
+
+// @route   POST /api/admin/transactions/:id/reversal/retry
+// @desc    Send a failed hold reversal to the cardholder again
+// @access  transactions:refund
+router.post('/transactions/:id/reversal/retry', requirePermission('transactions:refund'), [
+  param('id').isMongoId().withMessage('Invalid transaction ID')
+], async (req, res) => {
+  try {
+    if (!validate(req, res)) return;
+
+    const reversal = await adminService.retryReversal(req.params.id, staffContext(req));
+
+    res.status(reversal.status === 'failed' ? 502 : 202).json({
+      success: reversal.status !== 'failed',
+      data: reversal,
+      message: reversal.status === 'failed' ? 'Reversal could not be sent to M-Pesa' : 'Reversal initiated'
+    });
+
+  } catch (error) {
+    if (error instanceof AdminError || error instanceof RefundError) {
+      return sendActionError(res, error);
+    }
+
+    logger.error('Retry reversal error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retry reversal'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,14 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const accountSecurityService = require('../services/accountSecurityService');
 const logger = require('../utils/logger');
 const authMiddleware = require('../middleware/auth');
+const { SessionError, StepUpError } = require('../utils/errors');
 
 const router = express.Router();
 
@@ -36,15 +40,82 @@ const validateLogin = [
     .withMessage('Password is required')
 ];
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign(
-    { userId },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-  );
+const requestContext = (req) => ({
+  ip_address: req.ip,
+  user_agent: req.get('User-Agent')
+});
+
+// Token fields returned on login, registration, refresh and password change
+const toTokenResponse = (issued) => ({
+  token: issued.token,
+  refresh_token: issued.refresh_token,
+  expires_in: issued.expires_in,
+  session_id: issued.session.id
+});
+
+const toSessionResponse = (session, currentSessionId) => ({
+  id: session.id,
+  device: session.device,
+  user_agent: session.user_agent,
+  ip_address: session.ip_address,
+  created_ip: session.created_ip,
+  created_at: session.createdAt,
+  last_used_at: session.last_used_at,
+  expires_at: session.expires_at,
+  current: session.id === currentSessionId
+});
+
+// Records the login, starts a session and sends the login response
+const completeLogin = async (req, res, user, { two_factor_verified = false } = {}) => {
+  user.last_login = new Date();
+  await user.save();
+
+  const context = requestContext(req);
+  const issued = await sessionService.create(user, { ...context, two_factor_verified });
+  await accountSecurityService.recordSuccessfulLogin(user, context, { session_id: issued.session._id });
+
+  logger.info('User logged in successfully', { userId: user._id, email: user.email });
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        mpesa_phone: user.mpesa_phone,
+        role: user.role,
+        is_active: user.is_active,
+        daily_transaction_limit: user.daily_transaction_limit,
+        single_transaction_limit: user.single_transaction_limit,
+        total_daily_spent: user.total_daily_spent,
+        last_login: user.last_login,
+        two_factor_enabled: user.totp_enabled
+      },
+      ...toTokenResponse(issued)
+    }
+  });
 };
 
+const sendLocked = (res, user) => {
+  const retryAfter = accountSecurityService.lockRemainingSeconds(user);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: `Too many failed logins. Try again in ${Math.ceil(retryAfter / 60)} minutes or reset your password.`,
+    code: 'ACCOUNT_LOCKED',
+    retry_after: retryAfter
+  });
+};
+
+// Two-factor failures use the step-up error codes
+const sendStepUpError = (res, error) => res.status(error.statusCode).json({
+  success: false,
+  message: error.message,
+  code: error.code
+});
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
@@ -82,8 +153,7 @@ router.post('/register', validateRegistration, async (req, res) => {
     });
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    const issued = await sessionService.create(user, requestContext(req));
 
     logger.info('User registered successfully', { userId: user._id, email });
 
@@ -100,7 +170,7 @@ router.post('/register', validateRegistration, async (req, res) => {
           daily_transaction_limit: user.daily_transaction_limit,
           single_transaction_limit: user.single_transaction_limit
         },
-        token
+        ...toTokenResponse(issued)
       }
     });
 
@@ -129,10 +199,13 @@ router.post('/login', validateLogin, async (req, res) => {
 
     const { email, password } = req.body;
 
+    const context = requestContext(req);
+
     // Find user by email
     const user = await User.findByEmail(email);
 
     if (!user) {
+      await accountSecurityService.recordEvent(null, 'unknown_user', { ...context, email });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
@@ -141,54 +214,463 @@ router.post('/login', validateLogin, async (req, res) => {
 
     // Check if user is active
     if (!user.is_active) {
+      await accountSecurityService.recordEvent(user, 'account_inactive', context);
       return res.status(401).json({
         success: false,
         message: 'Account is deactivated'
       });
     }
 
+    // Locked accounts are refused before the password is checked
+    if (user.isLocked()) {
+      await accountSecurityService.recordEvent(user, 'account_locked', context);
+      return sendLocked(res, user);
+    }
+
     // Verify password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      const updated = await accountSecurityService.recordFailedLogin(user, context);
+      if (updated.isLocked()) {
+        return sendLocked(res, updated);
+      }
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Update last login
-    user.last_login = new Date();
-    await user.save();
+    // With two-factor on, the password only gets the user to the code step
+    if (user.totp_enabled) {
+      await accountSecurityService.recordEvent(user, 'two_factor_required', context);
+      return res.json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        data: {
+          two_factor_required: true,
+          login_token: twoFactorService.createLoginToken(user)
+        }
+      });
+    }
+
+    await completeLogin(req, res, user);
+
+  } catch (error) {
+    logger.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+});
+
+// @route   POST /api/auth/login/2fa
+// @desc    Second login step: the authenticator or a backup code
+// @access  Public
+router.post('/login/2fa', [
+  body('login_token').isString().notEmpty().withMessage('Login token is required'),
+  body('code').optional().matches(/^\d{6}$/).withMessage('Code must be 6 digits'),
+  body('backup_code').optional().isString().isLength({ min: 10, max: 20 }).withMessage('Invalid backup code'),
+  body().custom(value => !!(value.code || value.backup_code)).withMessage('A code or backup code is required')
+], async (req, res) => {
+  let user;
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const userId = twoFactorService.readLoginToken(req.body.login_token);
+    user = await User.findById(userId);
+    if (!user || !user.is_active) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated'
+      });
+    }
+    if (user.isLocked()) {
+      return sendLocked(res, user);
+    }
+
+    const method = await twoFactorService.verify(user._id, {
+      code: req.body.code,
+      backup_code: req.body.backup_code
+    });
 
-    // Generate token
-    const token = generateToken(user._id);
+    if (method === 'backup_code') {
+      await AuditLog.record({
+        action: 'two_factor.backup_code_used',
+        actor_type: 'user',
+        actor_id: user.id,
+        target_type: 'user',
+        target_id: user.id,
+        ...requestContext(req)
+      });
+    }
 
-    logger.info('User logged in successfully', { userId: user._id, email });
+    await completeLogin(req, res, user, { two_factor_verified: true });
+
+  } catch (error) {
+    if (error instanceof StepUpError) {
+      if (user && error.code === 'VERIFICATION_FAILED') {
+        await accountSecurityService.recordEvent(user, 'two_factor_failed', requestContext(req));
+      }
+      return sendStepUpError(res, error);
+    }
+    logger.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+});
+
+// @route   GET /api/auth/2fa
+// @desc    Two-factor status
+// @access  Private
+router.get('/2fa', authMiddleware, async (req, res) => {
+  try {
+    const status = await twoFactorService.getStatus(req.user.userId);
 
     res.json({
       success: true,
-      message: 'Login successful',
-      data: {
-        user: {
-          id: user._id,
-          username: user.username,
-          email: user.email,
-          mpesa_phone: user.mpesa_phone,
-          is_active: user.is_active,
-          daily_transaction_limit: user.daily_transaction_limit,
-          single_transaction_limit: user.single_transaction_limit,
-          total_daily_spent: user.total_daily_spent,
-          last_login: user.last_login
-        },
-        token
-      }
+      data: status
     });
 
   } catch (error) {
-    logger.error('Login error:', error);
+    logger.error('Two-factor status error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error during login'
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start enrollment: returns the secret and otpauth:// URI for the QR code
+// @access  Private
+router.post('/2fa/setup', authMiddleware, [
+  body('password').notEmpty().withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!await user.comparePassword(req.body.password)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    const provisioning = await twoFactorService.setup(user._id);
+
+    res.json({
+      success: true,
+      data: provisioning
+    });
+
+  } catch (error) {
+    if (error instanceof StepUpError) {
+      return sendStepUpError(res, error);
+    }
+    logger.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a code; returns the backup codes once
+// @access  Private
+router.post('/2fa/enable', authMiddleware, [
+  body('code').matches(/^\d{6}$/).withMessage('Code must be 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const backupCodes = await twoFactorService.enable(req.user.userId, req.body.code);
+    await twoFactorService.markVerified(req.user.sessionId);
+
+    await AuditLog.record({
+      action: 'two_factor.enabled',
+      actor_type: 'user',
+      actor_id: String(req.user.userId),
+      target_type: 'user',
+      target_id: String(req.user.userId),
+      ...requestContext(req)
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication is on',
+      data: { backup_codes: backupCodes }
+    });
+
+  } catch (error) {
+    if (error instanceof StepUpError) {
+      return sendStepUpError(res, error);
+    }
+    logger.error('Two-factor enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn two-factor off; needs the password and a current code
+// @access  Private
+router.post('/2fa/disable', authMiddleware, [
+  body('password').notEmpty().withMessage('Password is required'),
+  body('code').optional().matches(/^\d{6}$/).withMessage('Code must be 6 digits'),
+  body('backup_code').optional().isString().isLength({ min: 10, max: 20 }).withMessage('Invalid backup code'),
+  body().custom(value => !!(value.code || value.backup_code)).withMessage('A code or backup code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!await user.comparePassword(req.body.password)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    await twoFactorService.verify(user._id, { code: req.body.code, backup_code: req.body.backup_code });
+    await twoFactorService.disable(user._id);
+
+    await AuditLog.record({
+      action: 'two_factor.disabled',
+      actor_type: 'user',
+      actor_id: user.id,
+      target_type: 'user',
+      target_id: user.id,
+      ...requestContext(req)
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication is off'
+    });
+
+  } catch (error) {
+    if (error instanceof StepUpError) {
+      return sendStepUpError(res, error);
+    }
+    logger.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/backup-codes
+// @desc    Replace the backup codes; the old ones stop working
+// @access  Private
+router.post('/2fa/backup-codes', authMiddleware, [
+  body('code').matches(/^\d{6}$/).withMessage('Code must be 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    await twoFactorService.verify(req.user.userId, { code: req.body.code });
+    const backupCodes = await twoFactorService.regenerateBackupCodes(req.user.userId);
+
+    res.json({
+      success: true,
+      data: { backup_codes: backupCodes }
+    });
+
+  } catch (error) {
+    if (error instanceof StepUpError) {
+      return sendStepUpError(res, error);
+    }
+    logger.error('Backup code generation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Confirm a code in the current session, before sensitive card actions
+// @access  Private
+router.post('/2fa/verify', authMiddleware, [
+  body('code').optional().matches(/^\d{6}$/).withMessage('Code must be 6 digits'),
+  body('backup_code').optional().isString().isLength({ min: 10, max: 20 }).withMessage('Invalid backup code'),
+  body().custom(value => !!(value.code || value.backup_code)).withMessage('A code or backup code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    await twoFactorService.verify(req.user.userId, { code: req.body.code, backup_code: req.body.backup_code });
+    await twoFactorService.markVerified(req.user.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Verified',
+      data: { valid_for_minutes: twoFactorService.recentMinutes }
+    });
+
+  } catch (error) {
+    if (error instanceof StepUpError) {
+      return sendStepUpError(res, error);
+    }
+    logger.error('Two-factor verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Send a password reset code by SMS or email
+// @access  Public
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
+  body('channel').optional().isIn(['sms', 'email']).withMessage('Channel must be sms or email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const resetId = await accountSecurityService.startPasswordReset(req.body.email, {
+      channel: req.body.channel,
+      ...requestContext(req)
+    });
+
+    // The same answer whether or not the account exists
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a reset code has been sent',
+      data: { reset_id: resetId }
+    });
+
+  } catch (error) {
+    logger.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with the reset code; signs out every session
+// @access  Public
+router.post('/reset-password', [
+  body('reset_id').isString().notEmpty().withMessage('Reset ID is required'),
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
+  body('code').matches(/^\d{6}$/).withMessage('Code must be 6 digits'),
+  body('new_password')
+    .isLength({ min: 6 })
+    .withMessage('New password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    await accountSecurityService.resetPassword(req.body, requestContext(req));
+
+    res.json({
+      success: true,
+      message: 'Password reset. Log in with your new password.'
+    });
+
+  } catch (error) {
+    if (error instanceof StepUpError) {
+      return sendStepUpError(res, error);
+    }
+    logger.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during password reset'
+    });
+  }
+});
+
+// @route   GET /api/auth/login-history
+// @desc    The user's recent sign-in attempts
+// @access  Private
+router.get('/login-history', authMiddleware, [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const history = await accountSecurityService.getLoginHistory(req.user.userId, {
+      page: req.query.page || 1,
+      limit: req.query.limit || 20
+    });
+
+    res.json({
+      success: true,
+      data: history
+    });
+
+  } catch (error) {
+    logger.error('Login history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
     });
   }
 });
@@ -220,6 +702,8 @@ router.get('/me', authMiddleware, async (req, res) => {
           single_transaction_limit: user.single_transaction_limit,
           total_daily_spent: user.total_daily_spent,
           last_login: user.last_login,
+          two_factor_enabled: user.totp_enabled,
+          role: user.role,
           created_at: user.createdAt
         }
       }
@@ -358,11 +842,16 @@ router.post('/change-password', authMiddleware, [
     user.password = new_password;
     await user.save();
 
-    logger.info('Password changed successfully', { userId: user._id });
+    // Every device has to log in again with the new password; this one gets a fresh session
+    const revoked = await sessionService.revokeAll(user._id, 'password_changed');
+    const issued = await sessionService.create(user, requestContext(req));
+
+    logger.info('Password changed successfully', { userId: user._id, sessionsRevoked: revoked });
 
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      data: toTokenResponse(issued)
     });
 
   } catch (error) {
@@ -374,4 +863,140 @@ router.post('/change-password', authMiddleware, [
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access and refresh token
+// @access  Public
+router.post('/refresh', [
+  body('refresh_token')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const issued = await sessionService.refresh(req.body.refresh_token, requestContext(req));
+
+    res.json({
+      success: true,
+      data: toTokenResponse(issued)
+    });
+
+  } catch (error) {
+    if (error instanceof SessionError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+    logger.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during token refresh'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    End the current session
+// @access  Private
+router.post('/logout', authMiddleware, async (req, res) => {
+  try {
+    await sessionService.revokeById(req.user.userId, req.user.sessionId, 'logout');
+
+    logger.info('User logged out', { userId: req.user.userId, sessionId: req.user.sessionId });
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    logger.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the user's active sessions
+// @access  Private
+router.get('/sessions', authMiddleware, async (req, res) => {
+  try {
+    const sessions = await sessionService.list(req.user.userId);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => toSessionResponse(session, req.user.sessionId))
+      }
+    });
+
+  } catch (error) {
+    logger.error('List sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of the user's sessions
+// @access  Private
+router.delete('/sessions/:id', authMiddleware, [
+  param('id').isMongoId().withMessage('Invalid session ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const revoked = await sessionService.revokeById(req.user.userId, req.params.id, 'user_revoked');
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await AuditLog.record({
+      action: 'session.revoked',
+      actor_type: 'user',
+      actor_id: String(req.user.userId),
+      target_type: 'session',
+      target_id: req.params.id,
+      ...requestContext(req)
+    });
+
+    logger.info('Session revoked', { userId: req.user.userId, sessionId: req.params.id });
+
+    res.json({
+      success: true,
+      message: 'Session revoked',
+      data: { current: req.params.id === req.user.sessionId }
+    });
+
+  } catch (error) {
+    logger.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
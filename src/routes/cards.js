@@ -1,14 +1,61 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const crypto = require('crypto');
+const { body, query, validationResult } = require('express-validator');
 const VirtualCard = require('../models/VirtualCard');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const authorizationService = require('../services/authorizationService');
+const cardService = require('../services/cardService');
+const walletService = require('../services/walletService');
+const vaultService = require('../services/vaultService');
+const stepUpService = require('../services/stepUpService');
+const twoFactorService = require('../services/twoFactorService');
+const recentTwoFactor = require('../middleware/recentTwoFactor');
 const logger = require('../utils/logger');
-
-// Import decryption function
-const { decryptData } = require('../utils/encryption');
+const { CardLifecycleError, StepUpError } = require('../utils/errors');
 
 const router = express.Router();
 
+const MAX_TIME_BOXED_HOURS = 365 * 24;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Validators for a spending controls object under prefix ('' for the whole body)
+const spendingControlsValidation = (prefix) => [
+  body(`${prefix}allowedMccs`).optional().isArray({ max: 50 }).withMessage('allowedMccs must be a list'),
+  body(`${prefix}allowedMccs.*`).matches(/^\d{4}$/).withMessage('MCCs are 4 digits'),
+  body(`${prefix}blockedMccs`).optional().isArray({ max: 50 }).withMessage('blockedMccs must be a list'),
+  body(`${prefix}blockedMccs.*`).matches(/^\d{4}$/).withMessage('MCCs are 4 digits'),
+  body(`${prefix}allowedMerchants`).optional().isArray({ max: 50 }).withMessage('allowedMerchants must be a list'),
+  body(`${prefix}allowedMerchants.*`).isString().trim().isLength({ min: 1, max: 100 }).withMessage('Invalid merchant ID'),
+  body(`${prefix}blockedMerchants`).optional().isArray({ max: 50 }).withMessage('blockedMerchants must be a list'),
+  body(`${prefix}blockedMerchants.*`).isString().trim().isLength({ min: 1, max: 100 }).withMessage('Invalid merchant ID'),
+  body(`${prefix}timeWindows`).optional().isArray({ max: 14 }).withMessage('timeWindows must be a list'),
+  body(`${prefix}timeWindows.*.days`).optional().isArray({ min: 1, max: 7 }).withMessage('Days must be a non-empty list'),
+  body(`${prefix}timeWindows.*.days.*`).isInt({ min: 0, max: 6 }).withMessage('Days are 0 (Sunday) to 6'),
+  body(`${prefix}timeWindows.*.start`).matches(TIME_PATTERN).withMessage('Start must be HH:mm'),
+  body(`${prefix}timeWindows.*.end`).matches(TIME_PATTERN).withMessage('End must be HH:mm')
+];
+
+// Maps request spending controls onto VirtualCard.spending_controls
+const toSpendingControls = (controls = {}) => ({
+  allowed_mccs: controls.allowedMccs || [],
+  blocked_mccs: controls.blockedMccs || [],
+  allowed_merchants: (controls.allowedMerchants || []).map(id => id.trim()),
+  blocked_merchants: (controls.blockedMerchants || []).map(id => id.trim()),
+  time_windows: (controls.timeWindows || []).map(window => ({
+    days: window.days ? window.days.map(Number) : undefined,
+    start: window.start,
+    end: window.end
+  }))
+});
+
+// Returns the card without its event log; card data never leaves the model
+const toCardResponse = (card) => {
+  const cardResponse = card.toObject();
+  delete cardResponse.lifecycle_events;
+  return cardResponse;
+};
+
 // @route   GET /api/cards
 // @desc    Get user's virtual cards
 // @access  Private
@@ -17,15 +64,13 @@ router.get('/', async (req, res) => {
     const userId = req.user.id;
     
     const cards = await VirtualCard.find({ user_id: userId })
-      .select('-card_number -cvv') // Don't send sensitive data
+      .select('-lifecycle_events')
       .sort({ createdAt: -1 });
 
     // Add masked card numbers for display
     const cardsWithMaskedNumbers = cards.map(card => {
       const cardObj = card.toObject();
-      // Generate a consistent masked number from the card hash
-      const hashSuffix = card.card_number_hash.slice(-4);
-      cardObj.masked_card_number = `**** **** **** ${hashSuffix}`;
+      cardObj.masked_card_number = `**** **** **** ${card.last4 || '****'}`;
       return cardObj;
     });
 
@@ -46,10 +91,17 @@ router.get('/', async (req, res) => {
 // @route   POST /api/cards
 // @desc    Create a new virtual card
 // @access  Private
-router.post('/', [
+router.post('/', recentTwoFactor, [
   body('cardholderName').trim().isLength({ min: 2, max: 50 }).withMessage('Cardholder name must be between 2 and 50 characters'),
   body('dailyLimit').isInt({ min: 1000, max: 100000 }).withMessage('Daily limit must be between 1,000 and 100,000 KES'),
-  body('monthlyLimit').isInt({ min: 10000, max: 1000000 }).withMessage('Monthly limit must be between 10,000 and 1,000,000 KES')
+  body('monthlyLimit').isInt({ min: 10000, max: 1000000 }).withMessage('Monthly limit must be between 10,000 and 1,000,000 KES'),
+  body('fundingMode').optional().isIn(['stk_per_transaction', 'prepaid']).withMessage('Invalid funding mode'),
+  body('lowBalanceThreshold').optional().isFloat({ min: 0 }).withMessage('Low balance threshold must be 0 or more'),
+  body('controls').optional().isObject().withMessage('Controls must be an object'),
+  ...spendingControlsValidation('controls.'),
+  body('cardType').optional().isIn(['standard', 'single_use', 'merchant_locked', 'time_boxed']).withMessage('Invalid card type'),
+  body('validFor').if(body('cardType').equals('time_boxed')).isInt({ min: 1 }).withMessage('Time-boxed cards need validFor'),
+  body('validForUnit').if(body('cardType').equals('time_boxed')).isIn(['hours', 'days']).withMessage('validForUnit must be hours or days')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -62,7 +114,28 @@ router.post('/', [
     }
 
     const userId = req.user.id;
-    const { cardholderName, dailyLimit, monthlyLimit } = req.body;
+    const { cardholderName, dailyLimit, monthlyLimit, fundingMode, lowBalanceThreshold, controls } = req.body;
+    const cardType = req.body.cardType || 'standard';
+
+    // A balance would be stranded once a burner card is used up or runs out
+    if (fundingMode === 'prepaid' && ['single_use', 'time_boxed'].includes(cardType)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Single-use and time-boxed cards cannot be prepaid'
+      });
+    }
+
+    let expiresAt;
+    if (cardType === 'time_boxed') {
+      const hours = parseInt(req.body.validFor) * (req.body.validForUnit === 'days' ? 24 : 1);
+      if (hours > MAX_TIME_BOXED_HOURS) {
+        return res.status(400).json({
+          success: false,
+          error: `Time-boxed cards can be valid for at most ${MAX_TIME_BOXED_HOURS / 24} days`
+        });
+      }
+      expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000);
+    }
 
     // Check if user has reached maximum cards limit
     const existingCards = await VirtualCard.countDocuments({ user_id: userId });
@@ -89,44 +162,40 @@ router.post('/', [
     
     try {
       cvv = VirtualCard.generateCvv();
-      expiryDate = VirtualCard.generateExpiryDate();
+      expiryDate = VirtualCard.generateExpiryDate(expiresAt);
       logger.info('CVV and expiry generated successfully');
     } catch (error) {
       logger.error('CVV/expiry generation failed:', error);
       throw error;
     }
 
-    // Create hash for the card number
-    const cardNumberHash = crypto.createHash('sha256').update(cardNumber).digest('hex');
-
     const card = new VirtualCard({
       user_id: userId,
-      card_number: cardNumber,
-      card_number_hash: cardNumberHash,
       cardholder_name: cardholderName.toUpperCase(),
       expiry_month: expiryDate.month,
       expiry_year: expiryDate.year,
-      cvv,
       status: 'active',
       daily_limit: dailyLimit,
-      monthly_limit: monthlyLimit
+      monthly_limit: monthlyLimit,
+      funding_mode: fundingMode,
+      low_balance_threshold: lowBalanceThreshold,
+      spending_controls: controls ? toSpendingControls(controls) : undefined,
+      card_type: cardType,
+      expires_at: expiresAt
     });
+    card.recordLifecycleEvent('issued', { reason_code: 'cardholder_request', actor: `cardholder:${userId}` });
+    await vaultService.storeCard(card, { pan: cardNumber, cvv });
 
     logger.info('Card object created, attempting to save...');
     
     await card.save();
     logger.info('Card saved successfully:', card._id);
 
-    // Return card without sensitive data
-    const cardResponse = card.toObject();
-    delete cardResponse.card_number;
-    delete cardResponse.cvv;
-
-    logger.info('Virtual card created', { userId, cardId: card._id });
+    logger.info('Virtual card created', { userId, cardId: card._id, cardType });
 
     res.status(201).json({
       success: true,
-      data: cardResponse,
+      data: toCardResponse(card),
       message: 'Virtual card created successfully'
     });
 
@@ -147,8 +216,7 @@ router.get('/:id', async (req, res) => {
     const userId = req.user.id;
     const cardId = req.params.id;
 
-    const card = await VirtualCard.findOne({ _id: cardId, user_id: userId })
-      .select('-card_number -cvv');
+    const card = await VirtualCard.findOne({ _id: cardId, user_id: userId });
 
     if (!card) {
       return res.status(404).json({
@@ -158,9 +226,8 @@ router.get('/:id', async (req, res) => {
     }
 
     // Add masked card number for display
-    const cardResponse = card.toObject();
-    const hashSuffix = card.card_number_hash.slice(-4);
-    cardResponse.masked_card_number = `**** **** **** ${hashSuffix}`;
+    const cardResponse = toCardResponse(card);
+    cardResponse.masked_card_number = `**** **** **** ${card.last4 || '****'}`;
 
     res.json({
       success: true,
@@ -176,15 +243,40 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// @route   GET /api/cards/:id/reveal
-// @desc    Temporarily reveal full card details (60 seconds)
+// Per-card reveal limits, counted over the last hour
+const REVEAL_CHALLENGES_PER_HOUR = parseInt(process.env.CARD_REVEAL_CHALLENGES_PER_HOUR) || 10;
+const REVEALS_PER_HOUR = parseInt(process.env.CARD_REVEALS_PER_HOUR) || 5;
+
+const auditReveal = (req, card, action, outcome, reason, metadata = {}) => AuditLog.record({
+  action,
+  outcome,
+  actor_type: 'user',
+  actor_id: String(req.user.id),
+  target_type: 'card',
+  target_id: String(card._id),
+  reason,
+  ip_address: req.ip,
+  user_agent: req.get('User-Agent'),
+  metadata
+});
+
+// @route   POST /api/cards/:id/reveal/challenge
+// @desc    Start step-up verification for revealing card details (password or SMS code)
 // @access  Private
-router.get('/:id/reveal', async (req, res) => {
+router.post('/:id/reveal/challenge', recentTwoFactor, [
+  body('method').isIn(['password', 'otp']).withMessage('Method must be password or otp')
+], async (req, res) => {
   try {
-    const userId = req.user.id;
-    const cardId = req.params.id;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
 
-    const card = await VirtualCard.findOne({ _id: cardId, user_id: userId });
+    const card = await VirtualCard.findOne({ _id: req.params.id, user_id: req.user.id }).select('_id');
 
     if (!card) {
       return res.status(404).json({
@@ -193,16 +285,174 @@ router.get('/:id/reveal', async (req, res) => {
       });
     }
 
-    // Decrypt the card number and CVV
-    const decryptedCardNumber = decryptData(card.card_number);
-    const decryptedCvv = decryptData(card.cvv);
+    const hourAgo = new Date(Date.now() - 60 * 60 * 1000);
+    const started = await stepUpService.countStarted({ purpose: 'card_reveal', target_id: card._id }, hourAgo);
+    if (started >= REVEAL_CHALLENGES_PER_HOUR) {
+      await auditReveal(req, card, 'card.reveal.challenge', 'denied', 'Rate limited');
+      return res.status(429).json({
+        success: false,
+        error: 'Too many reveal attempts for this card. Try again later.',
+        code: 'RATE_LIMITED'
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    const challenge = await stepUpService.start(user, {
+      purpose: 'card_reveal',
+      target_id: card._id,
+      method: req.body.method
+    });
+
+    await auditReveal(req, card, 'card.reveal.challenge', 'success', undefined, {
+      challenge_id: challenge.id,
+      method: challenge.method
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        challenge_id: challenge._id,
+        method: challenge.method,
+        expires_at: challenge.expires_at,
+        sent_to: challenge.method === 'otp' ? `******${user.mpesa_phone.slice(-3)}` : undefined
+      },
+      message: challenge.method === 'otp'
+        ? 'A verification code has been sent to your M-Pesa phone'
+        : 'Confirm your password to continue'
+    });
+
+  } catch (error) {
+    logger.error('Start reveal challenge error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start verification'
+    });
+  }
+});
+
+// @route   POST /api/cards/:id/reveal/verify
+// @desc    Complete step-up verification and get a short-lived reveal token
+// @access  Private
+router.post('/:id/reveal/verify', [
+  body('challengeId').isMongoId().withMessage('Invalid challenge ID'),
+  body('password').optional().isString(),
+  body('code').optional().matches(/^\d{6}$/).withMessage('Code must be 6 digits')
+], async (req, res) => {
+  let card;
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    card = await VirtualCard.findOne({ _id: req.params.id, user_id: req.user.id }).select('_id');
+
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        error: 'Card not found'
+      });
+    }
+
+    const result = await stepUpService.verify(req.body.challengeId, req.user.id, {
+      purpose: 'card_reveal',
+      target_id: card._id,
+      password: req.body.password,
+      code: req.body.code
+    });
+
+    await auditReveal(req, card, 'card.reveal.verify', 'success', undefined, {
+      challenge_id: result.challenge.id,
+      method: result.challenge.method
+    });
+
+    res.json({
+      success: true,
+      data: {
+        reveal_token: result.token,
+        expires_at: result.expires_at
+      },
+      message: 'Verified'
+    });
+
+  } catch (error) {
+    if (error instanceof StepUpError) {
+      await auditReveal(req, card, 'card.reveal.verify', 'failure', error.message, {
+        challenge_id: req.body.challengeId,
+        code: error.code
+      });
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Verify reveal challenge error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify'
+    });
+  }
+});
+
+// @route   POST /api/cards/:id/reveal
+// @desc    Reveal full card details with a reveal token from step-up verification
+// @access  Private
+router.post('/:id/reveal', recentTwoFactor, [
+  body('revealToken').isString().notEmpty().withMessage('Reveal token is required')
+], async (req, res) => {
+  let card;
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const userId = req.user.id;
+    card = await VirtualCard.findOne({ _id: req.params.id, user_id: userId });
+
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        error: 'Card not found'
+      });
+    }
+
+    const hourAgo = new Date(Date.now() - 60 * 60 * 1000);
+    const revealed = await stepUpService.countUsed({ purpose: 'card_reveal', target_id: card._id }, hourAgo);
+    if (revealed >= REVEALS_PER_HOUR) {
+      await auditReveal(req, card, 'card.reveal', 'denied', 'Rate limited');
+      return res.status(429).json({
+        success: false,
+        error: 'Card details were revealed too often. Try again later.',
+        code: 'RATE_LIMITED'
+      });
+    }
+
+    const challenge = await stepUpService.consume(req.body.revealToken, {
+      user_id: userId,
+      purpose: 'card_reveal',
+      target_id: card._id
+    });
+
+    // The only place card data leaves the vault
+    const { card_number: cardNumber, cvv } = await vaultService.revealCard(card);
 
     // Create response with full details
     const cardResponse = {
       _id: card._id,
       cardholder_name: card.cardholder_name,
-      card_number: decryptedCardNumber,
-      cvv: decryptedCvv,
+      card_number: cardNumber,
+      cvv,
       expiry_month: card.expiry_month,
       expiry_year: card.expiry_year,
       status: card.status,
@@ -214,8 +464,13 @@ router.get('/:id/reveal', async (req, res) => {
       expires_at: new Date(Date.now() + 60000) // 60 seconds from now
     };
 
-    logger.info('Card details revealed temporarily', { userId, cardId });
+    await auditReveal(req, card, 'card.reveal', 'success', undefined, {
+      challenge_id: challenge.id,
+      method: challenge.method
+    });
+    logger.info('Card details revealed temporarily', { userId, cardId: card.id, method: challenge.method });
 
+    res.set('Cache-Control', 'no-store');
     res.json({
       success: true,
       data: cardResponse,
@@ -223,6 +478,15 @@ router.get('/:id/reveal', async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof StepUpError) {
+      await auditReveal(req, card, 'card.reveal', 'denied', error.message, { code: error.code });
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
     logger.error('Reveal card error:', error);
     res.status(500).json({
       success: false,
@@ -238,7 +502,9 @@ router.put('/:id', [
   body('cardholderName').optional().trim().isLength({ min: 2, max: 50 }).withMessage('Cardholder name must be between 2 and 50 characters'),
   body('dailyLimit').optional().isInt({ min: 1000, max: 100000 }).withMessage('Daily limit must be between 1,000 and 100,000 KES'),
   body('monthlyLimit').optional().isInt({ min: 10000, max: 1000000 }).withMessage('Monthly limit must be between 10,000 and 1,000,000 KES'),
-  body('status').optional().isIn(['active', 'suspended', 'cancelled']).withMessage('Invalid status')
+  body('status').optional().isIn(['active', 'suspended', 'cancelled']).withMessage('Invalid status'),
+  body('fundingMode').optional().isIn(['stk_per_transaction', 'prepaid']).withMessage('Invalid funding mode'),
+  body('lowBalanceThreshold').optional().isFloat({ min: 0 }).withMessage('Low balance threshold must be 0 or more')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -263,6 +529,30 @@ router.put('/:id', [
       });
     }
 
+    if (updates.fundingMode && updates.fundingMode !== card.funding_mode) {
+      // Same rule as at creation: a balance would be stranded on a burner card
+      if (updates.fundingMode === 'prepaid' && ['single_use', 'time_boxed'].includes(card.card_type)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Single-use and time-boxed cards cannot be prepaid'
+        });
+      }
+
+      // A card paying per purchase never spends its balance
+      if (updates.fundingMode === 'stk_per_transaction' && card.balance > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Card has a remaining balance'
+        });
+      }
+    }
+
+    // Raising a limit needs the same recent two-factor check as creating a card
+    if ((updates.dailyLimit && updates.dailyLimit > card.daily_limit) ||
+        (updates.monthlyLimit && updates.monthlyLimit > card.monthly_limit)) {
+      twoFactorService.assertRecent(req.user);
+    }
+
     // Update allowed fields
     if (updates.cardholderName) {
       card.cardholder_name = updates.cardholderName.toUpperCase();
@@ -273,26 +563,42 @@ router.put('/:id', [
     if (updates.monthlyLimit) {
       card.monthly_limit = updates.monthlyLimit;
     }
-    if (updates.status) {
-      card.status = updates.status;
+    if (updates.fundingMode) {
+      card.funding_mode = updates.fundingMode;
+    }
+    if (updates.lowBalanceThreshold !== undefined) {
+      card.low_balance_threshold = updates.lowBalanceThreshold;
     }
 
-    await card.save();
-
-    // Return updated card without sensitive data
-    const cardResponse = card.toObject();
-    delete cardResponse.card_number;
-    delete cardResponse.cvv;
+    // Status changes go through the lifecycle operations, which save the card
+    const lifecycleOptions = { actor: `cardholder:${userId}` };
+    if (updates.status === 'suspended' && card.status !== 'suspended') {
+      await cardService.freezeCard(card, lifecycleOptions);
+    } else if (updates.status === 'active' && card.status !== 'active') {
+      await cardService.unfreezeCard(card, lifecycleOptions);
+    } else if (updates.status === 'cancelled' && card.status !== 'cancelled') {
+      await cardService.cancelCard(card, lifecycleOptions);
+    } else {
+      await card.save();
+    }
 
     logger.info('Card updated', { userId, cardId, updates });
 
     res.json({
       success: true,
-      data: cardResponse,
+      data: toCardResponse(card),
       message: 'Card updated successfully'
     });
 
   } catch (error) {
+    if (error instanceof CardLifecycleError || error instanceof StepUpError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
     logger.error('Update card error:', error);
     res.status(500).json({
       success: false,
@@ -301,8 +607,431 @@ router.put('/:id', [
   }
 });
 
+// @route   PUT /api/cards/:id/controls
+// @desc    Replace the card's spending controls (merchant categories, merchants, time windows)
+// @access  Private
+router.put('/:id/controls', spendingControlsValidation(''), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const userId = req.user.id;
+    const card = await VirtualCard.findOne({ _id: req.params.id, user_id: userId });
+
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        error: 'Card not found'
+      });
+    }
+
+    card.spending_controls = toSpendingControls(req.body);
+    await card.save();
+
+    logger.info('Card spending controls updated', { userId, cardId: card.id, controls: card.spending_controls });
+
+    res.json({
+      success: true,
+      data: card.spending_controls,
+      message: 'Spending controls updated successfully'
+    });
+
+  } catch (error) {
+    logger.error('Update card controls error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update spending controls'
+    });
+  }
+});
+
+// @route   POST /api/cards/:id/freeze
+// @desc    Freeze a card; it can be unfrozen later
+// @access  Private
+router.post('/:id/freeze', [
+  body('note').optional().trim().isLength({ max: 255 }).withMessage('Note must be at most 255 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const card = await VirtualCard.findOne({ _id: req.params.id, user_id: req.user.id });
+
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        error: 'Card not found'
+      });
+    }
+
+    await cardService.freezeCard(card, { actor: `cardholder:${req.user.id}`, note: req.body.note });
+
+    res.json({
+      success: true,
+      data: toCardResponse(card),
+      message: 'Card frozen'
+    });
+
+  } catch (error) {
+    if (error instanceof CardLifecycleError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Freeze card error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to freeze card'
+    });
+  }
+});
+
+// @route   POST /api/cards/:id/unfreeze
+// @desc    Unfreeze a card the cardholder froze
+// @access  Private
+router.post('/:id/unfreeze', async (req, res) => {
+  try {
+    const card = await VirtualCard.findOne({ _id: req.params.id, user_id: req.user.id });
+
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        error: 'Card not found'
+      });
+    }
+
+    await cardService.unfreezeCard(card, { actor: `cardholder:${req.user.id}` });
+
+    res.json({
+      success: true,
+      data: toCardResponse(card),
+      message: 'Card unfrozen'
+    });
+
+  } catch (error) {
+    if (error instanceof CardLifecycleError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Unfreeze card error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to unfreeze card'
+    });
+  }
+});
+
+// @route   POST /api/cards/:id/replace
+// @desc    Replace a lost or compromised card with a new number and CVV
+// @access  Private
+router.post('/:id/replace', [
+  body('reasonCode').isIn(['lost', 'stolen', 'compromised', 'cardholder_request']).withMessage('Invalid reason code'),
+  body('note').optional().trim().isLength({ max: 255 }).withMessage('Note must be at most 255 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const userId = req.user.id;
+    const card = await VirtualCard.findOne({ _id: req.params.id, user_id: userId });
+
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        error: 'Card not found'
+      });
+    }
+
+    const { replacement } = await cardService.replaceCard(card, {
+      actor: `cardholder:${userId}`,
+      reason_code: req.body.reasonCode,
+      note: req.body.note
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        replaced_card_id: card._id,
+        card: toCardResponse(replacement)
+      },
+      message: 'Card replaced. Use the new card details from now on.'
+    });
+
+  } catch (error) {
+    if (error instanceof CardLifecycleError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Replace card error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to replace card'
+    });
+  }
+});
+
+// @route   POST /api/cards/:id/renew
+// @desc    Renew a card that is expired or close to expiry
+// @access  Private
+router.post('/:id/renew', async (req, res) => {
+  try {
+    const card = await VirtualCard.findOne({ _id: req.params.id, user_id: req.user.id });
+
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        error: 'Card not found'
+      });
+    }
+
+    await cardService.renewCard(card, {
+      actor: `cardholder:${req.user.id}`,
+      reason_code: card.isExpired() ? 'card_expired' : 'upcoming_expiry'
+    });
+
+    res.json({
+      success: true,
+      data: toCardResponse(card),
+      message: 'Card renewed with a new expiry date and CVV'
+    });
+
+  } catch (error) {
+    if (error instanceof CardLifecycleError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Renew card error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to renew card'
+    });
+  }
+});
+
+// @route   GET /api/cards/:id/lifecycle
+// @desc    Get the card's lifecycle events, newest first
+// @access  Private
+router.get('/:id/lifecycle', async (req, res) => {
+  try {
+    const card = await VirtualCard.findOne({ _id: req.params.id, user_id: req.user.id })
+      .select('status status_reason replaces replaced_by renewed_at lifecycle_events');
+
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        error: 'Card not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        card_id: card._id,
+        status: card.status,
+        status_reason: card.status_reason,
+        replaces: card.replaces,
+        replaced_by: card.replaced_by,
+        renewed_at: card.renewed_at,
+        events: [...card.lifecycle_events].reverse()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get card lifecycle error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch card lifecycle'
+    });
+  }
+});
+
+// @route   POST /api/cards/:id/topup
+// @desc    Top up a card balance from M-Pesa via STK push
+// @access  Private
+router.post('/:id/topup', [
+  body('amount').isInt({ min: 10, max: 150000 }).withMessage('Top-up amount must be between 10 and 150,000 KES')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const userId = req.user.id;
+    const cardId = req.params.id;
+
+    const card = await VirtualCard.findOne({ _id: cardId, user_id: userId });
+
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        error: 'Card not found'
+      });
+    }
+
+    if (card.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        error: 'Card is not active'
+      });
+    }
+
+    // A pay-per-purchase card never spends its balance, so money topped up would be stranded
+    if (card.funding_mode !== 'prepaid') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only prepaid cards can be topped up',
+        code: 'CARD_NOT_PREPAID'
+      });
+    }
+
+    const user = await User.findById(userId);
+    const result = await authorizationService.topUpCard(card, user, parseInt(req.body.amount));
+
+    if (!result.success) {
+      return res.status(502).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      data: {
+        transaction_id: result.transaction._id,
+        transaction_reference: result.transaction.transaction_reference,
+        checkout_request_id: result.checkout_request_id,
+        amount: result.transaction.amount_kes
+      },
+      message: 'STK push sent to your phone. Complete the payment to top up your card.'
+    });
+
+  } catch (error) {
+    logger.error('Card top-up error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to top up card'
+    });
+  }
+});
+
+// @route   GET /api/cards/:id/balance
+// @desc    Get card balance and funding settings
+// @access  Private
+router.get('/:id/balance', async (req, res) => {
+  try {
+    const card = await VirtualCard.findOne({ _id: req.params.id, user_id: req.user.id })
+      .select('balance funding_mode low_balance_threshold low_balance_alerted_at');
+
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        error: 'Card not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        card_id: card._id,
+        balance: card.balance,
+        currency: 'KES',
+        funding_mode: card.funding_mode,
+        low_balance_threshold: card.low_balance_threshold,
+        low_balance: card.balance < card.low_balance_threshold
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get card balance error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch card balance'
+    });
+  }
+});
+
+// @route   GET /api/cards/:id/balance/history
+// @desc    Get card balance history
+// @access  Private
+router.get('/:id/balance/history', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const card = await VirtualCard.findOne({ _id: req.params.id, user_id: req.user.id }).select('_id');
+
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        error: 'Card not found'
+      });
+    }
+
+    const history = await walletService.getHistory(card._id, req.query);
+
+    res.json({
+      success: true,
+      data: history
+    });
+
+  } catch (error) {
+    logger.error('Get card balance history error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch balance history'
+    });
+  }
+});
+
 // @route   DELETE /api/cards/:id
-// @desc    Delete virtual card
+// @desc    Cancel a virtual card and delete it with its vaulted card data
 // @access  Private
 router.delete('/:id', async (req, res) => {
   try {
@@ -318,13 +1047,18 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
-    // Check if card has pending transactions
-    // This would require a Transaction model check
-    // For now, we'll just delete the card
-
-    await VirtualCard.findByIdAndDelete(cardId);
+    await cardService.deleteCard(card, { actor: `cardholder:${userId}` });
 
-    logger.info('Card deleted', { userId, cardId });
+    await AuditLog.record({
+      action: 'card.deleted',
+      actor_type: 'user',
+      actor_id: String(userId),
+      target_type: 'card',
+      target_id: String(card._id),
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      metadata: { last4: card.last4, card_type: card.card_type }
+    });
 
     res.json({
       success: true,
@@ -332,6 +1066,14 @@ router.delete('/:id', async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof CardLifecycleError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
     logger.error('Delete card error:', error);
     res.status(500).json({
       success: false,
@@ -340,5 +1082,4 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
-
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,479 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Transaction = require('../models/Transaction');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const authorizationService = require('../services/authorizationService');
+const refundService = require('../services/refundService');
+const merchantService = require('../services/merchantService');
+const webhookService = require('../services/webhookService');
+const logger = require('../utils/logger');
+const { HoldError, InvalidTransitionError, RefundError, WebhookError } = require('../utils/errors');
+
+const router = express.Router();
+
+const validate = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+    return false;
+  }
+  return true;
+};
+
+const { formatTransaction } = merchantService;
+
+const findMerchantTransaction = (merchant, transactionReference) => {
+  return Transaction.findOne({
+    transaction_reference: transactionReference,
+    merchant_account_id: merchant._id
+  });
+};
+
+// @route   POST /api/merchant/v1/authorizations
+// @desc    Authorize a card payment
+// @access  Merchant (API key + signature)
+router.post('/authorizations', [
+  body('card_number').isString().isLength({ min: 16, max: 16 }).withMessage('Card number must be 16 digits'),
+  body('cvv').isString().isLength({ min: 3, max: 3 }).withMessage('CVV must be 3 digits'),
+  body('expiry_month').isInt({ min: 1, max: 12 }).withMessage('Invalid expiry month'),
+  body('expiry_year').isInt({ min: 2000, max: 2100 }).withMessage('Invalid expiry year'),
+  body('amount').isFloat({ gt: 0 }).withMessage('Amount must be a positive number'),
+  body('currency').optional().isIn(['KES', 'USD', 'EUR', 'GBP']).withMessage('Unsupported currency'),
+  body('capture_mode').optional().isIn(['automatic', 'manual']).withMessage('Invalid capture mode'),
+  body('merchant_reference').trim().isLength({ min: 1, max: 100 }).withMessage('Merchant reference is required (max 100 characters)'),
+  body('customer_ip').optional().isIP().withMessage('Invalid customer IP address'),
+  body('customer_country').optional().isISO31661Alpha2().withMessage('Customer country must be an ISO 3166 alpha-2 code')
+], async (req, res) => {
+  try {
+    if (!validate(req, res)) return;
+
+    const merchant = req.merchant;
+    const merchantReference = req.body.merchant_reference;
+
+    // A retried request returns the original authorization instead of charging again
+    const existing = await Transaction.findOne({
+      merchant_account_id: merchant._id,
+      'metadata.network.merchant_reference': merchantReference
+    });
+
+    if (existing) {
+      return res.status(200).json({
+        success: true,
+        data: formatTransaction(existing),
+        message: 'Authorization already exists for this merchant reference'
+      });
+    }
+
+    const result = await authorizationService.authorizeTransaction({
+      card_number: req.body.card_number,
+      cvv: req.body.cvv,
+      expiry_month: parseInt(req.body.expiry_month),
+      expiry_year: parseInt(req.body.expiry_year),
+      amount: parseFloat(req.body.amount),
+      currency: req.body.currency || 'KES',
+      merchant_name: merchant.name,
+      merchant_id: merchant.merchant_code,
+      merchant_category: merchant.merchant_category,
+      merchant_account_id: merchant._id,
+      capture_mode: req.body.capture_mode || 'automatic',
+      channel: 'merchant_api',
+      network_data: { merchant_reference: merchantReference, key_id: req.merchantKeyId },
+      // Risk rules look at the shopper's IP, not the merchant server's
+      customer_ip: req.body.customer_ip,
+      ip_country: req.body.customer_country,
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent')
+    });
+
+    const status = result.approved ? 201 : result.pending ? 202 : 402;
+
+    logger.info('Merchant authorization processed', {
+      merchantId: merchant.id,
+      transactionReference: result.transaction_reference,
+      approved: result.approved,
+      pending: !!result.pending
+    });
+
+    res.status(status).json({
+      success: result.approved || !!result.pending,
+      data: {
+        transaction_reference: result.transaction_reference,
+        merchant_reference: merchantReference,
+        status: result.approved ? 'approved' : result.under_review ? 'under_review' : result.pending ? 'pending' : 'declined',
+        authorization_code: result.authorization_code,
+        decline_code: result.decline_code,
+        decline_reason: result.decline_reason
+      },
+      message: result.message
+    });
+
+  } catch (error) {
+    logger.error('Merchant authorization error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process authorization'
+    });
+  }
+});
+
+// @route   POST /api/merchant/v1/captures
+// @desc    Capture all or part of an authorization hold
+// @access  Merchant (API key + signature)
+router.post('/captures', [
+  body('transaction_reference').isString().notEmpty().withMessage('Transaction reference is required'),
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be a positive number'),
+  body('final').optional().isBoolean().withMessage('Final must be a boolean')
+], async (req, res) => {
+  try {
+    if (!validate(req, res)) return;
+
+    const transaction = await findMerchantTransaction(req.merchant, req.body.transaction_reference);
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transaction not found'
+      });
+    }
+
+    await authorizationService.captureTransaction(transaction, req.body.amount, {
+      final: req.body.final === true || req.body.final === 'true',
+      actor: `merchant:${req.merchant.merchant_code}`
+    });
+
+    res.json({
+      success: true,
+      data: formatTransaction(transaction),
+      message: 'Transaction captured successfully'
+    });
+
+  } catch (error) {
+    if (error instanceof HoldError || error instanceof InvalidTransitionError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Merchant capture error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to capture transaction'
+    });
+  }
+});
+
+// @route   POST /api/merchant/v1/voids
+// @desc    Void an uncaptured authorization hold
+// @access  Merchant (API key + signature)
+router.post('/voids', [
+  body('transaction_reference').isString().notEmpty().withMessage('Transaction reference is required'),
+  body('reason').optional().trim().isLength({ max: 255 }).withMessage('Reason must be at most 255 characters')
+], async (req, res) => {
+  try {
+    if (!validate(req, res)) return;
+
+    const transaction = await findMerchantTransaction(req.merchant, req.body.transaction_reference);
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transaction not found'
+      });
+    }
+
+    await authorizationService.voidTransaction(transaction, {
+      actor: `merchant:${req.merchant.merchant_code}`,
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      data: formatTransaction(transaction),
+      message: 'Transaction voided successfully'
+    });
+
+  } catch (error) {
+    if (error instanceof HoldError || error instanceof InvalidTransitionError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Merchant void error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to void transaction'
+    });
+  }
+});
+
+// @route   POST /api/merchant/v1/refunds
+// @desc    Refund all or part of a captured transaction
+// @access  Merchant (API key + signature)
+router.post('/refunds', [
+  body('transaction_reference').isString().notEmpty().withMessage('Transaction reference is required'),
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be a positive number'),
+  body('reason').optional().trim().isLength({ max: 255 }).withMessage('Reason must be at most 255 characters')
+], async (req, res) => {
+  try {
+    if (!validate(req, res)) return;
+
+    const transaction = await findMerchantTransaction(req.merchant, req.body.transaction_reference);
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transaction not found'
+      });
+    }
+
+    const refund = await refundService.createRefund(transaction, req.body.amount, {
+      reason: req.body.reason,
+      actor: `merchant:${req.merchant.merchant_code}`
+    });
+
+    res.status(refund.status === 'failed' ? 502 : 202).json({
+      success: refund.status !== 'failed',
+      data: {
+        refund_reference: refund.refund_reference,
+        transaction_reference: transaction.transaction_reference,
+        amount: refund.amount,
+        status: refund.status,
+        destination: refund.destination
+      },
+      message: refund.status === 'failed' ? 'Refund could not be sent' : 'Refund initiated'
+    });
+
+  } catch (error) {
+    if (error instanceof RefundError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Merchant refund error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to refund transaction'
+    });
+  }
+});
+
+// @route   GET /api/merchant/v1/status/:reference
+// @desc    Get the status of a transaction
+// @access  Merchant (API key + signature)
+router.get('/status/:reference', [
+  param('reference').isString().isLength({ min: 1, max: 100 }).withMessage('Invalid transaction reference')
+], async (req, res) => {
+  try {
+    if (!validate(req, res)) return;
+
+    let transaction = await findMerchantTransaction(req.merchant, req.params.reference);
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transaction not found'
+      });
+    }
+
+    // Pending transactions are checked with M-Pesa before answering
+    if (['stk_push_sent', 'awaiting_user_response'].includes(transaction.status)) {
+      await authorizationService.queryTransactionStatus(transaction.transaction_reference);
+      transaction = await Transaction.findById(transaction._id);
+    }
+
+    res.json({
+      success: true,
+      data: formatTransaction(transaction)
+    });
+
+  } catch (error) {
+    logger.error('Merchant status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch transaction status'
+    });
+  }
+});
+
+// @route   POST /api/merchant/v1/keys/rotate
+// @desc    Issue a new API key; current keys keep working for a grace period
+// @access  Merchant (API key + signature)
+router.post('/keys/rotate', async (req, res) => {
+  try {
+    const credentials = await merchantService.rotateApiKey(req.merchant);
+
+    res.status(201).json({
+      success: true,
+      data: credentials,
+      message: 'New API key issued. Store the key and signing secret now; they are not shown again.'
+    });
+
+  } catch (error) {
+    logger.error('Merchant key rotation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rotate API key'
+    });
+  }
+});
+
+// @route   PUT /api/merchant/v1/webhooks
+// @desc    Set the webhook endpoint and the events delivered to it
+// @access  Merchant (API key + signature)
+router.put('/webhooks', [
+  body('url').isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false }).withMessage('A valid http(s) URL is required'),
+  body('events').optional().isArray().withMessage('Events must be an array'),
+  body('events.*').optional().isIn(webhookService.eventTypes).withMessage('Unknown event type'),
+  body('rotate_secret').optional().isBoolean().withMessage('rotate_secret must be a boolean')
+], async (req, res) => {
+  try {
+    if (!validate(req, res)) return;
+
+    const config = await webhookService.configure(req.merchant, {
+      url: req.body.url,
+      events: req.body.events,
+      rotateSecret: req.body.rotate_secret === true || req.body.rotate_secret === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: config,
+      message: config.secret
+        ? 'Webhook configured. Store the signing secret now; it is not shown again.'
+        : 'Webhook configured'
+    });
+
+  } catch (error) {
+    if (error instanceof WebhookError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Merchant webhook configuration error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to configure webhook'
+    });
+  }
+});
+
+// @route   GET /api/merchant/v1/webhooks/deliveries
+// @desc    List webhook deliveries, newest first
+// @access  Merchant (API key + signature)
+router.get('/webhooks/deliveries', [
+  query('status').optional().isIn(['pending', 'delivered', 'dead']).withMessage('Invalid status'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    if (!validate(req, res)) return;
+
+    const { deliveries, pagination } = await webhookService.listDeliveries(req.merchant, {
+      status: req.query.status,
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20
+    });
+
+    res.json({
+      success: true,
+      data: deliveries,
+      pagination
+    });
+
+  } catch (error) {
+    logger.error('Merchant webhook deliveries error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch webhook deliveries'
+    });
+  }
+});
+
+// @route   GET /api/merchant/v1/webhooks/deliveries/:id
+// @desc    Get a webhook delivery with its payload and attempts
+// @access  Merchant (API key + signature)
+router.get('/webhooks/deliveries/:id', [
+  param('id').isMongoId().withMessage('Invalid delivery ID')
+], async (req, res) => {
+  try {
+    if (!validate(req, res)) return;
+
+    const delivery = await WebhookDelivery.findOne({ _id: req.params.id, merchant_id: req.merchant._id });
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Delivery not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: delivery
+    });
+
+  } catch (error) {
+    logger.error('Merchant webhook delivery error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch webhook delivery'
+    });
+  }
+});
+
+// @route   POST /api/merchant/v1/webhooks/deliveries/:id/replay
+// @desc    Send a webhook delivery again, including dead-lettered ones
+// @access  Merchant (API key + signature)
+router.post('/webhooks/deliveries/:id/replay', [
+  param('id').isMongoId().withMessage('Invalid delivery ID')
+], async (req, res) => {
+  try {
+    if (!validate(req, res)) return;
+
+    const delivery = await WebhookDelivery.findOne({ _id: req.params.id, merchant_id: req.merchant._id });
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Delivery not found'
+      });
+    }
+
+    await webhookService.replay(delivery);
+
+    res.status(202).json({
+      success: true,
+      data: {
+        id: delivery.id,
+        event_id: delivery.event_id,
+        status: delivery.status,
+        next_attempt_at: delivery.next_attempt_at
+      },
+      message: 'Delivery queued for replay'
+    });
+
+  } catch (error) {
+    logger.error('Merchant webhook replay error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to replay webhook delivery'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,13 +1,14 @@
 const express = require('express');
 const mpesaService = require('../services/mpesaService');
+const requirePermission = require('../middleware/requirePermission');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
 // @route   POST /api/mpesa/test-stk
 // @desc    Test STK push (for development)
-// @access  Private
-router.post('/test-stk', async (req, res) => {
+// @access  mpesa:test
+router.post('/test-stk', requirePermission('mpesa:test'), async (req, res) => {
   try {
     const { phone_number, amount, reference, description } = req.body;
 
@@ -56,8 +57,8 @@ router.post('/test-stk', async (req, res) => {
 
 // @route   GET /api/mpesa/status
 // @desc    Get M-Pesa service status
-// @access  Private
-router.get('/status', async (req, res) => {
+// @access  mpesa:status
+router.get('/status', requirePermission('mpesa:status'), async (req, res) => {
   try {
     // Test access token generation
     const accessToken = await mpesaService.getAccessToken();
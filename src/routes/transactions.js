@@ -1,8 +1,12 @@
 const express = require('express');
-const { query, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const Transaction = require('../models/Transaction');
 const VirtualCard = require('../models/VirtualCard');
+const Refund = require('../models/Refund');
+const adminService = require('../services/adminService');
+const requirePermission = require('../middleware/requirePermission');
 const logger = require('../utils/logger');
+const { AdminError, HoldError, InvalidTransitionError, RefundError } = require('../utils/errors');
 
 const router = express.Router();
 
@@ -215,6 +219,180 @@ router.post('/', async (req, res) => {
   }
 });
 
+// @route   POST /api/transactions/:id/capture
+// @desc    Capture all or part of an authorization hold
+// @access  transactions:capture
+router.post('/:id/capture', requirePermission('transactions:capture'), [
+  param('id').isMongoId().withMessage('Invalid transaction ID'),
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be a positive number'),
+  body('final').optional().isBoolean().withMessage('Final must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const transaction = await adminService.captureTransaction(req.params.id, req.body.amount, {
+      final: req.body.final === true || req.body.final === 'true',
+      staff: req.user,
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      data: transaction,
+      message: 'Transaction captured successfully'
+    });
+
+  } catch (error) {
+    if (error instanceof AdminError || error instanceof HoldError || error instanceof InvalidTransitionError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Capture transaction error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to capture transaction'
+    });
+  }
+});
+
+// @route   POST /api/transactions/:id/void
+// @desc    Void an uncaptured authorization hold
+// @access  transactions:void
+router.post('/:id/void', requirePermission('transactions:void'), [
+  param('id').isMongoId().withMessage('Invalid transaction ID'),
+  body('reason').optional().trim().isLength({ max: 255 }).withMessage('Reason must be at most 255 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const transaction = await adminService.voidTransaction(req.params.id, {
+      staff: req.user,
+      reason: req.body.reason,
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      data: transaction,
+      message: 'Transaction voided successfully'
+    });
+
+  } catch (error) {
+    if (error instanceof AdminError || error instanceof HoldError || error instanceof InvalidTransitionError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Void transaction error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to void transaction'
+    });
+  }
+});
+
+// @route   POST /api/transactions/:id/refund
+// @desc    Refund all or part of a captured transaction to the cardholder's M-Pesa
+// @access  transactions:refund
+router.post('/:id/refund', requirePermission('transactions:refund'), [
+  param('id').isMongoId().withMessage('Invalid transaction ID'),
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be a positive number'),
+  body('reason').trim().isLength({ min: 1, max: 255 }).withMessage('Reason is required and must be at most 255 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const refund = await adminService.refundTransaction(req.params.id, req.body.amount, {
+      staff: req.user,
+      reason: req.body.reason,
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent')
+    });
+
+    res.status(refund.status === 'failed' ? 502 : 202).json({
+      success: refund.status !== 'failed',
+      data: refund,
+      message: refund.status === 'failed' ? 'Refund could not be sent to M-Pesa' : 'Refund initiated'
+    });
+
+  } catch (error) {
+    if (error instanceof AdminError || error instanceof RefundError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Refund transaction error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to refund transaction'
+    });
+  }
+});
+
+// @route   GET /api/transactions/:id/refunds
+// @desc    List refunds and reversals for a transaction
+// @access  Private
+router.get('/:id/refunds', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const transaction = await Transaction.findOne({ _id: req.params.id, user_id: userId }).select('_id');
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transaction not found'
+      });
+    }
+
+    const refunds = await Refund.findByTransaction(transaction._id).lean();
+
+    res.json({
+      success: true,
+      data: refunds
+    });
+
+  } catch (error) {
+    logger.error('Get refunds error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch refunds'
+    });
+  }
+});
+
 // @route   GET /api/transactions/export
 // @desc    Export transactions as CSV
 // @access  Private
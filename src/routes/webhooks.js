@@ -1,162 +1,57 @@
 const express = require('express');
-const crypto = require('crypto');
 const logger = require('../utils/logger');
-const Transaction = require('../models/Transaction');
-const VirtualCard = require('../models/VirtualCard');
-const cache = require('../utils/cache');
+const mpesaService = require('../services/mpesaService');
+const authorizationService = require('../services/authorizationService');
+const refundService = require('../services/refundService');
+const callbackAuth = require('../middleware/callbackAuth');
 
 const router = express.Router();
 
-// M-Pesa webhook signature validation
-const validateMpesaSignature = (req, res, next) => {
+// M-Pesa STK Push callback, at the CallBackURL advertised by initiateSTKPush
+router.post('/mpesa/stk-callback', callbackAuth({ name: 'stk' }), async (req, res) => {
   try {
-    const signature = req.headers['x-mpesa-signature'];
-    const timestamp = req.headers['x-mpesa-timestamp'];
-    const nonce = req.headers['x-mpesa-nonce'];
-    
-    if (!signature || !timestamp || !nonce) {
-      logger.warn('M-Pesa webhook missing required headers', {
-        signature: !!signature,
-        timestamp: !!timestamp,
-        nonce: !!nonce
-      });
-      return res.status(400).json({ error: 'Missing required headers' });
+    if (!req.body?.Body?.stkCallback) {
+      logger.warn('M-Pesa STK callback missing Body.stkCallback');
+      return res.status(400).json({ ResultCode: 1, ResultDesc: 'Missing stkCallback' });
     }
 
-    // In production, validate the signature using M-Pesa's public key
-    // For development, we'll log the signature for debugging
-    logger.info('M-Pesa webhook signature received', {
-      signature: signature.substring(0, 20) + '...',
-      timestamp,
-      nonce
-    });
-
-    next();
-  } catch (error) {
-    logger.error('Error validating M-Pesa signature:', error);
-    res.status(500).json({ error: 'Signature validation failed' });
-  }
-};
-
-// M-Pesa STK Push callback
-router.post('/mpesa', validateMpesaSignature, async (req, res) => {
-  try {
-    const { Body } = req.body;
-    
-    if (!Body) {
-      logger.warn('M-Pesa webhook missing Body');
-      return res.status(400).json({ error: 'Missing Body' });
-    }
-
-    const stkCallback = Body.stkCallback;
-    
-    if (!stkCallback) {
-      logger.warn('M-Pesa webhook missing stkCallback');
-      return res.status(400).json({ error: 'Missing stkCallback' });
-    }
-
-    const {
-      MerchantRequestID,
-      CheckoutRequestID,
-      ResultCode,
-      ResultDesc,
-      CallbackMetadata
-    } = stkCallback;
+    const callbackData = mpesaService.parseSTKCallback(req.body);
 
     logger.info('M-Pesa STK Push callback received', {
-      MerchantRequestID,
-      CheckoutRequestID,
-      ResultCode,
-      ResultDesc
+      merchantRequestID: callbackData.merchantRequestID,
+      checkoutRequestID: callbackData.checkoutRequestID,
+      resultCode: callbackData.resultCode,
+      resultDescription: callbackData.resultDescription
     });
 
-    // Find the pending transaction
-    const transaction = await Transaction.findOne({
-      mpesaRequestId: MerchantRequestID,
-      status: 'pending'
+    const result = await authorizationService.handleSTKCallback(callbackData, {
+      reference: req.callbackReference
     });
 
-    if (!transaction) {
-      logger.warn('Transaction not found for M-Pesa callback', {
-        MerchantRequestID,
-        CheckoutRequestID
+    // Finalized transactions are acknowledged so M-Pesa stops retrying
+    if (result.success || result.code === 'INVALID_TRANSITION') {
+      return res.status(200).json({
+        ResultCode: 0,
+        ResultDesc: 'Accepted'
       });
-      return res.status(404).json({ error: 'Transaction not found' });
     }
 
-    if (ResultCode === 0) {
-      // Success - extract payment details
-      const metadata = CallbackMetadata?.Item || [];
-      const mpesaReceiptNumber = metadata.find(item => item.Name === 'MpesaReceiptNumber')?.Value;
-      const amount = metadata.find(item => item.Name === 'Amount')?.Value;
-      const phoneNumber = metadata.find(item => item.Name === 'PhoneNumber')?.Value;
-
-      // Update transaction
-      transaction.status = 'approved';
-      transaction.mpesaReceiptNumber = mpesaReceiptNumber;
-      transaction.processedAt = new Date();
-      transaction.metadata = {
-        ...transaction.metadata,
-        mpesaAmount: amount,
-        mpesaPhoneNumber: phoneNumber,
-        callbackReceived: true
-      };
-
-      await transaction.save();
-
-      // Update card balance if this is a card funding transaction
-      if (transaction.type === 'card_funding') {
-        const card = await VirtualCard.findById(transaction.cardId);
-        if (card) {
-          card.balance += amount;
-          await card.save();
-          logger.info('Card balance updated', {
-            cardId: card._id,
-            newBalance: card.balance
-          });
-        }
-      }
-
-      // Cache the successful transaction
-      await cache.setex(
-        `transaction:${transaction._id}`,
-        3600, // 1 hour
-        JSON.stringify(transaction)
-      );
-
-      logger.info('M-Pesa transaction processed successfully', {
-        transactionId: transaction._id,
-        mpesaReceiptNumber,
-        amount
-      });
+    if (result.code === 'REFERENCE_MISMATCH') {
+      return res.status(401).json({ ResultCode: 1, ResultDesc: 'Callback rejected' });
+    }
 
-    } else {
-      // Failed transaction
-      transaction.status = 'declined';
-      transaction.processedAt = new Date();
-      transaction.metadata = {
-        ...transaction.metadata,
-        failureReason: ResultDesc,
-        callbackReceived: true
-      };
-
-      await transaction.save();
-
-      logger.warn('M-Pesa transaction failed', {
-        transactionId: transaction._id,
-        resultCode: ResultCode,
-        resultDesc: ResultDesc
-      });
+    if (result.code === 'TRANSACTION_NOT_FOUND') {
+      return res.status(404).json({ ResultCode: 1, ResultDesc: 'Transaction not found' });
     }
 
-    // Send success response to M-Pesa
-    res.status(200).json({
-      ResultCode: 0,
-      ResultDesc: 'Success'
+    // Unprocessed callbacks can be retried; the inbox lets the next delivery reclaim them
+    res.status(500).json({
+      ResultCode: 1,
+      ResultDesc: 'Callback could not be processed'
     });
 
   } catch (error) {
-    logger.error('Error processing M-Pesa webhook:', error);
+    logger.error('Error processing M-Pesa STK callback:', error);
     res.status(500).json({
       ResultCode: 1,
       ResultDesc: 'Internal server error'
@@ -165,7 +60,7 @@ router.post('/mpesa', validateMpesaSignature, async (req, res) => {
 });
 
 // M-Pesa C2B callback (for testing)
-router.post('/mpesa/c2b', async (req, res) => {
+router.post('/mpesa/c2b', callbackAuth({ name: 'c2b', reference: 'c2b', replayKey: req => req.body.TransID }), async (req, res) => {
   try {
     const { TransID, TransAmount, MSISDN, BillReferenceNumber } = req.body;
     
@@ -194,17 +89,26 @@ router.post('/mpesa/c2b', async (req, res) => {
 });
 
 // B2C callback (for refunds/payouts)
-router.post('/mpesa/b2c', async (req, res) => {
+router.post('/mpesa/b2c', callbackAuth({ name: 'b2c' }), async (req, res) => {
   try {
     const { Result } = req.body;
-    
+
+    if (!Result) {
+      logger.warn('M-Pesa B2C callback missing Result');
+      return res.status(400).json({ error: 'Missing Result' });
+    }
+
     logger.info('M-Pesa B2C callback received', {
-      Result
+      ConversationID: Result.ConversationID,
+      ResultCode: Result.ResultCode,
+      ResultDesc: Result.ResultDesc
     });
 
-    // Process B2C result
-    // This would typically update a payout transaction
-    
+    const result = await refundService.handleB2CResult(req.body, { reference: req.callbackReference });
+    if (!result.success) {
+      logger.warn('M-Pesa B2C callback not applied', { error: result.error });
+    }
+
     res.status(200).json({
       ResultCode: 0,
       ResultDesc: 'Success'
@@ -219,15 +123,82 @@ router.post('/mpesa/b2c', async (req, res) => {
   }
 });
 
+// B2C queue timeout callback
+router.post('/mpesa/b2c/timeout', callbackAuth({ name: 'b2c_timeout' }), async (req, res) => {
+  try {
+    const { Result } = req.body;
+
+    if (!Result) {
+      return res.status(400).json({ error: 'Missing Result' });
+    }
+
+    logger.warn('M-Pesa B2C request timed out', {
+      ConversationID: Result.ConversationID,
+      OriginatorConversationID: Result.OriginatorConversationID
+    });
+
+    await refundService.handleB2CTimeout(req.body, { reference: req.callbackReference });
+
+    res.status(200).json({
+      ResultCode: 0,
+      ResultDesc: 'Success'
+    });
+
+  } catch (error) {
+    logger.error('Error processing M-Pesa B2C timeout:', error);
+    res.status(500).json({
+      ResultCode: 1,
+      ResultDesc: 'Internal server error'
+    });
+  }
+});
+
+// Transaction status result for a refund whose B2C request timed out
+router.post('/mpesa/b2c/status', callbackAuth({ name: 'b2c_status' }), async (req, res) => {
+  try {
+    if (!req.body?.Result) {
+      return res.status(400).json({ error: 'Missing Result' });
+    }
+
+    const result = await refundService.handleStatusResult(req.body, { reference: req.callbackReference });
+    if (!result.success) {
+      logger.warn('M-Pesa status result not applied', { error: result.error });
+    }
+
+    res.status(200).json({
+      ResultCode: 0,
+      ResultDesc: 'Success'
+    });
+
+  } catch (error) {
+    logger.error('Error processing M-Pesa status result:', error);
+    res.status(500).json({
+      ResultCode: 1,
+      ResultDesc: 'Internal server error'
+    });
+  }
+});
+
+// Status query queue timeout; the refund settler asks again later
+router.post('/mpesa/b2c/status/timeout', callbackAuth({ name: 'b2c_status_timeout' }), (req, res) => {
+  logger.warn('M-Pesa status query timed out', { reference: req.callbackReference });
+
+  res.status(200).json({
+    ResultCode: 0,
+    ResultDesc: 'Success'
+  });
+});
+
 // Webhook health check
 router.get('/health', (req, res) => {
   res.status(200).json({
     status: 'OK',
     timestamp: new Date().toISOString(),
     webhooks: {
-      stkPush: '/mpesa',
+      stkPush: '/mpesa/stk-callback',
       c2b: '/mpesa/c2b',
-      b2c: '/mpesa/b2c'
+      b2c: '/mpesa/b2c',
+      b2cTimeout: '/mpesa/b2c/timeout'
     }
   });
 });
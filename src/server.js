@@ -9,6 +9,9 @@ require('dotenv').config();
 const logger = require('./utils/logger');
 const connectDB = require('./database/connection');
 const cache = require('./utils/cache');
+const { getActiveKeyId, fingerprint } = require('./utils/encryption');
+const { startJobs, stopJobs } = require('./jobs');
+const { startIso8583Server, stopIso8583Server } = require('./iso8583/server');
 
 // Import routes
 const cardRoutes = require('./routes/cards');
@@ -17,10 +20,14 @@ const mpesaRoutes = require('./routes/mpesa');
 const webhookRoutes = require('./routes/webhooks');
 const dashboardRoutes = require('./routes/dashboard');
 const authRoutes = require('./routes/auth');
+const merchantRoutes = require('./routes/merchant');
+const adminRoutes = require('./routes/admin');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
 const authMiddleware = require('./middleware/auth');
+const requirePermission = require('./middleware/requirePermission');
+const { merchantAuth, merchantRateLimit } = require('./middleware/merchantAuth');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -59,8 +66,9 @@ const limiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
-  // Skip rate limiting for auth routes in development
+  // Skip rate limiting for auth routes in development; merchants have their own limits
   skip: (req) => {
+    if (req.originalUrl.startsWith('/api/merchant/')) return true;
     return process.env.NODE_ENV === 'development' && req.path.startsWith('/api/auth');
   }
 });
@@ -69,7 +77,13 @@ app.use('/api/', limiter);
 
 // Body parsing middleware
 app.use(compression());
-app.use(express.json({ limit: '10mb' }));
+// The raw body is kept for request signature verification
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Logging middleware
@@ -90,7 +104,9 @@ app.get('/', (req, res) => {
       transactions: '/api/transactions',
       mpesa: '/api/mpesa',
       webhooks: '/api/webhooks',
-      dashboard: '/api/dashboard'
+      dashboard: '/api/dashboard',
+      merchant: '/api/merchant/v1',
+      admin: '/api/admin'
     }
   });
 });
@@ -114,6 +130,8 @@ app.use('/api/transactions', authMiddleware, transactionRoutes);
 app.use('/api/mpesa', authMiddleware, mpesaRoutes);
 app.use('/api/webhooks', webhookRoutes);
 app.use('/api/dashboard', authMiddleware, dashboardRoutes);
+app.use('/api/merchant/v1', merchantAuth, merchantRateLimit, merchantRoutes);
+app.use('/api/admin', authMiddleware, requirePermission('admin:access'), adminRoutes);
 
 // Error handling middleware
 app.use(errorHandler);
@@ -129,25 +147,23 @@ app.use('*', (req, res) => {
 // Graceful shutdown
 let server;
 
-process.on('SIGTERM', () => {
-  logger.info('SIGTERM received, shutting down gracefully');
-  if (server) {
-    server.close(() => {
-      logger.info('Process terminated');
-      process.exit(0);
-    });
-  }
-});
+async function shutdown(signal) {
+  logger.info(`${signal} received, shutting down gracefully`);
+
+  // Let in-flight background jobs finish before the process goes away
+  await stopJobs();
+  await stopIso8583Server();
 
-process.on('SIGINT', () => {
-  logger.info('SIGINT received, shutting down gracefully');
   if (server) {
     server.close(() => {
       logger.info('Process terminated');
       process.exit(0);
     });
   }
-});
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 // Initialize database and start server
 async function startServer() {
@@ -156,10 +172,20 @@ async function startServer() {
     await connectDB();
     logger.info('✅ MongoDB connected successfully');
 
+    // Card data cannot be stored, read or looked up without the vault keys
+    fingerprint('0');
+    logger.info(`✅ Card vault ready (active key ${getActiveKeyId()})`);
+
     // Test cache connection
     await cache.ping();
     logger.info('✅ Simple cache initialized successfully');
 
+    // Start background jobs (transaction sweeper, hold releaser, webhook dispatcher, review sweeper, card renewer, vault rotator)
+    startJobs();
+
+    // ISO 8583 authorization listener, when ISO8583_ENABLED=true
+    startIso8583Server();
+
     // Start server
     server = app.listen(PORT, () => {
       logger.info(`🚀 PesaCard M-Pesa Bridge Server running on port ${PORT}`);
@@ -170,7 +196,7 @@ async function startServer() {
       // Development webhook URL info
       if (process.env.NODE_ENV === 'development') {
         const webhookUrl = process.env.TAILSCALE_FUNNEL_URL || process.env.NGROK_URL || `http://localhost:${PORT}`;
-        logger.info(`📡 M-Pesa Webhook URL: ${webhookUrl}/api/webhooks/mpesa`);
+        logger.info(`📡 M-Pesa Webhook URL: ${webhookUrl}/api/webhooks/mpesa/stk-callback`);
         if (process.env.TAILSCALE_FUNNEL_URL) {
           logger.info(`🔗 Tailscale Funnel Active: ${process.env.TAILSCALE_FUNNEL_URL}`);
         } else {
@@ -0,0 +1,262 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+const User = require('../models/User');
+const LoginEvent = require('../models/LoginEvent');
+const AuditLog = require('../models/AuditLog');
+const stepUpService = require('./stepUpService');
+const sessionService = require('./sessionService');
+const notificationService = require('./notificationService');
+const logger = require('../utils/logger');
+const { describeDevice, deviceHash } = require('../utils/device');
+const { StepUpError } = require('../utils/errors');
+
+const RESET_PURPOSE = 'password_reset';
+const EAT_OFFSET_MINUTES = 180;
+
+// Account protection around login: progressive lockout, login history with new
+// device/IP alerts, and password reset by one-time code.
+class AccountSecurityService {
+  constructor() {
+    this.maxFailedLogins = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+    this.lockoutBaseMinutes = parseInt(process.env.LOGIN_LOCKOUT_BASE_MINUTES) || 5;
+    this.lockoutMaxMinutes = parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 24 * 60;
+    // Failures and lockout level are forgotten after this long without a failure
+    this.failureResetHours = parseInt(process.env.LOGIN_FAILURE_RESET_HOURS) || 24;
+    this.resetsPerHour = parseInt(process.env.PASSWORD_RESETS_PER_HOUR) || 3;
+  }
+
+  // Seconds until the lock ends; 0 when the account is not locked
+  lockRemainingSeconds(user) {
+    return user.isLocked() ? Math.ceil((user.locked_until - Date.now()) / 1000) : 0;
+  }
+
+  // Counts a wrong password. Every LOGIN_MAX_FAILED_ATTEMPTS failures lock the account,
+  // for twice as long as the previous lockout. Returns the updated user.
+  async recordFailedLogin(user, context) {
+    const now = new Date();
+    const resetBefore = new Date(now.getTime() - this.failureResetHours * 60 * 60 * 1000);
+    if (user.last_failed_login_at && user.last_failed_login_at < resetBefore) {
+      await User.updateOne(
+        { _id: user._id, last_failed_login_at: user.last_failed_login_at },
+        { $set: { failed_login_attempts: 0, lockout_level: 0 } }
+      );
+    }
+
+    let updated = await User.findOneAndUpdate(
+      { _id: user._id },
+      { $inc: { failed_login_attempts: 1 }, $set: { last_failed_login_at: now } },
+      { new: true }
+    );
+
+    if (updated.failed_login_attempts >= this.maxFailedLogins && !updated.isLocked()) {
+      const minutes = Math.min(this.lockoutBaseMinutes * 2 ** updated.lockout_level, this.lockoutMaxMinutes);
+      const lockedUntil = new Date(now.getTime() + minutes * 60 * 1000);
+
+      const locked = await User.findOneAndUpdate(
+        { _id: user._id, failed_login_attempts: { $gte: this.maxFailedLogins } },
+        { $set: { failed_login_attempts: 0, locked_until: lockedUntil }, $inc: { lockout_level: 1 } },
+        { new: true }
+      );
+
+      if (locked) {
+        updated = locked;
+        logger.warn('Account locked after failed logins', { userId: user.id, minutes, level: locked.lockout_level });
+
+        await AuditLog.record({
+          action: 'account.locked',
+          outcome: 'denied',
+          actor_type: 'external',
+          target_type: 'user',
+          target_id: user.id,
+          reason: `${this.maxFailedLogins} failed logins`,
+          ip_address: context.ip_address,
+          user_agent: context.user_agent,
+          metadata: { minutes, lockout_level: locked.lockout_level }
+        });
+
+        await notificationService.notify(user, 'security.account_locked', {
+          subject: 'Your PesaCard account was locked',
+          message: `Your PesaCard account was locked for ${minutes} minutes after several wrong passwords. If this wasn't you, reset your password.`,
+          data: { minutes, ip_address: context.ip_address }
+        });
+      }
+    }
+
+    await this.recordEvent(user, 'invalid_password', context);
+    return updated;
+  }
+
+  // Clears failures, records the login and alerts the user when it is from a browser or
+  // IP they have not signed in from before
+  async recordSuccessfulLogin(user, context, { session_id } = {}) {
+    if (user.failed_login_attempts || user.lockout_level || user.locked_until) {
+      await User.updateOne(
+        { _id: user._id },
+        { $set: { failed_login_attempts: 0, lockout_level: 0 }, $unset: { locked_until: 1, last_failed_login_at: 1 } }
+      );
+    }
+
+    const hash = deviceHash(context.user_agent);
+    const [hasHistory, knownDevice, knownIp] = await Promise.all([
+      LoginEvent.hasSucceededFrom(user._id, {}),
+      LoginEvent.hasSucceededFrom(user._id, { device_hash: hash }),
+      context.ip_address ? LoginEvent.hasSucceededFrom(user._id, { ip_address: context.ip_address }) : true
+    ]);
+
+    // The first login has nothing to compare against
+    const newDevice = !!hasHistory && !knownDevice;
+    const newIp = !!hasHistory && !knownIp;
+
+    const event = await this.recordEvent(user, 'success', context, {
+      session_id,
+      new_device: newDevice,
+      new_ip: newIp
+    });
+
+    if (newDevice || newIp) {
+      const device = describeDevice(context.user_agent);
+      const when = moment().utcOffset(EAT_OFFSET_MINUTES).format('D MMM YYYY, HH:mm');
+
+      await notificationService.notify(user, 'security.new_login', {
+        subject: 'New sign-in to your PesaCard account',
+        message: `New sign-in to your PesaCard account from ${device} (IP ${context.ip_address || 'unknown'}) on ${when} EAT. If this wasn't you, reset your password and sign out other devices under Security.`,
+        data: { device, ip_address: context.ip_address, new_device: newDevice, new_ip: newIp, session_id }
+      });
+
+      logger.info('Login from new device or IP', { userId: user.id, device, ip: context.ip_address, newDevice, newIp });
+    }
+
+    return event;
+  }
+
+  async recordEvent(user, outcome, { email, ip_address, user_agent } = {}, extra = {}) {
+    try {
+      return await LoginEvent.create({
+        user_id: user ? user._id : undefined,
+        email: user ? user.email : email,
+        outcome,
+        ip_address,
+        user_agent: user_agent ? user_agent.slice(0, 255) : undefined,
+        device: describeDevice(user_agent),
+        device_hash: deviceHash(user_agent),
+        ...extra
+      });
+    } catch (error) {
+      // Login history must not block logging in
+      logger.error('Failed to record login event', { outcome, error: error.message });
+      return null;
+    }
+  }
+
+  async getLoginHistory(userId, { page = 1, limit = 20 } = {}) {
+    const query = { user_id: userId };
+    const [events, total] = await Promise.all([
+      LoginEvent.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('outcome ip_address device new_device new_ip createdAt'),
+      LoginEvent.countDocuments(query)
+    ]);
+
+    return {
+      events,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Sends a reset code when the email belongs to an active account. Always returns a
+  // reset id, so the response does not tell whether the account exists.
+  async startPasswordReset(email, { channel, ...context } = {}) {
+    const user = await User.findByEmail(email);
+    const since = new Date(Date.now() - 60 * 60 * 1000);
+
+    if (!user || !user.is_active) {
+      logger.info('Password reset requested for unknown or inactive account', { ip: context.ip_address });
+      return new mongoose.Types.ObjectId().toString();
+    }
+
+    const recent = await stepUpService.countStarted({ purpose: RESET_PURPOSE, target_id: user.id }, since);
+    if (recent >= this.resetsPerHour) {
+      logger.warn('Password reset rate limited', { userId: user.id, ip: context.ip_address });
+      return new mongoose.Types.ObjectId().toString();
+    }
+
+    const challenge = await stepUpService.start(user, {
+      purpose: RESET_PURPOSE,
+      target_id: user.id,
+      method: 'otp',
+      channel
+    });
+
+    await AuditLog.record({
+      action: 'account.password_reset.requested',
+      actor_type: 'external',
+      target_type: 'user',
+      target_id: user.id,
+      ip_address: context.ip_address,
+      user_agent: context.user_agent,
+      metadata: { channel: channel || 'all' }
+    });
+
+    return challenge.id;
+  }
+
+  // Checks the code, sets the new password and ends every session
+  async resetPassword({ reset_id, email, code, new_password }, context = {}) {
+    const user = await User.findByEmail(email);
+    if (!user || !user.is_active || !mongoose.Types.ObjectId.isValid(reset_id)) {
+      throw new StepUpError('Invalid or expired code', 'INVALID_RESET_CODE', 400);
+    }
+
+    let token;
+    try {
+      ({ token } = await stepUpService.verify(reset_id, user._id, {
+        purpose: RESET_PURPOSE,
+        target_id: user.id,
+        code
+      }));
+      await stepUpService.consume(token, { user_id: user._id, purpose: RESET_PURPOSE, target_id: user.id });
+    } catch (error) {
+      if (!(error instanceof StepUpError)) throw error;
+      if (error.code === 'TOO_MANY_ATTEMPTS') throw error;
+      throw new StepUpError('Invalid or expired code', 'INVALID_RESET_CODE', 400);
+    }
+
+    user.password = new_password;
+    user.failed_login_attempts = 0;
+    user.lockout_level = 0;
+    user.locked_until = undefined;
+    await user.save();
+
+    const revoked = await sessionService.revokeAll(user._id, 'password_changed');
+    await this.recordEvent(user, 'password_reset', context);
+
+    await AuditLog.record({
+      action: 'account.password_reset',
+      actor_type: 'user',
+      actor_id: user.id,
+      target_type: 'user',
+      target_id: user.id,
+      ip_address: context.ip_address,
+      user_agent: context.user_agent,
+      metadata: { sessions_revoked: revoked }
+    });
+
+    await notificationService.notify(user, 'security.password_reset', {
+      subject: 'Your PesaCard password was reset',
+      message: 'Your PesaCard password was just reset and you were signed out everywhere. If this wasn\'t you, contact support right away.',
+      data: { ip_address: context.ip_address }
+    });
+
+    logger.info('Password reset', { userId: user.id, sessionsRevoked: revoked });
+    return user;
+  }
+}
+
+module.exports = new AccountSecurityService();
@@ -0,0 +1,404 @@
+const User = require('../models/User');
+const VirtualCard = require('../models/VirtualCard');
+const Transaction = require('../models/Transaction');
+const AuditLog = require('../models/AuditLog');
+const cardService = require('./cardService');
+const authorizationService = require('./authorizationService');
+const refundService = require('./refundService');
+const sessionService = require('./sessionService');
+const ledgerService = require('./ledgerService');
+const notificationService = require('./notificationService');
+const logger = require('../utils/logger');
+const { AdminError } = require('../utils/errors');
+
+const USER_SUMMARY = 'username email mpesa_phone role is_active deactivated_at last_login totp_enabled locked_until createdAt';
+const USER_DETAIL = `${USER_SUMMARY} daily_transaction_limit single_transaction_limit deactivation_reason`;
+const CARD_SUMMARY = 'cardholder_name status status_reason funding_mode card_type balance daily_limit monthly_limit is_default last_used expires_at createdAt';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Support and back-office actions on any account. Every change is audited with the
+// staff member who made it.
+class AdminService {
+  async searchUsers({ q, role, is_active, page = 1, limit = 20 } = {}) {
+    const query = {};
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q), 'i');
+      query.$or = [{ email: pattern }, { username: pattern }, { mpesa_phone: pattern }];
+    }
+    if (role) {
+      query.role = role;
+    }
+    if (is_active !== undefined) {
+      query.is_active = is_active;
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select(USER_SUMMARY),
+      User.countDocuments(query)
+    ]);
+
+    return {
+      users,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // A user with their cards, recent transactions and today's spend
+  async getUser(userId) {
+    const user = await User.findById(userId).select(USER_DETAIL);
+    if (!user) {
+      return null;
+    }
+
+    const [cards, recentTransactions, dailySpent] = await Promise.all([
+      VirtualCard.find({ user_id: user._id }).sort({ createdAt: -1 }).select(CARD_SUMMARY),
+      Transaction.find({ user_id: user._id })
+        .sort({ createdAt: -1 })
+        .limit(20)
+        .select('transaction_reference type amount currency amount_kes merchant_name status card_id createdAt'),
+      ledgerService.getUserDailySpent(user._id)
+    ]);
+
+    return {
+      user,
+      daily_spent: dailySpent,
+      cards,
+      recent_transactions: recentTransactions
+    };
+  }
+
+  async updateLimits(userId, limits, { staff, note, ip_address, user_agent }) {
+    const user = await this.findUser(userId);
+    const previous = {
+      daily_transaction_limit: user.daily_transaction_limit,
+      single_transaction_limit: user.single_transaction_limit
+    };
+
+    const daily = limits.daily_transaction_limit !== undefined ? limits.daily_transaction_limit : user.daily_transaction_limit;
+    const single = limits.single_transaction_limit !== undefined ? limits.single_transaction_limit : user.single_transaction_limit;
+    if (single > daily) {
+      throw new AdminError('Single transaction limit cannot exceed the daily limit', 'INVALID_LIMITS', 400);
+    }
+
+    user.daily_transaction_limit = daily;
+    user.single_transaction_limit = single;
+    await user.save();
+
+    await AuditLog.record({
+      action: 'user.limits.updated',
+      actor_type: 'user',
+      actor_id: String(staff.id),
+      target_type: 'user',
+      target_id: user.id,
+      reason: note,
+      ip_address,
+      user_agent,
+      metadata: {
+        previous,
+        daily_transaction_limit: daily,
+        single_transaction_limit: single
+      }
+    });
+
+    logger.info('User limits updated', { userId: user.id, staffId: String(staff.id), daily, single });
+    return this.present(user);
+  }
+
+  // Blocks login and ends every session; the user's cards are left as they are
+  async deactivateUser(userId, { staff, reason, ip_address, user_agent }) {
+    const user = await this.findUser(userId);
+    if (user._id.equals(staff.id)) {
+      throw new AdminError('You cannot deactivate your own account', 'SELF_ACTION');
+    }
+    if (!user.is_active) {
+      throw new AdminError('Account is already deactivated', 'ALREADY_DEACTIVATED');
+    }
+
+    user.is_active = false;
+    user.deactivated_at = new Date();
+    user.deactivation_reason = reason;
+    await user.save();
+
+    const revoked = await sessionService.revokeAll(user._id, 'account_deactivated');
+
+    await AuditLog.record({
+      action: 'user.deactivated',
+      actor_type: 'user',
+      actor_id: String(staff.id),
+      target_type: 'user',
+      target_id: user.id,
+      reason,
+      ip_address,
+      user_agent,
+      metadata: { sessions_revoked: revoked }
+    });
+
+    await notificationService.notify(user, 'account.deactivated', {
+      subject: 'Your PesaCard account was deactivated',
+      message: 'Your PesaCard account has been deactivated. Contact support if you have questions.',
+      data: { reason }
+    });
+
+    logger.warn('User deactivated', { userId: user.id, staffId: String(staff.id), sessionsRevoked: revoked });
+    return this.present(user);
+  }
+
+  async reactivateUser(userId, { staff, note, ip_address, user_agent }) {
+    const user = await this.findUser(userId);
+    if (user.is_active) {
+      throw new AdminError('Account is already active', 'ALREADY_ACTIVE');
+    }
+
+    user.is_active = true;
+    user.deactivated_at = undefined;
+    user.deactivation_reason = undefined;
+    await user.save();
+
+    await AuditLog.record({
+      action: 'user.reactivated',
+      actor_type: 'user',
+      actor_id: String(staff.id),
+      target_type: 'user',
+      target_id: user.id,
+      reason: note,
+      ip_address,
+      user_agent
+    });
+
+    logger.info('User reactivated', { userId: user.id, staffId: String(staff.id) });
+    return this.present(user);
+  }
+
+  // A role change applies from the user's next request
+  async setRole(userId, role, { staff, note, ip_address, user_agent }) {
+    const user = await this.findUser(userId);
+    if (user._id.equals(staff.id)) {
+      throw new AdminError('You cannot change your own role', 'SELF_ACTION');
+    }
+
+    const previous = user.role;
+    user.role = role;
+    await user.save();
+
+    await AuditLog.record({
+      action: 'user.role.changed',
+      actor_type: 'user',
+      actor_id: String(staff.id),
+      target_type: 'user',
+      target_id: user.id,
+      reason: note,
+      ip_address,
+      user_agent,
+      metadata: { from: previous, to: role }
+    });
+
+    logger.info('User role changed', { userId: user.id, staffId: String(staff.id), from: previous, to: role });
+    return this.present(user);
+  }
+
+  async getCard(cardId) {
+    const card = await VirtualCard.findById(cardId).populate('user_id', USER_SUMMARY);
+    if (!card) {
+      return null;
+    }
+
+    const recentTransactions = await Transaction.find({ card_id: card._id })
+      .sort({ createdAt: -1 })
+      .limit(20)
+      .select('transaction_reference type amount currency amount_kes merchant_name status decline_reason createdAt');
+
+    return { card, recent_transactions: recentTransactions };
+  }
+
+  // Freezes the card so that only staff can lift it
+  async suspendCard(cardId, { staff, note, ip_address, user_agent }) {
+    const card = await this.findCard(cardId);
+    await cardService.blockCard(card, { actor: `staff:${staff.id}`, note });
+
+    await AuditLog.record({
+      action: 'card.suspended',
+      actor_type: 'user',
+      actor_id: String(staff.id),
+      target_type: 'card',
+      target_id: card.id,
+      reason: note,
+      ip_address,
+      user_agent
+    });
+
+    return card;
+  }
+
+  async unsuspendCard(cardId, { staff, note, ip_address, user_agent }) {
+    const card = await this.findCard(cardId);
+    await cardService.unfreezeCard(card, {
+      actor: `staff:${staff.id}`,
+      reason_code: 'staff_review',
+      note,
+      allow_blocked: true
+    });
+
+    await AuditLog.record({
+      action: 'card.unsuspended',
+      actor_type: 'user',
+      actor_id: String(staff.id),
+      target_type: 'card',
+      target_id: card.id,
+      reason: note,
+      ip_address,
+      user_agent
+    });
+
+    return card;
+  }
+
+  getTransaction(transactionId) {
+    return Transaction.findById(transactionId)
+      .populate('card_id', CARD_SUMMARY)
+      .populate('user_id', USER_SUMMARY);
+  }
+
+  // The fields staff see; never the password hash or two-factor secrets
+  present(user) {
+    const view = { id: user.id };
+    for (const field of USER_DETAIL.split(' ')) {
+      view[field] = user[field];
+    }
+    return view;
+  }
+
+  // Captures and voids settle a hold on the cardholder's money, so staff make them on the
+  // cardholder API; merchants settle their own holds through the merchant API
+  async captureTransaction(transactionId, amount, { final = false, staff, ip_address, user_agent }) {
+    const transaction = await this.findTransaction(transactionId);
+
+    await authorizationService.captureTransaction(transaction, amount, {
+      final,
+      actor: `staff:${staff.id}`
+    });
+
+    await AuditLog.record({
+      action: 'transaction.captured',
+      actor_type: 'user',
+      actor_id: String(staff.id),
+      target_type: 'transaction',
+      target_id: transaction.id,
+      ip_address,
+      user_agent,
+      metadata: { amount: transaction.captures.at(-1).amount, final, hold_status: transaction.hold_status }
+    });
+
+    return transaction;
+  }
+
+  async voidTransaction(transactionId, { staff, reason, ip_address, user_agent }) {
+    const transaction = await this.findTransaction(transactionId);
+
+    await authorizationService.voidTransaction(transaction, {
+      actor: `staff:${staff.id}`,
+      reason
+    });
+
+    await AuditLog.record({
+      action: 'transaction.voided',
+      actor_type: 'user',
+      actor_id: String(staff.id),
+      target_type: 'transaction',
+      target_id: transaction.id,
+      reason,
+      ip_address,
+      user_agent,
+      metadata: { released_amount: transaction.released_amount }
+    });
+
+    return transaction;
+  }
+
+  // Refunds are paid to the cardholder's M-Pesa, so only staff may start one on the
+  // cardholder API; merchants refund their own sales through the merchant API
+  async refundTransaction(transactionId, amount, { staff, reason, ip_address, user_agent }) {
+    const transaction = await Transaction.findById(transactionId);
+    if (!transaction) {
+      throw new AdminError('Transaction not found', 'TRANSACTION_NOT_FOUND', 404);
+    }
+
+    const refund = await refundService.createRefund(transaction, amount, {
+      reason,
+      actor: `staff:${staff.id}`
+    });
+
+    await AuditLog.record({
+      action: 'transaction.refund.requested',
+      outcome: refund.status === 'failed' ? 'failure' : 'success',
+      actor_type: 'user',
+      actor_id: String(staff.id),
+      target_type: 'transaction',
+      target_id: transaction.id,
+      reason,
+      ip_address,
+      user_agent,
+      metadata: { refund_reference: refund.refund_reference, amount: refund.amount }
+    });
+
+    return refund;
+  }
+
+  async retryReversal(transactionId, { staff, ip_address, user_agent }) {
+    const transaction = await Transaction.findById(transactionId);
+    if (!transaction) {
+      throw new AdminError('Transaction not found', 'TRANSACTION_NOT_FOUND', 404);
+    }
+
+    const reversal = await refundService.retryReversal(transaction, { actor: `staff:${staff.id}` });
+
+    await AuditLog.record({
+      action: 'transaction.reversal.retried',
+      outcome: reversal.status === 'failed' ? 'failure' : 'success',
+      actor_type: 'user',
+      actor_id: String(staff.id),
+      target_type: 'transaction',
+      target_id: transaction.id,
+      ip_address,
+      user_agent,
+      metadata: { refund_reference: reversal.refund_reference, amount: reversal.amount }
+    });
+
+    return reversal;
+  }
+
+  async findUser(userId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new AdminError('User not found', 'USER_NOT_FOUND', 404);
+    }
+    return user;
+  }
+
+  async findTransaction(transactionId) {
+    const transaction = await Transaction.findById(transactionId);
+    if (!transaction) {
+      throw new AdminError('Transaction not found', 'TRANSACTION_NOT_FOUND', 404);
+    }
+    return transaction;
+  }
+
+  async findCard(cardId) {
+    const card = await VirtualCard.findById(cardId);
+    if (!card) {
+      throw new AdminError('Card not found', 'CARD_NOT_FOUND', 404);
+    }
+    return card;
+  }
+}
+
+module.exports = new AdminService();
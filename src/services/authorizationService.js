@@ -1,12 +1,40 @@
 const Transaction = require('../models/Transaction');
 const VirtualCard = require('../models/VirtualCard');
 const User = require('../models/User');
+const CallbackInbox = require('../models/CallbackInbox');
+const FraudReview = require('../models/FraudReview');
 const cardService = require('./cardService');
 const mpesaService = require('./mpesaService');
+const ledgerService = require('./ledgerService');
+const refundService = require('./refundService');
+const walletService = require('./walletService');
+const vaultService = require('./vaultService');
+const standInService = require('./standInService');
+const fraudService = require('./fraudService');
+const events = require('../utils/events');
 const logger = require('../utils/logger');
 const cache = require('../utils/cache');
+const { InvalidTransitionError, HoldError } = require('../utils/errors');
 const { v4: uuidv4 } = require('uuid');
 
+const PENDING_STATUSES = ['pending_authorization', 'under_review', 'stk_push_sent', 'awaiting_user_response'];
+
+// Ended without authorizing anything; money collected for them afterwards is returned
+const LATE_PAYMENT_STATUSES = ['expired', 'cancelled'];
+
+// A single-use claim whose purchase was never recorded, e.g. after a crash, is released
+// after this long
+const IN_FLIGHT_CLAIM_STALE_MS = 5 * 60 * 1000;
+
+// Response codes for transactions that ended without an explicit decline code
+const STATUS_DECLINE_CODES = {
+  declined: '05',
+  failed: '96',
+  expired: '91',
+  cancelled: '17',
+  voided: '05'
+};
+
 class AuthorizationService {
   async authorizeTransaction(transactionData) {
     const {
@@ -18,7 +46,14 @@ class AuthorizationService {
       currency = 'KES',
       merchant_name,
       merchant_id,
-      merchant_category
+      merchant_category,
+      merchant_account_id,
+      capture_mode = 'automatic',
+      channel = 'internal',
+      network_data,
+      merchant_country,
+      ip_country,
+      hold_for_review = true
     } = transactionData;
 
     try {
@@ -37,7 +72,7 @@ class AuthorizationService {
       const userId = validation.user_id;
 
       // Get user
-      const user = await User.findByPk(userId);
+      const user = await User.findById(userId);
       if (!user || !user.is_active) {
         return {
           approved: false,
@@ -50,8 +85,13 @@ class AuthorizationService {
       // Convert amount to KES if needed
       const amountKES = currency === 'KES' ? amount : await this.convertCurrency(amount, currency, 'KES');
 
-      // Check transaction limits
-      const userLimitCheck = user.canMakeTransaction(amountKES);
+      // Check transaction limits against spending in the ledger windows
+      const [cardUsage, userDailySpent] = await Promise.all([
+        ledgerService.getCardUsage(card.replaces ? [card._id, card.replaces] : card._id),
+        ledgerService.getUserDailySpent(user._id)
+      ]);
+
+      const userLimitCheck = user.canMakeTransaction(amountKES, userDailySpent);
       if (!userLimitCheck.allowed) {
         return {
           approved: false,
@@ -61,95 +101,79 @@ class AuthorizationService {
         };
       }
 
-      const cardLimitCheck = card.canMakeTransaction(amountKES);
+      const cardLimitCheck = card.canMakeTransaction(amountKES, cardUsage, { merchant_category, merchant_id });
       if (!cardLimitCheck.allowed) {
         return {
           approved: false,
-          decline_code: '51',
+          decline_code: cardLimitCheck.code || '51',
           decline_reason: cardLimitCheck.reason,
           transaction_reference: this.generateTransactionReference()
         };
       }
 
-      // Check for fraud patterns
-      const fraudCheck = await cardService.checkFraudPatterns(card.id, { amount: amountKES });
-      if (fraudCheck.suspicious) {
-        logger.warn('Suspicious transaction detected', {
-          cardId: card.id,
-          indicators: fraudCheck.indicators,
-          amount: amountKES
-        });
+      const transactionReference = this.generateTransactionReference();
+
+      // A single-use card gets one purchase at a time; it is cancelled once one is approved
+      if (card.card_type === 'single_use') {
+        const claimed = await this.claimSingleUseCard(card, transactionReference);
+        if (!claimed) {
+          return {
+            approved: false,
+            decline_code: '57',
+            decline_reason: 'Single-use card has already been used',
+            transaction_reference: this.generateTransactionReference()
+          };
+        }
       }
 
+      // Score the purchase against the fraud rules
+      const risk = await fraudService.evaluate({
+        card,
+        user,
+        amount: amountKES,
+        merchant_id,
+        merchant_category,
+        merchant_country,
+        ip: transactionData.customer_ip || transactionData.ip_address,
+        ip_country
+      });
+
       // Create transaction record
       const transaction = await Transaction.create({
         user_id: userId,
         card_id: card.id,
-        transaction_reference: this.generateTransactionReference(),
+        transaction_reference: transactionReference,
         amount: amount,
         currency: currency,
         amount_kes: amountKES,
         merchant_name: merchant_name,
         merchant_id: merchant_id,
         merchant_category: merchant_category,
+        merchant_account_id: merchant_account_id,
+        capture_mode: capture_mode,
+        // Step-up sends even prepaid purchases through the STK push so the cardholder
+        // confirms with their M-Pesa PIN
+        funding_source: card.funding_mode === 'prepaid' && risk.action !== 'step_up' ? 'card_balance' : 'mpesa',
         status: 'pending_authorization',
+        risk,
         metadata: {
-          fraud_indicators: fraudCheck.indicators,
           ip_address: transactionData.ip_address,
-          user_agent: transactionData.user_agent
+          user_agent: transactionData.user_agent,
+          channel,
+          network: network_data
         }
       });
 
-      // Set timeout for transaction
-      transaction.setTimeout(0.5); // 30 seconds
-      await transaction.save();
-
-      // Initiate M-Pesa STK Push
-      const stkResult = await mpesaService.initiateSTKPush(
-        user.mpesa_phone,
-        amountKES,
-        transaction.transaction_reference,
-        `Payment to ${merchant_name}`
-      );
-
-      if (!stkResult.success) {
-        await transaction.updateStatus('failed', { error: stkResult.error });
-        return {
-          approved: false,
-          decline_code: '96',
-          decline_reason: 'Payment service unavailable',
-          transaction_reference: transaction.transaction_reference
-        };
+      if (risk.action === 'decline') {
+        return await this.declineForRisk(transaction);
       }
 
-      // Update transaction with STK push details
-      await transaction.updateStatus('stk_push_sent', {
-        mpesa_checkout_request_id: stkResult.checkoutRequestID,
-        mpesa_merchant_request_id: stkResult.merchantRequestID
-      });
-
-      // Cache transaction for quick lookup
-      await cache.set(`transaction:${transaction.id}`, JSON.stringify({
-        id: transaction.id,
-        status: transaction.status,
-        checkout_request_id: stkResult.checkoutRequestID
-      }), 'EX', 1800); // 30 minutes
+      // Flagged purchases wait for an analyst; channels that cannot wait go straight on
+      if (risk.action === 'review' && hold_for_review) {
+        return await this.holdForReview(transaction);
+      }
 
-      logger.info('Transaction authorization initiated', {
-        transactionId: transaction.id,
-        cardId: card.id,
-        userId: userId,
-        amount: amountKES,
-        merchant: merchant_name
-      });
-
-      return {
-        approved: false, // Pending user response
-        pending: true,
-        transaction_reference: transaction.transaction_reference,
-        checkout_request_id: stkResult.checkoutRequestID,
-        message: 'STK push sent to your phone. Please complete the payment.'
-      };
+      return await this.requestPayment(transaction, card, user);
 
     } catch (error) {
       logger.error('Transaction authorization error:', error);
@@ -162,7 +186,256 @@ class AuthorizationService {
     }
   }
 
-  async handleSTKCallback(callbackData) {
+  // Claims a single-use card for this purchase. Another purchase's claim is only taken
+  // over once that purchase has ended without approval, or was never recorded.
+  async claimSingleUseCard(card, reference) {
+    if (await VirtualCard.claimInFlight(card._id, reference)) {
+      return true;
+    }
+
+    const current = await VirtualCard.findById(card._id).select('used_at in_flight_reference in_flight_at');
+    if (!current || current.used_at || !current.in_flight_reference) {
+      return false;
+    }
+
+    const previous = await Transaction.findOne({ transaction_reference: current.in_flight_reference }).select('status');
+    const released = previous
+      ? ['declined', 'failed', 'expired', 'cancelled'].includes(previous.status)
+      : current.in_flight_at < new Date(Date.now() - IN_FLIGHT_CLAIM_STALE_MS);
+    if (!released) {
+      return false;
+    }
+
+    return !!await VirtualCard.claimInFlight(card._id, reference, current.in_flight_reference);
+  }
+
+  // Collects the money for a purchase that passed the checks: from the card balance for
+  // prepaid cards, otherwise with an STK push to the cardholder's phone
+  async requestPayment(transaction, card, user) {
+    // Prepaid cards pay from their balance without prompting the phone
+    if (transaction.funding_source === 'card_balance') {
+      return await this.authorizeFromBalance(transaction, card, user);
+    }
+
+    // Set timeout for transaction; the transaction sweeper finalizes it once this passes
+    await transaction.setTimeout(parseFloat(process.env.STK_PUSH_TIMEOUT_MINUTES) || 0.5);
+
+    // Initiate M-Pesa STK Push
+    const stkResult = await mpesaService.initiateSTKPush(
+      user.mpesa_phone,
+      transaction.amount_kes,
+      transaction.transaction_reference,
+      `Payment to ${transaction.merchant_name}`
+    );
+
+    if (!stkResult.success) {
+      await transaction.updateStatus('failed', { error: stkResult.error }, {
+        actor: 'authorization_service',
+        reason: 'STK push failed'
+      });
+      return {
+        approved: false,
+        decline_code: '96',
+        decline_reason: 'Payment service unavailable',
+        transaction_reference: transaction.transaction_reference
+      };
+    }
+
+    // Update transaction with STK push details
+    await transaction.transitionTo('stk_push_sent', {
+      actor: 'authorization_service',
+      reason: 'STK push accepted',
+      fields: { mpesa_checkout_request_id: stkResult.checkoutRequestID },
+      metadata: { mpesa_merchant_request_id: stkResult.merchantRequestID }
+    });
+
+    // Cache transaction for quick lookup
+    await cache.set(`transaction:${transaction.id}`, JSON.stringify({
+      id: transaction.id,
+      status: transaction.status,
+      checkout_request_id: stkResult.checkoutRequestID
+    }), 'EX', 1800); // 30 minutes
+
+    logger.info('Transaction authorization initiated', {
+      transactionId: transaction.id,
+      cardId: card.id,
+      userId: user.id,
+      amount: transaction.amount_kes,
+      merchant: transaction.merchant_name
+    });
+
+    return {
+      approved: false, // Pending user response
+      pending: true,
+      transaction_reference: transaction.transaction_reference,
+      checkout_request_id: stkResult.checkoutRequestID,
+      message: 'STK push sent to your phone. Please complete the payment.'
+    };
+  }
+
+  // Parks a flagged purchase in the review queue until an analyst decides on it
+  async holdForReview(transaction) {
+    await transaction.transitionTo('under_review', {
+      actor: 'fraud_rules',
+      reason: `Risk score ${transaction.risk.score}`,
+      metadata: { risk_rules: transaction.risk.rules.map(rule => rule.name) }
+    });
+
+    const review = await FraudReview.open(transaction, parseFloat(process.env.REVIEW_SLA_MINUTES) || 30);
+
+    logger.info('Transaction held for fraud review', {
+      transactionId: transaction.id,
+      reviewId: review.id,
+      score: transaction.risk.score,
+      slaDueAt: review.sla_due_at
+    });
+
+    return {
+      approved: false,
+      pending: true,
+      under_review: true,
+      transaction_reference: transaction.transaction_reference,
+      message: 'Transaction is held for review'
+    };
+  }
+
+  // Answers within a time budget, for channels such as ISO 8583 where the acquirer cannot
+  // wait for the cardholder. Undecided transactions fall back to the stand-in policy.
+  async authorizeWithinBudget(transactionData, options = {}) {
+    const startedAt = Date.now();
+    const budgetMs = options.budgetMs || parseInt(process.env.AUTH_DECISION_BUDGET_MS) || 3000;
+
+    // The acquirer needs an answer now, so flagged purchases are not parked for review;
+    // stand-in will not approve them either
+    const result = await this.authorizeTransaction({ ...transactionData, hold_for_review: false });
+    if (!result.pending) {
+      return result;
+    }
+
+    const remainingMs = budgetMs - (Date.now() - startedAt);
+    const decided = remainingMs > 0
+      ? await this.waitForDecision(result.transaction_reference, { timeoutMs: remainingMs, intervalMs: 250 })
+      : null;
+
+    if (decided) {
+      return this.toDecision(decided);
+    }
+
+    const transaction = await Transaction.findByReference(result.transaction_reference);
+    const standIn = await standInService.decide(transaction);
+
+    // The cardholder answered while the stand-in decision was being made
+    if (!standIn) {
+      return this.toDecision(await Transaction.findById(transaction._id));
+    }
+
+    return {
+      approved: standIn.stand_in.decision === 'approved',
+      stand_in: true,
+      authorization_code: standIn.stand_in.authorization_code,
+      decline_code: standIn.stand_in.decision === 'approved' ? undefined : standIn.stand_in.response_code,
+      decline_reason: standIn.stand_in.decision === 'approved' ? undefined : standIn.stand_in.reason,
+      transaction_reference: standIn.transaction_reference
+    };
+  }
+
+  toDecision(transaction) {
+    if (transaction.status === 'approved') {
+      return {
+        approved: true,
+        authorization_code: transaction.authorization_code,
+        transaction_reference: transaction.transaction_reference
+      };
+    }
+
+    return {
+      approved: false,
+      decline_code: transaction.decline_code || STATUS_DECLINE_CODES[transaction.status] || '05',
+      decline_reason: transaction.decline_reason || `Transaction ${transaction.status}`,
+      transaction_reference: transaction.transaction_reference
+    };
+  }
+
+  // Records how a stand-in decision turned out. Money collected for a purchase that
+  // stand-in declined goes straight back to the cardholder.
+  async settleStandIn(transaction) {
+    try {
+      const mismatch = await standInService.recordOutcome(transaction);
+      if (!mismatch || mismatch.action_required !== 'reverse' || !standInService.getPolicy().autoReverse) {
+        return;
+      }
+
+      const result = await this.reverseTransaction(transaction, {
+        actor: 'stand_in',
+        reason: 'Declined in stand-in but paid by cardholder'
+      });
+      await standInService.resolve(mismatch, `auto_${result.action}`);
+    } catch (error) {
+      logger.error('Failed to settle stand-in decision', {
+        transactionId: transaction.id,
+        error: error.message
+      });
+    }
+  }
+
+  // Entry point for STK results, from the callback route, status queries and the sweeper.
+  // Each CheckoutRequestID is processed exactly once; retried deliveries get the stored
+  // result of the first one. options.reference is the transaction reference the callback
+  // URL was issued for, when the result arrived as a callback.
+  async handleSTKCallback(callbackData, options = {}) {
+    let claim;
+    try {
+      claim = await CallbackInbox.claim(callbackData);
+    } catch (error) {
+      logger.error('STK callback inbox error:', error);
+      return { success: false, error: error.message };
+    }
+
+    const { record, claimed } = claim;
+
+    if (!claimed) {
+      // A repeat only gets the stored result through the URL issued for its transaction
+      if (options.reference) {
+        const transaction = await Transaction.findByCheckoutRequestId(record.checkout_request_id);
+        if (!transaction || transaction.transaction_reference !== options.reference) {
+          logger.warn('Replayed STK callback reference does not match transaction', {
+            checkoutRequestID: record.checkout_request_id,
+            callbackReference: options.reference
+          });
+          return { success: false, error: 'Callback reference mismatch', code: 'REFERENCE_MISMATCH' };
+        }
+      }
+
+      logger.info('Replayed STK callback detected', {
+        checkoutRequestID: record.checkout_request_id,
+        deliveryCount: record.delivery_count,
+        status: record.status
+      });
+
+      if (record.status === 'processed') {
+        return { ...record.result, replayed: true };
+      }
+
+      return { success: true, replayed: true, in_progress: true };
+    }
+
+    const result = await this.processSTKCallback(callbackData, options);
+
+    try {
+      // A finalized transaction is a definitive outcome; anything else may succeed on retry
+      if (result.success || result.code === 'INVALID_TRANSITION') {
+        await record.markProcessed(result);
+      } else {
+        await record.markFailed(result.error);
+      }
+    } catch (error) {
+      logger.error('Failed to update STK callback inbox record:', error);
+    }
+
+    return result;
+  }
+
+  async processSTKCallback(callbackData, options = {}) {
     try {
       const {
         checkoutRequestID,
@@ -174,18 +447,25 @@ class AuthorizationService {
       } = callbackData;
 
       // Find transaction by checkout request ID
-      const transaction = await Transaction.findOne({
-        where: { mpesa_checkout_request_id: checkoutRequestID }
-      });
+      const transaction = await Transaction.findByCheckoutRequestId(checkoutRequestID);
 
       if (!transaction) {
         logger.error('Transaction not found for STK callback', { checkoutRequestID });
-        return { success: false, error: 'Transaction not found' };
+        return { success: false, error: 'Transaction not found', code: 'TRANSACTION_NOT_FOUND' };
+      }
+
+      // A callback URL token is only valid for the transaction it was issued for
+      if (options.reference && options.reference !== transaction.transaction_reference) {
+        logger.warn('STK callback reference does not match transaction', {
+          transactionId: transaction.id,
+          callbackReference: options.reference
+        });
+        return { success: false, error: 'Callback reference mismatch', code: 'REFERENCE_MISMATCH' };
       }
 
       // Get card and user
-      const card = await VirtualCard.findByPk(transaction.card_id);
-      const user = await User.findByPk(transaction.user_id);
+      const card = await VirtualCard.findById(transaction.card_id);
+      const user = await User.findById(transaction.user_id);
 
       if (!card || !user) {
         logger.error('Card or user not found for transaction', { transactionId: transaction.id });
@@ -195,36 +475,68 @@ class AuthorizationService {
       // Map M-Pesa result to card response
       const cardResponse = mpesaService.mapMpesaResultToCardResponse(resultCode, resultDescription);
 
-      if (cardResponse.approved) {
-        // Transaction approved
-        await transaction.updateStatus('approved', {
-          mpesa_result_code: resultCode,
-          mpesa_result_desc: resultDescription,
-          mpesa_transaction_id: mpesaReceiptNumber,
-          authorization_code: cardResponse.authorizationCode
+      if (cardResponse.approved && LATE_PAYMENT_STATUSES.includes(transaction.status)) {
+        return this.reverseLatePayment(transaction, { mpesaReceiptNumber, resultDescription });
+      }
+
+      if (cardResponse.approved && transaction.type === 'card_funding') {
+        await this.completeTopUp(transaction, card, {
+          resultCode,
+          resultDescription,
+          mpesaReceiptNumber,
+          transactionDate,
+          phoneNumber
         });
 
-        // Update card spending
-        card.updateSpending(transaction.amount_kes);
-        await card.save();
+      } else if (cardResponse.approved) {
+        // Transaction approved; the acquirer already holds the code of a stand-in approval
+        const authorizationCode = transaction.stand_in && transaction.stand_in.authorization_code
+          ? transaction.stand_in.authorization_code
+          : cardResponse.authorizationCode;
 
-        // Update user daily spent
-        user.total_daily_spent += transaction.amount_kes;
-        await user.save();
+        await this.approveAuthorization(transaction, card, user, {
+          actor: 'mpesa_callback',
+          reason: resultDescription,
+          fields: {
+            mpesa_result_code: resultCode,
+            mpesa_result_desc: resultDescription,
+            mpesa_transaction_id: mpesaReceiptNumber,
+            authorization_code: authorizationCode
+          },
+          metadata: {
+            mpesa_result_code: resultCode,
+            mpesa_result_desc: resultDescription,
+            mpesa_transaction_id: mpesaReceiptNumber,
+            mpesa_transaction_date: transactionDate,
+            mpesa_phone_number: phoneNumber,
+            authorization_code: authorizationCode
+          }
+        });
 
         logger.info('Transaction approved', {
           transactionId: transaction.id,
           mpesaReceiptNumber,
           amount: transaction.amount_kes
         });
+        events.emit('transaction.approved', { transaction });
 
       } else {
         // Transaction declined
-        await transaction.updateStatus('declined', {
-          mpesa_result_code: resultCode,
-          mpesa_result_desc: resultDescription,
-          decline_reason: cardResponse.declineReason,
-          decline_code: cardResponse.declineCode
+        await transaction.transitionTo('declined', {
+          actor: 'mpesa_callback',
+          reason: resultDescription,
+          fields: {
+            mpesa_result_code: resultCode,
+            mpesa_result_desc: resultDescription,
+            decline_code: cardResponse.declineCode,
+            decline_reason: cardResponse.declineReason
+          },
+          metadata: {
+            mpesa_result_code: resultCode,
+            mpesa_result_desc: resultDescription,
+            decline_reason: cardResponse.declineReason,
+            decline_code: cardResponse.declineCode
+          }
         });
 
         logger.info('Transaction declined', {
@@ -232,8 +544,11 @@ class AuthorizationService {
           reason: cardResponse.declineReason,
           code: cardResponse.declineCode
         });
+        events.emit('transaction.declined', { transaction });
       }
 
+      await this.settleStandIn(transaction);
+
       // Remove from cache
       await cache.del(`transaction:${transaction.id}`);
 
@@ -241,49 +556,578 @@ class AuthorizationService {
         success: true,
         transaction_id: transaction.id,
         approved: cardResponse.approved,
-        authorization_code: cardResponse.authorizationCode,
+        authorization_code: transaction.authorization_code,
         decline_code: cardResponse.declineCode,
         decline_reason: cardResponse.declineReason
       };
 
     } catch (error) {
+      if (error instanceof InvalidTransitionError) {
+        logger.warn('STK callback ignored for finalized transaction', {
+          transactionId: error.transactionId,
+          from: error.from,
+          to: error.to
+        });
+        return { success: false, error: error.message, code: error.code };
+      }
       logger.error('STK callback handling error:', error);
       return { success: false, error: error.message };
     }
   }
 
-  async queryTransactionStatus(transactionReference) {
+  // The cardholder paid after the transaction expired or was cancelled. Nothing was
+  // authorized, so the money goes straight back to their M-Pesa.
+  async reverseLatePayment(transaction, { mpesaReceiptNumber, resultDescription }) {
+    await Transaction.updateOne(
+      { _id: transaction._id },
+      { $set: { mpesa_transaction_id: mpesaReceiptNumber, mpesa_result_desc: resultDescription } }
+    );
+
+    const reversal = await refundService.createReversal(transaction, transaction.amount_kes, {
+      reason: `Paid after the transaction was ${transaction.status}`,
+      actor: 'mpesa_callback'
+    });
+
+    logger.warn('Late M-Pesa payment reversed', {
+      transactionId: transaction.id,
+      status: transaction.status,
+      mpesaReceiptNumber,
+      refundId: reversal.id,
+      refundStatus: reversal.status
+    });
+
+    return {
+      success: true,
+      transaction_id: transaction.id,
+      approved: false,
+      reversed: true,
+      refund_reference: reversal.refund_reference,
+      decline_reason: `Transaction ${transaction.status}`
+    };
+  }
+
+  // Approves a purchase and opens its authorization hold, capturing it straight away
+  // for automatic capture. Every step is idempotent, so a redelivered callback after a
+  // failure part way through completes the approval like completeTopUp does.
+  async approveAuthorization(transaction, card, user, options = {}) {
+    const { actor, reason, fields = {}, metadata = {} } = options;
+
+    if (transaction.status !== 'approved') {
+      await transaction.transitionTo('approved', {
+        actor,
+        reason,
+        fields: {
+          ...fields,
+          hold_status: 'open',
+          hold_expires_at: this.getHoldExpiry()
+        },
+        metadata
+      });
+    }
+
+    // The authorization reserves limit headroom until it is captured or released
+    await ledgerService.recordAuthorization(transaction);
+
+    if (transaction.capture_mode === 'automatic') {
+      if (transaction.hold_status === 'open' && transaction.captured_amount === 0) {
+        await this.captureTransaction(transaction, transaction.amount_kes, {
+          final: true,
+          actor: 'auto_capture'
+        });
+      } else {
+        await this.repostCaptures(transaction);
+      }
+    }
+
+    await ledgerService.syncCounters(card._id, user._id, { touch: true });
+    await this.recordBurnerUse(card, transaction);
+  }
+
+  // A merchant-locked card binds to the merchant of its first approved purchase; a
+  // single-use card is cancelled by it
+  async recordBurnerUse(card, transaction) {
+    if (card.card_type === 'merchant_locked' && !card.locked_merchant_id) {
+      const bound = await VirtualCard.findOneAndUpdate(
+        { _id: card._id, locked_merchant_id: null },
+        { $set: { locked_merchant_id: transaction.merchant_id } },
+        { new: true }
+      );
+      if (bound) {
+        card.locked_merchant_id = bound.locked_merchant_id;
+        logger.info('Merchant-locked card bound', { cardId: card.id, merchantId: transaction.merchant_id });
+      }
+    }
+
+    if (card.card_type === 'single_use' && !card.used_at) {
+      const used = await VirtualCard.findOneAndUpdate(
+        { _id: card._id, used_at: null },
+        {
+          $set: { used_at: new Date(), status: 'cancelled', status_reason: 'single_use_consumed' },
+          $push: {
+            lifecycle_events: {
+              event: 'cancelled',
+              reason_code: 'single_use_consumed',
+              from_status: card.status,
+              to_status: 'cancelled',
+              actor: 'authorization_service',
+              note: `Used for ${transaction.transaction_reference}`,
+              at: new Date()
+            }
+          }
+        },
+        { new: true }
+      );
+      if (used) {
+        card.used_at = used.used_at;
+        card.status = used.status;
+        await vaultService.purgeCvv(used);
+        logger.info('Single-use card cancelled after use', { cardId: card.id, transactionId: transaction.id });
+      }
+    }
+  }
+
+  async declineForRisk(transaction, options = {}) {
+    const { actor = 'fraud_rules', reason = `Risk score ${transaction.risk.score}` } = options;
+
+    await transaction.transitionTo('declined', {
+      actor,
+      reason,
+      fields: {
+        decline_code: '59',
+        decline_reason: 'Suspected fraud'
+      },
+      metadata: { risk_rules: transaction.risk.rules.map(rule => rule.name) }
+    });
+    events.emit('transaction.declined', { transaction });
+
+    return {
+      approved: false,
+      decline_code: '59',
+      decline_reason: 'Suspected fraud',
+      transaction_reference: transaction.transaction_reference
+    };
+  }
+
+  async authorizeFromBalance(transaction, card, user) {
+    const debited = await walletService.debit(card._id, transaction.amount_kes, {
+      type: 'debit',
+      key: `${transaction._id}:debit`,
+      transaction,
+      description: `Payment to ${transaction.merchant_name}`
+    });
+
+    if (!debited) {
+      await transaction.transitionTo('declined', {
+        actor: 'authorization_service',
+        reason: 'Insufficient card balance',
+        fields: {
+          decline_code: '51',
+          decline_reason: 'Insufficient card balance'
+        }
+      });
+      events.emit('transaction.declined', { transaction });
+      return {
+        approved: false,
+        decline_code: '51',
+        decline_reason: 'Insufficient card balance',
+        transaction_reference: transaction.transaction_reference
+      };
+    }
+
+    const authorizationCode = mpesaService.generateAuthorizationCode();
+
     try {
-      const transaction = await Transaction.findOne({
-        where: { transaction_reference: transactionReference }
+      await this.approveAuthorization(transaction, card, user, {
+        actor: 'authorization_service',
+        reason: 'Paid from card balance',
+        fields: { authorization_code: authorizationCode },
+        metadata: { balance_after: debited.card.balance }
+      });
+    } catch (error) {
+      // Put the money back if the purchase could not be approved
+      if (transaction.status !== 'approved') {
+        await walletService.credit(card._id, transaction.amount_kes, {
+          type: 'reversal',
+          key: `${transaction._id}:debit_reversal`,
+          transaction,
+          description: 'Authorization failed'
+        });
+      }
+      throw error;
+    }
+
+    logger.info('Transaction approved from card balance', {
+      transactionId: transaction.id,
+      cardId: card.id,
+      amount: transaction.amount_kes,
+      balance: debited.card.balance
+    });
+    events.emit('transaction.approved', { transaction });
+
+    return {
+      approved: true,
+      authorization_code: authorizationCode,
+      transaction_reference: transaction.transaction_reference,
+      balance: debited.card.balance
+    };
+  }
+
+  // Starts an STK push that tops up a card balance; the callback credits the card
+  async topUpCard(card, user, amount) {
+    const transaction = await Transaction.create({
+      user_id: user._id,
+      card_id: card._id,
+      transaction_reference: this.generateTransactionReference(),
+      type: 'card_funding',
+      amount,
+      currency: 'KES',
+      amount_kes: amount,
+      merchant_name: 'Card top-up',
+      status: 'pending_authorization'
+    });
+
+    await transaction.setTimeout(parseFloat(process.env.STK_PUSH_TIMEOUT_MINUTES) || 0.5);
+
+    const stkResult = await mpesaService.initiateSTKPush(
+      user.mpesa_phone,
+      amount,
+      transaction.transaction_reference,
+      'Card top-up'
+    );
+
+    if (!stkResult.success) {
+      await transaction.updateStatus('failed', { error: stkResult.error }, {
+        actor: 'authorization_service',
+        reason: 'STK push failed'
       });
+      return { success: false, error: 'Payment service unavailable', transaction };
+    }
+
+    await transaction.transitionTo('stk_push_sent', {
+      actor: 'authorization_service',
+      reason: 'STK push accepted',
+      fields: { mpesa_checkout_request_id: stkResult.checkoutRequestID },
+      metadata: { mpesa_merchant_request_id: stkResult.merchantRequestID }
+    });
+
+    logger.info('Card top-up initiated', {
+      transactionId: transaction.id,
+      cardId: card.id,
+      amount
+    });
+
+    return { success: true, transaction, checkout_request_id: stkResult.checkoutRequestID };
+  }
+
+  // Approves a top-up and credits the card. The credit is idempotent, so a redelivered
+  // callback after a failed credit completes it.
+  async completeTopUp(transaction, card, result) {
+    if (transaction.status === 'approved') {
+      return this.creditTopUp(transaction, card);
+    }
+
+    await transaction.transitionTo('approved', {
+      actor: 'mpesa_callback',
+      reason: result.resultDescription,
+      fields: {
+        mpesa_result_code: result.resultCode,
+        mpesa_result_desc: result.resultDescription,
+        mpesa_transaction_id: result.mpesaReceiptNumber
+      },
+      metadata: {
+        mpesa_transaction_date: result.transactionDate,
+        mpesa_phone_number: result.phoneNumber
+      }
+    });
+
+    return this.creditTopUp(transaction, card);
+  }
+
+  async creditTopUp(transaction, card) {
+    const credited = await walletService.credit(card._id, transaction.amount_kes, {
+      type: 'topup',
+      key: `${transaction._id}:topup`,
+      transaction,
+      description: 'M-Pesa top-up'
+    });
+
+    if (!credited) {
+      throw new Error('Card not found for top-up credit');
+    }
+
+    logger.info('Card top-up completed', {
+      transactionId: transaction.id,
+      cardId: card.id,
+      amount: transaction.amount_kes,
+      balance: credited.card.balance
+    });
+  }
+
+  // Waits for a pending transaction to reach a final status. Returns the transaction,
+  // or null when it is still undecided after timeoutMs.
+  async waitForDecision(transactionReference, options = {}) {
+    const { timeoutMs = 25000, intervalMs = 500 } = options;
+    const deadline = Date.now() + timeoutMs;
+
+    while (true) {
+      const transaction = await Transaction.findByReference(transactionReference);
+      if (!transaction || !PENDING_STATUSES.includes(transaction.status)) {
+        return transaction;
+      }
+      if (Date.now() + intervalMs > deadline) {
+        return null;
+      }
+      await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+  }
+
+  // Undoes a transaction on the acquirer's request: a pending one is cancelled, an open
+  // hold is voided and captured funds are refunded. Reversing twice is a no-op.
+  async reverseTransaction(transaction, options = {}) {
+    const { actor = 'system', reason = 'Reversal requested' } = options;
+
+    if (PENDING_STATUSES.includes(transaction.status)) {
+      await transaction.transitionTo('cancelled', { actor, reason });
+      await standInService.recordOutcome(transaction);
+      return { reversed: true, action: 'cancelled' };
+    }
+
+    if (transaction.status !== 'approved') {
+      return { reversed: false, action: 'none' };
+    }
+
+    if (transaction.hold_status === 'open') {
+      if (!(transaction.captured_amount > 0)) {
+        await this.voidTransaction(transaction, { actor, reason });
+        return { reversed: true, action: 'voided' };
+      }
+      // Release what was never captured, then refund the captured part
+      await this.releaseHold(transaction, { actor });
+    }
+
+    const refundable = transaction.captured_amount - transaction.refunded_amount;
+    if (refundable > 0) {
+      const refund = await refundService.createRefund(transaction, refundable, { actor, reason });
+      return { reversed: refund.status !== 'failed', action: 'refunded', refund };
+    }
+
+    return { reversed: false, action: 'none' };
+  }
+
+  getHoldExpiry() {
+    const days = parseFloat(process.env.AUTH_HOLD_RELEASE_DAYS) || 7;
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+
+  // Captures part or all of an open authorization hold. A final capture, or one that
+  // reaches the authorized amount, closes the hold and releases whatever is left.
+  async captureTransaction(transaction, amount, options = {}) {
+    const { final = false, actor = 'system' } = options;
+
+    this.assertOpenHold(transaction);
+
+    const remaining = transaction.getUncapturedAmount();
+    const captureAmount = amount === undefined || amount === null ? remaining : Number(amount);
+
+    if (!(captureAmount > 0) || captureAmount > remaining + 0.0001) {
+      throw new HoldError(`Capture amount must be greater than 0 and at most ${remaining}`, 'INVALID_CAPTURE_AMOUNT');
+    }
+
+    const sequence = transaction.captures.length + 1;
+    transaction.captures.push({ amount: captureAmount, final, actor });
+    transaction.captured_amount += captureAmount;
+
+    const closing = final || transaction.getUncapturedAmount() < 0.0001;
+    if (closing) {
+      this.closeHold(transaction);
+    }
+
+    await this.saveHold(transaction);
+
+    await ledgerService.recordCapture(transaction, captureAmount, {
+      key: `${transaction._id}:capture:${sequence}`
+    });
+
+    if (closing) {
+      await this.postRelease(transaction);
+    }
+
+    logger.info('Transaction captured', {
+      transactionId: transaction.id,
+      amount: captureAmount,
+      capturedAmount: transaction.captured_amount,
+      holdStatus: transaction.hold_status,
+      actor
+    });
+
+    return transaction;
+  }
+
+  // Posts the ledger entries of captures already saved on the transaction; posting
+  // is keyed on the capture sequence, so entries that exist are left alone
+  async repostCaptures(transaction) {
+    for (const [index, capture] of transaction.captures.entries()) {
+      await ledgerService.recordCapture(transaction, capture.amount, {
+        key: `${transaction._id}:capture:${index + 1}`
+      });
+    }
+
+    if (transaction.hold_status === 'closed') {
+      await this.postRelease(transaction);
+    }
+  }
+
+  // Cancels an authorization that has not been captured at all
+  async voidTransaction(transaction, options = {}) {
+    const { actor = 'system', reason = 'Authorization voided' } = options;
+
+    this.assertOpenHold(transaction);
+
+    if (transaction.captured_amount > 0) {
+      throw new HoldError('A partially captured authorization cannot be voided; make a final capture instead', 'HOLD_PARTIALLY_CAPTURED');
+    }
+
+    await transaction.transitionTo('voided', {
+      actor,
+      reason,
+      fields: {
+        hold_status: 'closed',
+        hold_closed_at: new Date(),
+        released_amount: transaction.amount_kes
+      }
+    });
+
+    await this.postRelease(transaction);
+
+    logger.info('Transaction voided', { transactionId: transaction.id, actor, reason });
+
+    return transaction;
+  }
+
+  // Called for holds that outlived hold_expires_at
+  async releaseHold(transaction, options = {}) {
+    const { actor = 'hold_releaser' } = options;
+
+    if (transaction.captured_amount === 0) {
+      return this.voidTransaction(transaction, { actor, reason: 'Authorization hold expired' });
+    }
+
+    this.assertOpenHold(transaction);
+    this.closeHold(transaction);
+    await this.saveHold(transaction);
+    await this.postRelease(transaction);
+
+    logger.info('Authorization hold released', {
+      transactionId: transaction.id,
+      releasedAmount: transaction.released_amount
+    });
+
+    return transaction;
+  }
+
+  assertOpenHold(transaction) {
+    if (transaction.status !== 'approved' || transaction.hold_status !== 'open') {
+      throw new HoldError('Transaction has no open authorization hold', 'HOLD_NOT_OPEN');
+    }
+  }
+
+  closeHold(transaction) {
+    transaction.hold_status = 'closed';
+    transaction.hold_closed_at = new Date();
+    transaction.released_amount = transaction.getUncapturedAmount();
+  }
+
+  async saveHold(transaction) {
+    try {
+      await transaction.save();
+    } catch (error) {
+      if (error.name === 'VersionError') {
+        throw new HoldError('Transaction was modified concurrently, please retry', 'CONCURRENT_UPDATE');
+      }
+      throw error;
+    }
+  }
+
+  // Returns released headroom to the card and user limits, and the released money
+  // (already collected) back to the cardholder's M-Pesa or card balance
+  async postRelease(transaction) {
+    if (transaction.released_amount > 0) {
+      await ledgerService.recordReversal(transaction, transaction.released_amount, {
+        description: 'Uncaptured authorization released'
+      });
+
+      try {
+        await refundService.createReversal(transaction, transaction.released_amount);
+      } catch (error) {
+        logger.error('Failed to create reversal for released hold', {
+          transactionId: transaction.id,
+          error: error.message
+        });
+      }
+    }
+
+    await ledgerService.syncCounters(transaction.card_id, transaction.user_id);
+  }
+
+  // Asks M-Pesa how a transaction's STK push ended and applies the answer. A result is
+  // applied like its callback; the transaction is only expired once it has timed out and
+  // the query confirms the prompt never reached the customer, so a payment made just
+  // before the deadline is still found. Returns the query outcome (see
+  // mpesaService.classifySTKQuery), 'expired' when the transaction was expired, and for
+  // applied results the callback pipeline's result.
+  async reconcileSTKStatus(transaction, options = {}) {
+    const { actor = 'status_query' } = options;
+
+    if (!transaction.mpesa_checkout_request_id) {
+      if (!transaction.isExpired()) {
+        return { outcome: 'pending' };
+      }
+      await this.expireTransaction(transaction, { actor, reason: 'No STK push was sent before timeout' });
+      return { outcome: 'expired' };
+    }
+
+    const query = await mpesaService.querySTKPushStatus(transaction.mpesa_checkout_request_id);
+    const { outcome, resultCode } = mpesaService.classifySTKQuery(query);
+
+    if (outcome === 'final') {
+      const result = await this.handleSTKCallback({
+        checkoutRequestID: transaction.mpesa_checkout_request_id,
+        resultCode,
+        resultDescription: query.resultDescription
+      });
+      return { outcome, resultCode, result };
+    }
+
+    if (outcome === 'unreachable' && transaction.isExpired()) {
+      await this.expireTransaction(transaction, { actor, reason: 'No M-Pesa result before timeout' });
+      return { outcome: 'expired', resultCode };
+    }
+
+    return { outcome, resultCode, error: query.error };
+  }
+
+  async expireTransaction(transaction, { actor, reason }) {
+    await transaction.transitionTo('expired', { actor, reason });
+
+    // A stand-in approval that never got paid is recorded for collection
+    await this.settleStandIn(transaction);
+
+    logger.info('Transaction expired', { transactionId: transaction.id, actor });
+    events.emit('transaction.expired', { transaction });
+  }
+
+  async queryTransactionStatus(transactionReference) {
+    try {
+      let transaction = await Transaction.findByReference(transactionReference);
 
       if (!transaction) {
         return { success: false, error: 'Transaction not found' };
       }
 
-      // If transaction is still pending, check M-Pesa status
+      // A pending transaction is checked with M-Pesa; only the answer can expire it
       if (['stk_push_sent', 'awaiting_user_response'].includes(transaction.status)) {
-        if (transaction.isExpired()) {
-          await transaction.updateStatus('expired');
-          return {
-            success: true,
-            status: 'expired',
-            message: 'Transaction expired'
-          };
-        }
-
-        // Query M-Pesa for status
-        const mpesaStatus = await mpesaService.querySTKPushStatus(transaction.mpesa_checkout_request_id);
-        
-        if (mpesaStatus.success && mpesaStatus.resultCode !== 1032) { // 1032 = Request timeout
-          // Handle the result
-          await this.handleSTKCallback({
-            checkoutRequestID: transaction.mpesa_checkout_request_id,
-            resultCode: mpesaStatus.resultCode,
-            resultDescription: mpesaStatus.resultDescription
-          });
-        }
+        await this.reconcileSTKStatus(transaction, { actor: 'status_query' });
+        transaction = await Transaction.findById(transaction._id);
       }
 
       return {
@@ -293,7 +1137,7 @@ class AuthorizationService {
         amount: transaction.amount,
         currency: transaction.currency,
         merchant_name: transaction.merchant_name,
-        created_at: transaction.created_at,
+        created_at: transaction.createdAt,
         completed_at: transaction.completed_at
       };
 
@@ -1,264 +1,315 @@
+const moment = require('moment');
 const VirtualCard = require('../models/VirtualCard');
-const User = require('../models/User');
+const walletService = require('./walletService');
+const vaultService = require('./vaultService');
+const events = require('../utils/events');
 const logger = require('../utils/logger');
 const cache = require('../utils/cache');
+const { CardLifecycleError } = require('../utils/errors');
 
-class CardService {
-  async generateCard(userId, cardholderName, options = {}) {
-    try {
-      // Check user exists and is active
-      const user = await User.findByPk(userId);
-      if (!user || !user.is_active) {
-        throw new Error('User not found or inactive');
-      }
+const RENEWABLE_CARD_TYPES = ['standard', 'merchant_locked'];
 
-      // Check card limit
-      const existingCards = await VirtualCard.count({
-        where: { user_id: userId, status: 'active' }
-      });
+class CardService {
+  // Lifecycle operations take a loaded card and { actor, reason_code, note } and record
+  // a lifecycle event on the card. Status preconditions throw CardLifecycleError.
 
-      const maxCards = parseInt(process.env.MAX_CARDS_PER_USER) || 10;
-      if (existingCards >= maxCards) {
-        throw new Error(`Maximum number of cards (${maxCards}) reached`);
-      }
+  async freezeCard(card, { actor, reason_code = 'cardholder_request', note } = {}) {
+    if (card.status !== 'active') {
+      throw new CardLifecycleError('Only active cards can be frozen', 'CARD_NOT_ACTIVE');
+    }
 
-      // Generate card details
-      const cardNumber = VirtualCard.generateCardNumber();
-      const cvv = VirtualCard.generateCvv();
-      const { month, year } = VirtualCard.generateExpiryDate();
-
-      // Create card record
-      const card = await VirtualCard.create({
-        user_id: userId,
-        card_number: cardNumber,
-        cvv: cvv,
-        expiry_month: month,
-        expiry_year: year,
-        cardholder_name: cardholderName,
-        daily_limit: options.daily_limit || 70000.00,
-        monthly_limit: options.monthly_limit || 1000000.00,
-        is_default: options.is_default || false
-      });
-
-      // If this is set as default, unset other default cards
-      if (options.is_default) {
-        await VirtualCard.update(
-          { is_default: false },
-          { 
-            where: { 
-              user_id: userId, 
-              id: { [VirtualCard.sequelize.Op.ne]: card.id } 
-            } 
-          }
-        );
-      }
+    await this.changeStatus(card, 'suspended', 'frozen', { actor, reason_code, note });
+    events.emit('card.suspended', { card, reason: reason_code });
+    return card;
+  }
 
-      // Cache card for quick lookup
-      cache.set(`card:${card.id}`, JSON.stringify({
-        id: card.id,
-        user_id: card.user_id,
-        status: card.status,
-        is_default: card.is_default
-      }), 3600);
-
-      logger.info('Virtual card generated successfully', {
-        cardId: card.id,
-        userId: userId,
-        cardholderName: cardholder_name
-      });
-
-      return {
-        success: true,
-        card: {
-          id: card.id,
-          card_number: card.getDecryptedCardNumber(),
-          cvv: card.getDecryptedCvv(),
-          expiry_month: card.expiry_month,
-          expiry_year: card.expiry_year,
-          cardholder_name: card.cardholder_name,
-          status: card.status,
-          is_default: card.is_default,
-          daily_limit: card.daily_limit,
-          monthly_limit: card.monthly_limit,
-          created_at: card.created_at
-        }
-      };
+  // Freezes a card after a fraud review; also applies to a card that is already frozen
+  async blockCard(card, { actor, note } = {}) {
+    if (!['active', 'suspended'].includes(card.status)) {
+      throw new CardLifecycleError(`Card is already ${card.status}`, 'CARD_CLOSED');
+    }
 
-    } catch (error) {
-      logger.error('Failed to generate card:', error);
-      throw error;
+    const wasActive = card.status === 'active';
+    await this.changeStatus(card, 'suspended', 'frozen', { actor, reason_code: 'fraud_block', note });
+    if (wasActive) {
+      events.emit('card.suspended', { card, reason: 'fraud_block' });
     }
+    return card;
   }
 
-  async getCard(cardId, userId) {
-    try {
-      const card = await VirtualCard.findOne({
-        where: { id: cardId, user_id: userId }
-      });
-
-      if (!card) {
-        throw new Error('Card not found');
-      }
+  // Cards blocked after a fraud review stay frozen unless allow_blocked is set
+  async unfreezeCard(card, { actor, reason_code = 'cardholder_request', note, allow_blocked = false } = {}) {
+    if (card.status !== 'suspended') {
+      throw new CardLifecycleError('Card is not frozen', 'CARD_NOT_FROZEN');
+    }
+    if (card.status_reason === 'fraud_block' && !allow_blocked) {
+      throw new CardLifecycleError('Card was blocked after a fraud review', 'CARD_BLOCKED');
+    }
+    if (card.isExpired()) {
+      throw new CardLifecycleError('Card has expired', 'CARD_EXPIRED');
+    }
 
-      return {
-        success: true,
-        card: {
-          id: card.id,
-          card_number: card.getDecryptedCardNumber(),
-          cvv: card.getDecryptedCvv(),
-          expiry_month: card.expiry_month,
-          expiry_year: card.expiry_year,
-          cardholder_name: card.cardholder_name,
-          status: card.status,
-          is_default: card.is_default,
-          daily_limit: card.daily_limit,
-          monthly_limit: card.monthly_limit,
-          total_spent_today: card.total_spent_today,
-          total_spent_month: card.total_spent_month,
-          last_used: card.last_used,
-          created_at: card.created_at
-        }
-      };
+    return this.changeStatus(card, 'active', 'unfrozen', { actor, reason_code, note });
+  }
 
-    } catch (error) {
-      logger.error('Failed to get card:', error);
-      throw error;
+  async cancelCard(card, { actor, reason_code = 'cardholder_request', note } = {}) {
+    if (!['active', 'suspended'].includes(card.status)) {
+      throw new CardLifecycleError(`Card is already ${card.status}`, 'CARD_CLOSED');
+    }
+    // Prepaid money must be spent or refunded first
+    if (card.balance > 0) {
+      throw new CardLifecycleError('Card has a remaining balance', 'CARD_HAS_BALANCE');
     }
-  }
 
-  async getUserCards(userId) {
-    try {
-      const cards = await VirtualCard.findAll({
-        where: { user_id: userId },
-        order: [['created_at', 'DESC']]
-      });
-
-      return {
-        success: true,
-        cards: cards.map(card => ({
-          id: card.id,
-          card_number: this.maskCardNumber(card.getDecryptedCardNumber()),
-          expiry_month: card.expiry_month,
-          expiry_year: card.expiry_year,
-          cardholder_name: card.cardholder_name,
-          status: card.status,
-          is_default: card.is_default,
-          daily_limit: card.daily_limit,
-          monthly_limit: card.monthly_limit,
-          total_spent_today: card.total_spent_today,
-          total_spent_month: card.total_spent_month,
-          last_used: card.last_used,
-          created_at: card.created_at
-        }))
-      };
+    card.is_default = false;
+    return this.changeStatus(card, 'cancelled', 'cancelled', { actor, reason_code, note });
+  }
 
-    } catch (error) {
-      logger.error('Failed to get user cards:', error);
-      throw error;
+  // Cancels an open card first, so the balance check and CVV purge apply as they do to
+  // any cancellation, then takes the card number out of the vault and removes the card.
+  // A card blocked after a fraud review is kept for the review.
+  async deleteCard(card, { actor, note } = {}) {
+    if (card.status_reason === 'fraud_block') {
+      throw new CardLifecycleError('Card was blocked after a fraud review', 'CARD_BLOCKED');
     }
-  }
 
-  async updateCard(cardId, userId, updates) {
-    try {
-      const card = await VirtualCard.findOne({
-        where: { id: cardId, user_id: userId }
-      });
+    if (['active', 'suspended'].includes(card.status)) {
+      await this.cancelCard(card, { actor, note });
+    } else if (card.balance > 0) {
+      throw new CardLifecycleError('Card has a remaining balance', 'CARD_HAS_BALANCE');
+    }
 
-      if (!card) {
-        throw new Error('Card not found');
-      }
+    await vaultService.remove(card.pan_token);
+    await vaultService.remove(card.cvv_token);
+    await VirtualCard.deleteOne({ _id: card._id });
+    cache.del(`card:${card.id}`);
 
-      // Update allowed fields
-      const allowedUpdates = ['cardholder_name', 'daily_limit', 'monthly_limit', 'is_default'];
-      const updateData = {};
+    logger.info('Card deleted', { cardId: card.id, actor });
+    return card;
+  }
 
-      allowedUpdates.forEach(field => {
-        if (updates[field] !== undefined) {
-          updateData[field] = updates[field];
-        }
-      });
-
-      await card.update(updateData);
-
-      // If setting as default, unset other default cards
-      if (updates.is_default) {
-        await VirtualCard.update(
-          { is_default: false },
-          { 
-            where: { 
-              user_id: userId, 
-              id: { [VirtualCard.sequelize.Op.ne]: cardId } 
-            } 
-          }
-        );
-      }
+  async expireCard(card, { actor, reason_code = 'card_expired', note } = {}) {
+    return this.changeStatus(card, 'expired', 'expired', { actor, reason_code, note });
+  }
 
-      // Update cache
-      cache.set(`card:${card.id}`, JSON.stringify({
-        id: card.id,
-        user_id: card.user_id,
-        status: card.status,
-        is_default: card.is_default
-      }), 3600);
+  async changeStatus(card, status, event, { actor, reason_code, note }) {
+    const fromStatus = card.status;
+    card.status = status;
+    card.status_reason = reason_code;
+    card.recordLifecycleEvent(event, { reason_code, actor, note, from_status: fromStatus });
+    await card.save();
+    cache.del(`card:${card.id}`);
 
-      logger.info('Card updated successfully', { cardId, userId });
+    if (['cancelled', 'expired'].includes(status)) {
+      await vaultService.purgeCvv(card);
+    }
 
-      return { success: true, card };
+    logger.info('Card lifecycle event', {
+      cardId: card.id,
+      event,
+      from: fromStatus,
+      to: status,
+      reasonCode: reason_code,
+      actor
+    });
 
-    } catch (error) {
-      logger.error('Failed to update card:', error);
-      throw error;
-    }
+    return card;
   }
 
-  async suspendCard(cardId, userId) {
-    try {
-      const card = await VirtualCard.findOne({
-        where: { id: cardId, user_id: userId }
-      });
+  // Issues a new number, CVV and expiry for a lost or compromised card. Limits,
+  // controls, funding settings and the balance move to the new card and the old one
+  // is cancelled with a link to its replacement.
+  async replaceCard(card, { actor, reason_code = 'compromised', note, allow_blocked = false } = {}) {
+    if (!['active', 'suspended'].includes(card.status) || card.replaced_by) {
+      throw new CardLifecycleError(`A ${card.status} card cannot be replaced`, 'CARD_CLOSED');
+    }
+    if (card.status_reason === 'fraud_block' && !allow_blocked) {
+      throw new CardLifecycleError('Card was blocked after a fraud review', 'CARD_BLOCKED');
+    }
+    if (card.expires_at && card.expires_at <= new Date()) {
+      throw new CardLifecycleError('Time-boxed card has run out', 'CARD_EXPIRED');
+    }
 
-      if (!card) {
-        throw new Error('Card not found');
-      }
+    const cardNumber = await VirtualCard.generateCardNumber();
+    const expiryDate = VirtualCard.generateExpiryDate(card.expires_at);
+
+    const replacement = new VirtualCard({
+      user_id: card.user_id,
+      cardholder_name: card.cardholder_name,
+      expiry_month: expiryDate.month,
+      expiry_year: expiryDate.year,
+      status: 'active',
+      is_default: card.is_default,
+      daily_limit: card.daily_limit,
+      monthly_limit: card.monthly_limit,
+      funding_mode: card.funding_mode,
+      low_balance_threshold: card.low_balance_threshold,
+      spending_controls: card.spending_controls ? card.spending_controls.toObject() : undefined,
+      card_type: card.card_type,
+      locked_merchant_id: card.locked_merchant_id,
+      expires_at: card.expires_at,
+      replaces: card._id
+    });
+    replacement.status_reason = 'replacement';
+    replacement.recordLifecycleEvent('issued', {
+      reason_code: 'replacement',
+      actor,
+      note: `Replaces card ending ${card.last4 || '****'}`,
+      related_card_id: card._id
+    });
+    await vaultService.storeCard(replacement, { pan: cardNumber, cvv: VirtualCard.generateCvv() });
+    await replacement.save();
+
+    // Claim the old card so two concurrent replacements cannot both succeed
+    const replaced = await VirtualCard.findOneAndUpdate(
+      { _id: card._id, status: { $in: ['active', 'suspended'] }, replaced_by: null },
+      {
+        $set: { status: 'cancelled', status_reason: reason_code, replaced_by: replacement._id, is_default: false },
+        $push: {
+          lifecycle_events: {
+            event: 'replaced',
+            reason_code,
+            from_status: card.status,
+            to_status: 'cancelled',
+            actor,
+            note,
+            related_card_id: replacement._id,
+            at: new Date()
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (!replaced) {
+      await VirtualCard.deleteOne({ _id: replacement._id });
+      await Promise.all([vaultService.remove(replacement.pan_token), vaultService.remove(replacement.cvv_token)]);
+      throw new CardLifecycleError('Card has already been replaced or closed', 'CARD_CLOSED');
+    }
 
-      await card.update({ status: 'suspended' });
+    if (replaced.balance > 0) {
+      await this.transferBalance(replaced, replacement);
+    }
+    await vaultService.purgeCvv(replaced);
 
-      // Remove from cache
-      await redis.del(`card:${cardId}`);
+    cache.del(`card:${card.id}`);
+    events.emit('card.replaced', { card: replaced, reason: reason_code });
 
-      logger.info('Card suspended successfully', { cardId, userId });
+    logger.info('Card replaced', {
+      cardId: replaced.id,
+      replacementId: replacement.id,
+      reasonCode: reason_code,
+      actor
+    });
 
-      return { success: true };
+    return { card: replaced, replacement: await VirtualCard.findById(replacement._id) };
+  }
 
-    } catch (error) {
-      logger.error('Failed to suspend card:', error);
-      throw error;
+  async transferBalance(from, to) {
+    const amount = from.balance;
+    const debited = await walletService.debit(from._id, amount, {
+      type: 'adjustment',
+      key: `${from._id}:replaced_by:${to._id}`,
+      description: 'Balance moved to replacement card'
+    });
+    if (!debited) {
+      logger.error('Balance transfer to replacement card failed', { cardId: from.id, replacementId: to.id, amount });
+      return null;
     }
-  }
 
-  async cancelCard(cardId, userId) {
-    try {
-      const card = await VirtualCard.findOne({
-        where: { id: cardId, user_id: userId }
-      });
+    return walletService.credit(to._id, amount, {
+      type: 'adjustment',
+      key: `${to._id}:replaces:${from._id}`,
+      description: 'Balance moved from replaced card'
+    });
+  }
 
-      if (!card) {
-        throw new Error('Card not found');
-      }
+  // Renewal keeps the card number and issues a new expiry and CVV. Burner cards that
+  // run out are not renewed.
+  async renewCard(card, { actor, reason_code = 'upcoming_expiry', note } = {}) {
+    if (!RENEWABLE_CARD_TYPES.includes(card.card_type)) {
+      throw new CardLifecycleError('Burner cards cannot be renewed', 'CARD_NOT_RENEWABLE');
+    }
+    if (!['active', 'suspended', 'expired'].includes(card.status) || card.replaced_by) {
+      throw new CardLifecycleError(`A ${card.status} card cannot be renewed`, 'CARD_CLOSED');
+    }
+    if (!card.isExpired() && !this.isDueForRenewal(card)) {
+      throw new CardLifecycleError('Card is not due for renewal yet', 'RENEWAL_NOT_DUE');
+    }
 
-      await card.update({ status: 'cancelled' });
+    const fromStatus = card.status;
+    const previousExpiry = `${String(card.expiry_month).padStart(2, '0')}/${card.expiry_year}`;
+    const expiryDate = VirtualCard.generateExpiryDate();
+
+    card.expiry_month = expiryDate.month;
+    card.expiry_year = expiryDate.year;
+    const previousCvvToken = await vaultService.replaceCvv(card, VirtualCard.generateCvv());
+    card.renewed_at = new Date();
+    if (card.status === 'expired') {
+      card.status = 'active';
+      card.status_reason = reason_code;
+    }
+    card.recordLifecycleEvent('renewed', {
+      reason_code,
+      actor,
+      note: note || `Previous expiry ${previousExpiry}`,
+      from_status: fromStatus
+    });
+    // Unset any CVV from before the vault along with the old token
+    card.cvv = undefined;
+    await card.save();
+    await vaultService.remove(previousCvvToken);
+    cache.del(`card:${card.id}`);
+
+    logger.info('Card renewed', {
+      cardId: card.id,
+      previousExpiry,
+      expiryMonth: card.expiry_month,
+      expiryYear: card.expiry_year,
+      actor
+    });
+
+    return card;
+  }
 
-      // Remove from cache
-      await redis.del(`card:${cardId}`);
+  getRenewalDays() {
+    return parseInt(process.env.CARD_RENEWAL_DAYS) || 30;
+  }
 
-      logger.info('Card cancelled successfully', { cardId, userId });
+  isDueForRenewal(card, at = new Date()) {
+    return moment(at).add(this.getRenewalDays(), 'days').isAfter(card.getExpiryEnd());
+  }
 
-      return { success: true };
+  // Cards whose expiry month ends within CARD_RENEWAL_DAYS
+  findDueForRenewal(limit = 100) {
+    const cutoff = moment().add(this.getRenewalDays(), 'days');
+    const cutoffYear = cutoff.year();
+    const cutoffMonth = cutoff.month() + 1;
+
+    return VirtualCard.find({
+      status: { $in: ['active', 'suspended'] },
+      card_type: { $in: RENEWABLE_CARD_TYPES },
+      replaced_by: null,
+      $or: [
+        { expiry_year: { $lt: cutoffYear } },
+        { expiry_year: cutoffYear, expiry_month: { $lt: cutoffMonth } }
+      ]
+    }).limit(limit);
+  }
 
-    } catch (error) {
-      logger.error('Failed to cancel card:', error);
-      throw error;
-    }
+  // Burner cards past expires_at or their expiry month, still marked usable
+  findLapsed(limit = 100) {
+    const now = moment();
+
+    return VirtualCard.find({
+      status: { $in: ['active', 'suspended'] },
+      card_type: { $nin: RENEWABLE_CARD_TYPES },
+      $or: [
+        { expires_at: { $lte: now.toDate() } },
+        { expiry_year: { $lt: now.year() } },
+        { expiry_year: now.year(), expiry_month: { $lt: now.month() + 1 } }
+      ]
+    }).limit(limit);
   }
 
   async validateCard(cardNumber, cvv, expiryMonth, expiryYear) {
@@ -282,17 +333,18 @@ class CardService {
       }
 
       // Check if card exists and is active
-      const cardHash = require('crypto').createHash('sha256').update(cardNumber).digest('hex');
-      const card = await VirtualCard.findOne({
-        where: { card_number_hash: cardHash, status: 'active' }
-      });
+      const card = await VirtualCard.findOne({ card_number_hash: { $in: vaultService.lookupHashes(cardNumber) }, status: 'active' });
 
       if (!card) {
         return { valid: false, reason: 'Card not found or inactive' };
       }
 
+      if (card.expiry_month !== Number(expiryMonth) || card.expiry_year !== Number(expiryYear)) {
+        return { valid: false, reason: 'Invalid expiry date' };
+      }
+
       // Verify CVV
-      if (card.getDecryptedCvv() !== cvv) {
+      if (!(await vaultService.verifyCvv(card, cvv))) {
         return { valid: false, reason: 'Invalid CVV' };
       }
 
@@ -317,53 +369,6 @@ class CardService {
     if (!cardNumber || cardNumber.length < 4) return cardNumber;
     return '*'.repeat(cardNumber.length - 4) + cardNumber.slice(-4);
   }
-
-  async checkFraudPatterns(cardId, transactionData) {
-    try {
-      // Get recent transactions for this card
-      const recentTransactions = await require('../models/Transaction').findAll({
-        where: { card_id: cardId },
-        order: [['created_at', 'DESC']],
-        limit: 10
-      });
-
-      const fraudIndicators = [];
-
-      // Check for rapid transactions
-      if (recentTransactions.length > 0) {
-        const lastTransaction = recentTransactions[0];
-        const timeDiff = Date.now() - new Date(lastTransaction.created_at).getTime();
-        
-        if (timeDiff < 30000) { // Less than 30 seconds
-          fraudIndicators.push('Rapid transaction detected');
-        }
-      }
-
-      // Check for unusual amounts
-      const avgAmount = recentTransactions.reduce((sum, t) => sum + parseFloat(t.amount), 0) / recentTransactions.length;
-      if (transactionData.amount > avgAmount * 5) {
-        fraudIndicators.push('Unusual transaction amount');
-      }
-
-      // Check for multiple failed attempts
-      const failedAttempts = recentTransactions.filter(t => 
-        ['declined', 'failed'].includes(t.status)
-      ).length;
-
-      if (failedAttempts >= 3) {
-        fraudIndicators.push('Multiple failed attempts');
-      }
-
-      return {
-        suspicious: fraudIndicators.length > 0,
-        indicators: fraudIndicators
-      };
-
-    } catch (error) {
-      logger.error('Fraud check error:', error);
-      return { suspicious: false, indicators: [] };
-    }
-  }
 }
 
 module.exports = new CardService(); 
\ No newline at end of file
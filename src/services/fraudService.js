@@ -0,0 +1,332 @@
+const Transaction = require('../models/Transaction');
+const FraudRule = require('../models/FraudRule');
+const logger = require('../utils/logger');
+
+// Action precedence when several rules fire
+const ACTION_SEVERITY = {
+  allow: 0,
+  review: 1,
+  step_up: 2,
+  decline: 3
+};
+
+// Used until rules are stored in the database (npm run fraud-rules -- seed)
+const DEFAULT_RULES = [
+  {
+    name: 'card_burst',
+    description: 'More than 3 attempts on a card within a minute',
+    type: 'velocity',
+    params: { scope: 'card', window_seconds: 60, max_count: 3 },
+    action: 'review',
+    score: 30
+  },
+  {
+    name: 'card_hourly_velocity',
+    description: 'More than 10 attempts or 100,000 KES on a card within an hour',
+    type: 'velocity',
+    params: { scope: 'card', window_seconds: 3600, max_count: 10, max_amount: 100000 },
+    action: 'decline',
+    score: 50
+  },
+  {
+    name: 'card_recent_failures',
+    description: 'Three or more declined or failed attempts on a card within an hour',
+    type: 'velocity',
+    params: { scope: 'card', window_seconds: 3600, max_count: 2, statuses: ['declined', 'failed'] },
+    action: 'step_up',
+    score: 30
+  },
+  {
+    name: 'user_daily_velocity',
+    description: 'More than 30 attempts across a cardholder\'s cards in a day',
+    type: 'velocity',
+    params: { scope: 'user', window_seconds: 86400, max_count: 30 },
+    action: 'review',
+    score: 25
+  },
+  {
+    name: 'merchant_card_testing',
+    description: 'More than 20 of our cards tried at one merchant within 5 minutes',
+    type: 'velocity',
+    params: { scope: 'merchant', window_seconds: 300, max_count: 20 },
+    action: 'review',
+    score: 20
+  },
+  {
+    name: 'ip_velocity',
+    description: 'More than 10 attempts from one IP address within an hour',
+    type: 'velocity',
+    params: { scope: 'ip', window_seconds: 3600, max_count: 10 },
+    action: 'step_up',
+    score: 30
+  },
+  {
+    name: 'amount_outlier',
+    description: 'Amount 3 standard deviations above the card\'s usual spend',
+    type: 'amount_zscore',
+    params: { threshold: 3, min_history: 5, sample_size: 50, lookback_days: 90 },
+    action: 'step_up',
+    score: 35
+  },
+  {
+    name: 'blocked_mcc',
+    description: 'Gambling and quasi-cash merchants',
+    type: 'mcc_blocklist',
+    params: { mccs: ['7995', '6051'] },
+    action: 'decline',
+    score: 100
+  },
+  {
+    name: 'geo_ip_mismatch',
+    description: 'Customer IP country outside Kenya or different from the merchant country',
+    type: 'geo_ip_mismatch',
+    params: { home_countries: ['KE'] },
+    action: 'review',
+    score: 25
+  },
+  {
+    name: 'new_card_first_use',
+    description: 'Over 10,000 KES on a card that is new or has never been used',
+    type: 'new_card_first_use',
+    params: { max_card_age_hours: 24, max_amount: 10000 },
+    action: 'step_up',
+    score: 30
+  }
+];
+
+const VELOCITY_SCOPES = {
+  card: (context) => context.card && { card_id: context.card._id },
+  user: (context) => context.user && { user_id: context.user._id },
+  merchant: (context) => context.merchant_id && { merchant_id: context.merchant_id },
+  ip: (context) => context.ip && { 'risk.ip': context.ip }
+};
+
+// Rule evaluators resolve to { triggered, detail }. Missing context (no IP, no
+// merchant category) means the rule does not apply.
+const RULE_TYPES = {
+  // params: scope, window_seconds, max_count, max_amount, statuses. Without statuses the
+  // count includes the transaction being authorized; with them it counts earlier
+  // transactions that ended in those statuses.
+  async velocity(params, context) {
+    const scopeQuery = VELOCITY_SCOPES[params.scope] && VELOCITY_SCOPES[params.scope](context);
+    if (!scopeQuery) {
+      return { triggered: false };
+    }
+
+    const match = {
+      ...scopeQuery,
+      type: { $ne: 'card_funding' },
+      createdAt: { $gte: new Date(Date.now() - params.window_seconds * 1000) }
+    };
+    if (params.statuses) {
+      match.status = { $in: params.statuses };
+    }
+
+    const [totals] = await Transaction.aggregate([
+      { $match: match },
+      { $group: { _id: null, count: { $sum: 1 }, amount: { $sum: '$amount_kes' } } }
+    ]);
+
+    const count = (totals ? totals.count : 0) + (params.statuses ? 0 : 1);
+    const amount = (totals ? totals.amount : 0) + context.amount;
+
+    if (params.max_count !== undefined && count > params.max_count) {
+      return { triggered: true, detail: `${count} ${params.scope} transactions in ${params.window_seconds}s` };
+    }
+    if (params.max_amount !== undefined && amount > params.max_amount) {
+      return { triggered: true, detail: `${amount} KES ${params.scope} volume in ${params.window_seconds}s` };
+    }
+    return { triggered: false };
+  },
+
+  // params: threshold, min_history, sample_size, lookback_days
+  async amount_zscore(params, context) {
+    const history = await Transaction.find({
+      card_id: context.card._id,
+      type: { $ne: 'card_funding' },
+      status: 'approved',
+      createdAt: { $gte: new Date(Date.now() - (params.lookback_days || 90) * 86400 * 1000) }
+    })
+      .sort({ createdAt: -1 })
+      .limit(params.sample_size || 50)
+      .select('amount_kes');
+
+    if (history.length < (params.min_history || 5)) {
+      return { triggered: false };
+    }
+
+    const amounts = history.map(transaction => transaction.amount_kes);
+    const mean = amounts.reduce((sum, value) => sum + value, 0) / amounts.length;
+    const variance = amounts.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / amounts.length;
+    // A card that always spends the same amount would otherwise flag any change at all
+    const deviation = Math.max(Math.sqrt(variance), mean * 0.1, 1);
+    const zScore = (context.amount - mean) / deviation;
+
+    return {
+      triggered: zScore >= params.threshold,
+      detail: `z-score ${zScore.toFixed(2)} against mean ${mean.toFixed(2)} KES`
+    };
+  },
+
+  // params: mccs
+  async mcc_blocklist(params, context) {
+    const blocked = !!context.merchant_category && (params.mccs || []).includes(String(context.merchant_category));
+    return { triggered: blocked, detail: blocked ? `MCC ${context.merchant_category} is blocked` : undefined };
+  },
+
+  // params: home_countries. Fires when the customer's IP country is outside the home
+  // countries or differs from the merchant's country.
+  async geo_ip_mismatch(params, context) {
+    const ipCountry = context.ip_country && context.ip_country.toUpperCase();
+    if (!ipCountry) {
+      return { triggered: false };
+    }
+
+    if (params.home_countries && params.home_countries.length && !params.home_countries.includes(ipCountry)) {
+      return { triggered: true, detail: `IP country ${ipCountry} outside ${params.home_countries.join(', ')}` };
+    }
+
+    const merchantCountry = context.merchant_country && context.merchant_country.toUpperCase();
+    if (merchantCountry && merchantCountry !== ipCountry) {
+      return { triggered: true, detail: `IP country ${ipCountry} differs from merchant country ${merchantCountry}` };
+    }
+    return { triggered: false };
+  },
+
+  // params: max_card_age_hours, max_amount
+  async new_card_first_use(params, context) {
+    if (context.amount <= params.max_amount) {
+      return { triggered: false };
+    }
+
+    const ageHours = (Date.now() - new Date(context.card.createdAt).getTime()) / (60 * 60 * 1000);
+    if (ageHours < params.max_card_age_hours) {
+      return { triggered: true, detail: `Card is ${Math.floor(ageHours)}h old` };
+    }
+
+    const used = await Transaction.exists({
+      card_id: context.card._id,
+      type: { $ne: 'card_funding' },
+      status: 'approved'
+    });
+    return { triggered: !used, detail: used ? undefined : 'First use of the card' };
+  }
+};
+
+class FraudService {
+  constructor() {
+    this.rules = null;
+    this.loadedAt = 0;
+    this.reloadMs = (parseInt(process.env.FRAUD_RULES_RELOAD_SECONDS) || 30) * 1000;
+  }
+
+  // Additional rule types can be plugged in before rules using them are loaded
+  registerRuleType(type, evaluator) {
+    RULE_TYPES[type] = evaluator;
+  }
+
+  getThresholds() {
+    return {
+      review: parseFloat(process.env.FRAUD_REVIEW_SCORE) || 60,
+      decline: parseFloat(process.env.FRAUD_DECLINE_SCORE) || 90
+    };
+  }
+
+  // Enabled rules from the database, re-read every FRAUD_RULES_RELOAD_SECONDS so edits
+  // apply without a restart. The built-in defaults apply while the collection is empty.
+  async getRules() {
+    if (this.rules && Date.now() - this.loadedAt < this.reloadMs) {
+      return this.rules;
+    }
+
+    try {
+      const [stored, total] = await Promise.all([
+        FraudRule.findEnabled().lean(),
+        FraudRule.estimatedDocumentCount()
+      ]);
+      this.rules = total > 0 ? stored : DEFAULT_RULES;
+    } catch (error) {
+      logger.error('Failed to load fraud rules, keeping previous set', { error: error.message });
+      this.rules = this.rules || DEFAULT_RULES;
+    }
+
+    this.loadedAt = Date.now();
+    return this.rules;
+  }
+
+  reload() {
+    this.loadedAt = 0;
+    return this.getRules();
+  }
+
+  get defaultRules() {
+    return DEFAULT_RULES;
+  }
+
+  // Scores a purchase before it is created. context: card, user, amount (KES),
+  // merchant_id, merchant_category, merchant_country, ip, ip_country. Returns the
+  // assessment recorded as transaction.risk.
+  async evaluate(context) {
+    const rules = await this.getRules();
+    const triggered = [];
+
+    for (const rule of rules) {
+      const evaluator = RULE_TYPES[rule.type];
+      if (!evaluator) {
+        logger.warn('Unknown fraud rule type', { rule: rule.name, type: rule.type });
+        continue;
+      }
+
+      try {
+        const result = await evaluator(rule.params || {}, context);
+        if (result.triggered) {
+          triggered.push({
+            name: rule.name,
+            type: rule.type,
+            action: rule.action,
+            score: rule.score,
+            detail: result.detail
+          });
+        }
+      } catch (error) {
+        // A broken rule must not block payments
+        logger.error('Fraud rule evaluation failed', { rule: rule.name, error: error.message });
+      }
+    }
+
+    const score = Math.min(100, triggered.reduce((sum, rule) => sum + (rule.score || 0), 0));
+    const thresholds = this.getThresholds();
+
+    let action = triggered.reduce(
+      (current, rule) => (ACTION_SEVERITY[rule.action] > ACTION_SEVERITY[current] ? rule.action : current),
+      'allow'
+    );
+    if (score >= thresholds.decline) {
+      action = 'decline';
+    } else if (score >= thresholds.review && ACTION_SEVERITY[action] < ACTION_SEVERITY.review) {
+      action = 'review';
+    }
+
+    if (triggered.length > 0) {
+      logger.warn('Fraud rules triggered', {
+        cardId: context.card.id,
+        amount: context.amount,
+        score,
+        action,
+        rules: triggered.map(rule => rule.name)
+      });
+    }
+
+    return {
+      score,
+      action,
+      rules: triggered,
+      ip: context.ip,
+      ip_country: context.ip_country,
+      merchant_country: context.merchant_country,
+      evaluated_at: new Date()
+    };
+  }
+}
+
+module.exports = new FraudService();
@@ -0,0 +1,198 @@
+const moment = require('moment');
+const LedgerEntry = require('../models/LedgerEntry');
+const VirtualCard = require('../models/VirtualCard');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+
+// Debit/credit accounts for each entry type
+const POSTINGS = {
+  authorization: { debit: 'cardholder_spend', credit: 'pending_settlement' },
+  capture: { debit: 'pending_settlement', credit: 'merchant_settlement' },
+  reversal: { debit: 'pending_settlement', credit: 'cardholder_spend' },
+  refund: { debit: 'merchant_settlement', credit: 'cardholder_spend' }
+};
+
+// Limit windows follow the cardholder's local day (EAT by default)
+const WINDOW_UTC_OFFSET = process.env.LEDGER_UTC_OFFSET || '+03:00';
+
+class LedgerService {
+  // Posts a balanced entry. Posting is idempotent on key: a repeated key returns the
+  // entry that was already written instead of posting twice.
+  async post(entryType, transaction, amount, options = {}) {
+    const posting = POSTINGS[entryType];
+    if (!posting) {
+      throw new Error(`Unknown ledger entry type: ${entryType}`);
+    }
+
+    const key = options.key || `${transaction._id}:${entryType}`;
+
+    try {
+      const entry = await LedgerEntry.create({
+        idempotency_key: key,
+        entry_type: entryType,
+        transaction_id: transaction._id,
+        card_id: transaction.card_id,
+        user_id: transaction.user_id,
+        amount,
+        currency: 'KES',
+        lines: [
+          { account: posting.debit, direction: 'debit', amount },
+          { account: posting.credit, direction: 'credit', amount }
+        ],
+        effective_at: transaction.createdAt || new Date(),
+        description: options.description
+      });
+
+      logger.info('Ledger entry posted', {
+        entryType,
+        transactionId: transaction._id,
+        amount
+      });
+
+      return entry;
+    } catch (error) {
+      if (error.code === 11000) {
+        return LedgerEntry.findOne({ idempotency_key: key });
+      }
+      throw error;
+    }
+  }
+
+  recordAuthorization(transaction, amount = transaction.amount_kes, options = {}) {
+    return this.post('authorization', transaction, amount, options);
+  }
+
+  recordCapture(transaction, amount = transaction.amount_kes, options = {}) {
+    return this.post('capture', transaction, amount, options);
+  }
+
+  recordReversal(transaction, amount = transaction.amount_kes, options = {}) {
+    return this.post('reversal', transaction, amount, options);
+  }
+
+  recordRefund(transaction, amount, options = {}) {
+    return this.post('refund', transaction, amount, options);
+  }
+
+  getWindowStart(unit, at = new Date()) {
+    return moment(at).utcOffset(WINDOW_UTC_OFFSET).startOf(unit).toDate();
+  }
+
+  // Net cardholder_spend debits for the day and month windows containing `at`
+  async getSpending(match, at = new Date()) {
+    const dayStart = this.getWindowStart('day', at);
+    const monthStart = this.getWindowStart('month', at);
+
+    const [result] = await LedgerEntry.aggregate([
+      { $match: { ...match, effective_at: { $gte: monthStart } } },
+      { $unwind: '$lines' },
+      { $match: { 'lines.account': 'cardholder_spend' } },
+      {
+        $project: {
+          effective_at: 1,
+          net: {
+            $cond: [{ $eq: ['$lines.direction', 'debit'] }, '$lines.amount', { $multiply: ['$lines.amount', -1] }]
+          }
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          month: { $sum: '$net' },
+          today: { $sum: { $cond: [{ $gte: ['$effective_at', dayStart] }, '$net', 0] } }
+        }
+      }
+    ]);
+
+    return {
+      today: result ? result.today : 0,
+      month: result ? result.month : 0
+    };
+  }
+
+  // cardId may be a list, to count a replacement card together with the card it replaced
+  getCardUsage(cardId, at) {
+    return this.getSpending({ card_id: Array.isArray(cardId) ? { $in: cardId } : cardId }, at);
+  }
+
+  async getUserDailySpent(userId, at) {
+    const spending = await this.getSpending({ user_id: userId }, at);
+    return spending.today;
+  }
+
+  // Refreshes the cached spend counters on the card and user from the ledger
+  async syncCounters(cardId, userId, options = {}) {
+    const [cardUsage, userDailySpent] = await Promise.all([
+      this.getCardUsage(cardId),
+      this.getUserDailySpent(userId)
+    ]);
+
+    const cardUpdate = {
+      total_spent_today: cardUsage.today,
+      total_spent_month: cardUsage.month
+    };
+    if (options.touch) {
+      cardUpdate.last_used = new Date();
+    }
+
+    await Promise.all([
+      VirtualCard.updateOne({ _id: cardId }, { $set: cardUpdate }),
+      User.updateOne({ _id: userId }, {
+        $set: { total_daily_spent: userDailySpent, reset_daily_spent_at: new Date() }
+      })
+    ]);
+
+    return { card: cardUsage, user: { today: userDailySpent } };
+  }
+
+  // Compares cached counters against the ledger. Returns one drift record per card or
+  // user whose counters disagree; with fix: true the counters are rewritten as well.
+  async reconcile(options = {}) {
+    const tolerance = options.tolerance || 0.01;
+    const drift = [];
+
+    const cards = await VirtualCard.find({}).select('user_id total_spent_today total_spent_month');
+    for (const card of cards) {
+      const usage = await this.getCardUsage(card._id);
+      if (Math.abs(usage.today - card.total_spent_today) > tolerance ||
+          Math.abs(usage.month - card.total_spent_month) > tolerance) {
+        drift.push({
+          type: 'card',
+          id: card._id.toString(),
+          cached: { today: card.total_spent_today, month: card.total_spent_month },
+          ledger: usage
+        });
+        if (options.fix) {
+          await VirtualCard.updateOne({ _id: card._id }, {
+            $set: { total_spent_today: usage.today, total_spent_month: usage.month }
+          });
+        }
+      }
+    }
+
+    const users = await User.find({}).select('total_daily_spent');
+    for (const user of users) {
+      const today = await this.getUserDailySpent(user._id);
+      if (Math.abs(today - user.total_daily_spent) > tolerance) {
+        drift.push({
+          type: 'user',
+          id: user._id.toString(),
+          cached: { today: user.total_daily_spent },
+          ledger: { today }
+        });
+        if (options.fix) {
+          await User.updateOne({ _id: user._id }, {
+            $set: { total_daily_spent: today, reset_daily_spent_at: new Date() }
+          });
+        }
+      }
+    }
+
+    return {
+      checked: { cards: cards.length, users: users.length },
+      drift
+    };
+  }
+}
+
+module.exports = new LedgerService();
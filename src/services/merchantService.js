@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const Merchant = require('../models/Merchant');
+const { encryptData, decryptData } = require('../utils/encryption');
+const logger = require('../utils/logger');
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+class MerchantService {
+  async createMerchant({ merchant_code, name, email, merchant_category, rate_limit_per_minute }) {
+    const merchant = new Merchant({
+      merchant_code: merchant_code || this.generateMerchantCode(),
+      name,
+      email,
+      merchant_category,
+      rate_limit_per_minute
+    });
+
+    const credentials = this.addApiKey(merchant);
+    await merchant.save();
+
+    logger.info('Merchant created', { merchantId: merchant.id, merchantCode: merchant.merchant_code });
+
+    return { merchant, credentials };
+  }
+
+  // Adds a key to the merchant (unsaved). The plaintext key and signing secret are only
+  // available here; store them on the merchant's side.
+  addApiKey(merchant) {
+    const keyId = `mk_${crypto.randomBytes(8).toString('hex')}`;
+    const secret = crypto.randomBytes(24).toString('base64url');
+    const signingSecret = `ss_${crypto.randomBytes(24).toString('base64url')}`;
+
+    merchant.api_keys.push({
+      key_id: keyId,
+      secret_hash: hashSecret(secret),
+      signing_secret: encryptData(signingSecret)
+    });
+
+    return {
+      key_id: keyId,
+      api_key: `${keyId}.${secret}`,
+      signing_secret: signingSecret
+    };
+  }
+
+  // Issues a new key. Existing keys keep working for graceHours so integrations can
+  // switch without downtime.
+  async rotateApiKey(merchant, options = {}) {
+    const graceHours = options.graceHours !== undefined
+      ? options.graceHours
+      : parseFloat(process.env.MERCHANT_KEY_ROTATION_GRACE_HOURS) || 24;
+    const expiresAt = new Date(Date.now() + graceHours * 60 * 60 * 1000);
+
+    merchant.api_keys.forEach(key => {
+      if (key.status === 'active' && (!key.expires_at || key.expires_at > expiresAt)) {
+        key.expires_at = expiresAt;
+      }
+    });
+
+    const credentials = this.addApiKey(merchant);
+    await merchant.save();
+
+    logger.info('Merchant API key rotated', {
+      merchantId: merchant.id,
+      keyId: credentials.key_id,
+      previousKeysExpireAt: expiresAt
+    });
+
+    return credentials;
+  }
+
+  async revokeApiKey(merchant, keyId) {
+    const key = merchant.api_keys.find(candidate => candidate.key_id === keyId);
+    if (!key) {
+      return false;
+    }
+
+    key.status = 'revoked';
+    await merchant.save();
+
+    logger.info('Merchant API key revoked', { merchantId: merchant.id, keyId });
+    return true;
+  }
+
+  // Resolves '<key_id>.<secret>' to an active merchant and key, or null
+  async authenticate(apiKey) {
+    const [keyId, secret] = String(apiKey || '').split('.');
+    if (!keyId || !secret) {
+      return null;
+    }
+
+    const merchant = await Merchant.findByKeyId(keyId);
+    if (!merchant || !merchant.isActive()) {
+      return null;
+    }
+
+    const key = merchant.getUsableKey(keyId);
+    if (!key || !safeEqual(key.secret_hash, hashSecret(secret))) {
+      return null;
+    }
+
+    Merchant.updateOne(
+      { _id: merchant._id, 'api_keys.key_id': keyId },
+      { $set: { 'api_keys.$.last_used_at': new Date() } }
+    ).catch(error => logger.warn('Failed to record API key use', { keyId, error: error.message }));
+
+    return { merchant, key };
+  }
+
+  // Webhook signature: hex HMAC-SHA256 of '<timestamp>.<raw body>' with a signing secret
+  sign(signingSecret, timestamp, body) {
+    return crypto.createHmac('sha256', signingSecret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  // API request signature: hex HMAC-SHA256 of the method, path (with query string),
+  // timestamp, nonce and raw body, one per line, with the key's signing secret. Binding
+  // the method and path stops a signed request being replayed against another route.
+  signRequest(signingSecret, { method, path, timestamp, nonce, body }) {
+    const canonical = [String(method).toUpperCase(), path, timestamp, nonce, body].join('\n');
+    return crypto.createHmac('sha256', signingSecret).update(canonical).digest('hex');
+  }
+
+  verifySignature(key, request, signature) {
+    const expected = this.signRequest(decryptData(key.signing_secret), request);
+    const provided = String(signature || '').replace(/^sha256=/, '');
+    return safeEqual(expected, provided);
+  }
+
+  // The merchant-facing view of a transaction, used in API responses and webhooks
+  formatTransaction(transaction) {
+    return {
+      transaction_reference: transaction.transaction_reference,
+      merchant_reference: transaction.metadata?.network?.merchant_reference,
+      status: transaction.status,
+      amount: transaction.amount,
+      currency: transaction.currency,
+      amount_kes: transaction.amount_kes,
+      capture_mode: transaction.capture_mode,
+      hold_status: transaction.hold_status,
+      hold_expires_at: transaction.hold_expires_at,
+      captured_amount: transaction.captured_amount,
+      refunded_amount: transaction.refunded_amount,
+      authorization_code: transaction.authorization_code,
+      decline_code: transaction.decline_code,
+      decline_reason: transaction.decline_reason,
+      created_at: transaction.createdAt,
+      completed_at: transaction.completed_at
+    };
+  }
+
+  generateMerchantCode() {
+    return `MRC${crypto.randomBytes(5).toString('hex').toUpperCase()}`;
+  }
+}
+
+module.exports = new MerchantService();
@@ -2,17 +2,29 @@ const axios = require('axios');
 const crypto = require('crypto');
 const logger = require('../utils/logger');
 
+// "DS timeout, user cannot be reached": the STK prompt never got an answer from the phone
+const MPESA_DS_TIMEOUT = 1037;
+
 class MpesaService {
   constructor() {
-    this.baseUrl = process.env.MPESA_ENVIRONMENT === 'production' 
+    // MPESA_BASE_URL points the service at another Daraja host, e.g. the local emulator
+    this.baseUrl = process.env.MPESA_BASE_URL || (process.env.MPESA_ENVIRONMENT === 'production' 
       ? 'https://api.safaricom.co.ke' 
-      : 'https://sandbox.safaricom.co.ke';
+      : 'https://sandbox.safaricom.co.ke');
     
     this.consumerKey = process.env.MPESA_CONSUMER_KEY;
     this.consumerSecret = process.env.MPESA_CONSUMER_SECRET;
     this.businessShortCode = process.env.MPESA_BUSINESS_SHORT_CODE;
     this.passkey = process.env.MPESA_PASSKEY;
     this.phoneNumber = process.env.MPESA_PHONE_NUMBER;
+    this.b2cShortCode = process.env.MPESA_B2C_SHORT_CODE || process.env.MPESA_BUSINESS_SHORT_CODE;
+    this.b2cInitiatorName = process.env.MPESA_B2C_INITIATOR_NAME;
+    this.b2cSecurityCredential = process.env.MPESA_B2C_SECURITY_CREDENTIAL;
+
+    // Every Daraja call gives up after MPESA_TIMEOUT_MS, so a hung connection cannot stall
+    // the jobs that query M-Pesa while holding their lock
+    this.timeoutMs = parseInt(process.env.MPESA_TIMEOUT_MS) || 30 * 1000;
+    this.http = axios.create({ timeout: this.timeoutMs });
     
     this.accessToken = null;
     this.tokenExpiry = null;
@@ -25,7 +37,7 @@ class MpesaService {
 
     try {
       const auth = Buffer.from(`${this.consumerKey}:${this.consumerSecret}`).toString('base64');
-      const response = await axios.get(`${this.baseUrl}/oauth/v1/generate?grant_type=client_credentials`, {
+      const response = await this.http.get(`${this.baseUrl}/oauth/v1/generate?grant_type=client_credentials`, {
         headers: {
           'Authorization': `Basic ${auth}`
         }
@@ -75,12 +87,12 @@ class MpesaService {
         PartyA: phoneNumber,
         PartyB: this.businessShortCode,
         PhoneNumber: phoneNumber,
-        CallBackURL: `${process.env.MPESA_CALLBACK_URL || process.env.TAILSCALE_FUNNEL_URL}/api/webhooks/mpesa/stk-callback`,
+        CallBackURL: this.buildCallbackUrl('/api/webhooks/mpesa/stk-callback', reference),
         AccountReference: reference,
         TransactionDesc: description
       };
 
-      const response = await axios.post(
+      const response = await this.http.post(
         `${this.baseUrl}/mpesa/stkpush/v1/processrequest`,
         payload,
         {
@@ -127,7 +139,7 @@ class MpesaService {
         CheckoutRequestID: checkoutRequestID
       };
 
-      const response = await axios.post(
+      const response = await this.http.post(
         `${this.baseUrl}/mpesa/stkpushquery/v1/query`,
         payload,
         {
@@ -155,12 +167,166 @@ class MpesaService {
     }
   }
 
+  async initiateB2CPayment(phoneNumber, amount, options = {}) {
+    try {
+      const accessToken = await this.getAccessToken();
+      const reference = options.occasion || `B2C${Date.now()}`;
+
+      const payload = {
+        InitiatorName: this.b2cInitiatorName,
+        SecurityCredential: this.b2cSecurityCredential,
+        CommandID: options.commandId || 'BusinessPayment',
+        Amount: Math.round(amount),
+        PartyA: this.b2cShortCode,
+        PartyB: phoneNumber,
+        Remarks: options.remarks || 'Refund',
+        QueueTimeOutURL: options.timeoutUrl || this.buildCallbackUrl('/api/webhooks/mpesa/b2c/timeout', reference),
+        ResultURL: options.resultUrl || this.buildCallbackUrl('/api/webhooks/mpesa/b2c', reference),
+        Occasion: options.occasion || ''
+      };
+
+      const response = await this.http.post(
+        `${this.baseUrl}/mpesa/b2c/v1/paymentrequest`,
+        payload,
+        {
+          headers: {
+            'Authorization': `Bearer ${accessToken}`,
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+
+      logger.info('B2C payment initiated successfully', {
+        conversationID: response.data.ConversationID,
+        originatorConversationID: response.data.OriginatorConversationID,
+        occasion: options.occasion
+      });
+
+      return {
+        success: true,
+        conversationID: response.data.ConversationID,
+        originatorConversationID: response.data.OriginatorConversationID,
+        responseCode: response.data.ResponseCode,
+        responseDescription: response.data.ResponseDescription
+      };
+
+    } catch (error) {
+      logger.error('B2C payment failed:', error.response?.data || error.message);
+      return {
+        success: false,
+        error: error.response?.data?.errorMessage || error.message
+      };
+    }
+  }
+
+  // Asks Daraja for the final state of a payment. The answer arrives asynchronously at
+  // the ResultURL. B2C payments whose result never came are looked up by the
+  // OriginatorConversationID of the original request.
+  async queryTransactionStatus(options = {}) {
+    try {
+      const accessToken = await this.getAccessToken();
+      const reference = options.reference || `TSQ${Date.now()}`;
+
+      const payload = {
+        Initiator: this.b2cInitiatorName,
+        SecurityCredential: this.b2cSecurityCredential,
+        CommandID: 'TransactionStatusQuery',
+        TransactionID: options.transactionId || '',
+        OriginalConversationID: options.originatorConversationID || '',
+        PartyA: this.b2cShortCode,
+        IdentifierType: '4',
+        ResultURL: options.resultUrl || this.buildCallbackUrl('/api/webhooks/mpesa/b2c/status', reference),
+        QueueTimeOutURL: options.timeoutUrl || this.buildCallbackUrl('/api/webhooks/mpesa/b2c/status/timeout', reference),
+        Remarks: options.remarks || 'Transaction status',
+        Occasion: reference
+      };
+
+      const response = await this.http.post(
+        `${this.baseUrl}/mpesa/transactionstatus/v1/query`,
+        payload,
+        {
+          headers: {
+            'Authorization': `Bearer ${accessToken}`,
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+
+      logger.info('Transaction status query sent', {
+        reference,
+        conversationID: response.data.ConversationID
+      });
+
+      return {
+        success: true,
+        conversationID: response.data.ConversationID,
+        originatorConversationID: response.data.OriginatorConversationID
+      };
+
+    } catch (error) {
+      logger.error('Transaction status query failed:', error.response?.data || error.message);
+      return {
+        success: false,
+        error: error.response?.data?.errorMessage || error.message
+      };
+    }
+  }
+
+  // Callback URLs carry the reference they belong to, a nonce and an expiry, all under
+  // an HMAC token. A callback can only be delivered to the URL issued for that
+  // transaction, only until it expires, and callbackAuth accepts each URL once.
+  // Standing URLs registered with Daraja (C2B) have no nonce or expiry.
+  generateCallbackToken(reference, nonce, expiresAt) {
+    const secret = process.env.MPESA_CALLBACK_SECRET;
+    if (!secret) {
+      throw new Error('MPESA_CALLBACK_SECRET is not configured');
+    }
+    const payload = nonce ? `callback:${reference}:${nonce}:${expiresAt}` : `callback:${reference}`;
+    return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+  }
+
+  verifyCallbackToken(reference, token, nonce, expiresAt) {
+    if (!reference || !token || typeof token !== 'string') return false;
+    if (nonce !== undefined && (typeof nonce !== 'string' || typeof expiresAt !== 'string')) return false;
+
+    const expected = Buffer.from(this.generateCallbackToken(reference, nonce, expiresAt));
+    const received = Buffer.from(token);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  buildCallbackUrl(path, reference) {
+    const base = process.env.MPESA_CALLBACK_URL || process.env.TAILSCALE_FUNNEL_URL;
+    const ttlHours = parseFloat(process.env.MPESA_CALLBACK_URL_TTL_HOURS) || 48;
+    const nonce = crypto.randomBytes(12).toString('hex');
+    const expiresAt = String(Math.floor(Date.now() / 1000 + ttlHours * 60 * 60));
+
+    const query = new URLSearchParams({
+      ref: reference,
+      n: nonce,
+      exp: expiresAt,
+      token: this.generateCallbackToken(reference, nonce, expiresAt)
+    });
+    return `${base}${path}?${query.toString()}`;
+  }
+
+  // Signature of a signed callback: hex HMAC-SHA256 of the timestamp, nonce and raw body,
+  // one per line, under the consumer secret. Covering the body means a captured signature
+  // cannot be attached to a different result.
+  signCallback(timestamp, nonce, body) {
+    const secret = process.env.MPESA_CONSUMER_SECRET;
+    if (!secret) {
+      throw new Error('MPESA_CONSUMER_SECRET is not configured');
+    }
+    return crypto.createHmac('sha256', secret).update([timestamp, nonce, body].join('\n')).digest('hex');
+  }
+
+  // body is the raw request body, as received
   validateWebhookSignature(signature, timestamp, nonce, body) {
-    const appSecret = process.env.MPESA_CONSUMER_SECRET;
-    const signatureBase = `${appSecret}&${timestamp}&${nonce}`;
-    const expectedSignature = crypto.createHash('sha256').update(signatureBase).digest('hex');
-    
-    return signature === expectedSignature;
+    if (typeof signature !== 'string' || body === undefined || body === null) return false;
+
+    const expected = Buffer.from(this.signCallback(timestamp, nonce, Buffer.isBuffer(body) ? body.toString('utf8') : String(body)));
+    const received = Buffer.from(signature.replace(/^sha256=/, ''));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
   }
 
   parseSTKCallback(body) {
@@ -182,6 +348,67 @@ class MpesaService {
     }
   }
 
+  parseB2CResult(body) {
+    try {
+      const result = body.Result;
+      const parameters = result.ResultParameters?.ResultParameter || [];
+      const findParameter = (key) => parameters.find(item => item.Key === key)?.Value;
+
+      return {
+        resultType: result.ResultType,
+        resultCode: result.ResultCode,
+        resultDescription: result.ResultDesc,
+        conversationID: result.ConversationID,
+        originatorConversationID: result.OriginatorConversationID,
+        transactionID: result.TransactionID,
+        amount: findParameter('TransactionAmount'),
+        receiptNumber: findParameter('TransactionReceipt'),
+        receiverPartyPublicName: findParameter('ReceiverPartyPublicName'),
+        completedAt: findParameter('TransactionCompletedDateTime')
+      };
+    } catch (error) {
+      logger.error('Failed to parse B2C result:', error);
+      throw new Error('Invalid B2C result format');
+    }
+  }
+
+  parseTransactionStatusResult(body) {
+    try {
+      const result = body.Result;
+      const parameters = result.ResultParameters?.ResultParameter || [];
+      const findParameter = (key) => parameters.find(item => item.Key === key)?.Value;
+
+      return {
+        resultCode: result.ResultCode,
+        resultDescription: result.ResultDesc,
+        conversationID: result.ConversationID,
+        transactionID: findParameter('ReceiptNo') || result.TransactionID,
+        transactionStatus: findParameter('TransactionStatus'),
+        amount: findParameter('Amount')
+      };
+    } catch (error) {
+      logger.error('Failed to parse transaction status result:', error);
+      throw new Error('Invalid transaction status result format');
+    }
+  }
+
+  // What an stkpushquery answer says about a payment, for every caller that acts on one:
+  //   pending      no usable answer; the query failed or Daraja is still processing it
+  //   unreachable  1037, the prompt never reached the customer and nothing was paid
+  //   final        any other result code, applied the way its callback would be
+  classifySTKQuery(query) {
+    const resultCode = Number(query.resultCode);
+
+    if (!query.success || query.resultCode === undefined || query.resultCode === null || Number.isNaN(resultCode)) {
+      return { outcome: 'pending' };
+    }
+
+    return {
+      outcome: resultCode === MPESA_DS_TIMEOUT ? 'unreachable' : 'final',
+      resultCode
+    };
+  }
+
   mapMpesaResultToCardResponse(resultCode, resultDescription) {
     switch (resultCode) {
       case 0:
@@ -206,8 +433,8 @@ class MpesaService {
       case 1032:
         return {
           approved: false,
-          declineCode: '13',
-          declineReason: 'Invalid amount'
+          declineCode: '17',
+          declineReason: 'Cancelled by customer'
         };
       case 1037:
         return {
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const logger = require('../utils/logger');
+
+const TIMEOUT_MS = parseInt(process.env.NOTIFICATION_TIMEOUT_MS) || 10000;
+
+// Transports deliver a notification somewhere. NOTIFICATION_TRANSPORTS picks them
+// (comma separated); 'console' only logs, 'file' appends JSON lines for local testing,
+// 'sms' and 'email' reach the user. A transport's channel lets callers ask for one
+// kind of delivery; transports without one get everything.
+const transports = {
+  // Africa's Talking messaging API: SMS_USERNAME, SMS_API_KEY, optional SMS_SENDER_ID
+  sms: {
+    channel: 'sms',
+    async send(notification) {
+      if (!process.env.SMS_USERNAME || !process.env.SMS_API_KEY) {
+        throw new Error('SMS transport is not configured');
+      }
+      if (!notification.phone) {
+        throw new Error('User has no phone number');
+      }
+
+      const form = new URLSearchParams({
+        username: process.env.SMS_USERNAME,
+        to: `+${notification.phone}`,
+        message: notification.message
+      });
+      if (process.env.SMS_SENDER_ID) {
+        form.append('from', process.env.SMS_SENDER_ID);
+      }
+
+      await axios.post(process.env.SMS_API_URL || 'https://api.africastalking.com/version1/messaging', form.toString(), {
+        timeout: TIMEOUT_MS,
+        headers: {
+          apiKey: process.env.SMS_API_KEY,
+          Accept: 'application/json',
+          'Content-Type': 'application/x-www-form-urlencoded'
+        }
+      });
+    }
+  },
+  // JSON email API (Resend-compatible): EMAIL_API_URL, EMAIL_API_KEY, EMAIL_FROM
+  email: {
+    channel: 'email',
+    async send(notification) {
+      if (!process.env.EMAIL_API_URL || !process.env.EMAIL_API_KEY || !process.env.EMAIL_FROM) {
+        throw new Error('Email transport is not configured');
+      }
+      if (!notification.email) {
+        throw new Error('User has no email address');
+      }
+
+      await axios.post(process.env.EMAIL_API_URL, {
+        from: process.env.EMAIL_FROM,
+        to: notification.email,
+        subject: notification.subject || 'PesaCard',
+        text: notification.message
+      }, {
+        timeout: TIMEOUT_MS,
+        headers: { Authorization: `Bearer ${process.env.EMAIL_API_KEY}` }
+      });
+    }
+  },
+  console: {
+    async send(notification) {
+      logger.info('Notification', {
+        event: notification.event,
+        userId: notification.user_id,
+        message: notification.message
+      });
+    }
+  },
+  file: {
+    async send(notification) {
+      const filePath = process.env.NOTIFICATION_FILE_PATH ||
+        path.join(__dirname, '../../logs/notifications.log');
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.appendFile(filePath, `${JSON.stringify(notification)}\n`);
+    }
+  }
+};
+
+class NotificationService {
+  getTransports() {
+    const names = (process.env.NOTIFICATION_TRANSPORTS || 'console')
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean);
+
+    return names
+      .filter(name => {
+        if (!transports[name]) {
+          logger.warn('Unknown notification transport', { transport: name });
+          return false;
+        }
+        return true;
+      })
+      .map(name => ({ name, transport: transports[name] }));
+  }
+
+  // Sends a notification to the user on every configured transport, or only the
+  // channel's ones when channel ('sms' or 'email') is given. Delivery failures are
+  // logged, never thrown: notifications must not break the caller.
+  async notify(user, event, { subject, message, data = {}, channel }) {
+    const notification = {
+      event,
+      user_id: user._id ? user._id.toString() : user.id,
+      phone: user.mpesa_phone,
+      email: user.email,
+      subject,
+      message,
+      data,
+      created_at: new Date().toISOString()
+    };
+
+    const selected = this.getTransports()
+      .filter(({ transport }) => !channel || !transport.channel || transport.channel === channel);
+
+    const results = await Promise.all(selected.map(async ({ name, transport }) => {
+      try {
+        await transport.send(notification);
+        return { transport: name, delivered: true };
+      } catch (error) {
+        logger.error('Notification delivery failed', { transport: name, event, error: error.message });
+        return { transport: name, delivered: false, error: error.message };
+      }
+    }));
+
+    return results;
+  }
+}
+
+module.exports = new NotificationService();
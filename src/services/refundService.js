@@ -0,0 +1,365 @@
+const Refund = require('../models/Refund');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const mpesaService = require('./mpesaService');
+const ledgerService = require('./ledgerService');
+const walletService = require('./walletService');
+const events = require('../utils/events');
+const logger = require('../utils/logger');
+const { RefundError } = require('../utils/errors');
+
+// Transaction status result code for a payment Daraja has no record of
+const MPESA_TRANSACTION_NOT_FOUND = 2032;
+
+class RefundService {
+  // Refunds captured funds to the cardholder's M-Pesa. Omitting amount refunds
+  // everything that has not been refunded yet.
+  async createRefund(transaction, amount, options = {}) {
+    const { reason, actor = 'system' } = options;
+
+    if (transaction.status !== 'approved' || !(transaction.captured_amount > 0)) {
+      throw new RefundError('Only captured transactions can be refunded', 'NOT_CAPTURED');
+    }
+
+    const refundable = Math.max(transaction.captured_amount - transaction.refunded_amount, 0);
+    const refundAmount = amount === undefined || amount === null ? refundable : Number(amount);
+
+    if (!(refundAmount > 0) || refundAmount > refundable + 0.0001) {
+      throw new RefundError(`Refund amount must be greater than 0 and at most ${refundable}`, 'INVALID_REFUND_AMOUNT');
+    }
+
+    // Reserve the amount atomically so concurrent refunds cannot exceed the captured amount
+    const reserved = await Transaction.findOneAndUpdate(
+      {
+        _id: transaction._id,
+        $expr: { $lte: [{ $add: ['$refunded_amount', refundAmount] }, { $add: ['$captured_amount', 0.0001] }] }
+      },
+      { $inc: { refunded_amount: refundAmount } },
+      { new: true }
+    );
+
+    if (!reserved) {
+      throw new RefundError('Refund exceeds the captured amount', 'INVALID_REFUND_AMOUNT');
+    }
+
+    const refund = await Refund.create({
+      transaction_id: transaction._id,
+      user_id: transaction.user_id,
+      card_id: transaction.card_id,
+      refund_reference: this.generateRefundReference(),
+      type: 'refund',
+      destination: this.getDestination(transaction),
+      amount: refundAmount,
+      reason,
+      requested_by: actor
+    });
+
+    logger.info('Refund created', {
+      refundId: refund.id,
+      transactionId: transaction.id,
+      amount: refundAmount,
+      actor
+    });
+
+    return this.disburse(refund);
+  }
+
+  // Returns money collected for an authorization hold that was voided or released.
+  // There is at most one live reversal per transaction; after a failure another attempt
+  // may be made, as REV<reference>-2, -3 and so on.
+  async createReversal(transaction, amount, options = {}) {
+    const { reason = 'Uncaptured authorization released', actor = 'system' } = options;
+
+    const previous = await Refund.find({ transaction_id: transaction._id, type: 'reversal' }).sort({ createdAt: 1 });
+    const live = previous.find(reversal => reversal.status !== 'failed');
+    if (live) {
+      return live;
+    }
+
+    // Concurrent attempts derive the same reference, so only one of them is created
+    const reference = previous.length === 0
+      ? `REV${transaction.transaction_reference}`
+      : `REV${transaction.transaction_reference}-${previous.length + 1}`;
+
+    let refund;
+    try {
+      refund = await Refund.create({
+        transaction_id: transaction._id,
+        user_id: transaction.user_id,
+        card_id: transaction.card_id,
+        refund_reference: reference,
+        type: 'reversal',
+        destination: this.getDestination(transaction),
+        amount,
+        reason,
+        requested_by: actor
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return Refund.findOne({ refund_reference: reference });
+      }
+      throw error;
+    }
+
+    logger.info('Reversal created', {
+      refundId: refund.id,
+      transactionId: transaction.id,
+      amount,
+      attempt: previous.length + 1
+    });
+
+    return this.disburse(refund);
+  }
+
+  // Sends a failed reversal again for the same amount
+  async retryReversal(transaction, options = {}) {
+    const failed = await Refund.findOne({ transaction_id: transaction._id, type: 'reversal', status: 'failed' })
+      .sort({ createdAt: -1 });
+
+    if (!failed) {
+      throw new RefundError('Transaction has no failed reversal', 'NO_FAILED_REVERSAL');
+    }
+
+    return this.createReversal(transaction, failed.amount, { reason: failed.reason, ...options });
+  }
+
+  getDestination(transaction) {
+    return transaction.funding_source === 'card_balance' ? 'card_balance' : 'mpesa';
+  }
+
+  async disburse(refund) {
+    if (refund.destination === 'card_balance') {
+      return this.creditCardBalance(refund);
+    }
+
+    const user = await User.findById(refund.user_id);
+    if (!user) {
+      return this.failRefund(refund, 'Cardholder not found');
+    }
+
+    const b2cResult = await mpesaService.initiateB2CPayment(user.mpesa_phone, refund.amount, {
+      remarks: refund.type === 'reversal' ? 'Authorization reversal' : 'Refund',
+      occasion: refund.refund_reference
+    });
+
+    if (!b2cResult.success) {
+      return this.failRefund(refund, b2cResult.error);
+    }
+
+    refund.status = 'processing';
+    refund.mpesa_phone = user.mpesa_phone;
+    refund.mpesa_conversation_id = b2cResult.conversationID;
+    refund.mpesa_originator_conversation_id = b2cResult.originatorConversationID;
+    await refund.save();
+
+    return refund;
+  }
+
+  async creditCardBalance(refund) {
+    const credited = await walletService.credit(refund.card_id, refund.amount, {
+      type: refund.type,
+      key: `refund:${refund._id}`,
+      refund,
+      transaction: { _id: refund.transaction_id },
+      description: refund.reason
+    });
+
+    if (!credited) {
+      return this.failRefund(refund, 'Card not found');
+    }
+
+    return this.completeRefund(refund, {
+      resultCode: 0,
+      resultDescription: 'Credited to card balance'
+    });
+  }
+
+  // Applies a B2C result callback. Repeated deliveries for a finished refund are no-ops.
+  async handleB2CResult(body, options = {}) {
+    const result = mpesaService.parseB2CResult(body);
+    const refund = await this.findForCallback(result, options.reference);
+
+    if (!refund) {
+      logger.warn('Refund not found for B2C result', {
+        conversationID: result.conversationID,
+        originatorConversationID: result.originatorConversationID
+      });
+      return { success: false, error: 'Refund not found' };
+    }
+
+    if (['completed', 'failed'].includes(refund.status)) {
+      return { success: true, refund_id: refund.id, status: refund.status, replayed: true };
+    }
+
+    const resultCode = Number(result.resultCode);
+    const finished = resultCode === 0
+      ? await this.completeRefund(refund, result)
+      : await this.failRefund(refund, result.resultDescription, result);
+
+    return { success: true, refund_id: refund.id, status: finished.status };
+  }
+
+  // A queue timeout does not mean the payment failed; Daraja may still pay it. Failing
+  // the refund here would let a retry pay twice, so it stays processing and a
+  // transaction status query decides.
+  async handleB2CTimeout(body, options = {}) {
+    const result = mpesaService.parseB2CResult(body);
+    const refund = await this.findForCallback(result, options.reference);
+
+    if (!refund) {
+      return { success: false, error: 'Refund not found' };
+    }
+
+    if (['completed', 'failed'].includes(refund.status)) {
+      return { success: true, refund_id: refund.id, status: refund.status, replayed: true };
+    }
+
+    await Refund.updateOne({ _id: refund._id }, { $set: { timed_out_at: new Date() } });
+    await this.queryStatus(refund);
+
+    return { success: true, refund_id: refund.id, status: refund.status };
+  }
+
+  async queryStatus(refund) {
+    await Refund.updateOne({ _id: refund._id }, { $set: { status_checked_at: new Date() } });
+
+    const query = await mpesaService.queryTransactionStatus({
+      originatorConversationID: refund.mpesa_originator_conversation_id,
+      reference: refund.refund_reference,
+      remarks: 'Refund status'
+    });
+
+    if (!query.success) {
+      logger.warn('Refund status query not sent, will retry', { refundId: refund.id, error: query.error });
+    }
+    return query;
+  }
+
+  // Applies the answer to a status query. Only a completed payment or a definite
+  // "not found" settles the refund; anything else leaves it for the next query.
+  async handleStatusResult(body, options = {}) {
+    const result = mpesaService.parseTransactionStatusResult(body);
+    const refund = options.reference ? await Refund.findOne({ refund_reference: options.reference }) : null;
+
+    if (!refund) {
+      logger.warn('Refund not found for status result', { reference: options.reference });
+      return { success: false, error: 'Refund not found' };
+    }
+
+    if (['completed', 'failed'].includes(refund.status)) {
+      return { success: true, refund_id: refund.id, status: refund.status, replayed: true };
+    }
+
+    const resultCode = Number(result.resultCode);
+    if (resultCode === 0 && result.transactionStatus === 'Completed') {
+      const completed = await this.completeRefund(refund, result);
+      return { success: true, refund_id: refund.id, status: completed.status };
+    }
+
+    if (resultCode === MPESA_TRANSACTION_NOT_FOUND) {
+      const failed = await this.failRefund(refund, 'B2C payment not found after queue timeout', result);
+      return { success: true, refund_id: refund.id, status: failed.status };
+    }
+
+    logger.warn('Refund status still unknown', {
+      refundId: refund.id,
+      resultCode,
+      transactionStatus: result.transactionStatus
+    });
+    return { success: true, refund_id: refund.id, status: refund.status };
+  }
+
+  // Finds the refund a B2C callback is about. When the callback URL carried a reference,
+  // the refund must be the one that URL was issued for.
+  async findForCallback(result, reference) {
+    const refund = await Refund.findByConversationId(result.conversationID, result.originatorConversationID);
+
+    if (refund && reference && refund.refund_reference !== reference) {
+      logger.warn('B2C callback reference does not match refund', {
+        refundId: refund.id,
+        callbackReference: reference
+      });
+      return null;
+    }
+
+    return refund;
+  }
+
+  async completeRefund(refund, result) {
+    const completed = await Refund.findOneAndUpdate(
+      { _id: refund._id, status: { $in: ['pending', 'processing'] } },
+      {
+        $set: {
+          status: 'completed',
+          completed_at: new Date(),
+          mpesa_transaction_id: result.transactionID || result.receiptNumber,
+          mpesa_result_code: Number(result.resultCode),
+          mpesa_result_desc: result.resultDescription
+        }
+      },
+      { new: true }
+    );
+
+    if (!completed) {
+      return Refund.findById(refund._id);
+    }
+
+    // Reversals were already posted to the ledger when the hold was released
+    if (completed.type === 'refund') {
+      const transaction = await Transaction.findById(completed.transaction_id);
+      await ledgerService.recordRefund(transaction, completed.amount, {
+        key: `${transaction._id}:refund:${completed._id}`,
+        description: completed.reason
+      });
+      await ledgerService.syncCounters(transaction.card_id, transaction.user_id);
+      events.emit('transaction.refunded', { transaction, refund: completed });
+    }
+
+    logger.info('Refund completed', {
+      refundId: completed.id,
+      type: completed.type,
+      amount: completed.amount,
+      mpesaTransactionId: completed.mpesa_transaction_id
+    });
+
+    return completed;
+  }
+
+  async failRefund(refund, reason, result = {}) {
+    const failed = await Refund.findOneAndUpdate(
+      { _id: refund._id, status: { $in: ['pending', 'processing'] } },
+      {
+        $set: {
+          status: 'failed',
+          completed_at: new Date(),
+          mpesa_result_code: result.resultCode !== undefined ? Number(result.resultCode) : undefined,
+          mpesa_result_desc: String(reason || 'B2C payment failed').substring(0, 255)
+        }
+      },
+      { new: true }
+    );
+
+    if (!failed) {
+      return Refund.findById(refund._id);
+    }
+
+    // Give the reserved amount back so the refund can be retried
+    if (failed.type === 'refund') {
+      await Transaction.updateOne({ _id: failed.transaction_id }, { $inc: { refunded_amount: -failed.amount } });
+    }
+
+    logger.warn('Refund failed', {
+      refundId: failed.id,
+      type: failed.type,
+      reason
+    });
+
+    return failed;
+  }
+
+  generateRefundReference() {
+    return `RFD${Date.now()}${Math.random().toString(36).substring(2, 8).toUpperCase()}`;
+  }
+}
+
+module.exports = new RefundService();
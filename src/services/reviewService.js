@@ -0,0 +1,225 @@
+const FraudReview = require('../models/FraudReview');
+const Transaction = require('../models/Transaction');
+const VirtualCard = require('../models/VirtualCard');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const authorizationService = require('./authorizationService');
+const cardService = require('./cardService');
+const logger = require('../utils/logger');
+const { ReviewError } = require('../utils/errors');
+
+const DECISION_STATUSES = {
+  approve: 'approved',
+  decline: 'declined',
+  block_card: 'declined',
+  sla_expired: 'expired'
+};
+
+const TRANSACTION_SUMMARY = 'transaction_reference amount currency amount_kes merchant_name merchant_id merchant_category status risk createdAt';
+
+class ReviewService {
+  async listReviews({ status = 'open', page = 1, limit = 20 } = {}) {
+    const query = status ? { status } : {};
+
+    const [reviews, total] = await Promise.all([
+      FraudReview.find(query)
+        .sort(status === 'open' ? { sla_due_at: 1 } : { createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('transaction_id', TRANSACTION_SUMMARY)
+        .populate('card_id', 'cardholder_name status funding_mode createdAt')
+        .populate('user_id', 'username email mpesa_phone'),
+      FraudReview.countDocuments(query)
+    ]);
+
+    return {
+      reviews,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // A review with what an analyst needs to decide: the card's recent activity and the
+  // cardholder's earlier reviews
+  async getReview(reviewId) {
+    const review = await FraudReview.findById(reviewId)
+      .populate('transaction_id')
+      .populate('card_id', 'cardholder_name status funding_mode daily_limit monthly_limit last_used createdAt')
+      .populate('user_id', 'username email mpesa_phone is_active createdAt last_login');
+
+    if (!review) {
+      return null;
+    }
+
+    const [recentTransactions, statusCounts, previousReviews] = await Promise.all([
+      Transaction.find({ card_id: review.card_id._id, _id: { $ne: review.transaction_id._id } })
+        .sort({ createdAt: -1 })
+        .limit(20)
+        .select(TRANSACTION_SUMMARY),
+      Transaction.aggregate([
+        { $match: { user_id: review.user_id._id } },
+        { $group: { _id: '$status', count: { $sum: 1 }, amount: { $sum: '$amount_kes' } } }
+      ]),
+      FraudReview.find({ user_id: review.user_id._id, _id: { $ne: review._id } })
+        .sort({ createdAt: -1 })
+        .limit(10)
+        .select('status decision amount risk_score decided_at createdAt')
+    ]);
+
+    return {
+      review,
+      history: {
+        card_transactions: recentTransactions,
+        user_totals: statusCounts.map(row => ({ status: row._id, count: row.count, amount: row.amount })),
+        previous_reviews: previousReviews
+      }
+    };
+  }
+
+  // Applies an analyst decision: approve sends the purchase on for payment, decline
+  // declines it and block_card also suspends the card and declines its other reviews.
+  async decide(reviewId, decision, { analyst, note, ip_address, user_agent } = {}) {
+    const review = await FraudReview.findById(reviewId);
+    if (!review) {
+      throw new ReviewError('Review not found', 'REVIEW_NOT_FOUND');
+    }
+
+    const transaction = await Transaction.findById(review.transaction_id);
+    if (review.status !== 'open' || !transaction || transaction.status !== 'under_review') {
+      throw new ReviewError('Review has already been closed', 'REVIEW_CLOSED');
+    }
+
+    const claimed = await this.close(review, decision, { decided_by: analyst.id, note });
+    if (!claimed) {
+      throw new ReviewError('Review has already been closed', 'REVIEW_CLOSED');
+    }
+
+    const actor = `analyst:${analyst.id}`;
+    let result;
+
+    if (decision === 'approve') {
+      const [card, user] = await Promise.all([
+        VirtualCard.findById(transaction.card_id),
+        User.findById(transaction.user_id)
+      ]);
+      result = card && card.status === 'active' && user && user.is_active
+        ? await authorizationService.requestPayment(transaction, card, user)
+        : await authorizationService.declineForRisk(transaction, { actor, reason: 'Card or cardholder no longer active' });
+    } else {
+      result = await authorizationService.declineForRisk(transaction, {
+        actor,
+        reason: note || 'Declined after fraud review'
+      });
+    }
+
+    if (decision === 'block_card') {
+      await this.blockCard(transaction.card_id, { analyst, note, ip_address, user_agent });
+    }
+
+    await AuditLog.record({
+      action: `review.${decision}`,
+      actor_type: 'user',
+      actor_id: analyst.id,
+      target_type: 'transaction',
+      target_id: transaction.id,
+      reason: note,
+      ip_address,
+      user_agent,
+      metadata: {
+        review_id: claimed.id,
+        amount: transaction.amount_kes,
+        risk_score: claimed.risk_score,
+        transaction_status: transaction.status
+      }
+    });
+
+    logger.info('Fraud review decided', {
+      reviewId: claimed.id,
+      transactionId: transaction.id,
+      decision,
+      analystId: analyst.id
+    });
+
+    return { review: claimed, transaction, result };
+  }
+
+  async blockCard(cardId, { analyst, note, ip_address, user_agent }) {
+    const card = await VirtualCard.findById(cardId);
+    // A card the cardholder had frozen is blocked too, so they cannot unfreeze it
+    if (card && ['active', 'suspended'].includes(card.status) && card.status_reason !== 'fraud_block') {
+      await cardService.blockCard(card, { actor: `analyst:${analyst.id}`, note });
+
+      await AuditLog.record({
+        action: 'card.blocked',
+        actor_type: 'user',
+        actor_id: analyst.id,
+        target_type: 'card',
+        target_id: card.id,
+        reason: note,
+        ip_address,
+        user_agent
+      });
+    }
+
+    // Nothing else on a blocked card should go through
+    const others = await FraudReview.find({ card_id: cardId, status: 'open' });
+    for (const other of others) {
+      try {
+        await this.decide(other.id, 'decline', { analyst, note: 'Card blocked after fraud review', ip_address, user_agent });
+      } catch (error) {
+        if (!(error instanceof ReviewError)) throw error;
+      }
+    }
+  }
+
+  // Declines a review that ran past its SLA
+  async expire(review) {
+    const claimed = await this.close(review, 'sla_expired', { note: 'Review SLA expired' });
+    if (!claimed) {
+      return null;
+    }
+
+    const transaction = await Transaction.findById(review.transaction_id);
+    if (transaction && transaction.status === 'under_review') {
+      await authorizationService.declineForRisk(transaction, {
+        actor: 'review_sla',
+        reason: 'Review SLA expired'
+      });
+    }
+
+    await AuditLog.record({
+      action: 'review.sla_expired',
+      actor_type: 'system',
+      target_type: 'transaction',
+      target_id: String(review.transaction_id),
+      reason: 'Review SLA expired',
+      metadata: { review_id: claimed.id, sla_due_at: claimed.sla_due_at }
+    });
+
+    logger.warn('Fraud review expired', { reviewId: claimed.id, transactionId: String(review.transaction_id) });
+    return claimed;
+  }
+
+  // Moves an open review to its final status; null when someone else closed it first
+  close(review, decision, { decided_by, note }) {
+    return FraudReview.findOneAndUpdate(
+      { _id: review._id, status: 'open' },
+      {
+        $set: {
+          status: DECISION_STATUSES[decision],
+          decision,
+          decided_by,
+          note,
+          decided_at: new Date()
+        }
+      },
+      { new: true }
+    );
+  }
+}
+
+module.exports = new ReviewService();
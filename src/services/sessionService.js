@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const logger = require('../utils/logger');
+const { describeDevice } = require('../utils/device');
+const { SessionError } = require('../utils/errors');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Older refresh tokens kept per session for reuse detection
+const PREVIOUS_TOKENS_KEPT = 50;
+
+// Sign-in sessions: short-lived access tokens (JWT) and rotating refresh tokens. A refresh
+// token is '<session id>.<secret>' and only its hash is stored.
+class SessionService {
+  constructor() {
+    this.accessTokenTtl = process.env.ACCESS_TOKEN_TTL || '15m';
+    this.refreshTtlDays = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+    // Two tabs refreshing with the same token at once is not theft
+    this.reuseGraceSeconds = parseInt(process.env.REFRESH_REUSE_GRACE_SECONDS) || 10;
+  }
+
+  async create(user, { ip_address, user_agent, two_factor_verified = false } = {}) {
+    const session = new Session({
+      user_id: user._id,
+      refresh_token_hash: 'pending',
+      user_agent: user_agent ? user_agent.slice(0, 255) : undefined,
+      device: describeDevice(user_agent),
+      ip_address,
+      created_ip: ip_address,
+      two_factor_verified_at: two_factor_verified ? new Date() : undefined,
+      expires_at: this.refreshExpiry()
+    });
+
+    const refreshToken = this.newRefreshToken(session);
+    session.refresh_token_hash = hashToken(refreshToken);
+    await session.save();
+
+    logger.info('Session started', { userId: String(user._id), sessionId: session.id, device: session.device });
+    return this.issue(user, session, refreshToken);
+  }
+
+  // Swaps a refresh token for a new pair. Presenting a token that was already swapped
+  // ends the session, since either the client or an attacker holds a copy.
+  async refresh(refreshToken, { ip_address, user_agent } = {}) {
+    const [sessionId] = String(refreshToken || '').split('.');
+    if (!/^[0-9a-f]{24}$/.test(sessionId)) {
+      throw new SessionError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+    }
+
+    const hash = hashToken(refreshToken);
+    const next = this.newRefreshToken({ id: sessionId });
+    const now = new Date();
+
+    const session = await Session.findOneAndUpdate(
+      { _id: sessionId, refresh_token_hash: hash, revoked_at: null, expires_at: { $gt: now } },
+      {
+        $set: {
+          refresh_token_hash: hashToken(next),
+          last_used_at: now,
+          ip_address,
+          expires_at: this.refreshExpiry()
+        },
+        $push: { previous_token_hashes: { $each: [hash], $slice: -PREVIOUS_TOKENS_KEPT } }
+      },
+      { new: true }
+    ).populate('user_id');
+
+    if (session) {
+      const user = session.user_id;
+      if (!user || !user.is_active) {
+        await this.revoke(session, 'user_revoked');
+        throw new SessionError('Account is deactivated', 'ACCOUNT_INACTIVE');
+      }
+      return this.issue(user, session, next);
+    }
+
+    const existing = await Session.findById(sessionId);
+    if (!existing || !existing.previous_token_hashes.includes(hash)) {
+      throw new SessionError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+    }
+    if (!existing.isActive()) {
+      throw new SessionError('Session has ended, log in again', 'SESSION_ENDED');
+    }
+
+    const latest = existing.previous_token_hashes[existing.previous_token_hashes.length - 1];
+    if (hash === latest && existing.last_used_at > new Date(now.getTime() - this.reuseGraceSeconds * 1000)) {
+      throw new SessionError('Refresh token was just rotated', 'TOKEN_ROTATED');
+    }
+
+    await this.revoke(existing, 'token_reuse');
+    await AuditLog.record({
+      action: 'session.token_reuse',
+      outcome: 'denied',
+      actor_type: 'external',
+      target_type: 'user',
+      target_id: String(existing.user_id),
+      ip_address,
+      user_agent,
+      metadata: { session_id: existing.id, device: existing.device, session_ip: existing.ip_address }
+    });
+    logger.warn('Refresh token reused, session revoked', { userId: String(existing.user_id), sessionId: existing.id, ip: ip_address });
+
+    throw new SessionError('Session has ended, log in again', 'TOKEN_REUSED');
+  }
+
+  // The active session an access token was issued for, or null
+  async verifyAccessToken(token) {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (!decoded.sid) {
+      return null;
+    }
+
+    const session = await Session.findOne({ _id: decoded.sid, user_id: decoded.userId });
+    return session && session.isActive() ? session : null;
+  }
+
+  list(userId) {
+    return Session.findActiveByUser(userId);
+  }
+
+  async revoke(session, reason) {
+    const result = await Session.updateOne(
+      { _id: session._id, revoked_at: null },
+      { $set: { revoked_at: new Date(), revoked_reason: reason } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  async revokeById(userId, sessionId, reason) {
+    const session = await Session.findOne({ _id: sessionId, user_id: userId, revoked_at: null });
+    return session ? this.revoke(session, reason) : false;
+  }
+
+  async revokeAll(userId, reason) {
+    const result = await Session.updateMany(
+      { user_id: userId, revoked_at: null },
+      { $set: { revoked_at: new Date(), revoked_reason: reason } }
+    );
+    logger.info('Sessions revoked', { userId: String(userId), reason, count: result.modifiedCount });
+    return result.modifiedCount;
+  }
+
+  issue(user, session, refreshToken) {
+    const accessToken = jwt.sign(
+      { userId: user._id, sid: session.id },
+      process.env.JWT_SECRET,
+      { expiresIn: this.accessTokenTtl }
+    );
+
+    return {
+      session,
+      token: accessToken,
+      refresh_token: refreshToken,
+      expires_in: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000)
+    };
+  }
+
+  newRefreshToken(session) {
+    return `${session.id}.${crypto.randomBytes(32).toString('base64url')}`;
+  }
+
+  refreshExpiry() {
+    return new Date(Date.now() + this.refreshTtlDays * 24 * 60 * 60 * 1000);
+  }
+}
+
+module.exports = new SessionService();
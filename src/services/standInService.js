@@ -0,0 +1,171 @@
+const Transaction = require('../models/Transaction');
+const StandInMismatch = require('../models/StandInMismatch');
+const mpesaService = require('./mpesaService');
+const logger = require('../utils/logger');
+
+const PENDING_STATUSES = ['pending_authorization', 'stk_push_sent', 'awaiting_user_response'];
+
+const parseList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+// Decides on the cardholder's behalf when the STK answer does not arrive within the
+// acquirer's budget, and records where that decision and the real outcome disagree.
+class StandInService {
+  getPolicy() {
+    return {
+      enabled: process.env.STAND_IN_ENABLED !== 'false',
+      maxAmount: parseFloat(process.env.STAND_IN_MAX_AMOUNT) || 1000,
+      trustedMerchants: parseList(process.env.STAND_IN_TRUSTED_MERCHANTS),
+      trustedMaxAmount: parseFloat(process.env.STAND_IN_TRUSTED_MAX_AMOUNT) || 10000,
+      // Stand-in approvals per card still waiting on the cardholder
+      maxOpenPerCard: parseInt(process.env.STAND_IN_MAX_OPEN_PER_CARD) || 1,
+      // '19' (re-enter transaction) invites the acquirer to retry once the prompt is answered
+      retryCode: process.env.STAND_IN_RETRY_CODE || '19',
+      autoReverse: process.env.STAND_IN_AUTO_REVERSE !== 'false'
+    };
+  }
+
+  async evaluate(transaction, policy = this.getPolicy()) {
+    if (!policy.enabled) {
+      return { approved: false, reason: 'Stand-in disabled' };
+    }
+
+    // Purchases the fraud rules want a closer look at need the cardholder's own answer
+    if (transaction.risk && ['review', 'step_up'].includes(transaction.risk.action)) {
+      return { approved: false, reason: `Risk action ${transaction.risk.action} requires cardholder confirmation` };
+    }
+
+    const trusted = transaction.merchant_id && policy.trustedMerchants.includes(transaction.merchant_id);
+    const limit = trusted ? Math.max(policy.trustedMaxAmount, policy.maxAmount) : policy.maxAmount;
+
+    if (transaction.amount_kes > limit) {
+      return { approved: false, reason: `Amount above stand-in limit of ${limit} KES` };
+    }
+
+    const open = await Transaction.countDocuments({
+      card_id: transaction.card_id,
+      status: { $in: PENDING_STATUSES },
+      'stand_in.decision': 'approved'
+    });
+
+    if (open >= policy.maxOpenPerCard) {
+      return { approved: false, reason: 'Card has unconfirmed stand-in approvals' };
+    }
+
+    return {
+      approved: true,
+      reason: trusted ? 'Trusted merchant under stand-in limit' : 'Amount under stand-in limit'
+    };
+  }
+
+  // Records a stand-in decision for a still-pending transaction. Returns null when the
+  // transaction was decided by the cardholder in the meantime.
+  async decide(transaction) {
+    const policy = this.getPolicy();
+    const evaluation = await this.evaluate(transaction, policy);
+
+    const standIn = evaluation.approved
+      ? {
+        decision: 'approved',
+        response_code: '00',
+        authorization_code: mpesaService.generateAuthorizationCode(),
+        reason: evaluation.reason,
+        decided_at: new Date()
+      }
+      : {
+        decision: 'declined',
+        response_code: policy.retryCode,
+        reason: evaluation.reason,
+        decided_at: new Date()
+      };
+
+    const updated = await Transaction.findOneAndUpdate(
+      {
+        _id: transaction._id,
+        status: { $in: PENDING_STATUSES },
+        'stand_in.decision': { $exists: false }
+      },
+      { $set: { stand_in: standIn } },
+      { new: true }
+    );
+
+    if (!updated) {
+      return null;
+    }
+
+    logger.info('Stand-in decision made', {
+      transactionId: updated.id,
+      decision: standIn.decision,
+      reason: standIn.reason,
+      amount: updated.amount_kes
+    });
+
+    return updated;
+  }
+
+  // Compares a stand-in decision with the transaction's final status. Returns the
+  // mismatch record when they disagree.
+  async recordOutcome(transaction) {
+    const standIn = transaction.stand_in;
+    if (!standIn || !standIn.decision || standIn.outcome || PENDING_STATUSES.includes(transaction.status)) {
+      return null;
+    }
+
+    // Reversed by the acquirer: nothing is owed either way
+    if (transaction.status === 'cancelled') {
+      await this.setOutcome(transaction, 'reversed');
+      return null;
+    }
+
+    const paid = transaction.status === 'approved';
+    const standInApproved = standIn.decision === 'approved';
+
+    if (paid === standInApproved) {
+      await this.setOutcome(transaction, 'matched');
+      return null;
+    }
+
+    await this.setOutcome(transaction, 'mismatch');
+
+    let mismatch;
+    try {
+      mismatch = await StandInMismatch.create({
+        transaction_id: transaction._id,
+        user_id: transaction.user_id,
+        card_id: transaction.card_id,
+        amount: transaction.amount_kes,
+        stand_in_decision: standIn.decision,
+        final_status: transaction.status,
+        action_required: standInApproved ? 'collect' : 'reverse'
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return StandInMismatch.findOne({ transaction_id: transaction._id });
+      }
+      throw error;
+    }
+
+    logger.warn('Stand-in decision contradicted by STK outcome', {
+      transactionId: transaction.id,
+      standInDecision: standIn.decision,
+      finalStatus: transaction.status,
+      actionRequired: mismatch.action_required
+    });
+
+    return mismatch;
+  }
+
+  async setOutcome(transaction, outcome) {
+    transaction.stand_in.outcome = outcome;
+    await Transaction.updateOne({ _id: transaction._id }, { $set: { 'stand_in.outcome': outcome } });
+  }
+
+  async resolve(mismatch, resolution) {
+    return StandInMismatch.findOneAndUpdate(
+      { _id: mismatch._id, status: 'open' },
+      { $set: { status: 'resolved', resolution, resolved_at: new Date() } },
+      { new: true }
+    );
+  }
+}
+
+module.exports = new StandInService();
@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const StepUpChallenge = require('../models/StepUpChallenge');
+const User = require('../models/User');
+const notificationService = require('./notificationService');
+const logger = require('../utils/logger');
+const { StepUpError } = require('../utils/errors');
+
+const PURPOSE_LABELS = {
+  card_reveal: 'reveal your card details',
+  password_reset: 'reset your password'
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const hashCode = (challengeId, code) =>
+  crypto.createHmac('sha256', String(challengeId)).update(String(code)).digest('hex');
+
+// Re-verification before sensitive actions: the user re-enters their password or a
+// one-time code sent to their M-Pesa phone, and gets a single-use token for the action.
+class StepUpService {
+  constructor() {
+    this.challengeTtlSeconds = parseInt(process.env.STEP_UP_CHALLENGE_TTL_SECONDS) || 5 * 60;
+    this.tokenTtlSeconds = parseInt(process.env.STEP_UP_TOKEN_TTL_SECONDS) || 60;
+    this.maxAttempts = parseInt(process.env.STEP_UP_MAX_ATTEMPTS) || 5;
+  }
+
+  // channel picks SMS or email delivery for 'otp'; by default every transport is used
+  async start(user, { purpose, target_id, method, channel }) {
+    const challenge = new StepUpChallenge({
+      user_id: user._id,
+      purpose,
+      target_id: String(target_id),
+      method,
+      expires_at: new Date(Date.now() + this.challengeTtlSeconds * 1000)
+    });
+
+    let code;
+    if (method === 'otp') {
+      code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+      challenge.code_hash = hashCode(challenge._id, code);
+    }
+
+    await challenge.save();
+
+    if (method === 'otp') {
+      await notificationService.notify(user, 'step_up_code', {
+        subject: 'Your PesaCard verification code',
+        message: `Your PesaCard code to ${PURPOSE_LABELS[purpose]} is ${code}. It expires in ${Math.round(this.challengeTtlSeconds / 60)} minutes. Never share it with anyone.`,
+        data: { purpose },
+        channel
+      });
+    }
+
+    logger.info('Step-up challenge started', { userId: user.id, purpose, method, challengeId: challenge.id });
+    return challenge;
+  }
+
+  // Checks the password or code and returns { token, expires_at }. Each challenge allows
+  // STEP_UP_MAX_ATTEMPTS tries.
+  async verify(challengeId, userId, { purpose, target_id, password, code }) {
+    const challenge = await StepUpChallenge.findOne({
+      _id: challengeId,
+      user_id: userId,
+      purpose,
+      target_id: String(target_id)
+    });
+    if (!challenge) {
+      throw new StepUpError('Verification not found', 'CHALLENGE_NOT_FOUND', 404);
+    }
+    if (challenge.status !== 'pending') {
+      throw new StepUpError('Verification has already been used', 'CHALLENGE_CLOSED');
+    }
+    if (challenge.expires_at <= new Date()) {
+      throw new StepUpError('Verification has expired, start again', 'CHALLENGE_EXPIRED');
+    }
+
+    // Count the attempt before checking it, so parallel guesses cannot exceed the limit
+    const attempt = await StepUpChallenge.findOneAndUpdate(
+      { _id: challenge._id, status: 'pending', attempts: { $lt: this.maxAttempts } },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (!attempt) {
+      await StepUpChallenge.updateOne({ _id: challenge._id, status: 'pending' }, { $set: { status: 'failed' } });
+      throw new StepUpError('Too many attempts, start again', 'TOO_MANY_ATTEMPTS', 429);
+    }
+
+    let valid = false;
+    if (challenge.method === 'password') {
+      const user = await User.findById(userId);
+      valid = !!user && !!password && await user.comparePassword(password);
+    } else if (code) {
+      const expected = Buffer.from(challenge.code_hash, 'hex');
+      const given = Buffer.from(hashCode(challenge._id, code), 'hex');
+      valid = crypto.timingSafeEqual(expected, given);
+    }
+
+    if (!valid) {
+      if (attempt.attempts >= this.maxAttempts) {
+        await StepUpChallenge.updateOne({ _id: challenge._id, status: 'pending' }, { $set: { status: 'failed' } });
+      }
+      throw new StepUpError(
+        challenge.method === 'password' ? 'Incorrect password' : 'Incorrect code',
+        'VERIFICATION_FAILED'
+      );
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + this.tokenTtlSeconds * 1000);
+    const verified = await StepUpChallenge.findOneAndUpdate(
+      { _id: challenge._id, status: 'pending' },
+      {
+        $set: {
+          status: 'verified',
+          verified_at: new Date(),
+          token_hash: hashToken(token),
+          token_expires_at: expiresAt
+        }
+      },
+      { new: true }
+    );
+    if (!verified) {
+      throw new StepUpError('Verification has already been used', 'CHALLENGE_CLOSED');
+    }
+
+    return { challenge: verified, token, expires_at: expiresAt };
+  }
+
+  // Uses up a token for the action it was issued for; throws when it is not valid
+  async consume(token, { user_id, purpose, target_id }) {
+    const challenge = token && await StepUpChallenge.findOneAndUpdate(
+      {
+        token_hash: hashToken(token),
+        user_id,
+        purpose,
+        target_id: String(target_id),
+        status: 'verified',
+        token_expires_at: { $gt: new Date() }
+      },
+      { $set: { status: 'used', used_at: new Date() } },
+      { new: true }
+    );
+
+    if (!challenge) {
+      throw new StepUpError('Verification is missing or has expired', 'STEP_UP_REQUIRED');
+    }
+    return challenge;
+  }
+
+  countStarted({ purpose, target_id }, since) {
+    return StepUpChallenge.countSince({ purpose, target_id: String(target_id) }, since);
+  }
+
+  countUsed({ purpose, target_id }, since) {
+    return StepUpChallenge.countDocuments({ purpose, target_id: String(target_id), used_at: { $gte: since } });
+  }
+}
+
+module.exports = new StepUpService();
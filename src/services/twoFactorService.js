@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const totp = require('../utils/totp');
+const encryption = require('../utils/encryption');
+const logger = require('../utils/logger');
+const { StepUpError } = require('../utils/errors');
+
+const SECRET_FIELDS = '+totp_secret +totp_pending_secret +backup_codes';
+const BACKUP_CODE_COUNT = 10;
+const LOGIN_TOKEN_PURPOSE = 'two_factor_login';
+
+const hashBackupCode = (code) =>
+  crypto.createHash('sha256').update(String(code).toUpperCase().replace(/[^A-Z0-9]/g, '')).digest('hex');
+
+// Optional TOTP two-factor authentication: enrollment, backup codes, the second login
+// step and the "recently verified" check in front of sensitive card actions.
+class TwoFactorService {
+  constructor() {
+    this.issuer = process.env.TOTP_ISSUER || 'PesaCard';
+    this.recentMinutes = parseInt(process.env.TWO_FACTOR_RECENT_MINUTES) || 10;
+    this.maxFailures = parseInt(process.env.TWO_FACTOR_MAX_FAILURES) || 5;
+    this.lockMinutes = parseInt(process.env.TWO_FACTOR_LOCK_MINUTES) || 15;
+    this.loginTokenTtl = process.env.TWO_FACTOR_LOGIN_TTL || '5m';
+  }
+
+  async getStatus(userId) {
+    const user = await User.findById(userId).select('+backup_codes');
+    return {
+      enabled: !!user.totp_enabled,
+      enabled_at: user.totp_enabled_at,
+      backup_codes_remaining: (user.backup_codes || []).filter(code => !code.used_at).length
+    };
+  }
+
+  // Starts enrollment with a new secret; it only takes effect once enable() confirms a code
+  async setup(userId) {
+    const user = await User.findById(userId).select(SECRET_FIELDS);
+    if (user.totp_enabled) {
+      throw new StepUpError('Two-factor authentication is already on', 'ALREADY_ENABLED', 409);
+    }
+
+    const secret = totp.generateSecret();
+    user.totp_pending_secret = encryption.encryptData(secret);
+    await user.save();
+
+    return {
+      secret,
+      otpauth_uri: totp.buildUri({ secret, account: user.email, issuer: this.issuer })
+    };
+  }
+
+  // Confirms enrollment with a code from the app and returns the backup codes, which are
+  // only ever shown here
+  async enable(userId, code) {
+    const user = await User.findById(userId).select(SECRET_FIELDS);
+    if (user.totp_enabled) {
+      throw new StepUpError('Two-factor authentication is already on', 'ALREADY_ENABLED', 409);
+    }
+    if (!user.totp_pending_secret) {
+      throw new StepUpError('Start two-factor setup first', 'SETUP_REQUIRED', 409);
+    }
+
+    this.assertNotLocked(user);
+    const step = totp.verify(encryption.decryptData(user.totp_pending_secret), code);
+    if (step === null) {
+      await this.recordFailure(user);
+      throw new StepUpError('Incorrect code', 'VERIFICATION_FAILED');
+    }
+
+    const backupCodes = this.newBackupCodes();
+    user.totp_secret = user.totp_pending_secret;
+    user.totp_pending_secret = undefined;
+    user.totp_enabled = true;
+    user.totp_enabled_at = new Date();
+    user.totp_last_step = step;
+    user.totp_failed_attempts = 0;
+    user.backup_codes = backupCodes.map(backupCode => ({ code_hash: hashBackupCode(backupCode) }));
+    await user.save();
+
+    logger.info('Two-factor authentication enabled', { userId: user.id });
+    return backupCodes;
+  }
+
+  async disable(userId) {
+    await User.updateOne(
+      { _id: userId },
+      {
+        $set: { totp_enabled: false, totp_failed_attempts: 0 },
+        $unset: {
+          totp_secret: 1,
+          totp_pending_secret: 1,
+          totp_enabled_at: 1,
+          totp_last_step: 1,
+          totp_locked_until: 1,
+          backup_codes: 1
+        }
+      }
+    );
+    logger.info('Two-factor authentication disabled', { userId: String(userId) });
+  }
+
+  async regenerateBackupCodes(userId) {
+    const backupCodes = this.newBackupCodes();
+    await User.updateOne(
+      { _id: userId, totp_enabled: true },
+      { $set: { backup_codes: backupCodes.map(code => ({ code_hash: hashBackupCode(code) })) } }
+    );
+    return backupCodes;
+  }
+
+  // Checks a code from the app or an unused backup code. Returns 'totp' or 'backup_code'.
+  async verify(userId, { code, backup_code }) {
+    const user = await User.findById(userId).select(SECRET_FIELDS);
+    if (!user || !user.totp_enabled) {
+      throw new StepUpError('Two-factor authentication is not on', 'NOT_ENABLED', 409);
+    }
+    this.assertNotLocked(user);
+
+    let method = null;
+    if (code) {
+      const step = totp.verify(encryption.decryptData(user.totp_secret), code);
+      // Claiming the step stops the same code being used twice
+      const claimed = step !== null && await User.updateOne(
+        { _id: user._id, $or: [{ totp_last_step: null }, { totp_last_step: { $lt: step } }] },
+        { $set: { totp_last_step: step } }
+      );
+      method = claimed && claimed.modifiedCount > 0 ? 'totp' : null;
+    } else if (backup_code) {
+      const used = await User.updateOne(
+        { _id: user._id, backup_codes: { $elemMatch: { code_hash: hashBackupCode(backup_code), used_at: null } } },
+        { $set: { 'backup_codes.$.used_at': new Date() } }
+      );
+      method = used.modifiedCount > 0 ? 'backup_code' : null;
+    }
+
+    if (!method) {
+      await this.recordFailure(user);
+      throw new StepUpError(backup_code && !code ? 'Incorrect backup code' : 'Incorrect code', 'VERIFICATION_FAILED');
+    }
+
+    if (user.totp_failed_attempts > 0) {
+      await User.updateOne({ _id: user._id }, { $set: { totp_failed_attempts: 0 }, $unset: { totp_locked_until: 1 } });
+    }
+    if (method === 'backup_code') {
+      logger.warn('Backup code used', { userId: user.id });
+    }
+    return method;
+  }
+
+  async markVerified(sessionId) {
+    await Session.updateOne({ _id: sessionId }, { $set: { two_factor_verified_at: new Date() } });
+  }
+
+  // Users with two-factor on must have entered a code in this session recently
+  assertRecent(reqUser) {
+    if (!reqUser.twoFactorEnabled) {
+      return;
+    }
+
+    const cutoff = Date.now() - this.recentMinutes * 60 * 1000;
+    if (!reqUser.twoFactorVerifiedAt || reqUser.twoFactorVerifiedAt.getTime() < cutoff) {
+      throw new StepUpError('Enter your authenticator code to continue', 'TWO_FACTOR_REQUIRED');
+    }
+  }
+
+  // Short-lived token for the second login step; it is not an access token
+  createLoginToken(user) {
+    return jwt.sign(
+      { userId: user._id, purpose: LOGIN_TOKEN_PURPOSE },
+      process.env.JWT_SECRET,
+      { expiresIn: this.loginTokenTtl }
+    );
+  }
+
+  readLoginToken(token) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      if (decoded.purpose === LOGIN_TOKEN_PURPOSE) {
+        return decoded.userId;
+      }
+    } catch (error) {
+      if (!(error instanceof jwt.JsonWebTokenError)) throw error;
+    }
+    throw new StepUpError('Sign-in has expired, log in again', 'LOGIN_EXPIRED', 401);
+  }
+
+  assertNotLocked(user) {
+    if (user.totp_locked_until && user.totp_locked_until > new Date()) {
+      throw new StepUpError('Too many incorrect codes, try again later', 'TOO_MANY_ATTEMPTS', 429);
+    }
+  }
+
+  async recordFailure(user) {
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id },
+      { $inc: { totp_failed_attempts: 1 } },
+      { new: true }
+    );
+    if (updated.totp_failed_attempts >= this.maxFailures) {
+      await User.updateOne(
+        { _id: user._id },
+        {
+          $set: {
+            totp_failed_attempts: 0,
+            totp_locked_until: new Date(Date.now() + this.lockMinutes * 60 * 1000)
+          }
+        }
+      );
+      logger.warn('Two-factor verification locked after failed attempts', { userId: user.id });
+    }
+  }
+
+  // xxxxx-xxxxx codes without look-alike characters
+  newBackupCodes() {
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    return Array.from({ length: BACKUP_CODE_COUNT }, () => {
+      const chars = Array.from({ length: 10 }, () => alphabet[crypto.randomInt(alphabet.length)]).join('');
+      return `${chars.slice(0, 5)}-${chars.slice(5)}`;
+    });
+  }
+}
+
+module.exports = new TwoFactorService();
@@ -0,0 +1,323 @@
+const crypto = require('crypto');
+const VaultRecord = require('../models/VaultRecord');
+const VirtualCard = require('../models/VirtualCard');
+const Merchant = require('../models/Merchant');
+const User = require('../models/User');
+const encryption = require('../utils/encryption');
+const logger = require('../utils/logger');
+const { VaultError } = require('../utils/errors');
+
+// The card vault. PANs and CVVs are stored here and cards only hold opaque tokens;
+// nothing outside the vault and the reveal endpoint sees a raw card number.
+class VaultService {
+  async tokenize(value, { purpose, owner_id }) {
+    const token = `tok_${crypto.randomBytes(18).toString('base64url')}`;
+    const envelope = encryption.seal(value, `${purpose}:${token}`);
+
+    await VaultRecord.create({
+      token,
+      purpose,
+      owner_id,
+      key_id: envelope.key_id,
+      wrapped_key: envelope.wrapped_key,
+      ciphertext: envelope.ciphertext
+    });
+
+    return token;
+  }
+
+  async detokenize(token) {
+    const record = token && await VaultRecord.findOne({ token });
+    if (!record) {
+      throw new VaultError('Vault token not found', 'TOKEN_NOT_FOUND');
+    }
+    return encryption.open(record, `${record.purpose}:${record.token}`);
+  }
+
+  async remove(token) {
+    if (token) {
+      await VaultRecord.deleteOne({ token });
+    }
+  }
+
+  // Constant-time comparison against a stored value
+  async verify(token, candidate) {
+    const stored = Buffer.from(await this.detokenize(token));
+    const given = Buffer.from(String(candidate || ''));
+    return stored.length === given.length && crypto.timingSafeEqual(stored, given);
+  }
+
+  // Keyed lookup hash for card numbers presented by merchants and the ISO 8583 listener
+  fingerprint(pan) {
+    return encryption.fingerprint(pan);
+  }
+
+  // The hashes a card number may be stored under: its fingerprint and, until
+  // migrateLegacyCards has reached the card, the unkeyed SHA-256 used before
+  lookupHashes(pan) {
+    return [this.fingerprint(pan), crypto.createHash('sha256').update(String(pan)).digest('hex')];
+  }
+
+  // Vaults a new card's number and CVV and sets the card's tokens; the caller saves
+  async storeCard(card, { pan, cvv }) {
+    card.pan_token = await this.tokenize(pan, { purpose: 'pan', owner_id: card._id });
+    card.cvv_token = await this.tokenize(cvv, { purpose: 'cvv', owner_id: card._id });
+    card.last4 = String(pan).slice(-4);
+    card.card_number_hash = this.fingerprint(pan);
+    card.card_number_hash_keyed = true;
+  }
+
+  // Sets a new CVV token and returns the previous one, to be removed once the card is saved
+  async replaceCvv(card, cvv) {
+    const previous = card.cvv_token;
+    card.cvv_token = await this.tokenize(cvv, { purpose: 'cvv', owner_id: card._id });
+    return previous;
+  }
+
+  // cvv is null once a closed card's CVV has been purged
+  async revealCard(card) {
+    const cardNumber = card.pan_token
+      ? await this.detokenize(card.pan_token)
+      : this.readLegacy(card.card_number);
+
+    let cvv = null;
+    if (card.cvv_token) {
+      cvv = await this.detokenize(card.cvv_token);
+    } else if (card.cvv) {
+      cvv = this.readLegacy(card.cvv);
+    }
+
+    return { card_number: cardNumber, cvv };
+  }
+
+  async verifyCvv(card, candidate) {
+    if (card.cvv_token) {
+      return this.verify(card.cvv_token, candidate);
+    }
+    return !!card.cvv && this.readLegacy(card.cvv) === String(candidate);
+  }
+
+  // CVVs are only kept while a card can still be used
+  async purgeCvv(card) {
+    if (!card.cvv_token && !card.cvv) {
+      return;
+    }
+
+    await VirtualCard.updateOne({ _id: card._id }, { $unset: { cvv_token: 1, cvv: 1 } });
+    await this.remove(card.cvv_token);
+    card.cvv_token = undefined;
+    card.cvv = undefined;
+
+    logger.info('Card CVV purged from vault', { cardId: card.id });
+  }
+
+  // Card data from before the vault: aes-256-cbc under CARD_ENCRYPTION_KEY, or base64
+  // where the old code fell back to it
+  readLegacy(value) {
+    if (!value) {
+      throw new VaultError('Card has no vaulted data', 'TOKEN_NOT_FOUND');
+    }
+    if (encryption.isLegacy(value)) {
+      return encryption.decryptLegacy(value);
+    }
+
+    const decoded = Buffer.from(value, 'base64').toString('utf8');
+    if (!/^\d{3,19}$/.test(decoded)) {
+      throw new VaultError('Unrecognised legacy card data', 'DECRYPTION_FAILED');
+    }
+    return decoded;
+  }
+
+  // Re-wraps data keys still under an older master key
+  async rotateRecords(limit = 100) {
+    const activeKeyId = encryption.getActiveKeyId();
+    const records = await VaultRecord.findNotUnderKey(activeKeyId).limit(limit);
+    let rotated = 0;
+
+    for (const record of records) {
+      try {
+        const rewrapped = encryption.rewrap(record);
+        const result = await VaultRecord.updateOne(
+          { _id: record._id, key_id: record.key_id },
+          { $set: { key_id: rewrapped.key_id, wrapped_key: rewrapped.wrapped_key, rotated_at: new Date() } }
+        );
+        rotated += result.modifiedCount;
+      } catch (error) {
+        logger.error('Failed to rotate vault record', { recordId: record.id, keyId: record.key_id, error: error.message });
+      }
+    }
+
+    return rotated;
+  }
+
+  // Moves card numbers and CVVs from before the vault into it, and replaces unkeyed card
+  // number hashes with the fingerprint. Closed cards lose their CVV. A card that fails is
+  // marked with vault_migration_error and left out of later passes, so it cannot hold up
+  // the cards behind it; getStatus counts them.
+  async migrateLegacyCards(limit = 100) {
+    const cards = await VirtualCard.find({
+      $or: [
+        { card_number: { $exists: true, $ne: null }, pan_token: null },
+        { card_number_hash_keyed: { $ne: true } }
+      ],
+      vault_migration_error: null
+    }).limit(limit);
+    let migrated = 0;
+
+    for (const card of cards) {
+      const tokens = [];
+      try {
+        const update = { $set: { card_number_hash_keyed: true } };
+        let pan;
+
+        if (card.pan_token) {
+          pan = await this.detokenize(card.pan_token);
+        } else {
+          pan = this.readLegacy(card.card_number);
+          const panToken = await this.tokenize(pan, { purpose: 'pan', owner_id: card._id });
+          tokens.push(panToken);
+
+          let cvvToken;
+          if (card.cvv && ['active', 'suspended'].includes(card.status)) {
+            cvvToken = await this.tokenize(this.readLegacy(card.cvv), { purpose: 'cvv', owner_id: card._id });
+            tokens.push(cvvToken);
+          }
+
+          Object.assign(update.$set, { pan_token: panToken, cvv_token: cvvToken, last4: pan.slice(-4) });
+          update.$unset = { card_number: 1, cvv: 1 };
+        }
+        update.$set.card_number_hash = this.fingerprint(pan);
+
+        const result = await VirtualCard.updateOne(
+          { _id: card._id, pan_token: card.pan_token || null, card_number_hash: card.card_number_hash },
+          update
+        );
+
+        if (result.modifiedCount === 0) {
+          await Promise.all(tokens.map(token => this.remove(token)));
+        } else {
+          migrated++;
+        }
+      } catch (error) {
+        await Promise.all(tokens.map(token => this.remove(token)));
+        await VirtualCard.updateOne(
+          { _id: card._id },
+          { $set: { vault_migration_error: String(error.message).substring(0, 255) } }
+        );
+        logger.error('Failed to move card into vault', { cardId: card.id, error: error.message });
+      }
+    }
+
+    return migrated;
+  }
+
+  async purgeClosedCvvs(limit = 100) {
+    const cards = await VirtualCard.find({
+      status: { $in: ['cancelled', 'expired'] },
+      cvv_token: { $exists: true, $ne: null }
+    }).limit(limit);
+
+    for (const card of cards) {
+      await this.purgeCvv(card);
+    }
+    return cards.length;
+  }
+
+  // Merchant signing and webhook secrets are inline envelopes on the merchant
+  async rotateMerchantSecrets(limit = 100) {
+    const current = new RegExp(`^v1\\.${encryption.getActiveKeyId()}\\.`);
+    const merchants = await Merchant.find({
+      $or: [
+        { webhook_secret: { $exists: true, $ne: null, $not: current } },
+        { api_keys: { $elemMatch: { signing_secret: { $not: current } } } }
+      ]
+    }).limit(limit);
+    let rotated = 0;
+
+    for (const merchant of merchants) {
+      try {
+        if (merchant.webhook_secret) {
+          merchant.webhook_secret = encryption.reencryptData(merchant.webhook_secret) || merchant.webhook_secret;
+        }
+        merchant.api_keys.forEach(key => {
+          key.signing_secret = encryption.reencryptData(key.signing_secret) || key.signing_secret;
+        });
+        await merchant.save();
+        rotated++;
+      } catch (error) {
+        logger.error('Failed to rotate merchant secrets', { merchantId: merchant.id, error: error.message });
+      }
+    }
+
+    return rotated;
+  }
+
+  // Two-factor secrets are inline envelopes on the user
+  async rotateTotpSecrets(limit = 100) {
+    const current = new RegExp(`^v1\\.${encryption.getActiveKeyId()}\\.`);
+    const users = await User.find({
+      $or: [
+        { totp_secret: { $exists: true, $ne: null, $not: current } },
+        { totp_pending_secret: { $exists: true, $ne: null, $not: current } }
+      ]
+    }).select('+totp_secret +totp_pending_secret').limit(limit);
+    let rotated = 0;
+
+    for (const user of users) {
+      try {
+        const update = {};
+        ['totp_secret', 'totp_pending_secret'].forEach(field => {
+          const reencrypted = user[field] && encryption.reencryptData(user[field]);
+          if (reencrypted) update[field] = reencrypted;
+        });
+        // Only if enrollment has not changed the secret in the meantime
+        const result = await User.updateOne(
+          { _id: user._id, totp_secret: user.totp_secret || null, totp_pending_secret: user.totp_pending_secret || null },
+          { $set: update }
+        );
+        rotated += result.modifiedCount;
+      } catch (error) {
+        logger.error('Failed to rotate two-factor secret', { userId: user.id, error: error.message });
+      }
+    }
+
+    return rotated;
+  }
+
+  // One pass of the rotation job
+  async rotate(limit = 100) {
+    const result = {
+      records: await this.rotateRecords(limit),
+      legacy_cards: await this.migrateLegacyCards(limit),
+      cvvs_purged: await this.purgeClosedCvvs(limit),
+      merchants: await this.rotateMerchantSecrets(limit),
+      totp_secrets: await this.rotateTotpSecrets(limit)
+    };
+
+    if (Object.values(result).some(count => count > 0)) {
+      logger.info('Vault rotation pass', { activeKeyId: encryption.getActiveKeyId(), ...result });
+    }
+    return result;
+  }
+
+  async getStatus() {
+    const [byKey, legacyCards, unkeyedHashes, failedCards, closedCvvs] = await Promise.all([
+      VaultRecord.aggregate([{ $group: { _id: '$key_id', count: { $sum: 1 } } }]),
+      VirtualCard.countDocuments({ card_number: { $exists: true, $ne: null }, pan_token: null }),
+      VirtualCard.countDocuments({ card_number_hash_keyed: { $ne: true } }),
+      VirtualCard.countDocuments({ vault_migration_error: { $exists: true, $ne: null } }),
+      VirtualCard.countDocuments({ status: { $in: ['cancelled', 'expired'] }, cvv_token: { $exists: true, $ne: null } })
+    ]);
+
+    return {
+      active_key_id: encryption.getActiveKeyId(),
+      records_by_key: byKey.reduce((counts, row) => ({ ...counts, [row._id]: row.count }), {}),
+      legacy_cards: legacyCards,
+      unkeyed_card_hashes: unkeyedHashes,
+      failed_card_migrations: failedCards,
+      closed_cards_with_cvv: closedCvvs
+    };
+  }
+}
+
+module.exports = new VaultService();
@@ -0,0 +1,144 @@
+const VirtualCard = require('../models/VirtualCard');
+const BalanceEntry = require('../models/BalanceEntry');
+const User = require('../models/User');
+const notificationService = require('./notificationService');
+const logger = require('../utils/logger');
+
+class WalletService {
+  // Adds funds to a card balance. Entries are idempotent on key, so a retried
+  // top-up callback or refund credits the card only once.
+  async credit(cardId, amount, options = {}) {
+    return this.applyEntry(cardId, amount, { ...options, direction: 'credit' });
+  }
+
+  // Takes funds from a card balance. Returns null when the balance is too low.
+  async debit(cardId, amount, options = {}) {
+    return this.applyEntry(cardId, amount, { ...options, direction: 'debit' });
+  }
+
+  async applyEntry(cardId, amount, options) {
+    const { direction, type, key, transaction, refund, description } = options;
+
+    // Credits to a replaced card (refunds, released holds) land on its replacement
+    if (direction === 'credit') {
+      const current = await VirtualCard.findCurrent(cardId);
+      if (current) {
+        cardId = current._id;
+      }
+    }
+
+    const existing = await BalanceEntry.findOne({ idempotency_key: key });
+    if (existing) {
+      return { entry: existing, card: await VirtualCard.findById(cardId), replayed: true };
+    }
+
+    const delta = direction === 'credit' ? amount : -amount;
+    const filter = direction === 'debit'
+      ? { _id: cardId, balance: { $gte: amount } }
+      : { _id: cardId };
+
+    const card = await VirtualCard.findOneAndUpdate(filter, { $inc: { balance: delta } }, { new: true });
+    if (!card) {
+      return null;
+    }
+
+    let entry;
+    try {
+      entry = await BalanceEntry.create({
+        card_id: card._id,
+        user_id: card.user_id,
+        idempotency_key: key,
+        type,
+        direction,
+        amount,
+        balance_after: card.balance,
+        transaction_id: transaction ? transaction._id : undefined,
+        refund_id: refund ? refund._id : undefined,
+        description
+      });
+    } catch (error) {
+      // Undo the balance change if the entry could not be recorded
+      await VirtualCard.updateOne({ _id: card._id }, { $inc: { balance: -delta } });
+      if (error.code === 11000) {
+        return { entry: await BalanceEntry.findOne({ idempotency_key: key }), card, replayed: true };
+      }
+      throw error;
+    }
+
+    logger.info('Card balance updated', {
+      cardId: card.id,
+      type,
+      direction,
+      amount,
+      balance: card.balance
+    });
+
+    await this.checkLowBalance(card);
+
+    return { entry, card };
+  }
+
+  // Alerts once when the balance drops below the card's threshold; the alert re-arms
+  // when the balance recovers
+  async checkLowBalance(card) {
+    try {
+      if (card.balance >= card.low_balance_threshold) {
+        if (card.low_balance_alerted_at) {
+          await VirtualCard.updateOne({ _id: card._id }, { $unset: { low_balance_alerted_at: 1 } });
+        }
+        return;
+      }
+
+      if (card.funding_mode !== 'prepaid') {
+        return;
+      }
+
+      const claimed = await VirtualCard.findOneAndUpdate(
+        { _id: card._id, low_balance_alerted_at: { $exists: false } },
+        { $set: { low_balance_alerted_at: new Date() } }
+      );
+      if (!claimed) {
+        return;
+      }
+
+      const user = await User.findById(card.user_id);
+      if (!user) {
+        return;
+      }
+
+      await notificationService.notify(user, 'card.low_balance', {
+        subject: 'Low card balance',
+        message: `Your card ending ${card.last4} has KES ${card.balance.toFixed(2)} left. Top up to keep paying without interruption.`,
+        data: {
+          card_id: card.id,
+          balance: card.balance,
+          threshold: card.low_balance_threshold
+        }
+      });
+    } catch (error) {
+      logger.error('Low balance check failed', { cardId: card.id, error: error.message });
+    }
+  }
+
+  async getHistory(cardId, options = {}) {
+    const page = Math.max(parseInt(options.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(options.limit) || 20, 1), 100);
+
+    const [entries, total] = await Promise.all([
+      BalanceEntry.findByCard(cardId, { limit, skip: (page - 1) * limit }),
+      BalanceEntry.countDocuments({ card_id: cardId })
+    ]);
+
+    return {
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+module.exports = new WalletService();
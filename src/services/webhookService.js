@@ -0,0 +1,358 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { v4: uuidv4 } = require('uuid');
+const Merchant = require('../models/Merchant');
+const Transaction = require('../models/Transaction');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const merchantService = require('./merchantService');
+const events = require('../utils/events');
+const { encryptData, decryptData } = require('../utils/encryption');
+const logger = require('../utils/logger');
+const { WebhookError } = require('../utils/errors');
+
+const EVENT_TYPES = [
+  'transaction.approved',
+  'transaction.declined',
+  'transaction.expired',
+  'transaction.refunded',
+  'card.suspended',
+  'card.replaced'
+];
+
+const MAX_BACKOFF_SECONDS = 6 * 60 * 60;
+
+// Addresses a webhook may never reach: this host, private and shared networks,
+// link-local (cloud metadata lives at 169.254.169.254) and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+
+class WebhookService {
+  constructor() {
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+    this.retryBaseSeconds = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30;
+    this.timeoutMs = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+    // Only for pointing webhooks at a receiver on this machine or the local network
+    this.allowPrivateNetworks = process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS === 'true';
+  }
+
+  get eventTypes() {
+    return EVENT_TYPES;
+  }
+
+  // Listens for domain events. Publishing failures are logged, never thrown back to
+  // the code that emitted the event.
+  subscribe() {
+    if (this.subscribed) return;
+    this.subscribed = true;
+
+    EVENT_TYPES.forEach(type => {
+      events.on(type, (subject) => {
+        this.publish(type, subject).catch(error => {
+          logger.error('Failed to publish webhook event', { type, error: error.message });
+        });
+      });
+    });
+  }
+
+  async publish(type, subject) {
+    if (type.startsWith('card.')) {
+      return this.publishCardEvent(type, subject);
+    }
+
+    const { transaction } = subject;
+    if (!transaction || !transaction.merchant_account_id) {
+      return [];
+    }
+
+    const merchant = await Merchant.findById(transaction.merchant_account_id);
+    const data = { transaction: merchantService.formatTransaction(transaction) };
+    if (subject.refund) {
+      data.refund = {
+        refund_reference: subject.refund.refund_reference,
+        amount: subject.refund.amount,
+        destination: subject.refund.destination,
+        completed_at: subject.refund.completed_at
+      };
+    }
+
+    const delivery = await this.enqueue(merchant, type, data);
+    return delivery ? [delivery] : [];
+  }
+
+  // Card events go to every merchant that has transacted on the card
+  async publishCardEvent(type, { card, reason }) {
+    const merchantIds = await Transaction.distinct('merchant_account_id', {
+      card_id: card._id,
+      merchant_account_id: { $ne: null }
+    });
+
+    const deliveries = [];
+    for (const merchantId of merchantIds) {
+      const merchant = await Merchant.findById(merchantId);
+      const data = {
+        card: {
+          last4: card.last4,
+          status: card.status,
+          reason
+        }
+      };
+
+      const delivery = await this.enqueue(merchant, type, data);
+      if (delivery) deliveries.push(delivery);
+    }
+
+    return deliveries;
+  }
+
+  async enqueue(merchant, type, data) {
+    if (!merchant || !merchant.isActive() || !merchant.isSubscribedTo(type)) {
+      return null;
+    }
+
+    const eventId = `evt_${uuidv4().replace(/-/g, '')}`;
+    const delivery = await WebhookDelivery.create({
+      merchant_id: merchant._id,
+      event_id: eventId,
+      event_type: type,
+      url: merchant.webhook_url,
+      payload: {
+        id: eventId,
+        type,
+        created_at: new Date().toISOString(),
+        data
+      }
+    });
+
+    logger.info('Webhook event queued', { merchantId: merchant.id, eventId, type });
+    return delivery;
+  }
+
+  // Sets the endpoint and subscribed events. A signing secret is generated on first
+  // configuration or when rotateSecret is set; it is only returned at that point.
+  async configure(merchant, { url, events: eventTypes, rotateSecret }) {
+    await this.checkUrl(url);
+
+    merchant.webhook_url = url;
+    if (eventTypes) {
+      merchant.webhook_events = eventTypes;
+    }
+
+    let secret;
+    if (!merchant.webhook_secret || rotateSecret) {
+      secret = `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+      merchant.webhook_secret = encryptData(secret);
+    }
+
+    await merchant.save();
+
+    logger.info('Merchant webhook configured', {
+      merchantId: merchant.id,
+      url,
+      events: merchant.webhook_events,
+      secretRotated: !!secret
+    });
+
+    return {
+      url: merchant.webhook_url,
+      events: merchant.webhook_events,
+      secret
+    };
+  }
+
+  // Webhooks go to the merchant's public endpoint only: https outside development, and a
+  // host that resolves to no loopback, private or link-local address
+  async checkUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new WebhookError('Webhook URL is not valid', 'INVALID_URL');
+    }
+
+    const protocols = process.env.NODE_ENV === 'development' ? ['https:', 'http:'] : ['https:'];
+    if (!protocols.includes(parsed.protocol)) {
+      throw new WebhookError('Webhook URL must use https', 'INSECURE_URL');
+    }
+
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+      addresses = await dns.promises.lookup(hostname, { all: true });
+    } catch (error) {
+      throw new WebhookError('Webhook host could not be resolved', 'UNRESOLVED_HOST');
+    }
+
+    if (addresses.some(({ address }) => this.isBlockedAddress(address))) {
+      throw new WebhookError('Webhook host resolves to a private address', 'PRIVATE_ADDRESS');
+    }
+  }
+
+  isBlockedAddress(address) {
+    if (this.allowPrivateNetworks) {
+      return false;
+    }
+
+    // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as the IPv4 address it carries
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) {
+      return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+    }
+    return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+  }
+
+  // Used for the delivery connection itself, so a host that passed checkUrl cannot be
+  // pointed at an internal address afterwards
+  lookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+      if (error) {
+        return callback(error);
+      }
+
+      const entries = Array.isArray(address) ? address : [{ address, family }];
+      if (entries.some(entry => this.isBlockedAddress(entry.address))) {
+        const blocked = new Error(`Webhook host ${hostname} resolves to a private address`);
+        blocked.code = 'EPRIVATEADDRESS';
+        return callback(blocked);
+      }
+
+      callback(null, address, family);
+    });
+  }
+
+  // Hex HMAC-SHA256 of '<timestamp>.<body>' under the merchant's webhook secret
+  sign(secret, timestamp, body) {
+    return merchantService.sign(secret, timestamp, body);
+  }
+
+  // Exponential backoff with jitter: base * 2^(attempt-1), capped at six hours
+  getRetryDelaySeconds(attemptCount) {
+    const delay = Math.min(this.retryBaseSeconds * Math.pow(2, attemptCount - 1), MAX_BACKOFF_SECONDS);
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+  }
+
+  // Sends one attempt of a delivery claimed with WebhookDelivery.claim, and releases the claim
+  async deliver(delivery) {
+    delivery.locked_until = null;
+
+    const merchant = await Merchant.findById(delivery.merchant_id);
+    if (!merchant || !merchant.webhook_secret) {
+      delivery.status = 'dead';
+      delivery.attempts.push({ error: 'Merchant webhook no longer configured' });
+      await delivery.save();
+      return delivery;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const signature = this.sign(decryptData(merchant.webhook_secret), timestamp, body);
+    const startedAt = Date.now();
+    const attempt = { attempted_at: new Date() };
+
+    try {
+      await this.checkUrl(delivery.url);
+
+      const response = await axios.post(delivery.url, body, {
+        timeout: this.timeoutMs,
+        maxRedirects: 0,
+        lookup: this.lookup.bind(this),
+        validateStatus: () => true,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'PesaBridge-Webhooks/1.0',
+          'X-Pesa-Event': delivery.event_type,
+          'X-Pesa-Delivery': delivery.event_id,
+          'X-Pesa-Timestamp': timestamp,
+          'X-Pesa-Signature': `sha256=${signature}`
+        }
+      });
+
+      attempt.status_code = response.status;
+      if (response.status < 200 || response.status >= 300) {
+        attempt.error = `HTTP ${response.status}`;
+      }
+    } catch (error) {
+      attempt.error = String(error.code || error.message).substring(0, 255);
+    }
+
+    attempt.duration_ms = Date.now() - startedAt;
+    delivery.attempts.push(attempt);
+    delivery.attempt_count += 1;
+
+    if (!attempt.error) {
+      delivery.status = 'delivered';
+      delivery.delivered_at = new Date();
+    } else if (delivery.attempt_count >= this.maxAttempts) {
+      delivery.status = 'dead';
+      logger.warn('Webhook delivery dead-lettered', {
+        deliveryId: delivery.id,
+        eventId: delivery.event_id,
+        attempts: delivery.attempt_count,
+        error: attempt.error
+      });
+    } else {
+      const delaySeconds = this.getRetryDelaySeconds(delivery.attempt_count);
+      delivery.next_attempt_at = new Date(Date.now() + delaySeconds * 1000);
+    }
+
+    await delivery.save();
+    return delivery;
+  }
+
+  // Queues a delivery again from scratch, whatever its state
+  async replay(delivery) {
+    const merchant = await Merchant.findById(delivery.merchant_id);
+
+    delivery.status = 'pending';
+    delivery.attempt_count = 0;
+    delivery.next_attempt_at = new Date();
+    delivery.replayed_at = new Date();
+    if (merchant && merchant.webhook_url) {
+      delivery.url = merchant.webhook_url;
+    }
+
+    await delivery.save();
+
+    logger.info('Webhook delivery replayed', { deliveryId: delivery.id, eventId: delivery.event_id });
+    return delivery;
+  }
+
+  async listDeliveries(merchant, { status, page = 1, limit = 20 } = {}) {
+    const query = { merchant_id: merchant._id };
+    if (status) {
+      query.status = status;
+    }
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(query)
+        .select('-attempts')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      WebhookDelivery.countDocuments(query)
+    ]);
+
+    return {
+      deliveries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+const webhookService = new WebhookService();
+webhookService.subscribe();
+
+module.exports = webhookService;
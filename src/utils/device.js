@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+
+// "Chrome on Windows" from a user agent, for session lists and sign-in alerts
+function describeDevice(userAgent = '') {
+  const browsers = [
+    [/Edg\//, 'Edge'],
+    [/OPR\/|Opera/, 'Opera'],
+    [/Firefox\//, 'Firefox'],
+    [/Chrome\//, 'Chrome'],
+    [/Safari\//, 'Safari'],
+    [/okhttp|Dalvik/, 'Android app'],
+    [/curl|PostmanRuntime|axios|node-fetch/, 'API client']
+  ];
+  const systems = [
+    [/Windows/, 'Windows'],
+    [/Android/, 'Android'],
+    [/iPhone|iPad|iOS/, 'iOS'],
+    [/Mac OS X|Macintosh/, 'macOS'],
+    [/Linux/, 'Linux']
+  ];
+
+  const browser = (browsers.find(([pattern]) => pattern.test(userAgent)) || [])[1];
+  const system = (systems.find(([pattern]) => pattern.test(userAgent)) || [])[1];
+
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || 'Unknown device';
+}
+
+// Stable key for "have we seen this browser before"
+function deviceHash(userAgent = '') {
+  return crypto.createHash('sha256').update(String(userAgent)).digest('hex');
+}
+
+module.exports = {
+  describeDevice,
+  deviceHash
+};
@@ -1,64 +1,209 @@
 const crypto = require('crypto');
+const { VaultError } = require('./errors');
 
-function encryptData(data) {
+// Envelope encryption. Each value is encrypted with its own random data key
+// (AES-256-GCM) and the data key is wrapped with a master key from VAULT_KEYS:
+//
+//   VAULT_KEYS=2026-10:<64 hex chars>,2025-04:<64 hex chars>
+//   VAULT_ACTIVE_KEY_ID=2026-10     (defaults to the first key listed)
+//
+// New values are wrapped with the active key; older keys stay listed until the vault
+// rotation job has re-wrapped everything under the new one.
+//
+// Card number lookup hashes are keyed separately with VAULT_FINGERPRINT_KEY (64 hex
+// chars). That key is not rotated: every stored card_number_hash depends on it.
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+const INLINE_PREFIX = 'v1';
+
+let keyring = null;
+let keyringSource = null;
+
+function getKeyring() {
+  const source = `${process.env.VAULT_KEYS || ''}|${process.env.VAULT_ACTIVE_KEY_ID || ''}`;
+  if (keyring && keyringSource === source) {
+    return keyring;
+  }
+
+  if (!process.env.VAULT_KEYS) {
+    throw new VaultError('VAULT_KEYS is not configured', 'VAULT_NOT_CONFIGURED');
+  }
+
+  const keys = new Map();
+  process.env.VAULT_KEYS.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const [id, hex] = entry.split(':');
+    if (!KEY_ID_PATTERN.test(id || '') || !/^[0-9a-fA-F]{64}$/.test(hex || '')) {
+      throw new VaultError('VAULT_KEYS entries must be <key id>:<64 hex chars>', 'VAULT_NOT_CONFIGURED');
+    }
+    keys.set(id, Buffer.from(hex, 'hex'));
+  });
+
+  const activeKeyId = process.env.VAULT_ACTIVE_KEY_ID || keys.keys().next().value;
+  if (!keys.has(activeKeyId)) {
+    throw new VaultError(`Active vault key ${activeKeyId} is not in VAULT_KEYS`, 'VAULT_NOT_CONFIGURED');
+  }
+
+  keyring = { keys, activeKeyId };
+  keyringSource = source;
+  return keyring;
+}
+
+function getMasterKey(keyId) {
+  const key = getKeyring().keys.get(keyId);
+  if (!key) {
+    throw new VaultError(`Unknown vault key ${keyId}`, 'UNKNOWN_KEY');
+  }
+  return key;
+}
+
+// iv | tag | ciphertext under key, base64
+function gcmEncrypt(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  if (aad) cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+}
+
+function gcmDecrypt(key, payload, aad) {
+  const buffer = Buffer.from(payload, 'base64');
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, buffer.subarray(0, IV_BYTES));
+  if (aad) decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(buffer.subarray(IV_BYTES, IV_BYTES + 16));
+  return Buffer.concat([decipher.update(buffer.subarray(IV_BYTES + 16)), decipher.final()]);
+}
+
+// Encrypts plaintext under a new data key. context is bound as additional
+// authenticated data, so a ciphertext only opens for the record it was sealed for.
+function seal(plaintext, context) {
+  const { activeKeyId } = getKeyring();
+  const dataKey = crypto.randomBytes(32);
+
+  const envelope = {
+    key_id: activeKeyId,
+    wrapped_key: gcmEncrypt(getMasterKey(activeKeyId), dataKey, activeKeyId),
+    ciphertext: gcmEncrypt(dataKey, Buffer.from(String(plaintext), 'utf8'), context)
+  };
+  dataKey.fill(0);
+  return envelope;
+}
+
+function open(envelope, context) {
+  let dataKey;
   try {
-    const algorithm = 'aes-256-cbc';
-    // Create a key from environment variable or use a default for development
-    const keyString = process.env.CARD_ENCRYPTION_KEY || process.env.ENCRYPTION_KEY || 'dev-key-32-chars-1234567890abcdef';
-    const key = keyString.length === 64 ? Buffer.from(keyString, 'hex') : crypto.createHash('sha256').update(keyString).digest();
-    
-    // Generate a random IV
-    const iv = crypto.randomBytes(16);
-    
-    // Create cipher
-    const cipher = crypto.createCipheriv(algorithm, key, iv);
-    
-    // Encrypt the data
-    let encrypted = cipher.update(data.toString(), 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    
-    // Return IV and encrypted data
-    const result = iv.toString('hex') + ':' + encrypted;
-    return result;
+    dataKey = gcmDecrypt(getMasterKey(envelope.key_id), envelope.wrapped_key, envelope.key_id);
+    return gcmDecrypt(dataKey, envelope.ciphertext, context).toString('utf8');
   } catch (error) {
-    console.error('Encryption error:', error);
-    // For development, return base64 encoded data as fallback
-    console.log('Using base64 fallback for encryption');
-    return Buffer.from(data.toString()).toString('base64');
+    if (error instanceof VaultError) throw error;
+    throw new VaultError('Vault decryption failed', 'DECRYPTION_FAILED');
+  } finally {
+    if (dataKey) dataKey.fill(0);
   }
 }
 
-function decryptData(encryptedData) {
+// Wraps the envelope's data key with the active master key; the data itself is untouched
+function rewrap(envelope) {
+  const { activeKeyId } = getKeyring();
+  if (envelope.key_id === activeKeyId) {
+    return envelope;
+  }
+
+  const dataKey = gcmDecrypt(getMasterKey(envelope.key_id), envelope.wrapped_key, envelope.key_id);
+  const rewrapped = {
+    key_id: activeKeyId,
+    wrapped_key: gcmEncrypt(getMasterKey(activeKeyId), dataKey, activeKeyId),
+    ciphertext: envelope.ciphertext
+  };
+  dataKey.fill(0);
+  return rewrapped;
+}
+
+function getActiveKeyId() {
+  return getKeyring().activeKeyId;
+}
+
+// Values from before the vault: aes-256-cbc 'iv:ciphertext' hex under
+// CARD_ENCRYPTION_KEY. Only read, so they can be moved into the vault.
+function decryptLegacy(encryptedData) {
+  const keyString = process.env.CARD_ENCRYPTION_KEY || process.env.ENCRYPTION_KEY;
+  if (!keyString) {
+    throw new VaultError('CARD_ENCRYPTION_KEY is needed to read data from before the vault', 'VAULT_NOT_CONFIGURED');
+  }
+
   try {
-    const algorithm = 'aes-256-cbc';
-    // Create a key from environment variable or use a default for development
-    const keyString = process.env.CARD_ENCRYPTION_KEY || process.env.ENCRYPTION_KEY || 'dev-key-32-chars-1234567890abcdef';
     const key = keyString.length === 64 ? Buffer.from(keyString, 'hex') : crypto.createHash('sha256').update(keyString).digest();
-    
-    if (!encryptedData.includes(':')) {
-      // Fallback for base64 encoded data (development)
-      return Buffer.from(encryptedData, 'base64').toString('utf8');
-    }
-    
-    const parts = encryptedData.split(':');
-    const iv = Buffer.from(parts[0], 'hex');
-    const encrypted = parts[1];
-    const decipher = crypto.createDecipheriv(algorithm, key, iv);
-    let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
-    return decrypted;
+    const [iv, encrypted] = encryptedData.split(':');
+    const decipher = crypto.createDecipheriv('aes-256-cbc', key, Buffer.from(iv, 'hex'));
+    return decipher.update(encrypted, 'hex', 'utf8') + decipher.final('utf8');
   } catch (error) {
-    console.error('Decryption error:', error);
-    // For development, try base64 decode
-    try {
-      return Buffer.from(encryptedData, 'base64').toString('utf8');
-    } catch {
-      return '****';
-    }
+    throw new VaultError('Legacy decryption failed', 'DECRYPTION_FAILED');
+  }
+}
+
+function isLegacy(encryptedData) {
+  return /^[0-9a-f]{32}:[0-9a-f]+$/.test(encryptedData || '');
+}
+
+// Inline envelopes for secrets kept on their own document (merchant signing and
+// webhook secrets): 'v1.<key id>.<wrapped key>.<ciphertext>'
+function encryptData(data) {
+  if (data === undefined || data === null || data === '') {
+    throw new VaultError('No data provided for encryption', 'INVALID_INPUT');
+  }
+  const envelope = seal(data);
+  return [INLINE_PREFIX, envelope.key_id, envelope.wrapped_key, envelope.ciphertext].join('.');
+}
+
+function parseInline(encryptedData) {
+  const [prefix, key_id, wrapped_key, ciphertext] = String(encryptedData).split('.');
+  if (prefix !== INLINE_PREFIX || !ciphertext) {
+    throw new VaultError('Unrecognised encrypted value', 'DECRYPTION_FAILED');
+  }
+  return { key_id, wrapped_key, ciphertext };
+}
+
+function decryptData(encryptedData) {
+  if (isLegacy(encryptedData)) {
+    return decryptLegacy(encryptedData);
+  }
+  return open(parseInline(encryptedData));
+}
+
+// Null when the value is already under the active key
+function reencryptData(encryptedData) {
+  if (isLegacy(encryptedData)) {
+    return encryptData(decryptLegacy(encryptedData));
+  }
+
+  const envelope = parseInline(encryptedData);
+  if (envelope.key_id === getActiveKeyId()) {
+    return null;
+  }
+  const rewrapped = rewrap(envelope);
+  return [INLINE_PREFIX, rewrapped.key_id, rewrapped.wrapped_key, rewrapped.ciphertext].join('.');
+}
+
+// HMAC-SHA256 of a card number, so the stored hash cannot be brute forced over the
+// small space of valid PANs without the key
+function fingerprint(value) {
+  const hex = process.env.VAULT_FINGERPRINT_KEY;
+  if (!/^[0-9a-fA-F]{64}$/.test(hex || '')) {
+    throw new VaultError('VAULT_FINGERPRINT_KEY must be 64 hex chars', 'VAULT_NOT_CONFIGURED');
   }
+  return crypto.createHmac('sha256', Buffer.from(hex, 'hex')).update(String(value)).digest('hex');
 }
 
 module.exports = {
+  seal,
+  open,
+  rewrap,
+  getActiveKeyId,
+  decryptLegacy,
+  isLegacy,
   encryptData,
-  decryptData
-}; 
\ No newline at end of file
+  decryptData,
+  reencryptData,
+  fingerprint
+};
@@ -0,0 +1,125 @@
+// Typed errors carry a statusCode so errorHandler can map them to a response
+
+class InvalidTransitionError extends Error {
+  constructor(from, to, transactionId) {
+    super(`Invalid transaction status transition from '${from}' to '${to}'`);
+    this.name = 'InvalidTransitionError';
+    this.code = 'INVALID_TRANSITION';
+    this.statusCode = 409;
+    this.from = from;
+    this.to = to;
+    this.transactionId = transactionId;
+  }
+}
+
+class HoldError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'HoldError';
+    this.code = code;
+    this.statusCode = 422;
+  }
+}
+
+class RefundError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'RefundError';
+    this.code = code;
+    this.statusCode = 422;
+  }
+}
+
+class ReviewError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'ReviewError';
+    this.code = code;
+    this.statusCode = 409;
+  }
+}
+
+class CardLifecycleError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'CardLifecycleError';
+    this.code = code;
+    this.statusCode = 409;
+  }
+}
+
+// Failed or missing step-up verification. statusCode varies: 404 for an unknown
+// challenge, 429 when rate limited, 403 otherwise.
+class StepUpError extends Error {
+  constructor(message, code, statusCode = 403) {
+    super(message);
+    this.name = 'StepUpError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+// An admin action that cannot be applied to its target, e.g. deactivating yourself
+class AdminError extends Error {
+  constructor(message, code, statusCode = 409) {
+    super(message);
+    this.name = 'AdminError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+// A refresh token or session that can no longer be used; the client has to log in again
+class SessionError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'SessionError';
+    this.code = code;
+    this.statusCode = 401;
+  }
+}
+
+// Vault misconfiguration or ciphertext that does not open. Never carries key material
+// or plaintext.
+class VaultError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'VaultError';
+    this.code = code;
+    this.statusCode = 500;
+  }
+}
+
+// A webhook URL that may not be delivered to: not https, or a host on an internal network
+class WebhookError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'WebhookError';
+    this.code = code;
+    this.statusCode = 400;
+  }
+}
+
+// Malformed ISO 8583 message; answered with response code 30 (format error)
+class Iso8583Error extends Error {
+  constructor(message, field) {
+    super(message);
+    this.name = 'Iso8583Error';
+    this.code = 'FORMAT_ERROR';
+    this.field = field;
+  }
+}
+
+module.exports = {
+  InvalidTransitionError,
+  HoldError,
+  RefundError,
+  ReviewError,
+  CardLifecycleError,
+  VaultError,
+  StepUpError,
+  SessionError,
+  AdminError,
+  WebhookError,
+  Iso8583Error
+};
@@ -0,0 +1,8 @@
+const { EventEmitter } = require('events');
+
+// In-process domain events (transaction.approved, card.suspended, ...). Emitters do not
+// wait for listeners; listeners handle their own errors.
+const events = new EventEmitter();
+events.setMaxListeners(50);
+
+module.exports = events;
@@ -0,0 +1,47 @@
+// Staff roles and what each may do. End users ('user') have no staff permissions;
+// their own cards and transactions are guarded by ownership in the routes.
+
+const ROLES = ['user', 'support', 'risk_analyst', 'admin'];
+
+const SUPPORT_PERMISSIONS = [
+  'admin:access',
+  'users:read',
+  'cards:read',
+  'transactions:read',
+  'mpesa:status'
+];
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  support: SUPPORT_PERMISSIONS,
+  risk_analyst: [
+    ...SUPPORT_PERMISSIONS,
+    'cards:suspend',
+    'reviews:read',
+    'reviews:decide'
+  ],
+  admin: [
+    ...SUPPORT_PERMISSIONS,
+    'cards:suspend',
+    'reviews:read',
+    'reviews:decide',
+    'users:limits',
+    'users:deactivate',
+    'users:roles',
+    'transactions:capture',
+    'transactions:void',
+    'transactions:refund',
+    'mpesa:test'
+  ]
+};
+
+const permissionsFor = (role) => ROLE_PERMISSIONS[role] || [];
+
+const hasPermission = (role, permission) => permissionsFor(role).includes(permission);
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  permissionsFor,
+  hasPermission
+};
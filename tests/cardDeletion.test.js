@@ -0,0 +1,101 @@
+const memoryMongo = require('./helpers/memoryMongo');
+const { createCardholder } = require('./helpers/factories');
+const { createApp, userClient } = require('./helpers/app');
+const VirtualCard = require('../src/models/VirtualCard');
+const VaultRecord = require('../src/models/VaultRecord');
+const AuditLog = require('../src/models/AuditLog');
+const cardService = require('../src/services/cardService');
+const events = require('../src/utils/events');
+const cache = require('../src/utils/cache');
+
+// DELETE /api/cards/:id cancels the card the way any cancellation does and takes its
+// card data out of the vault with it.
+
+describe('DELETE /api/cards/:id', () => {
+  const app = createApp();
+  let cardholder;
+  let client;
+
+  beforeAll(() => {
+    memoryMongo.connect();
+  });
+
+  afterAll(() => {
+    cache.cache.clear();
+  });
+
+  beforeEach(async () => {
+    memoryMongo.reset();
+    jest.spyOn(events, 'emit').mockReturnValue(true);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const signIn = async (card = {}) => {
+    cardholder = await createCardholder({ card });
+    client = await userClient(app, cardholder.user);
+  };
+
+  const vaulted = () => VaultRecord.countDocuments({ owner_id: cardholder.card._id });
+
+  it('deletes the card with its card number and CVV', async () => {
+    await signIn();
+    expect(await vaulted()).toBe(2);
+
+    const response = await client.delete(`/api/cards/${cardholder.card.id}`);
+
+    expect(response.status).toBe(200);
+    expect(await VirtualCard.findById(cardholder.card._id)).toBeNull();
+    expect(await vaulted()).toBe(0);
+    expect(await AuditLog.findOne({ action: 'card.deleted', target_id: cardholder.card.id })).toMatchObject({
+      actor_id: cardholder.user.id,
+      metadata: { last4: cardholder.card.last4 }
+    });
+  });
+
+  it('deletes a card that was already cancelled', async () => {
+    await signIn();
+    await cardService.cancelCard(await VirtualCard.findById(cardholder.card._id), { actor: 'test' });
+
+    const response = await client.delete(`/api/cards/${cardholder.card.id}`);
+
+    expect(response.status).toBe(200);
+    expect(await VirtualCard.findById(cardholder.card._id)).toBeNull();
+    expect(await vaulted()).toBe(0);
+  });
+
+  it('keeps a card that still holds a balance', async () => {
+    await signIn({ funding_mode: 'prepaid', balance: 250 });
+
+    const response = await client.delete(`/api/cards/${cardholder.card.id}`);
+
+    expect(response.status).toBe(409);
+    expect(response.body.code).toBe('CARD_HAS_BALANCE');
+    expect((await VirtualCard.findById(cardholder.card._id)).status).toBe('active');
+    expect(await vaulted()).toBe(2);
+  });
+
+  it('keeps a card blocked after a fraud review', async () => {
+    await signIn();
+    await cardService.blockCard(await VirtualCard.findById(cardholder.card._id), { actor: 'staff:reviewer' });
+
+    const response = await client.delete(`/api/cards/${cardholder.card.id}`);
+
+    expect(response.status).toBe(409);
+    expect(response.body.code).toBe('CARD_BLOCKED');
+    expect(await VirtualCard.findById(cardholder.card._id)).toMatchObject({ status: 'suspended', status_reason: 'fraud_block' });
+    expect(await vaulted()).toBe(2);
+  });
+
+  it('answers 404 for a card of another cardholder', async () => {
+    await signIn();
+    const other = await createCardholder();
+
+    const response = await client.delete(`/api/cards/${other.card.id}`);
+
+    expect(response.status).toBe(404);
+    expect(await VirtualCard.findById(other.card._id)).not.toBeNull();
+  });
+});
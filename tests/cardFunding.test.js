@@ -0,0 +1,102 @@
+const memoryMongo = require('./helpers/memoryMongo');
+const { createCardholder } = require('./helpers/factories');
+const { createApp, userClient } = require('./helpers/app');
+const Transaction = require('../src/models/Transaction');
+const VirtualCard = require('../src/models/VirtualCard');
+const mpesaService = require('../src/services/mpesaService');
+const events = require('../src/utils/events');
+const cache = require('../src/utils/cache');
+
+// How a card is funded: per purchase by STK push, or from a prepaid balance topped up
+// from M-Pesa. Money may only go onto a card that can spend it.
+
+describe('Card funding', () => {
+  const app = createApp();
+  let cardholder;
+  let client;
+
+  beforeAll(() => {
+    memoryMongo.connect();
+  });
+
+  afterAll(() => {
+    cache.cache.clear();
+  });
+
+  beforeEach(async () => {
+    memoryMongo.reset();
+    jest.spyOn(events, 'emit').mockReturnValue(true);
+    jest.spyOn(mpesaService, 'initiateSTKPush').mockImplementation(async (phone, amount, reference) => ({
+      success: true,
+      checkoutRequestID: `ws_CO_${reference}`,
+      merchantRequestID: '29115-34620561-1',
+      responseCode: '0'
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const signIn = async (card = {}) => {
+    cardholder = await createCardholder({ card });
+    client = await userClient(app, cardholder.user);
+  };
+
+  describe('POST /api/cards/:id/topup', () => {
+    it('sends an STK push for a prepaid card', async () => {
+      await signIn({ funding_mode: 'prepaid' });
+
+      const response = await client.post(`/api/cards/${cardholder.card.id}/topup`, { amount: 500 });
+
+      expect(response.status).toBe(202);
+      expect(response.body.data.amount).toBe(500);
+      expect(mpesaService.initiateSTKPush).toHaveBeenCalledTimes(1);
+    });
+
+    it('refuses to top up a card that pays per purchase', async () => {
+      await signIn({ funding_mode: 'stk_per_transaction' });
+
+      const response = await client.post(`/api/cards/${cardholder.card.id}/topup`, { amount: 500 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('CARD_NOT_PREPAID');
+      expect(mpesaService.initiateSTKPush).not.toHaveBeenCalled();
+      expect(await Transaction.countDocuments({ card_id: cardholder.card._id })).toBe(0);
+    });
+  });
+
+  describe('PUT /api/cards/:id fundingMode', () => {
+    it('switches a standard card to prepaid and back while it holds no balance', async () => {
+      await signIn();
+
+      const prepaid = await client.put(`/api/cards/${cardholder.card.id}`, { fundingMode: 'prepaid' });
+      expect(prepaid.status).toBe(200);
+      expect((await VirtualCard.findById(cardholder.card._id)).funding_mode).toBe('prepaid');
+
+      const perPurchase = await client.put(`/api/cards/${cardholder.card.id}`, { fundingMode: 'stk_per_transaction' });
+      expect(perPurchase.status).toBe(200);
+      expect((await VirtualCard.findById(cardholder.card._id)).funding_mode).toBe('stk_per_transaction');
+    });
+
+    it.each(['single_use', 'time_boxed'])('refuses to make a %s card prepaid', async (cardType) => {
+      await signIn({ card_type: cardType, expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000) });
+
+      const response = await client.put(`/api/cards/${cardholder.card.id}`, { fundingMode: 'prepaid' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Single-use and time-boxed cards cannot be prepaid');
+      expect((await VirtualCard.findById(cardholder.card._id)).funding_mode).toBe('stk_per_transaction');
+    });
+
+    it('refuses to stop prepaying a card that still holds a balance', async () => {
+      await signIn({ funding_mode: 'prepaid', balance: 250 });
+
+      const response = await client.put(`/api/cards/${cardholder.card.id}`, { fundingMode: 'stk_per_transaction' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Card has a remaining balance');
+      expect((await VirtualCard.findById(cardholder.card._id)).funding_mode).toBe('prepaid');
+    });
+  });
+});
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const cardRoutes = require('../../src/routes/cards');
+const transactionRoutes = require('../../src/routes/transactions');
+const webhookRoutes = require('../../src/routes/webhooks');
+const merchantRoutes = require('../../src/routes/merchant');
+const authMiddleware = require('../../src/middleware/auth');
+const errorHandler = require('../../src/middleware/errorHandler');
+const { merchantAuth } = require('../../src/middleware/merchantAuth');
+const merchantService = require('../../src/services/merchantService');
+const sessionService = require('../../src/services/sessionService');
+
+// The parts of src/server.js the suites exercise, without the database connection,
+// background jobs and listeners that server.js starts when it is loaded
+const createApp = () => {
+  const app = express();
+
+  app.use(express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  }));
+
+  app.use('/api/cards', authMiddleware, cardRoutes);
+  app.use('/api/transactions', authMiddleware, transactionRoutes);
+  app.use('/api/webhooks', webhookRoutes);
+  app.use('/api/merchant/v1', merchantAuth, merchantRoutes);
+  app.use(errorHandler);
+
+  return app;
+};
+
+// Listens on a free port on loopback; resolves with the server and its base URL
+const listen = (app) => new Promise((resolve, reject) => {
+  const server = app.listen(0, '127.0.0.1', () => {
+    resolve({ server, url: `http://127.0.0.1:${server.address().port}` });
+  });
+  server.on('error', reject);
+});
+
+const close = (server) => new Promise(resolve => {
+  if (!server) return resolve();
+  if (server.closeAllConnections) server.closeAllConnections();
+  server.close(() => resolve());
+});
+
+// Sends merchant API requests signed with the credentials from createMerchant, the way
+// an integration would. target is an app or a base URL.
+const merchantClient = (target, credentials) => {
+  const send = (method, path, body) => {
+    const raw = body === undefined ? '' : JSON.stringify(body);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const fullPath = `/api/merchant/v1${path}`;
+
+    const pending = request(target)[method.toLowerCase()](fullPath)
+      .set('Authorization', `Bearer ${credentials.api_key}`)
+      .set('X-Pesa-Timestamp', timestamp)
+      .set('X-Pesa-Nonce', nonce)
+      .set('X-Pesa-Signature', merchantService.signRequest(credentials.signing_secret, {
+        method, path: fullPath, timestamp, nonce, body: raw
+      }));
+
+    return raw ? pending.set('Content-Type', 'application/json').send(raw) : pending;
+  };
+
+  return {
+    get: (path) => send('GET', path),
+    post: (path, body) => send('POST', path, body),
+    put: (path, body) => send('PUT', path, body)
+  };
+};
+
+// Sends requests as a signed-in user, with an access token from a new session
+const userClient = async (target, user) => {
+  const { token } = await sessionService.create(user);
+
+  const send = (method, path, body) => {
+    const pending = request(target)[method](path).set('Authorization', `Bearer ${token}`);
+    return body === undefined ? pending : pending.send(body);
+  };
+
+  return {
+    get: (path) => send('get', path),
+    post: (path, body) => send('post', path, body),
+    put: (path, body) => send('put', path, body),
+    delete: (path) => send('delete', path)
+  };
+};
+
+module.exports = {
+  createApp,
+  merchantClient,
+  userClient,
+  listen,
+  close
+};
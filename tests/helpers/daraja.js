@@ -0,0 +1,65 @@
+const axios = require('axios');
+const { createDarajaEmulator } = require('../../src/emulator/daraja');
+const mpesaService = require('../../src/services/mpesaService');
+const { createApp, listen, close } = require('./app');
+
+// Runs the Daraja emulator and the test app on loopback, with MpesaService pointed at
+// the emulator and callback URLs pointed at the app, so that payments make the same
+// round trip they make in production
+const startDaraja = async (options = {}) => {
+  const emulator = createDarajaEmulator({ callbackDelayMs: 0, ...options });
+  const darajaServer = await listen(emulator);
+  const appServer = await listen(createApp());
+
+  const previous = {
+    baseUrl: mpesaService.baseUrl,
+    callbackUrl: process.env.MPESA_CALLBACK_URL
+  };
+
+  mpesaService.baseUrl = darajaServer.url;
+  mpesaService.accessToken = null;
+  mpesaService.tokenExpiry = null;
+  process.env.MPESA_CALLBACK_URL = appServer.url;
+
+  return {
+    emulator,
+    url: darajaServer.url,
+    appUrl: appServer.url,
+
+    // Queues an outcome for the next requests, see POST /__emulator/outcomes
+    script: (outcome, fields = {}) => axios.post(`${darajaServer.url}/__emulator/outcomes`, { outcome, ...fields }),
+
+    requests: async () => (await axios.get(`${darajaServer.url}/__emulator/requests`)).data,
+
+    reset: () => axios.post(`${darajaServer.url}/__emulator/reset`),
+
+    stop: async () => {
+      mpesaService.baseUrl = previous.baseUrl;
+      mpesaService.accessToken = null;
+      mpesaService.tokenExpiry = null;
+      process.env.MPESA_CALLBACK_URL = previous.callbackUrl;
+
+      await close(appServer.server);
+      await close(darajaServer.server);
+    }
+  };
+};
+
+// Resolves with the first truthy result of check, polling until timeoutMs has passed
+const waitFor = async (check, { timeoutMs = 5000, intervalMs = 20 } = {}) => {
+  const deadline = Date.now() + timeoutMs;
+
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() > deadline) {
+      throw new Error(`Condition not met within ${timeoutMs}ms`);
+    }
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+};
+
+module.exports = {
+  startDaraja,
+  waitFor
+};
@@ -0,0 +1,15 @@
+// Configuration every suite runs with. Keys and secrets are throwaway test values.
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.VAULT_KEYS = `test:${'1'.repeat(64)}`;
+process.env.VAULT_FINGERPRINT_KEY = '2'.repeat(64);
+process.env.MPESA_CONSUMER_KEY = 'test-consumer-key';
+process.env.MPESA_CONSUMER_SECRET = 'test-consumer-secret';
+process.env.MPESA_BUSINESS_SHORT_CODE = '174379';
+process.env.MPESA_PASSKEY = 'test-passkey';
+process.env.MPESA_B2C_INITIATOR_NAME = 'testapi';
+process.env.MPESA_B2C_SECURITY_CREDENTIAL = 'test-credential';
+process.env.MPESA_CALLBACK_SECRET = 'test-callback-secret';
+process.env.MPESA_CALLBACK_URL = 'http://127.0.0.1:9';
+process.env.MPESA_CALLBACK_IP_CHECK = 'false';
@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const User = require('../../src/models/User');
+const VirtualCard = require('../../src/models/VirtualCard');
+const vaultService = require('../../src/services/vaultService');
+const merchantService = require('../../src/services/merchantService');
+
+let sequence = 0;
+
+// A cardholder with one active card, issued the way POST /api/cards issues it. Returns
+// the raw card number and CVV for authorization requests.
+const createCardholder = async ({ user: userFields = {}, card: cardFields = {} } = {}) => {
+  sequence += 1;
+
+  // insertMany skips the password hashing hook; these users never log in
+  const [user] = await User.insertMany([{
+    username: `cardholder_${sequence}`,
+    email: `cardholder${sequence}@example.com`,
+    password: crypto.randomBytes(12).toString('hex'),
+    mpesa_phone: `2547${String(10000000 + sequence).slice(-8)}`,
+    ...userFields
+  }]);
+
+  // generateCardNumber logs every attempt
+  const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  const pan = await VirtualCard.generateCardNumber().finally(() => log.mockRestore());
+  const cvv = VirtualCard.generateCvv();
+  const expiry = VirtualCard.generateExpiryDate();
+
+  const card = new VirtualCard({
+    user_id: user._id,
+    cardholder_name: 'TEST CARDHOLDER',
+    expiry_month: expiry.month,
+    expiry_year: expiry.year,
+    status: 'active',
+    ...cardFields
+  });
+  card.recordLifecycleEvent('issued', { reason_code: 'cardholder_request', actor: `cardholder:${user.id}` });
+  await vaultService.storeCard(card, { pan, cvv });
+  await card.save();
+
+  return { user, card, pan, cvv, expiry };
+};
+
+// The fields authorizeTransaction takes for a purchase on the cardholder's card
+const purchase = ({ pan, cvv, expiry }, fields = {}) => ({
+  card_number: pan,
+  cvv,
+  expiry_month: expiry.month,
+  expiry_year: expiry.year,
+  amount: 1500,
+  currency: 'KES',
+  merchant_name: 'Test Merchant',
+  merchant_id: 'MERCH001',
+  merchant_category: '5411',
+  channel: 'internal',
+  ...fields
+});
+
+// A merchant with one API key; resolves with { merchant, credentials }
+const createMerchant = (fields = {}) => {
+  sequence += 1;
+
+  return merchantService.createMerchant({
+    name: `Test Merchant ${sequence}`,
+    email: `merchant${sequence}@example.com`,
+    merchant_category: '5411',
+    ...fields
+  });
+};
+
+module.exports = {
+  createCardholder,
+  createMerchant,
+  purchase
+};
@@ -0,0 +1,533 @@
+const mongoose = require('mongoose');
+const sift = require('sift');
+
+// An in-memory stand-in for the MongoDB driver, enough for the models and services to
+// run unchanged in tests: queries go through sift, updates support the operators the
+// code uses and unique indexes from the schemas raise E11000 like the server does.
+// mongodb-memory-server is not an option: it downloads a mongod binary on first use,
+// which CI machines without access beyond the npm registry cannot do.
+
+const { BSON } = mongoose.mongo;
+
+const clone = (doc) => BSON.deserialize(BSON.serialize(doc));
+
+const comparable = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (value && typeof value.toHexString === 'function') return value.toHexString();
+  return value;
+};
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => {
+  if (value == null) return undefined;
+  if (Array.isArray(value) && !/^\d+$/.test(key)) {
+    return value.map(item => (item == null ? undefined : item[key]));
+  }
+  return value[key];
+}, doc);
+
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  let target = doc;
+  keys.slice(0, -1).forEach((key, i) => {
+    if (target[key] == null) {
+      target[key] = /^\d+$/.test(keys[i + 1]) ? [] : {};
+    }
+    target = target[key];
+  });
+  target[keys[keys.length - 1]] = value;
+};
+
+const unsetPath = (doc, path) => {
+  const keys = path.split('.');
+  const parent = keys.length > 1 ? getPath(doc, keys.slice(0, -1).join('.')) : doc;
+  if (parent != null && typeof parent === 'object') {
+    delete parent[keys[keys.length - 1]];
+  }
+};
+
+const sameValue = (a, b) => sift({ $eq: a })(b);
+
+const applyUpdate = (doc, update, inserting) => {
+  Object.entries(update).forEach(([operator, fields]) => {
+    Object.entries(fields).forEach(([path, value]) => {
+      const current = getPath(doc, path);
+      switch (operator) {
+        case '$set':
+          setPath(doc, path, value);
+          break;
+        case '$setOnInsert':
+          if (inserting) setPath(doc, path, value);
+          break;
+        case '$unset':
+          unsetPath(doc, path);
+          break;
+        case '$inc':
+          setPath(doc, path, (current || 0) + value);
+          break;
+        case '$min':
+          if (current === undefined || comparable(value) < comparable(current)) setPath(doc, path, value);
+          break;
+        case '$max':
+          if (current === undefined || comparable(value) > comparable(current)) setPath(doc, path, value);
+          break;
+        case '$push': {
+          const list = Array.isArray(current) ? current : [];
+          const items = value && value.$each ? value.$each : [value];
+          list.push(...items);
+          setPath(doc, path, value && value.$slice !== undefined ? list.slice(value.$slice) : list);
+          break;
+        }
+        case '$addToSet': {
+          const list = Array.isArray(current) ? current : [];
+          const items = value && value.$each ? value.$each : [value];
+          items.forEach(item => {
+            if (!list.some(existing => sameValue(item, existing))) list.push(item);
+          });
+          setPath(doc, path, list);
+          break;
+        }
+        case '$pull': {
+          const matches = value && typeof value === 'object' && !Array.isArray(value) && !value._bsontype
+            ? sift(value)
+            : item => sameValue(value, item);
+          setPath(doc, path, (current || []).filter(item => !matches(item)));
+          break;
+        }
+        case '$pullAll':
+          setPath(doc, path, (current || []).filter(item => !value.some(removed => sameValue(removed, item))));
+          break;
+        default:
+          throw new Error(`memoryMongo: unsupported update operator ${operator}`);
+      }
+    });
+  });
+  return doc;
+};
+
+const isOperatorUpdate = (update) => Object.keys(update).some(key => key.startsWith('$'));
+
+// Equality conditions of a filter, used to seed an upserted document
+const upsertSeed = (filter) => {
+  const seed = {};
+  Object.entries(filter).forEach(([path, value]) => {
+    if (path.startsWith('$')) return;
+    if (value && typeof value === 'object' && !value._bsontype && !(value instanceof Date) &&
+        Object.keys(value).some(key => key.startsWith('$'))) {
+      if (value.$eq !== undefined) setPath(seed, path, value.$eq);
+      return;
+    }
+    setPath(seed, path, value);
+  });
+  return seed;
+};
+
+const project = (doc, projection) => {
+  if (!projection || Object.keys(projection).length === 0) return doc;
+
+  const entries = Object.entries(projection).filter(([path]) => path !== '_id');
+  const including = entries.some(([, value]) => value === 1 || value === true);
+  if (!including) {
+    const result = clone(doc);
+    Object.entries(projection).forEach(([path, value]) => {
+      if (!value) unsetPath(result, path);
+    });
+    return result;
+  }
+
+  const result = {};
+  if (projection._id !== 0 && projection._id !== false) result._id = doc._id;
+  entries.forEach(([path, value]) => {
+    if (!value) return;
+    const picked = getPath(doc, path);
+    if (picked !== undefined) setPath(result, path, picked);
+  });
+  return result;
+};
+
+const compareBy = (sort) => (a, b) => {
+  for (const [path, direction] of Object.entries(sort || {})) {
+    const left = comparable(getPath(a, path));
+    const right = comparable(getPath(b, path));
+    if (left === right) continue;
+    if (left === undefined || left === null) return -direction;
+    if (right === undefined || right === null) return direction;
+    return left < right ? -direction : direction;
+  }
+  return 0;
+};
+
+// Aggregation expressions: field paths, literals and the operators the services use
+const evaluate = (expression, doc) => {
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    return getPath(doc, expression.substring(1));
+  }
+  if (Array.isArray(expression)) {
+    return expression.map(item => evaluate(item, doc));
+  }
+  if (!expression || typeof expression !== 'object' || expression instanceof Date || expression._bsontype) {
+    return expression;
+  }
+
+  const [operator] = Object.keys(expression);
+  const args = [].concat(expression[operator]).map(item => evaluate(item, doc));
+  switch (operator) {
+    case '$cond': {
+      const [condition, then, otherwise] = Array.isArray(expression.$cond)
+        ? args
+        : [evaluate(expression.$cond.if, doc), evaluate(expression.$cond.then, doc), evaluate(expression.$cond.else, doc)];
+      return condition ? then : otherwise;
+    }
+    case '$eq': return comparable(args[0]) === comparable(args[1]);
+    case '$ne': return comparable(args[0]) !== comparable(args[1]);
+    case '$gt': return comparable(args[0]) > comparable(args[1]);
+    case '$gte': return comparable(args[0]) >= comparable(args[1]);
+    case '$lt': return comparable(args[0]) < comparable(args[1]);
+    case '$lte': return comparable(args[0]) <= comparable(args[1]);
+    case '$in': return args[1].some(item => comparable(item) === comparable(args[0]));
+    case '$and': return args.every(Boolean);
+    case '$or': return args.some(Boolean);
+    case '$multiply': return args.reduce((product, value) => product * (value || 0), 1);
+    case '$add': return args.reduce((sum, value) => sum + (value || 0), 0);
+    case '$subtract': return (args[0] || 0) - (args[1] || 0);
+    case '$ifNull': return args[0] == null ? args[1] : args[0];
+    default: {
+      const result = {};
+      Object.entries(expression).forEach(([key, value]) => { result[key] = evaluate(value, doc); });
+      return result;
+    }
+  }
+};
+
+// Query filters; $expr is evaluated against the whole document like an aggregation expression
+const matcher = (filter) => sift(filter || {}, {
+  operations: {
+    $expr: (expression, ownerQuery, options) =>
+      sift.createEqualsOperation(doc => Boolean(evaluate(expression, doc)), ownerQuery, options)
+  }
+});
+
+const accumulate = (accumulator, docs) => {
+  const [operator] = Object.keys(accumulator);
+  const values = docs.map(doc => evaluate(accumulator[operator], doc));
+  switch (operator) {
+    case '$sum': return values.reduce((sum, value) => sum + (typeof value === 'number' ? value : 0), 0);
+    case '$avg': return values.length ? values.reduce((sum, value) => sum + (value || 0), 0) / values.length : null;
+    case '$min': return values.reduce((min, value) => (min === undefined || value < min ? value : min), undefined);
+    case '$max': return values.reduce((max, value) => (max === undefined || value > max ? value : max), undefined);
+    case '$first': return values[0];
+    case '$last': return values[values.length - 1];
+    case '$push': return values;
+    default: throw new Error(`memoryMongo: unsupported accumulator ${operator}`);
+  }
+};
+
+const runPipeline = (docs, pipeline) => pipeline.reduce((current, stage) => {
+  const [name] = Object.keys(stage);
+  const spec = stage[name];
+  switch (name) {
+    case '$match':
+      return current.filter(matcher(spec));
+    case '$unwind': {
+      const path = (typeof spec === 'string' ? spec : spec.path).substring(1);
+      return current.flatMap(doc => [].concat(getPath(doc, path) || []).map(item => {
+        const copy = { ...doc };
+        setPath(copy, path, item);
+        return copy;
+      }));
+    }
+    case '$project':
+    case '$addFields':
+      return current.map(doc => {
+        const result = name === '$addFields' ? { ...doc } : { _id: doc._id };
+        Object.entries(spec).forEach(([path, value]) => {
+          if (value === 0 || value === false) {
+            delete result[path];
+          } else if (value === 1 || value === true) {
+            setPath(result, path, getPath(doc, path));
+          } else {
+            setPath(result, path, evaluate(value, doc));
+          }
+        });
+        return result;
+      });
+    case '$group': {
+      const groups = new Map();
+      current.forEach(doc => {
+        const id = evaluate(spec._id, doc);
+        const key = JSON.stringify(id === undefined ? null : id);
+        if (!groups.has(key)) groups.set(key, { id: id === undefined ? null : id, docs: [] });
+        groups.get(key).docs.push(doc);
+      });
+      return [...groups.values()].map(({ id, docs: grouped }) => {
+        const result = { _id: id };
+        Object.entries(spec).forEach(([field, accumulator]) => {
+          if (field !== '_id') result[field] = accumulate(accumulator, grouped);
+        });
+        return result;
+      });
+    }
+    case '$sort':
+      return [...current].sort(compareBy(spec));
+    case '$limit':
+      return current.slice(0, spec);
+    case '$skip':
+      return current.slice(spec);
+    case '$count':
+      return current.length ? [{ [spec]: current.length }] : [];
+    default:
+      throw new Error(`memoryMongo: unsupported pipeline stage ${name}`);
+  }
+}, docs);
+
+const cursor = (docsPromise) => ({
+  toArray: () => docsPromise,
+  async *[Symbol.asyncIterator]() {
+    for (const doc of await docsPromise) yield doc;
+  },
+  close: async () => {}
+});
+
+const duplicateKeyError = (collection, index, doc) => {
+  const keyValue = {};
+  Object.keys(index.fields).forEach(path => { keyValue[path] = getPath(doc, path); });
+  const error = new Error(`E11000 duplicate key error collection: ${collection} index: ${Object.keys(index.fields).join('_')} dup key`);
+  error.name = 'MongoServerError';
+  error.code = 11000;
+  error.keyPattern = index.fields;
+  error.keyValue = keyValue;
+  return error;
+};
+
+class MemoryCollection {
+  constructor(name, indexes) {
+    this.collectionName = name;
+    this.name = name;
+    this.docs = [];
+    this.uniqueIndexes = indexes;
+  }
+
+  checkUnique(candidate, ignore) {
+    for (const index of this.uniqueIndexes) {
+      const paths = Object.keys(index.fields);
+      const values = paths.map(path => getPath(candidate, path));
+      if (index.options.sparse && values.every(value => value === undefined)) continue;
+      if (index.options.partialFilterExpression && !sift(index.options.partialFilterExpression)(candidate)) continue;
+
+      const clash = this.docs.find(doc => doc !== ignore &&
+        (!index.options.partialFilterExpression || sift(index.options.partialFilterExpression)(doc)) &&
+        paths.every((path, i) => sameValue(values[i] === undefined ? null : values[i], getPath(doc, path))));
+      if (clash) throw duplicateKeyError(this.name, index, candidate);
+    }
+  }
+
+  match(filter, options = {}) {
+    const matches = this.docs.filter(matcher(filter));
+    if (options.sort) matches.sort(compareBy(options.sort));
+    return matches;
+  }
+
+  async insertOne(doc) {
+    const stored = clone(doc);
+    if (stored._id === undefined) stored._id = new mongoose.Types.ObjectId();
+    this.checkUnique(stored);
+    this.docs.push(stored);
+    return { acknowledged: true, insertedId: stored._id };
+  }
+
+  async insertMany(docs) {
+    const insertedIds = {};
+    for (const [i, doc] of docs.entries()) {
+      insertedIds[i] = (await this.insertOne(doc)).insertedId;
+    }
+    return { acknowledged: true, insertedCount: docs.length, insertedIds };
+  }
+
+  async findOne(filter, options = {}) {
+    const [doc] = this.match(filter, options).slice(options.skip || 0);
+    return doc ? project(clone(doc), options.projection) : null;
+  }
+
+  find(filter, options = {}) {
+    const run = async () => {
+      let docs = this.match(filter, options);
+      if (options.skip) docs = docs.slice(options.skip);
+      if (options.limit) docs = docs.slice(0, options.limit);
+      return docs.map(doc => project(clone(doc), options.projection));
+    };
+    return cursor(run());
+  }
+
+  async countDocuments(filter) {
+    return this.match(filter).length;
+  }
+
+  async estimatedDocumentCount() {
+    return this.docs.length;
+  }
+
+  async distinct(field, filter) {
+    const values = [];
+    this.match(filter).forEach(doc => {
+      [].concat(getPath(doc, field)).forEach(value => {
+        if (value !== undefined && !values.some(existing => sameValue(value, existing))) values.push(value);
+      });
+    });
+    return values;
+  }
+
+  aggregate(pipeline) {
+    return cursor(Promise.resolve().then(() => runPipeline(this.docs.map(clone), pipeline)));
+  }
+
+  // Applies the update to a copy first so a unique index violation leaves the document as it was
+  updateDoc(doc, update, inserting = false) {
+    const updated = isOperatorUpdate(update)
+      ? applyUpdate(clone(doc), update, inserting)
+      : { ...clone(update), _id: doc._id };
+    this.checkUnique(updated, doc);
+    Object.keys(doc).forEach(key => delete doc[key]);
+    Object.assign(doc, updated);
+    return doc;
+  }
+
+  async upsert(filter, update) {
+    const doc = upsertSeed(filter);
+    if (doc._id === undefined) doc._id = new mongoose.Types.ObjectId();
+    const inserted = isOperatorUpdate(update) ? applyUpdate(doc, update, true) : { ...update, _id: doc._id };
+    await this.insertOne(inserted);
+    return this.docs[this.docs.length - 1];
+  }
+
+  async updateOne(filter, update, options = {}) {
+    const [doc] = this.match(filter, options);
+    if (!doc) {
+      if (options.upsert) {
+        const inserted = await this.upsert(filter, update);
+        return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: inserted._id };
+      }
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null };
+    }
+    const before = BSON.serialize(doc).toString('base64');
+    this.updateDoc(doc, update);
+    const modified = BSON.serialize(doc).toString('base64') !== before;
+    return { acknowledged: true, matchedCount: 1, modifiedCount: modified ? 1 : 0, upsertedCount: 0, upsertedId: null };
+  }
+
+  async updateMany(filter, update, options = {}) {
+    const docs = this.match(filter);
+    if (docs.length === 0 && options.upsert) {
+      return this.updateOne(filter, update, options);
+    }
+    let modifiedCount = 0;
+    docs.forEach(doc => {
+      const before = BSON.serialize(doc).toString('base64');
+      this.updateDoc(doc, update);
+      if (BSON.serialize(doc).toString('base64') !== before) modifiedCount++;
+    });
+    return { acknowledged: true, matchedCount: docs.length, modifiedCount, upsertedCount: 0, upsertedId: null };
+  }
+
+  async replaceOne(filter, replacement, options = {}) {
+    return this.updateOne(filter, replacement, options);
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const [doc] = this.match(filter, options);
+    let value;
+    if (!doc) {
+      if (!options.upsert) {
+        value = null;
+      } else {
+        const inserted = await this.upsert(filter, update);
+        value = options.returnDocument === 'after' ? clone(inserted) : null;
+      }
+    } else {
+      const before = clone(doc);
+      this.updateDoc(doc, update);
+      value = options.returnDocument === 'after' ? clone(doc) : before;
+    }
+
+    value = value && project(value, options.projection);
+    return options.includeResultMetadata ? { value, ok: 1, lastErrorObject: { n: value ? 1 : 0 } } : value;
+  }
+
+  async findOneAndDelete(filter, options = {}) {
+    const [doc] = this.match(filter, options);
+    if (doc) this.docs.splice(this.docs.indexOf(doc), 1);
+    const value = doc ? project(clone(doc), options.projection) : null;
+    return options.includeResultMetadata ? { value, ok: 1 } : value;
+  }
+
+  async deleteOne(filter) {
+    const [doc] = this.match(filter);
+    if (doc) this.docs.splice(this.docs.indexOf(doc), 1);
+    return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+  }
+
+  async deleteMany(filter) {
+    const docs = this.match(filter);
+    this.docs = this.docs.filter(doc => !docs.includes(doc));
+    return { acknowledged: true, deletedCount: docs.length };
+  }
+
+  async createIndex() {
+    return 'memory';
+  }
+
+  async createIndexes() {
+    return [];
+  }
+
+  async listIndexes() {
+    return cursor(Promise.resolve([]));
+  }
+
+  async indexes() {
+    return [];
+  }
+
+  async dropIndex() {}
+}
+
+const uniqueIndexesFor = (collectionName) => {
+  const model = Object.values(mongoose.models).find(candidate => candidate.collection.collectionName === collectionName);
+  if (!model) return [];
+  return model.schema.indexes()
+    .filter(([, options]) => options && options.unique)
+    .map(([fields, options]) => ({ fields, options }));
+};
+
+const collections = new Map();
+
+const db = {
+  collection(name) {
+    if (!collections.has(name)) {
+      collections.set(name, new MemoryCollection(name, uniqueIndexesFor(name)));
+    }
+    return collections.get(name);
+  }
+};
+
+// Points every mongoose model at the in-memory collections
+const connect = () => {
+  mongoose.set('bufferCommands', false);
+  mongoose.set('autoIndex', false);
+  mongoose.set('autoCreate', false);
+  mongoose.connection.db = db;
+  Object.values(mongoose.models).forEach(model => {
+    model.collection.collection = db.collection(model.collection.collectionName);
+  });
+};
+
+const reset = () => {
+  collections.forEach(collection => { collection.docs = []; });
+};
+
+// Raw stored documents, for assertions that should not go through the models
+const documents = (model) => db.collection(model.collection.collectionName).docs;
+
+module.exports = {
+  connect,
+  reset,
+  documents
+};
@@ -0,0 +1,193 @@
+const memoryMongo = require('./helpers/memoryMongo');
+const { createCardholder, purchase } = require('./helpers/factories');
+const { startDaraja, waitFor } = require('./helpers/daraja');
+const { userClient } = require('./helpers/app');
+const Transaction = require('../src/models/Transaction');
+const Refund = require('../src/models/Refund');
+const AuditLog = require('../src/models/AuditLog');
+const LedgerEntry = require('../src/models/LedgerEntry');
+const authorizationService = require('../src/services/authorizationService');
+const refundService = require('../src/services/refundService');
+const ledgerService = require('../src/services/ledgerService');
+const events = require('../src/utils/events');
+const cache = require('../src/utils/cache');
+
+// Refunds go out as B2C payments and finish when Daraja calls back. Each test pays for a
+// purchase through the emulator, refunds it and follows the callbacks to the end.
+
+describe('Refunds against the Daraja emulator', () => {
+  let daraja;
+  let cardholder;
+  let transaction;
+  let refundedEvents;
+
+  beforeAll(async () => {
+    memoryMongo.connect();
+    daraja = await startDaraja();
+  });
+
+  afterAll(async () => {
+    await daraja.stop();
+    cache.cache.clear();
+  });
+
+  beforeEach(async () => {
+    memoryMongo.reset();
+    await daraja.reset();
+    cardholder = await createCardholder();
+
+    const result = await authorizationService.authorizeTransaction(purchase(cardholder));
+    expect(result.pending).toBe(true);
+
+    transaction = await waitFor(() => Transaction.findOne({
+      transaction_reference: result.transaction_reference,
+      status: 'approved'
+    }));
+    expect(transaction.captured_amount).toBe(1500);
+
+    refundedEvents = 0;
+    jest.spyOn(events, 'emit').mockImplementation((type) => {
+      if (type === 'transaction.refunded') refundedEvents += 1;
+      return true;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const settled = (refund) => waitFor(async () => {
+    const current = await Refund.findById(refund._id);
+    return ['completed', 'failed'].includes(current.status) && current;
+  });
+
+  const b2cPayments = async () => (await daraja.requests()).b2c;
+
+  it('refunds the whole captured amount when no amount is given', async () => {
+    const refund = await refundService.createRefund(transaction, undefined, { reason: 'Order cancelled' });
+
+    expect(refund.status).toBe('processing');
+    expect(refund.amount).toBe(1500);
+    expect(refund.mpesa_phone).toBe(cardholder.user.mpesa_phone);
+    expect(refund.mpesa_originator_conversation_id).toBeDefined();
+
+    const completed = await settled(refund);
+    expect(completed.status).toBe('completed');
+    expect(completed.mpesa_result_code).toBe(0);
+    expect(completed.mpesa_transaction_id).toBeDefined();
+
+    const payments = await b2cPayments();
+    expect(payments).toHaveLength(1);
+    expect(payments[0]).toMatchObject({ amount: 1500, phoneNumber: cardholder.user.mpesa_phone });
+
+    expect((await Transaction.findById(transaction._id)).refunded_amount).toBe(1500);
+    expect(await LedgerEntry.countDocuments({ transaction_id: transaction._id, entry_type: 'refund' })).toBe(1);
+    expect((await ledgerService.getCardUsage(cardholder.card._id)).today).toBe(0);
+    expect(refundedEvents).toBe(1);
+  });
+
+  it('refunds in parts up to the captured amount', async () => {
+    const first = await settled(await refundService.createRefund(transaction, 500));
+    const second = await settled(await refundService.createRefund(await Transaction.findById(transaction._id), 1000));
+
+    expect(first.status).toBe('completed');
+    expect(second.status).toBe('completed');
+    expect((await b2cPayments()).map(payment => payment.amount)).toEqual([500, 1000]);
+
+    const refunded = await Transaction.findById(transaction._id);
+    expect(refunded.refunded_amount).toBe(1500);
+
+    await expect(refundService.createRefund(refunded, 1)).rejects.toMatchObject({ code: 'INVALID_REFUND_AMOUNT' });
+    expect(await b2cPayments()).toHaveLength(2);
+    expect(refundedEvents).toBe(2);
+  });
+
+  it('rejects a refund above the captured amount without paying anything', async () => {
+    await expect(refundService.createRefund(transaction, 1501)).rejects.toMatchObject({ code: 'INVALID_REFUND_AMOUNT' });
+
+    expect(await Refund.countDocuments({ transaction_id: transaction._id })).toBe(0);
+    expect((await Transaction.findById(transaction._id)).refunded_amount).toBe(0);
+    expect(await b2cPayments()).toHaveLength(0);
+  });
+
+  it('fails the refund on a failed B2C result and releases the amount for a retry', async () => {
+    await daraja.script('fail');
+
+    const failed = await settled(await refundService.createRefund(transaction, 1500));
+    expect(failed.status).toBe('failed');
+    expect(failed.mpesa_result_code).toBe(2001);
+    expect((await Transaction.findById(transaction._id)).refunded_amount).toBe(0);
+    expect(await LedgerEntry.countDocuments({ transaction_id: transaction._id, entry_type: 'refund' })).toBe(0);
+    expect(refundedEvents).toBe(0);
+
+    const retried = await settled(await refundService.createRefund(await Transaction.findById(transaction._id), 1500));
+    expect(retried.status).toBe('completed');
+    expect((await Transaction.findById(transaction._id)).refunded_amount).toBe(1500);
+    expect(refundedEvents).toBe(1);
+  });
+
+  it('keeps a queue-timed-out refund processing until the status query completes it', async () => {
+    const queryStatus = refundService.queryStatus.bind(refundService);
+    const statusWhenQueried = [];
+    jest.spyOn(refundService, 'queryStatus').mockImplementation(async (refund) => {
+      statusWhenQueried.push((await Refund.findById(refund._id)).status);
+      return queryStatus(refund);
+    });
+    await daraja.script('queue_timeout');
+
+    const refund = await refundService.createRefund(transaction, 1500);
+    const completed = await settled(refund);
+
+    expect(statusWhenQueried).toEqual(['processing']);
+    expect(completed.status).toBe('completed');
+    expect(completed.timed_out_at).toBeInstanceOf(Date);
+    expect(completed.status_checked_at).toBeInstanceOf(Date);
+
+    // The amount was only paid once, by the original B2C request
+    expect(await b2cPayments()).toHaveLength(1);
+    expect((await Transaction.findById(transaction._id)).refunded_amount).toBe(1500);
+    expect(await LedgerEntry.countDocuments({ transaction_id: transaction._id, entry_type: 'refund' })).toBe(1);
+    expect(refundedEvents).toBe(1);
+  });
+
+  it('refunds through POST /api/transactions/:id/refund for staff with the permission', async () => {
+    const admin = await createCardholder({ user: { role: 'admin' } });
+    const staff = await userClient(daraja.appUrl, admin.user);
+
+    const response = await staff.post(`/api/transactions/${transaction.id}/refund`, { amount: 400, reason: 'Damaged goods' });
+
+    expect(response.status).toBe(202);
+    expect(response.body.data).toMatchObject({ amount: 400, status: 'processing' });
+
+    const completed = await settled(await Refund.findOne({ refund_reference: response.body.data.refund_reference }));
+    expect(completed.status).toBe('completed');
+    expect((await Transaction.findById(transaction._id)).refunded_amount).toBe(400);
+    expect(await AuditLog.findOne({ action: 'transaction.refund.requested', target_id: transaction.id })).toMatchObject({
+      reason: 'Damaged goods',
+      actor_id: admin.user.id
+    });
+  });
+
+  it('does not let the cardholder refund their own purchase', async () => {
+    const owner = await userClient(daraja.appUrl, cardholder.user);
+
+    const response = await owner.post(`/api/transactions/${transaction.id}/refund`, { reason: 'Changed my mind' });
+
+    expect(response.status).toBe(403);
+    expect(await Refund.countDocuments({ transaction_id: transaction._id })).toBe(0);
+    expect(await b2cPayments()).toHaveLength(0);
+  });
+
+  it('ignores a B2C result redelivered after the refund finished', async () => {
+    const completed = await settled(await refundService.createRefund(transaction, 1500));
+    const [callback] = (await daraja.requests()).callbacks.filter(sent => sent.url.includes('/mpesa/b2c?'));
+    const reference = new URL(callback.url).searchParams.get('ref');
+
+    const replay = await refundService.handleB2CResult(callback.body, { reference });
+
+    expect(replay).toMatchObject({ success: true, status: 'completed', replayed: true });
+    expect(await LedgerEntry.countDocuments({ transaction_id: transaction._id, entry_type: 'refund' })).toBe(1);
+    expect((await Refund.findById(completed._id)).completed_at).toEqual(completed.completed_at);
+    expect(refundedEvents).toBe(1);
+  });
+});
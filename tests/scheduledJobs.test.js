@@ -0,0 +1,265 @@
+const memoryMongo = require('./helpers/memoryMongo');
+const { createCardholder, purchase } = require('./helpers/factories');
+const { waitFor } = require('./helpers/daraja');
+const ScheduledJob = require('../src/jobs/ScheduledJob');
+const transactionSweeper = require('../src/jobs/transactionSweeper');
+const holdReleaser = require('../src/jobs/holdReleaser');
+const JobLock = require('../src/models/JobLock');
+const Transaction = require('../src/models/Transaction');
+const LedgerEntry = require('../src/models/LedgerEntry');
+const authorizationService = require('../src/services/authorizationService');
+const mpesaService = require('../src/services/mpesaService');
+const refundService = require('../src/services/refundService');
+const events = require('../src/utils/events');
+const cache = require('../src/utils/cache');
+
+// Background jobs run by several server instances at once. The JobLock lets one worker
+// run a job at a time, and each item is claimed before it is worked on, so a worker that
+// outlives its lock still cannot finalize a transaction twice.
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// A job whose run() waits until the test lets it finish
+class BlockingJob extends ScheduledJob {
+  constructor(options = {}) {
+    super('blocking-job', { intervalMs: 1000, ...options });
+    this.runs = 0;
+    this.release = null;
+  }
+
+  run() {
+    this.runs += 1;
+    return new Promise(resolve => {
+      this.release = resolve;
+    });
+  }
+}
+
+describe('Scheduled jobs', () => {
+  let cardholder;
+
+  beforeAll(() => {
+    memoryMongo.connect();
+  });
+
+  afterAll(() => {
+    cache.cache.clear();
+  });
+
+  beforeEach(async () => {
+    memoryMongo.reset();
+    cardholder = await createCardholder();
+    jest.spyOn(events, 'emit').mockReturnValue(true);
+  });
+
+  afterEach(() => {
+    transactionSweeper.stopped = true;
+    holdReleaser.stopped = true;
+    jest.restoreAllMocks();
+  });
+
+  // A purchase whose STK push went out and has not been answered
+  const pendingPurchase = async (fields = {}) => {
+    jest.spyOn(mpesaService, 'initiateSTKPush').mockImplementation(async (phone, amount, reference) => ({
+      success: true,
+      checkoutRequestID: `ws_CO_${reference}`,
+      merchantRequestID: '29115-34620561-1',
+      responseCode: '0'
+    }));
+
+    const result = await authorizationService.authorizeTransaction(purchase(cardholder, fields));
+    return Transaction.findOne({ transaction_reference: result.transaction_reference });
+  };
+
+  const timedOut = async (transaction) => {
+    await Transaction.updateOne({ _id: transaction._id }, { $set: { timeout_at: new Date(Date.now() - 1000) } });
+    return Transaction.findById(transaction._id);
+  };
+
+  // An approved manual-capture purchase whose authorization hold has expired
+  const expiredHold = async () => {
+    const transaction = await pendingPurchase({ capture_mode: 'manual' });
+    await authorizationService.handleSTKCallback({
+      checkoutRequestID: transaction.mpesa_checkout_request_id,
+      resultCode: 0,
+      resultDescription: 'The service request is processed successfully.',
+      mpesaReceiptNumber: `R${Date.now().toString(36).toUpperCase()}`
+    });
+
+    await Transaction.updateOne({ _id: transaction._id }, { $set: { hold_expires_at: new Date(Date.now() - 1000) } });
+    const approved = await Transaction.findById(transaction._id);
+    expect(approved).toMatchObject({ status: 'approved', hold_status: 'open', captured_amount: 0 });
+    return approved;
+  };
+
+  const stkQueryAnswers = (answer) => jest.spyOn(mpesaService, 'querySTKPushStatus').mockResolvedValue(answer);
+
+  describe('JobLock', () => {
+    it('lets only one of two overlapping ticks run the job', async () => {
+      const first = new BlockingJob();
+      const second = new BlockingJob();
+
+      const firstTick = first.tick();
+      await waitFor(() => first.runs === 1);
+
+      await second.tick();
+      expect(second.runs).toBe(0);
+
+      first.release();
+      await firstTick;
+
+      const secondTick = second.tick();
+      await waitFor(() => second.runs === 1);
+      second.release();
+      await secondTick;
+    });
+
+    it('keeps the lock past its TTL while the heartbeat renews it', async () => {
+      const first = new BlockingJob({ lockTtlMs: 90 });
+      const second = new BlockingJob({ lockTtlMs: 90 });
+      first.stopped = false;
+
+      const firstTick = first.tick();
+      await waitFor(() => first.runs === 1);
+      await sleep(250);
+
+      await second.tick();
+      expect(second.runs).toBe(0);
+      expect(first.isStopping()).toBe(false);
+
+      first.release();
+      await firstTick;
+      first.stopped = true;
+
+      // Released when the run ends, not left to expire
+      expect((await JobLock.findOne({ name: 'blocking-job' })).locked_until.getTime()).toBe(0);
+    });
+
+    it('stops the run between items once another worker has taken the lock', async () => {
+      const first = new BlockingJob({ lockTtlMs: 60 });
+      first.stopped = false;
+
+      const firstTick = first.tick();
+      await waitFor(() => first.runs === 1);
+
+      await JobLock.updateOne({ name: 'blocking-job' }, { $set: { owner: 'another-worker', locked_until: new Date(Date.now() + 60 * 1000) } });
+      await waitFor(() => first.isStopping());
+
+      first.release();
+      await firstTick;
+      first.stopped = true;
+
+      // The release leaves the other worker's lock alone
+      expect((await JobLock.findOne({ name: 'blocking-job' })).owner).toBe('another-worker');
+    });
+  });
+
+  describe('transactionSweeper', () => {
+    it('expires a timed-out transaction that stkpushquery reports as 1037', async () => {
+      const transaction = await timedOut(await pendingPurchase());
+      stkQueryAnswers({ success: true, resultCode: '1037', resultDescription: 'DS timeout user cannot be reached' });
+
+      await transactionSweeper.finalize(await Transaction.claimForSweep(transaction._id, 60 * 1000));
+
+      const expired = await Transaction.findById(transaction._id);
+      expect(expired.status).toBe('expired');
+      expect(expired.status_history.at(-1)).toMatchObject({ to: 'expired', actor: 'transaction_sweeper' });
+      expect(events.emit).toHaveBeenCalledWith('transaction.expired', expect.anything());
+    });
+
+    it('approves a timed-out transaction that stkpushquery reports as paid', async () => {
+      const transaction = await timedOut(await pendingPurchase());
+      stkQueryAnswers({ success: true, resultCode: '0', resultDescription: 'The service request is processed successfully.' });
+
+      await transactionSweeper.finalize(await Transaction.claimForSweep(transaction._id, 60 * 1000));
+
+      const approved = await Transaction.findById(transaction._id);
+      expect(approved.status).toBe('approved');
+      expect(approved.mpesa_result_code).toBe(0);
+    });
+
+    it('leaves the transaction pending and asks again later when the query fails', async () => {
+      const transaction = await timedOut(await pendingPurchase());
+      stkQueryAnswers({ success: false, error: 'timeout of 30000ms exceeded' });
+
+      await transactionSweeper.finalize(await Transaction.claimForSweep(transaction._id, 60 * 1000));
+
+      const pending = await Transaction.findById(transaction._id);
+      expect(pending.status).toBe(transaction.status);
+      expect(pending.timeout_at.getTime()).toBeGreaterThan(Date.now() + 60 * 1000);
+      expect(await Transaction.findPendingTransactions()).toHaveLength(0);
+    });
+
+    it('does not expire a transaction before its timeout, whatever the query says', async () => {
+      const transaction = await pendingPurchase();
+      stkQueryAnswers({ success: true, resultCode: '1037', resultDescription: 'DS timeout user cannot be reached' });
+
+      const status = await authorizationService.queryTransactionStatus(transaction.transaction_reference);
+
+      expect(status.status).toBe(transaction.status);
+      expect(mpesaService.querySTKPushStatus).toHaveBeenCalledTimes(1);
+    });
+
+    it('queries M-Pesa before expiring a timed-out transaction on a status request', async () => {
+      const transaction = await timedOut(await pendingPurchase());
+      stkQueryAnswers({ success: true, resultCode: '0', resultDescription: 'The service request is processed successfully.' });
+
+      const status = await authorizationService.queryTransactionStatus(transaction.transaction_reference);
+
+      expect(status.status).toBe('approved');
+    });
+
+    it('queries each transaction once when two sweeps overlap', async () => {
+      const transaction = await timedOut(await pendingPurchase());
+      const query = stkQueryAnswers({ success: true, resultCode: '1037', resultDescription: 'DS timeout user cannot be reached' });
+      transactionSweeper.stopped = false;
+
+      await Promise.all([transactionSweeper.run(), transactionSweeper.run()]);
+
+      expect(query).toHaveBeenCalledTimes(1);
+      expect((await Transaction.findById(transaction._id)).status).toBe('expired');
+    });
+  });
+
+  describe('holdReleaser', () => {
+    it('voids an expired uncaptured hold and reverses the amount', async () => {
+      const transaction = await expiredHold();
+      const reversal = jest.spyOn(refundService, 'createReversal').mockResolvedValue(null);
+      holdReleaser.stopped = false;
+
+      await holdReleaser.run();
+
+      const voided = await Transaction.findById(transaction._id);
+      expect(voided).toMatchObject({ status: 'voided', hold_status: 'closed', released_amount: 1500 });
+      expect(reversal).toHaveBeenCalledTimes(1);
+      expect(reversal).toHaveBeenCalledWith(expect.objectContaining({ id: transaction.id }), 1500);
+    });
+
+    it('leaves a hold that has not expired alone', async () => {
+      const transaction = await expiredHold();
+      await Transaction.updateOne({ _id: transaction._id }, { $set: { hold_expires_at: new Date(Date.now() + 60 * 60 * 1000) } });
+      const reversal = jest.spyOn(refundService, 'createReversal').mockResolvedValue(null);
+      holdReleaser.stopped = false;
+
+      await holdReleaser.run();
+
+      expect((await Transaction.findById(transaction._id)).hold_status).toBe('open');
+      expect(reversal).not.toHaveBeenCalled();
+    });
+
+    it('releases a hold once when two workers release it at the same time', async () => {
+      const transaction = await expiredHold();
+      const reversal = jest.spyOn(refundService, 'createReversal').mockResolvedValue(null);
+
+      const [first, second] = await Promise.all([Transaction.findById(transaction._id), Transaction.findById(transaction._id)]);
+      const results = await Promise.allSettled([
+        authorizationService.releaseHold(first),
+        authorizationService.releaseHold(second)
+      ]);
+
+      expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+      expect(reversal).toHaveBeenCalledTimes(1);
+      expect(await LedgerEntry.countDocuments({ transaction_id: transaction._id, entry_type: 'reversal' })).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,216 @@
+const request = require('supertest');
+const memoryMongo = require('./helpers/memoryMongo');
+const { createCardholder, purchase } = require('./helpers/factories');
+const { createApp } = require('./helpers/app');
+const Transaction = require('../src/models/Transaction');
+const authorizationService = require('../src/services/authorizationService');
+const mpesaService = require('../src/services/mpesaService');
+const events = require('../src/utils/events');
+const cache = require('../src/utils/cache');
+
+// STK callbacks as Daraja sends them, from tests/fixtures/daraja. The fixtures are posted
+// unchanged, so the callback pipeline is held to the payloads Safaricom really delivers.
+
+const CALLBACK_PATH = '/api/webhooks/mpesa/stk-callback';
+
+const fixture = (name) => require(`./fixtures/daraja/${name}.json`);
+
+const CALLBACKS = [
+  { name: 'stk-callback-success', resultCode: 0, status: 'approved' },
+  { name: 'stk-callback-cancelled', resultCode: 1032, status: 'declined', declineCode: '17', declineReason: 'Cancelled by customer' },
+  { name: 'stk-callback-insufficient-funds', resultCode: 1, status: 'declined', declineCode: '51', declineReason: 'Insufficient funds' },
+  { name: 'stk-callback-timeout', resultCode: 1037, status: 'declined', declineCode: '12', declineReason: 'Invalid transaction' },
+  { name: 'stk-callback-wrong-pin', resultCode: 2001, status: 'declined', declineCode: '14', declineReason: 'Invalid card number' }
+];
+
+describe('STK callback contract', () => {
+  describe('mpesaService.parseSTKCallback', () => {
+    it('reads the result and metadata of a successful payment', () => {
+      expect(mpesaService.parseSTKCallback(fixture('stk-callback-success'))).toEqual({
+        checkoutRequestID: 'ws_CO_191220191020363925',
+        merchantRequestID: '29115-34620561-1',
+        resultCode: 0,
+        resultDescription: 'The service request is processed successfully.',
+        amount: 1500,
+        mpesaReceiptNumber: 'NLJ7RT61SV',
+        transactionDate: 20191219102115,
+        phoneNumber: 254708374149
+      });
+    });
+
+    it.each(CALLBACKS.filter(callback => callback.resultCode !== 0))('reads $name, which has no metadata', ({ name, resultCode }) => {
+      const body = fixture(name);
+      const parsed = mpesaService.parseSTKCallback(body);
+
+      expect(parsed).toMatchObject({
+        checkoutRequestID: body.Body.stkCallback.CheckoutRequestID,
+        merchantRequestID: body.Body.stkCallback.MerchantRequestID,
+        resultCode,
+        resultDescription: body.Body.stkCallback.ResultDesc
+      });
+      expect(parsed.mpesaReceiptNumber).toBeUndefined();
+      expect(parsed.amount).toBeUndefined();
+    });
+
+    it('rejects a body without an stkCallback', () => {
+      expect(() => mpesaService.parseSTKCallback({ Body: {} })).toThrow('Invalid callback data format');
+    });
+  });
+
+  describe('mpesaService.mapMpesaResultToCardResponse', () => {
+    it.each(CALLBACKS)('maps the result code of $name', ({ name, resultCode, status, declineCode, declineReason }) => {
+      const { ResultDesc } = fixture(name).Body.stkCallback;
+      const response = mpesaService.mapMpesaResultToCardResponse(resultCode, ResultDesc);
+
+      if (status === 'approved') {
+        expect(response).toMatchObject({ approved: true, responseCode: '00' });
+        expect(response.authorizationCode).toMatch(/^[A-Z0-9]+$/);
+      } else {
+        expect(response).toEqual({ approved: false, declineCode, declineReason });
+      }
+    });
+  });
+
+  describe('POST /api/webhooks/mpesa/stk-callback', () => {
+    const app = createApp();
+    let cardholder;
+
+    beforeAll(() => {
+      memoryMongo.connect();
+    });
+
+    afterAll(() => {
+      cache.cache.clear();
+    });
+
+    beforeEach(async () => {
+      memoryMongo.reset();
+      cardholder = await createCardholder();
+      jest.spyOn(events, 'emit').mockReturnValue(true);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    // A pending purchase whose STK push Daraja answered with the fixture's CheckoutRequestID;
+    // resolves with the transaction and the callback URL advertised for it
+    const pendingPurchase = async (body) => {
+      let callbackUrl;
+      jest.spyOn(mpesaService, 'initiateSTKPush').mockImplementation(async (phone, amount, reference) => {
+        callbackUrl = new URL(mpesaService.buildCallbackUrl(CALLBACK_PATH, reference));
+        return {
+          success: true,
+          checkoutRequestID: body.Body.stkCallback.CheckoutRequestID,
+          merchantRequestID: body.Body.stkCallback.MerchantRequestID,
+          responseCode: '0'
+        };
+      });
+
+      const result = await authorizationService.authorizeTransaction(purchase(cardholder));
+      const transaction = await Transaction.findOne({ transaction_reference: result.transaction_reference });
+
+      return { transaction, callbackUrl };
+    };
+
+    const deliver = (callbackUrl, body) => request(app)
+      .post(`${callbackUrl.pathname}${callbackUrl.search}`)
+      .send(body);
+
+    it.each(CALLBACKS)('applies $name to the transaction it correlates with', async ({ name, resultCode, status, declineCode, declineReason }) => {
+      const body = fixture(name);
+      const { transaction, callbackUrl } = await pendingPurchase(body);
+      expect(transaction.mpesa_checkout_request_id).toBe(body.Body.stkCallback.CheckoutRequestID);
+
+      const response = await deliver(callbackUrl, body);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ ResultCode: 0, ResultDesc: 'Accepted' });
+
+      const finished = await Transaction.findById(transaction._id);
+      expect(finished.status).toBe(status);
+      expect(finished.mpesa_result_code).toBe(resultCode);
+      expect(finished.mpesa_result_desc).toBe(body.Body.stkCallback.ResultDesc);
+
+      if (status === 'approved') {
+        expect(finished.mpesa_transaction_id).toBe('NLJ7RT61SV');
+        expect(finished.authorization_code).toBeDefined();
+      } else {
+        expect(finished.decline_code).toBe(declineCode);
+        expect(finished.decline_reason).toBe(declineReason);
+      }
+    });
+
+    it('answers 404 for a CheckoutRequestID that matches no transaction', async () => {
+      const callbackUrl = new URL(mpesaService.buildCallbackUrl(CALLBACK_PATH, 'TXNUNKNOWN'));
+
+      const response = await deliver(callbackUrl, fixture('stk-callback-success'));
+
+      expect(response.status).toBe(404);
+      expect(response.body.ResultCode).toBe(1);
+    });
+
+    it('rejects a callback delivered to the URL issued for another transaction', async () => {
+      const body = fixture('stk-callback-success');
+      const { transaction } = await pendingPurchase(body);
+      const otherUrl = new URL(mpesaService.buildCallbackUrl(CALLBACK_PATH, 'TXNOTHER'));
+
+      const response = await deliver(otherUrl, body);
+
+      expect(response.status).toBe(401);
+      expect((await Transaction.findById(transaction._id)).status).toBe(transaction.status);
+    });
+
+    describe('signed callbacks', () => {
+      // Sends the body as the exact bytes the signature was made over
+      const deliverSigned = (callbackUrl, raw, { signedBody = raw, nonce = 'f3a1c9e2b7d44c10' } = {}) => {
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        return request(app)
+          .post(`${callbackUrl.pathname}${callbackUrl.search}`)
+          .set('Content-Type', 'application/json')
+          .set('X-Mpesa-Timestamp', timestamp)
+          .set('X-Mpesa-Nonce', nonce)
+          .set('X-Mpesa-Signature', mpesaService.signCallback(timestamp, nonce, signedBody))
+          .send(raw);
+      };
+
+      it('accepts a callback whose signature covers its body', async () => {
+        const body = fixture('stk-callback-success');
+        const { transaction, callbackUrl } = await pendingPurchase(body);
+
+        const response = await deliverSigned(callbackUrl, JSON.stringify(body));
+
+        expect(response.status).toBe(200);
+        expect((await Transaction.findById(transaction._id)).status).toBe('approved');
+      });
+
+      it('rejects a signature made over a different body', async () => {
+        const body = fixture('stk-callback-success');
+        const { transaction, callbackUrl } = await pendingPurchase(body);
+
+        const response = await deliverSigned(callbackUrl, JSON.stringify(body), {
+          signedBody: JSON.stringify(fixture('stk-callback-cancelled'))
+        });
+
+        expect(response.status).toBe(401);
+        expect((await Transaction.findById(transaction._id)).status).toBe(transaction.status);
+      });
+
+      it('rejects a signed callback that reuses a nonce', async () => {
+        const body = fixture('stk-callback-success');
+        const { callbackUrl } = await pendingPurchase(body);
+
+        expect((await deliverSigned(callbackUrl, JSON.stringify(body))).status).toBe(200);
+        expect((await deliverSigned(callbackUrl, JSON.stringify(body))).status).toBe(409);
+      });
+    });
+
+    it('rejects a body without an stkCallback', async () => {
+      const { callbackUrl } = await pendingPurchase(fixture('stk-callback-success'));
+
+      const response = await deliver(callbackUrl, { Body: {} });
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
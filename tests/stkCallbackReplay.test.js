@@ -0,0 +1,233 @@
+const request = require('supertest');
+const memoryMongo = require('./helpers/memoryMongo');
+const { createCardholder, purchase } = require('./helpers/factories');
+const { createApp } = require('./helpers/app');
+const Transaction = require('../src/models/Transaction');
+const LedgerEntry = require('../src/models/LedgerEntry');
+const CallbackInbox = require('../src/models/CallbackInbox');
+const authorizationService = require('../src/services/authorizationService');
+const mpesaService = require('../src/services/mpesaService');
+const ledgerService = require('../src/services/ledgerService');
+const events = require('../src/utils/events');
+const cache = require('../src/utils/cache');
+
+// Safaricom retries STK callbacks, sometimes while the first delivery is still being
+// processed. However often a callback arrives, the purchase is approved and counted once.
+
+const CALLBACK_PATH = '/api/webhooks/mpesa/stk-callback';
+
+const approvedCallback = (checkoutRequestID, { amount = 1500, receipt = 'SFT4ABCD12', phone = 254712345678 } = {}) => ({
+  Body: {
+    stkCallback: {
+      MerchantRequestID: '29115-34620561-1',
+      CheckoutRequestID: checkoutRequestID,
+      ResultCode: 0,
+      ResultDesc: 'The service request is processed successfully.',
+      CallbackMetadata: {
+        Item: [
+          { Name: 'Amount', Value: amount },
+          { Name: 'MpesaReceiptNumber', Value: receipt },
+          { Name: 'TransactionDate', Value: 20261019102115 },
+          { Name: 'PhoneNumber', Value: phone }
+        ]
+      }
+    }
+  }
+});
+
+describe('STK callback replays', () => {
+  let cardholder;
+  let transaction;
+  let callbackUrl;
+  let approvedEvents;
+
+  beforeAll(() => {
+    memoryMongo.connect();
+  });
+
+  afterAll(() => {
+    cache.cache.clear();
+  });
+
+  beforeEach(async () => {
+    memoryMongo.reset();
+    cardholder = await createCardholder();
+
+    jest.spyOn(mpesaService, 'initiateSTKPush').mockImplementation(async (phone, amount, reference) => {
+      callbackUrl = new URL(mpesaService.buildCallbackUrl(CALLBACK_PATH, reference));
+      return {
+        success: true,
+        checkoutRequestID: `ws_CO_${reference}`,
+        merchantRequestID: '29115-34620561-1',
+        responseCode: '0'
+      };
+    });
+
+    const result = await authorizationService.authorizeTransaction(purchase(cardholder));
+    expect(result.pending).toBe(true);
+    transaction = await Transaction.findOne({ transaction_reference: result.transaction_reference });
+
+    approvedEvents = 0;
+    jest.spyOn(events, 'emit').mockImplementation((type) => {
+      if (type === 'transaction.approved') approvedEvents += 1;
+      return true;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const expectApprovedOnce = async () => {
+    const approved = await Transaction.findById(transaction._id);
+    expect(approved.status).toBe('approved');
+    expect(approved.status_history.filter(entry => entry.to === 'approved')).toHaveLength(1);
+    expect(approvedEvents).toBe(1);
+
+    const usage = await ledgerService.getCardUsage(cardholder.card._id);
+    expect(usage.today).toBe(1500);
+    expect(await ledgerService.getUserDailySpent(cardholder.user._id)).toBe(1500);
+
+    return approved;
+  };
+
+  describe('handleSTKCallback', () => {
+    const callbackData = () => mpesaService.parseSTKCallback(approvedCallback(transaction.mpesa_checkout_request_id));
+
+    it('processes a callback delivered several times in a row once', async () => {
+      const first = await authorizationService.handleSTKCallback(callbackData());
+      const entries = await LedgerEntry.countDocuments({ transaction_id: transaction._id });
+
+      const replays = [];
+      for (let i = 0; i < 3; i++) {
+        replays.push(await authorizationService.handleSTKCallback(callbackData()));
+      }
+
+      expect(first.success).toBe(true);
+      expect(first.approved).toBe(true);
+      expect(first.replayed).toBeUndefined();
+      replays.forEach(replay => {
+        expect(replay).toMatchObject({
+          success: true,
+          replayed: true,
+          approved: true,
+          transaction_id: first.transaction_id,
+          authorization_code: first.authorization_code
+        });
+      });
+
+      await expectApprovedOnce();
+      expect(await LedgerEntry.countDocuments({ transaction_id: transaction._id })).toBe(entries);
+
+      const inbox = await CallbackInbox.findOne({ checkout_request_id: transaction.mpesa_checkout_request_id });
+      expect(inbox.status).toBe('processed');
+      expect(inbox.delivery_count).toBe(4);
+    });
+
+    it('processes a callback delivered several times in parallel once', async () => {
+      const results = await Promise.all(
+        Array.from({ length: 5 }, () => authorizationService.handleSTKCallback(callbackData()))
+      );
+
+      expect(results.filter(result => !result.replayed)).toHaveLength(1);
+      expect(results.every(result => result.success)).toBe(true);
+
+      await expectApprovedOnce();
+
+      const inbox = await CallbackInbox.findOne({ checkout_request_id: transaction.mpesa_checkout_request_id });
+      expect(inbox.delivery_count).toBe(5);
+    });
+
+    it('treats a callback carrying an already processed receipt number as a replay', async () => {
+      await authorizationService.handleSTKCallback(callbackData());
+
+      const sameReceipt = { ...callbackData(), checkoutRequestID: 'ws_CO_OTHER' };
+      const replay = await authorizationService.handleSTKCallback(sameReceipt);
+
+      expect(replay.replayed).toBe(true);
+      await expectApprovedOnce();
+    });
+
+    it('lets a retry finish a delivery whose processing failed', async () => {
+      jest.spyOn(authorizationService, 'approveAuthorization').mockRejectedValueOnce(new Error('Ledger unavailable'));
+
+      const failed = await authorizationService.handleSTKCallback(callbackData());
+      expect(failed.success).toBe(false);
+      expect((await CallbackInbox.findOne({ checkout_request_id: transaction.mpesa_checkout_request_id })).status).toBe('failed');
+
+      const retried = await authorizationService.handleSTKCallback(callbackData());
+      expect(retried.success).toBe(true);
+      expect(retried.replayed).toBeUndefined();
+
+      await expectApprovedOnce();
+    });
+  });
+
+  describe('POST /api/webhooks/mpesa/stk-callback', () => {
+    const app = createApp();
+    const deliver = () => request(app)
+      .post(`${callbackUrl.pathname}${callbackUrl.search}`)
+      .send(approvedCallback(transaction.mpesa_checkout_request_id));
+
+    it('acknowledges every delivery and processes the callback once', async () => {
+      const responses = [await deliver(), await deliver(), await deliver(), await deliver()];
+
+      responses.forEach(response => {
+        expect(response.status).toBe(200);
+        expect(response.body).toEqual({ ResultCode: 0, ResultDesc: 'Accepted' });
+      });
+      expect((await CallbackInbox.findOne({ checkout_request_id: transaction.mpesa_checkout_request_id })).delivery_count).toBe(4);
+
+      await expectApprovedOnce();
+    });
+
+    it('acknowledges several parallel deliveries and processes the callback once', async () => {
+      const responses = await Promise.all(Array.from({ length: 5 }, () => deliver()));
+
+      expect(responses.map(response => response.status)).toEqual([200, 200, 200, 200, 200]);
+
+      await expectApprovedOnce();
+    });
+
+    it('does not answer a repeat delivered to the URL issued for another transaction', async () => {
+      await deliver();
+      const otherUrl = new URL(mpesaService.buildCallbackUrl(CALLBACK_PATH, 'TXNOTHER'));
+
+      const response = await request(app)
+        .post(`${otherUrl.pathname}${otherUrl.search}`)
+        .send(approvedCallback(transaction.mpesa_checkout_request_id));
+
+      expect(response.status).toBe(401);
+      await expectApprovedOnce();
+    });
+
+    it('rejects a delivery to an expired callback URL', async () => {
+      const expired = new URL(callbackUrl);
+      expired.searchParams.set('exp', String(Math.floor(Date.now() / 1000) - 1));
+      expired.searchParams.set('token', mpesaService.generateCallbackToken(
+        expired.searchParams.get('ref'),
+        expired.searchParams.get('n'),
+        expired.searchParams.get('exp')
+      ));
+
+      const response = await request(app)
+        .post(`${expired.pathname}${expired.search}`)
+        .send(approvedCallback(transaction.mpesa_checkout_request_id));
+
+      expect(response.status).toBe(401);
+      expect((await Transaction.findById(transaction._id)).status).toBe(transaction.status);
+    });
+
+    it('accepts a redelivery after a failed attempt', async () => {
+      jest.spyOn(authorizationService, 'approveAuthorization').mockRejectedValueOnce(new Error('Ledger unavailable'));
+
+      const failed = await deliver();
+      expect(failed.status).toBe(500);
+
+      const retried = await deliver();
+      expect(retried.status).toBe(200);
+
+      await expectApprovedOnce();
+    });
+  });
+});
@@ -0,0 +1,160 @@
+const memoryMongo = require('./helpers/memoryMongo');
+const { createCardholder, createMerchant, purchase } = require('./helpers/factories');
+const { startDaraja, waitFor } = require('./helpers/daraja');
+const { merchantClient } = require('./helpers/app');
+const Transaction = require('../src/models/Transaction');
+const transactionSweeper = require('../src/jobs/transactionSweeper');
+const ledgerService = require('../src/services/ledgerService');
+const events = require('../src/utils/events');
+const cache = require('../src/utils/cache');
+
+// A merchant authorizes a card payment, the cardholder answers the STK push on their
+// phone and Daraja reports the result. Everything but the phone runs for real: the
+// merchant API, the emulated Daraja API and its callbacks to the webhook routes.
+
+describe('STK purchases against the Daraja emulator', () => {
+  let daraja;
+  let cardholder;
+  let merchant;
+
+  beforeAll(async () => {
+    memoryMongo.connect();
+    daraja = await startDaraja();
+  });
+
+  afterAll(async () => {
+    await daraja.stop();
+    cache.cache.clear();
+  });
+
+  beforeEach(async () => {
+    memoryMongo.reset();
+    await daraja.reset();
+    cardholder = await createCardholder();
+
+    const { credentials } = await createMerchant();
+    merchant = merchantClient(daraja.appUrl, credentials);
+
+    // Merchant webhooks have their own suite
+    jest.spyOn(events, 'emit').mockReturnValue(true);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const authorize = async (fields = {}) => {
+    const { card_number, cvv, expiry_month, expiry_year, amount } = purchase(cardholder);
+    const response = await merchant.post('/authorizations', {
+      card_number,
+      cvv,
+      expiry_month,
+      expiry_year,
+      amount,
+      merchant_reference: `order-${Date.now()}`,
+      ...fields
+    });
+
+    expect(response.status).toBe(202);
+    expect(response.body.data.status).toBe('pending');
+    return response.body.data.transaction_reference;
+  };
+
+  const finished = (reference) => waitFor(() => Transaction.findOne({
+    transaction_reference: reference,
+    status: { $nin: ['pending', 'stk_push_sent', 'awaiting_user_response'] }
+  }));
+
+  const status = async (reference) => {
+    const response = await merchant.get(`/status/${reference}`);
+    expect(response.status).toBe(200);
+    return response.body.data;
+  };
+
+  it('approves the purchase when the cardholder accepts the STK push', async () => {
+    const reference = await authorize();
+    const transaction = await finished(reference);
+
+    const { stk } = await daraja.requests();
+    expect(stk).toHaveLength(1);
+    expect(stk[0]).toMatchObject({ amount: 1500, phoneNumber: cardholder.user.mpesa_phone, outcome: 'approve' });
+
+    expect(transaction.status).toBe('approved');
+    expect(transaction.mpesa_transaction_id).toBe(stk[0].receipt);
+    expect(transaction.captured_amount).toBe(1500);
+
+    expect(await status(reference)).toMatchObject({ status: 'approved', authorization_code: transaction.authorization_code });
+    expect((await ledgerService.getCardUsage(cardholder.card._id)).today).toBe(1500);
+  });
+
+  it('declines the purchase when the cardholder cancels the STK push', async () => {
+    await daraja.script('cancel');
+
+    const reference = await authorize();
+    const transaction = await finished(reference);
+
+    expect(transaction.status).toBe('declined');
+    expect(transaction.mpesa_result_code).toBe(1032);
+    expect(await status(reference)).toMatchObject({ status: 'declined', decline_code: '17' });
+    expect((await ledgerService.getCardUsage(cardholder.card._id)).today).toBe(0);
+  });
+
+  it('declines the purchase when the M-Pesa balance is insufficient', async () => {
+    await daraja.script('insufficient_funds');
+
+    const reference = await authorize();
+    const transaction = await finished(reference);
+
+    expect(transaction.status).toBe('declined');
+    expect(await status(reference)).toMatchObject({ status: 'declined', decline_code: '51', decline_reason: 'Insufficient funds' });
+    expect((await ledgerService.getCardUsage(cardholder.card._id)).today).toBe(0);
+  });
+
+  it('approves a purchase whose callback arrives late', async () => {
+    await daraja.script('delayed', { delayMs: 300 });
+
+    const reference = await authorize();
+
+    // Until the cardholder answers, stkpushquery has nothing to say
+    expect((await status(reference)).status).toMatch(/stk_push_sent|awaiting_user_response/);
+
+    const transaction = await finished(reference);
+    expect(transaction.status).toBe('approved');
+  });
+
+  it('expires a purchase the cardholder never answers once the sweeper finds it', async () => {
+    await daraja.script('timeout');
+
+    const reference = await authorize();
+
+    // No callback comes; the status query reports 1037 and the purchase stays pending
+    expect((await status(reference)).status).toMatch(/stk_push_sent|awaiting_user_response/);
+    expect((await daraja.requests()).callbacks).toHaveLength(0);
+
+    await Transaction.updateOne({ transaction_reference: reference }, { $set: { timeout_at: new Date(Date.now() - 1000) } });
+
+    // run() returns straight away while the job is not started, so sweep the way it does
+    const pending = await Transaction.findPendingTransactions();
+    expect(pending.map(candidate => candidate.transaction_reference)).toEqual([reference]);
+    await transactionSweeper.finalize(pending[0]);
+
+    const transaction = await Transaction.findOne({ transaction_reference: reference });
+    expect(transaction.status).toBe('expired');
+    expect(await status(reference)).toMatchObject({ status: 'expired' });
+    expect((await ledgerService.getCardUsage(cardholder.card._id)).today).toBe(0);
+  });
+
+  it('returns the original authorization when the merchant retries the request', async () => {
+    const reference = await authorize({ merchant_reference: 'order-retried' });
+    await finished(reference);
+
+    const { card_number, cvv, expiry_month, expiry_year, amount } = purchase(cardholder);
+    const retried = await merchant.post('/authorizations', {
+      card_number, cvv, expiry_month, expiry_year, amount, merchant_reference: 'order-retried'
+    });
+
+    expect(retried.status).toBe(200);
+    expect(retried.body.data).toMatchObject({ transaction_reference: reference, status: 'approved' });
+    expect((await daraja.requests()).stk).toHaveLength(1);
+  });
+});
@@ -0,0 +1,120 @@
+const memoryMongo = require('./helpers/memoryMongo');
+const { createCardholder, purchase } = require('./helpers/factories');
+const { createApp, userClient } = require('./helpers/app');
+const Transaction = require('../src/models/Transaction');
+const AuditLog = require('../src/models/AuditLog');
+const authorizationService = require('../src/services/authorizationService');
+const mpesaService = require('../src/services/mpesaService');
+const refundService = require('../src/services/refundService');
+const events = require('../src/utils/events');
+const cache = require('../src/utils/cache');
+
+// Captures and voids of authorization holds on the cardholder API. They settle money
+// held on the cardholder's account, so only staff with the permission may make them.
+
+describe('POST /api/transactions/:id/capture and /void', () => {
+  const app = createApp();
+  let cardholder;
+  let staff;
+  let owner;
+  let transaction;
+
+  beforeAll(() => {
+    memoryMongo.connect();
+  });
+
+  afterAll(() => {
+    cache.cache.clear();
+  });
+
+  beforeEach(async () => {
+    memoryMongo.reset();
+    cardholder = await createCardholder();
+    const admin = await createCardholder({ user: { role: 'admin' } });
+    jest.spyOn(events, 'emit').mockReturnValue(true);
+    jest.spyOn(refundService, 'createReversal').mockResolvedValue(null);
+
+    staff = await userClient(app, admin.user);
+    owner = await userClient(app, cardholder.user);
+    transaction = await approvedHold();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // A manual-capture purchase approved by its STK callback, holding 1500 uncaptured
+  const approvedHold = async () => {
+    jest.spyOn(mpesaService, 'initiateSTKPush').mockImplementation(async (phone, amount, reference) => ({
+      success: true,
+      checkoutRequestID: `ws_CO_${reference}`,
+      merchantRequestID: '29115-34620561-1',
+      responseCode: '0'
+    }));
+
+    const result = await authorizationService.authorizeTransaction(purchase(cardholder, { capture_mode: 'manual' }));
+    const pending = await Transaction.findOne({ transaction_reference: result.transaction_reference });
+    await authorizationService.handleSTKCallback({
+      checkoutRequestID: pending.mpesa_checkout_request_id,
+      resultCode: 0,
+      resultDescription: 'The service request is processed successfully.',
+      mpesaReceiptNumber: `R${Date.now().toString(36).toUpperCase()}`
+    });
+
+    return Transaction.findById(pending._id);
+  };
+
+  it('captures part of the hold for staff and records who did it', async () => {
+    const response = await staff.post(`/api/transactions/${transaction.id}/capture`, { amount: 600 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ captured_amount: 600, hold_status: 'open' });
+
+    const captured = await Transaction.findById(transaction._id);
+    expect(captured.captures[0].actor).toMatch(/^staff:/);
+    expect(await AuditLog.findOne({ action: 'transaction.captured', target_id: transaction.id })).toMatchObject({
+      outcome: 'success',
+      metadata: { amount: 600, final: false, hold_status: 'open' }
+    });
+  });
+
+  it('closes the hold on a final capture', async () => {
+    const response = await staff.post(`/api/transactions/${transaction.id}/capture`, { amount: 1000, final: true });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ captured_amount: 1000, hold_status: 'closed', released_amount: 500 });
+    expect(refundService.createReversal).toHaveBeenCalledWith(expect.anything(), 500);
+  });
+
+  it('rejects a capture above the uncaptured amount', async () => {
+    const response = await staff.post(`/api/transactions/${transaction.id}/capture`, { amount: 1501 });
+
+    expect(response.status).toBe(422);
+    expect(response.body.code).toBe('INVALID_CAPTURE_AMOUNT');
+    expect((await Transaction.findById(transaction._id)).captured_amount).toBe(0);
+  });
+
+  it('voids the hold for staff', async () => {
+    const response = await staff.post(`/api/transactions/${transaction.id}/void`, { reason: 'Guest checked out early' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ status: 'voided', hold_status: 'closed', released_amount: 1500 });
+    expect(await AuditLog.findOne({ action: 'transaction.voided', target_id: transaction.id })).toMatchObject({
+      reason: 'Guest checked out early'
+    });
+  });
+
+  it('answers 404 for an unknown transaction', async () => {
+    const response = await staff.post('/api/transactions/507f1f77bcf86cd799439011/void');
+
+    expect(response.status).toBe(404);
+    expect(response.body.code).toBe('TRANSACTION_NOT_FOUND');
+  });
+
+  it.each(['capture', 'void'])('refuses to %s for the cardholder who owns the transaction', async (action) => {
+    const response = await owner.post(`/api/transactions/${transaction.id}/${action}`);
+
+    expect(response.status).toBe(403);
+    expect(await Transaction.findById(transaction._id)).toMatchObject({ status: 'approved', hold_status: 'open', captured_amount: 0 });
+  });
+});
@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const memoryMongo = require('./helpers/memoryMongo');
+const VirtualCard = require('../src/models/VirtualCard');
+const vaultService = require('../src/services/vaultService');
+const cache = require('../src/utils/cache');
+
+// Cards from before the vault are moved into it in batches by the vault rotation. A card
+// whose old data cannot be read must not stop the cards behind it from moving.
+
+describe('vaultService.migrateLegacyCards', () => {
+  beforeAll(() => {
+    memoryMongo.connect();
+  });
+
+  afterAll(() => {
+    cache.cache.clear();
+  });
+
+  beforeEach(() => {
+    memoryMongo.reset();
+  });
+
+  // A card as stored before the vault: base64 card data and an unkeyed hash
+  const legacyCard = async (pan, { cardNumber = Buffer.from(pan).toString('base64') } = {}) => {
+    const [card] = await VirtualCard.insertMany([{
+      user_id: new mongoose.Types.ObjectId(),
+      cardholder_name: 'LEGACY CARDHOLDER',
+      card_number: cardNumber,
+      cvv: Buffer.from('123').toString('base64'),
+      card_number_hash: crypto.createHash('sha256').update(pan).digest('hex'),
+      expiry_month: 12,
+      expiry_year: new Date().getFullYear() + 2,
+      status: 'active'
+    }]);
+    return card;
+  };
+
+  it('moves a legacy card number and CVV into the vault', async () => {
+    const card = await legacyCard('4000123412341234');
+
+    expect(await vaultService.migrateLegacyCards(10)).toBe(1);
+
+    const migrated = await VirtualCard.findById(card._id);
+    expect(migrated.card_number).toBeUndefined();
+    expect(migrated.card_number_hash).toBe(vaultService.fingerprint('4000123412341234'));
+    expect(await vaultService.revealCard(migrated)).toEqual({ card_number: '4000123412341234', cvv: '123' });
+  });
+
+  it('marks a card that cannot be migrated and moves on to the next batch', async () => {
+    const broken = await legacyCard('4000123412349999', { cardNumber: 'bm90IGEgY2FyZA==' });
+    const card = await legacyCard('4000123412341234');
+
+    // The broken card fills the first batch
+    expect(await vaultService.migrateLegacyCards(1)).toBe(0);
+    expect(await vaultService.migrateLegacyCards(1)).toBe(1);
+    expect(await vaultService.migrateLegacyCards(1)).toBe(0);
+
+    expect((await VirtualCard.findById(card._id)).pan_token).toBeDefined();
+    expect(await VirtualCard.findById(broken._id)).toMatchObject({
+      card_number: 'bm90IGEgY2FyZA==',
+      vault_migration_error: 'Unrecognised legacy card data'
+    });
+    expect(await vaultService.getStatus()).toMatchObject({ legacy_cards: 1, failed_card_migrations: 1 });
+  });
+});
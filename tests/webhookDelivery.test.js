@@ -0,0 +1,267 @@
+const express = require('express');
+const axios = require('axios');
+const memoryMongo = require('./helpers/memoryMongo');
+const { createCardholder, createMerchant, purchase } = require('./helpers/factories');
+const { createApp, merchantClient, listen, close } = require('./helpers/app');
+const { waitFor } = require('./helpers/daraja');
+const { createWebhookReceiver } = require('../src/emulator/webhookReceiver');
+const Merchant = require('../src/models/Merchant');
+const Transaction = require('../src/models/Transaction');
+const WebhookDelivery = require('../src/models/WebhookDelivery');
+const authorizationService = require('../src/services/authorizationService');
+const mpesaService = require('../src/services/mpesaService');
+const webhookService = require('../src/services/webhookService');
+const cache = require('../src/utils/cache');
+
+// Merchant webhooks delivered to the local receiver, which checks signatures the way a
+// merchant should. The receiver is only reachable because the suite allows private
+// networks and plain http; the SSRF checks are exercised with that switched back off.
+
+describe('Merchant webhook delivery', () => {
+  const app = createApp();
+  const previous = {
+    nodeEnv: process.env.NODE_ENV,
+    allowPrivateNetworks: webhookService.allowPrivateNetworks,
+    maxAttempts: webhookService.maxAttempts
+  };
+
+  let receiverServer;
+  let receiverUrl;
+  let receiver;
+  let cardholder;
+  let merchantAccount;
+  let merchant;
+
+  beforeAll(async () => {
+    memoryMongo.connect();
+
+    // Each test swaps in a receiver that knows the secret its merchant was given
+    const front = express();
+    front.use((req, res, next) => receiver(req, res, next));
+    ({ server: receiverServer, url: receiverUrl } = await listen(front));
+  });
+
+  afterAll(async () => {
+    await close(receiverServer);
+    cache.cache.clear();
+  });
+
+  beforeEach(async () => {
+    memoryMongo.reset();
+    process.env.NODE_ENV = 'development';
+    webhookService.allowPrivateNetworks = true;
+
+    cardholder = await createCardholder();
+    // The receiver logs every event it accepts
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const created = await createMerchant();
+    merchantAccount = created.merchant;
+    merchant = merchantClient(app, created.credentials);
+
+    const response = await merchant.put('/webhooks', { url: `${receiverUrl}/webhooks`, events: ['transaction.approved'] });
+    expect(response.status).toBe(200);
+    receiver = createWebhookReceiver({ secret: response.body.data.secret });
+  });
+
+  afterEach(() => {
+    process.env.NODE_ENV = previous.nodeEnv;
+    webhookService.allowPrivateNetworks = previous.allowPrivateNetworks;
+    webhookService.maxAttempts = previous.maxAttempts;
+    jest.restoreAllMocks();
+  });
+
+  // A purchase at the merchant approved by its STK callback, which queues the
+  // transaction.approved webhook; resolves with the queued delivery
+  const approvedPurchase = async () => {
+    jest.spyOn(mpesaService, 'initiateSTKPush').mockImplementation(async (phone, amount, reference) => ({
+      success: true,
+      checkoutRequestID: `ws_CO_${reference}`,
+      merchantRequestID: '29115-34620561-1',
+      responseCode: '0'
+    }));
+
+    const result = await authorizationService.authorizeTransaction(purchase(cardholder, {
+      merchant_account_id: merchantAccount._id,
+      channel: 'merchant_api'
+    }));
+    const transaction = await Transaction.findOne({ transaction_reference: result.transaction_reference });
+
+    await authorizationService.handleSTKCallback({
+      checkoutRequestID: transaction.mpesa_checkout_request_id,
+      resultCode: 0,
+      resultDescription: 'The service request is processed successfully.',
+      mpesaReceiptNumber: `R${Date.now().toString(36).toUpperCase()}`
+    });
+
+    return waitFor(() => WebhookDelivery.findOne({ event_type: 'transaction.approved' }));
+  };
+
+  // What the dispatcher job does on each run
+  const dispatch = async () => {
+    for (const due of await WebhookDelivery.findDue(50)) {
+      await webhookService.deliver(await WebhookDelivery.claim(due._id, 60 * 1000));
+    }
+  };
+
+  // Moves pending retries to now, as if their backoff had passed
+  const elapse = () => WebhookDelivery.updateMany({ status: 'pending' }, { $set: { next_attempt_at: new Date(Date.now() - 1000) } });
+
+  const received = async () => receiver.settings.receiverState.events;
+
+  const receiverFails = (times) => axios.post(`${receiverUrl}/__receiver/fail?times=${times}`);
+
+  it('delivers a signed event that the receiver verifies', async () => {
+    const queued = await approvedPurchase();
+    await dispatch();
+
+    const delivery = await WebhookDelivery.findById(queued._id);
+    expect(delivery.status).toBe('delivered');
+    expect(delivery.attempt_count).toBe(1);
+    expect(delivery.attempts[0].status_code).toBe(200);
+
+    const [event] = await received();
+    expect(event).toMatchObject({
+      verified: true,
+      response: 200,
+      delivery_id: delivery.event_id,
+      event_type: 'transaction.approved'
+    });
+    expect(event.body).toMatchObject({ id: delivery.event_id, type: 'transaction.approved' });
+    expect(event.body.data.transaction.status).toBe('approved');
+  });
+
+  it('is refused by a receiver holding a different secret', async () => {
+    receiver = createWebhookReceiver({ secret: 'whsec_not_the_merchants' });
+
+    const queued = await approvedPurchase();
+    await dispatch();
+
+    const delivery = await WebhookDelivery.findById(queued._id);
+    expect(delivery.status).toBe('pending');
+    expect(delivery.attempts[0]).toMatchObject({ status_code: 401, error: 'HTTP 401' });
+    expect((await received())[0].verified).toBe(false);
+  });
+
+  it('retries a failed delivery with exponential backoff until it succeeds', async () => {
+    await receiverFails(2);
+    const queued = await approvedPurchase();
+
+    await dispatch();
+    let delivery = await WebhookDelivery.findById(queued._id);
+    const firstDelay = delivery.next_attempt_at - delivery.attempts[0].attempted_at;
+    expect(delivery).toMatchObject({ status: 'pending', attempt_count: 1 });
+    expect(firstDelay).toBeGreaterThanOrEqual(24 * 1000);
+    expect(firstDelay).toBeLessThanOrEqual(37 * 1000);
+
+    // Not due again until the backoff has passed
+    await dispatch();
+    expect((await WebhookDelivery.findById(queued._id)).attempt_count).toBe(1);
+
+    await elapse();
+    await dispatch();
+    delivery = await WebhookDelivery.findById(queued._id);
+    const secondDelay = delivery.next_attempt_at - delivery.attempts[1].attempted_at;
+    expect(delivery).toMatchObject({ status: 'pending', attempt_count: 2 });
+    expect(secondDelay).toBeGreaterThanOrEqual(48 * 1000);
+    expect(secondDelay).toBeLessThanOrEqual(73 * 1000);
+
+    await elapse();
+    await dispatch();
+    delivery = await WebhookDelivery.findById(queued._id);
+    expect(delivery).toMatchObject({ status: 'delivered', attempt_count: 3 });
+    expect((await received()).map(event => event.response)).toEqual([500, 500, 200]);
+  });
+
+  it('dead-letters a delivery after the last attempt and sends it again on replay', async () => {
+    webhookService.maxAttempts = 3;
+    await receiverFails(10);
+    const queued = await approvedPurchase();
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      await elapse();
+      await dispatch();
+    }
+
+    const dead = await WebhookDelivery.findById(queued._id);
+    expect(dead).toMatchObject({ status: 'dead', attempt_count: 3 });
+    expect(await WebhookDelivery.findDue(50)).toHaveLength(0);
+
+    await axios.post(`${receiverUrl}/__receiver/reset`);
+    const replay = await merchant.post(`/webhooks/deliveries/${queued.id}/replay`);
+    expect(replay.status).toBe(202);
+    expect(replay.body.data.status).toBe('pending');
+
+    await dispatch();
+
+    const delivered = await WebhookDelivery.findById(queued._id);
+    expect(delivered).toMatchObject({ status: 'delivered', attempt_count: 1 });
+    expect(delivered.replayed_at).toBeInstanceOf(Date);
+    expect(await received()).toEqual([expect.objectContaining({ verified: true, response: 200, delivery_id: queued.event_id })]);
+  });
+
+  it('replays a delivered event with the same event id', async () => {
+    const queued = await approvedPurchase();
+    await dispatch();
+
+    await merchant.post(`/webhooks/deliveries/${queued.id}/replay`);
+    await dispatch();
+
+    const events = await received();
+    expect(events).toHaveLength(2);
+    expect(events.map(event => event.body.id)).toEqual([queued.event_id, queued.event_id]);
+    expect(events[1].duplicate).toBe(true);
+  });
+
+  describe('SSRF protection', () => {
+    beforeEach(() => {
+      webhookService.allowPrivateNetworks = false;
+    });
+
+    it.each([
+      ['a loopback address', 'http://127.0.0.1:8080/webhooks', 'PRIVATE_ADDRESS'],
+      ['localhost', 'http://localhost/webhooks', 'PRIVATE_ADDRESS'],
+      ['the cloud metadata address', 'http://169.254.169.254/latest/meta-data', 'PRIVATE_ADDRESS'],
+      ['a private network address', 'http://10.0.0.5/webhooks', 'PRIVATE_ADDRESS'],
+      ['an IPv4-mapped IPv6 loopback address', 'http://[::ffff:127.0.0.1]/webhooks', 'PRIVATE_ADDRESS']
+    ])('refuses a webhook URL pointing at %s', async (description, url, code) => {
+      const response = await merchant.put('/webhooks', { url });
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe(code);
+      expect((await Merchant.findById(merchantAccount._id)).webhook_url).toBe(`${receiverUrl}/webhooks`);
+    });
+
+    it('requires https outside development', async () => {
+      process.env.NODE_ENV = 'production';
+
+      const response = await merchant.put('/webhooks', { url: 'http://hooks.example.com/webhooks' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('INSECURE_URL');
+    });
+
+    it('does not deliver to a stored URL that now resolves to a private address', async () => {
+      const queued = await approvedPurchase();
+      await dispatch();
+
+      const delivery = await WebhookDelivery.findById(queued._id);
+      expect(delivery.status).toBe('pending');
+      expect(delivery.attempts[0].error).toBe('PRIVATE_ADDRESS');
+      expect(await received()).toHaveLength(0);
+    });
+
+    it('refuses the connection when the host resolves to a private address after the URL check', async () => {
+      const queued = await approvedPurchase();
+      await WebhookDelivery.updateOne({ _id: queued._id }, { $set: { url: `${receiverUrl.replace('127.0.0.1', 'localhost')}/webhooks` } });
+
+      // DNS rebinding: the host looked public when checked and private when connected to
+      jest.spyOn(webhookService, 'checkUrl').mockResolvedValue();
+      await dispatch();
+
+      const delivery = await WebhookDelivery.findById(queued._id);
+      expect(delivery.attempts[0].error).toBe('EPRIVATEADDRESS');
+      expect(await received()).toHaveLength(0);
+    });
+  });
+});